@@ -17,6 +17,7 @@ import labelPresetsRoutes from './routes/label-presets.js'
 import dimensionPresetsRoutes from './routes/dimension-presets.js'
 import annotationPresetsRoutes from './routes/annotation-presets.js'
 import scenariosRoutes from './routes/scenarios.js'
+import streetTypesRoutes from './routes/street-types.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -64,6 +65,7 @@ app.use('/api/drawing-presets', drawingPresetsRoutes)
 app.use('/api/label-presets', labelPresetsRoutes)
 app.use('/api/dimension-presets', dimensionPresetsRoutes)
 app.use('/api/annotation-presets', annotationPresetsRoutes)
+app.use('/api/street-types', streetTypesRoutes)
 app.use('/api/projects', scenariosRoutes)
 
 // Health check
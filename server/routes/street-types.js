@@ -0,0 +1,153 @@
+import express from 'express'
+import fs from 'fs/promises'
+import { existsSync } from 'fs'
+import { join } from 'path'
+
+const router = express.Router()
+
+// Helper to get projects directory
+async function getProjectsDir(req) {
+  const config = await req.app.locals.loadConfig()
+  if (!config.projectsDirectory) {
+    throw new Error('Projects directory not configured')
+  }
+  return config.projectsDirectory
+}
+
+// Helper to get (and lazily create) the street types directory
+async function getStreetTypesDir(req) {
+  const projectsDir = await getProjectsDir(req)
+  const typesDir = join(projectsDir, '_street-types')
+  if (!existsSync(typesDir)) {
+    await fs.mkdir(typesDir, { recursive: true })
+  }
+  return typesDir
+}
+
+// Helper to sanitize street type code for filename
+function sanitizeName(name) {
+  return String(name).replace(/[<>:"/\\|?*]/g, '-').trim()
+}
+
+// GET / - List all street types
+router.get('/', async (req, res) => {
+  try {
+    const typesDir = await getStreetTypesDir(req)
+
+    const files = await fs.readdir(typesDir)
+    const streetTypes = []
+
+    for (const file of files) {
+      if (file.endsWith('.json')) {
+        try {
+          const data = await fs.readFile(join(typesDir, file), 'utf-8')
+          const streetType = JSON.parse(data)
+          streetTypes.push({
+            filename: file,
+            code: streetType.code,
+            name: streetType.name,
+            timestamp: streetType.timestamp,
+          })
+        } catch {
+          // Skip invalid files
+        }
+      }
+    }
+
+    // Sort by code (S1, S2, ..., S10)
+    streetTypes.sort((a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true }))
+
+    res.json(streetTypes)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// POST / - Save a street type (overwrites an existing file with the same code)
+router.post('/', async (req, res) => {
+  try {
+    const typesDir = await getStreetTypesDir(req)
+
+    const { code, name, ...streetTypeData } = req.body
+
+    if (!code) {
+      return res.status(400).json({ error: 'Street type code is required' })
+    }
+
+    const filename = sanitizeName(code) + '.json'
+    const filePath = join(typesDir, filename)
+
+    const streetType = {
+      ...streetTypeData,
+      kind: 'street-type',
+      code,
+      name: name || code,
+      timestamp: new Date().toISOString(),
+    }
+
+    await fs.writeFile(filePath, JSON.stringify(streetType, null, 2))
+
+    res.status(201).json({
+      success: true,
+      filename,
+      code,
+      name: streetType.name,
+      timestamp: streetType.timestamp,
+    })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// GET /:code - Load a specific street type
+router.get('/:code', async (req, res) => {
+  try {
+    const typesDir = await getStreetTypesDir(req)
+
+    // Same file name POST saves under
+    let filename = sanitizeName(req.params.code)
+    if (!filename.endsWith('.json')) {
+      filename += '.json'
+    }
+
+    const filePath = join(typesDir, filename)
+
+    if (!existsSync(filePath)) {
+      return res.status(404).json({ error: 'Street type not found' })
+    }
+
+    const data = await fs.readFile(filePath, 'utf-8')
+    const streetType = JSON.parse(data)
+
+    res.json(streetType)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// DELETE /:code - Delete a street type
+router.delete('/:code', async (req, res) => {
+  try {
+    const typesDir = await getStreetTypesDir(req)
+
+    // Same file name POST saves under
+    let filename = sanitizeName(req.params.code)
+    if (!filename.endsWith('.json')) {
+      filename += '.json'
+    }
+
+    const filePath = join(typesDir, filename)
+
+    if (!existsSync(filePath)) {
+      return res.status(404).json({ error: 'Street type not found' })
+    }
+
+    await fs.unlink(filePath)
+
+    res.json({ success: true, message: 'Street type deleted' })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+export default router
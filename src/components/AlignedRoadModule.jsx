@@ -0,0 +1,117 @@
+import { useMemo } from 'react'
+import * as THREE from 'three'
+import { Line } from '@react-three/drei'
+import { useStore } from '../store/useStore'
+import { getRoadZoneStyle } from '../utils/roadZones'
+import { getStreetType, applyStreetTypeStyles } from '../utils/streetTypes'
+import { createRibbonGeometry } from '../utils/roadAlignment'
+import StreetFurniture from './StreetFurniture'
+
+const toLinePoints = (points, z) => points.map(p => [p.x, p.y, z])
+
+/**
+ * BandLine Component (module-level — never define inside a render function)
+ *
+ * One zone edge or end cap of a swept band, styled like RoadModule's border lines.
+ */
+const BandLine = ({ points, style, lineScale }) => (
+    <Line
+        points={points}
+        color={style.lineColor}
+        lineWidth={(style.lineWidth || 1) * lineScale}
+        opacity={style.lineOpacity}
+        transparent={style.lineOpacity < 1}
+        dashed={style.lineDashed}
+        dashSize={style.lineDashed ? (style.lineDashSize ?? 3) : undefined}
+        gapSize={style.lineDashed ? (style.lineGapSize ?? 2) : undefined}
+        dashScale={style.lineDashed ? (style.lineDashScale ?? 1) : undefined}
+    />
+)
+
+/**
+ * AlignedRoadModule Component
+ *
+ * Renders a road whose cross-section is swept along its own centerline
+ * (`road.alignment`, see utils/roadAlignment.js) instead of a block edge.
+ * Geometry is in district world coordinates, so the parent group must not
+ * be offset or rotated. Z offsets and styles match RoadModule: road surface
+ * at 0.01, zones stacked above it, right-of-way lines at 0.03.
+ *
+ * @param {object} roadModule - Road module data (with alignment)
+ * @param {object} sweep - This road's entry from computeAlignedRoadNetwork().sweeps
+ * @param {object} styles - roadModuleStyles (street type overrides merged on top)
+ * @param {number} lineScale - Line width multiplier for export scaling
+ */
+const AlignedRoadModule = ({ roadModule, sweep, styles: baseStyles, lineScale = 1 }) => {
+    const streetTypeLibrary = useStore((state) => state.streetTypeLibrary)
+    const showFurniture = useStore((state) => state.viewSettings.layers.streetFurniture !== false)
+    const streetType = getStreetType(roadModule?.type || 'S1', streetTypeLibrary)
+    const styles = useMemo(() => applyStreetTypeStyles(baseStyles, streetType), [baseStyles, streetType])
+
+    // One ribbon geometry per band piece
+    const ribbons = useMemo(() => (sweep?.bands ?? []).map(band =>
+        band.pieces.map(piece => createRibbonGeometry(piece.inner, piece.outer))
+    ), [sweep])
+
+    if (!roadModule || !sweep || !styles) return null
+
+    const isAlley = !!streetType.alley
+    const baseRowStyle = styles.rightOfWay ?? { color: '#000000', width: 1, dashed: true, dashSize: 2, gapSize: 1, opacity: 1 }
+    const rowStyle = (isAlley && styles.alleyRightOfWay) ? { ...baseRowStyle, ...styles.alleyRightOfWay } : baseRowStyle
+    const baseRoadStyle = styles.roadWidth ?? { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1, fillColor: '#666666', fillOpacity: 1.0 }
+    const roadStyle = (isAlley && styles.alleyRoadWidth) ? { ...baseRoadStyle, ...styles.alleyRoadWidth } : baseRoadStyle
+
+    return (
+        <group>
+            {/* Right-of-way lines on both sides of the centerline */}
+            {sweep.rowLines.map(({ side, points }, index) => (
+                <Line
+                    key={`row-${side}-${index}`}
+                    points={toLinePoints(points, 0.03)}
+                    color={rowStyle.color}
+                    lineWidth={(rowStyle.width || 1) * lineScale}
+                    opacity={rowStyle.opacity}
+                    transparent={rowStyle.opacity < 1}
+                    dashed={rowStyle.dashed}
+                    dashSize={rowStyle.dashSize}
+                    gapSize={rowStyle.gapSize}
+                    dashScale={rowStyle.dashed ? (rowStyle.dashScale ?? 1) : 1}
+                />
+            ))}
+
+            {/* Road surface, then each side's zones stacked outward */}
+            {sweep.bands.map((band, bandIndex) => {
+                const style = band.zone ? getRoadZoneStyle(styles, band.zone, band.side, isAlley) : roadStyle
+                const z = band.zone ? 0.011 + bandIndex * 0.001 : 0.01
+                return band.pieces.map((piece, pieceIndex) => (
+                    <group key={`${band.key}-${pieceIndex}`}>
+                        <mesh geometry={ribbons[bandIndex]?.[pieceIndex]} position={[0, 0, z]}>
+                            <meshStandardMaterial
+                                color={style.fillColor}
+                                opacity={style.fillOpacity}
+                                transparent={style.fillOpacity < 1}
+                                side={THREE.FrontSide}
+                                depthWrite={style.fillOpacity >= 0.95}
+                                roughness={1}
+                                metalness={0}
+                            />
+                        </mesh>
+                        <BandLine points={toLinePoints(piece.inner, z)} style={style} lineScale={lineScale} />
+                        <BandLine points={toLinePoints(piece.outer, z)} style={style} lineScale={lineScale} />
+                        {piece.startCap && (
+                            <BandLine points={toLinePoints([piece.inner[0], piece.outer[0]], z)} style={style} lineScale={lineScale} />
+                        )}
+                        {piece.endCap && (
+                            <BandLine points={toLinePoints([piece.inner.at(-1), piece.outer.at(-1)], z)} style={style} lineScale={lineScale} />
+                        )}
+                    </group>
+                ))
+            })}
+
+            {/* Street furniture stops short of junction cuts like the zone bands */}
+            {showFurniture && <StreetFurniture roadModule={roadModule} centerline={sweep.centerline} ranges={sweep.ranges} />}
+        </group>
+    )
+}
+
+export default AlignedRoadModule
@@ -2,9 +2,10 @@ import { useState, useRef } from 'react'
 import { useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import { useStore } from '../../store/useStore'
+import { lotToWorld } from '../../utils/blockLayout'
 
 // Draggable handle at the top of the building for adjusting total height
-const HeightHandle = ({ position, totalHeight, onHeightChange, offsetGroupX = 0 }) => {
+const HeightHandle = ({ position, totalHeight, onHeightChange, offsetGroupX = 0, offsetGroupY = 0, offsetGroupRotation = 0 }) => {
     const [hovered, setHovered] = useState(false)
     const [dragging, setDragging] = useState(false)
     const { camera, controls } = useThree()
@@ -22,8 +23,9 @@ const HeightHandle = ({ position, totalHeight, onHeightChange, offsetGroupX = 0
         e.target.setPointerCapture(e.pointerId)
 
         // Create a vertical plane facing the camera, passing through the building center
+        const center = lotToWorld({ x: position[0], y: position[1] }, { x: offsetGroupX, y: offsetGroupY, rotation: offsetGroupRotation })
         const cameraDir = camera.position.clone()
-            .sub(new THREE.Vector3(position[0], position[1], 0))
+            .sub(new THREE.Vector3(center.x, center.y, 0))
         cameraDir.z = 0 // Project to XY plane
         cameraDir.normalize()
         if (cameraDir.lengthSq() < 0.001) {
@@ -31,7 +33,7 @@ const HeightHandle = ({ position, totalHeight, onHeightChange, offsetGroupX = 0
         }
         planeRef.current.setFromNormalAndCoplanarPoint(
             cameraDir,
-            new THREE.Vector3(position[0] + offsetGroupX, position[1], position[2])
+            new THREE.Vector3(center.x, center.y, position[2])
         )
     }
 
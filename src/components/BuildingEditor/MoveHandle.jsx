@@ -2,12 +2,13 @@ import { useState, useMemo, useRef } from 'react'
 import { useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import { useStore } from '../../store/useStore'
+import { worldToLot } from '../../utils/blockLayout'
 
 // Direct-drag move handle — rendered at building footprint center.
 // Click-and-drag to reposition the building. Follows the same pointer
 // capture pattern as EdgeHandle/VertexHandle (stopPropagation + controls.enabled
 // + setPointerCapture + invisible capture plane).
-const MoveHandle = ({ position, zPosition = 1.0, displayOffset = [0, 0], offsetGroupX = 0, offsetGroupY = 0, onDrag, onDragEnd, parentHovered = false }) => {
+const MoveHandle = ({ position, zPosition = 1.0, displayOffset = [0, 0], offsetGroupX = 0, offsetGroupY = 0, offsetGroupRotation = 0, onDrag, onDragEnd, parentHovered = false }) => {
     const [hovered, setHovered] = useState(false)
     const [dragging, setDragging] = useState(false)
     const { controls } = useThree()
@@ -28,11 +29,10 @@ const MoveHandle = ({ position, zPosition = 1.0, displayOffset = [0, 0], offsetG
 
         // Record click offset from building center so dragging feels anchored
         if (e.ray.intersectPlane(plane, planeIntersectPoint.current)) {
-            const worldX = planeIntersectPoint.current.x - offsetGroupX
-            const worldY = planeIntersectPoint.current.y - offsetGroupY
+            const local = worldToLot(planeIntersectPoint.current.x, planeIntersectPoint.current.y, offsetGroupX, offsetGroupY, offsetGroupRotation)
             clickOffsetRef.current = {
-                x: worldX - position[0],
-                y: worldY - position[1],
+                x: local.x - position[0],
+                y: local.y - position[1],
             }
         }
     }
@@ -53,10 +53,9 @@ const MoveHandle = ({ position, zPosition = 1.0, displayOffset = [0, 0], offsetG
 
         if (!e.ray.intersectPlane(plane, planeIntersectPoint.current)) return
 
-        const localX = planeIntersectPoint.current.x - offsetGroupX - clickOffsetRef.current.x
-        const localY = planeIntersectPoint.current.y - offsetGroupY - clickOffsetRef.current.y
+        const local = worldToLot(planeIntersectPoint.current.x, planeIntersectPoint.current.y, offsetGroupX, offsetGroupY, offsetGroupRotation)
 
-        if (onDrag) onDrag(localX, localY)
+        if (onDrag) onDrag(local.x - clickOffsetRef.current.x, local.y - clickOffsetRef.current.y)
     }
 
     const color = dragging ? '#ffff00' : (hovered ? '#ffaa00' : '#ff8800')
@@ -4,6 +4,7 @@ import { Line, Edges } from '@react-three/drei'
 import { Select } from '@react-three/postprocessing'
 import * as THREE from 'three'
 import { useStore } from '../../store/useStore'
+import { worldToLot } from '../../utils/blockLayout'
 import VertexHandle from '../LotEditor/VertexHandle'
 import MidpointHandle from '../LotEditor/MidpointHandle'
 import EdgeHandle from '../LotEditor/EdgeHandle'
@@ -38,6 +39,7 @@ const BuildingEditor = ({
     buildingGeometry,
     selected = false,
     buildingType = 'principal',
+    buildingId = buildingType,     // lot.buildings key (district lots can hold several buildings per type)
     // Story system
     stories = 1,
     firstFloorHeight = 12,
@@ -61,6 +63,7 @@ const BuildingEditor = ({
     // Layout
     offsetGroupX = 0,
     offsetGroupY = 0,
+    offsetGroupRotation = 0,
     // Callbacks
     onSelect,
     enableBuildingPolygonMode,
@@ -82,7 +85,7 @@ const BuildingEditor = ({
     const setMoveTarget = useStore((s) => s.setMoveTarget)
     const setMoveBasePoint = useStore((s) => s.setMoveBasePoint)
     // Is this building the current move target?
-    const isMoveModeTarget = moveMode?.active && moveMode.targetType === 'building' && moveMode.targetLotId === model && moveMode.targetBuildingType === buildingType
+    const isMoveModeTarget = moveMode?.active && moveMode.targetType === 'building' && moveMode.targetLotId === model && moveMode.targetBuildingId === buildingId
 
     const isPolygon = buildingGeometry?.mode === 'polygon' && buildingGeometry?.vertices?.length >= 3
     const vertices = buildingGeometry?.vertices
@@ -160,7 +163,7 @@ const BuildingEditor = ({
         if (moveMode?.active && moveMode.phase === 'selectObject') {
             e.stopPropagation()
             if (onSelect) onSelect()
-            setMoveTarget('building', model, buildingType, null)
+            setMoveTarget('building', model, buildingId, null)
             return
         }
 
@@ -168,9 +171,8 @@ const BuildingEditor = ({
         if (moveMode?.active && moveMode.phase === 'selectBase' && isMoveModeTarget) {
             e.stopPropagation()
             if (e.ray.intersectPlane(plane, planeIntersectPoint)) {
-                const localX = planeIntersectPoint.x - offsetGroupX
-                const localY = planeIntersectPoint.y - offsetGroupY
-                setMoveBasePoint([localX, localY], [x, y])
+                const local = worldToLot(planeIntersectPoint.x, planeIntersectPoint.y, offsetGroupX, offsetGroupY, offsetGroupRotation)
+                setMoveBasePoint([local.x, local.y], [x, y])
             }
             useStore.temporal.getState().pause()
             if (controls) controls.enabled = false
@@ -436,6 +438,8 @@ const BuildingEditor = ({
                             onDrag={handleVertexDrag}
                             onDragEnd={handleVertexDragEnd}
                             offsetGroupX={offsetGroupX}
+                            offsetGroupY={offsetGroupY}
+                            offsetGroupRotation={offsetGroupRotation}
                         />
                     ))}
 
@@ -464,6 +468,8 @@ const BuildingEditor = ({
                                 edgeIndex={index}
                                 onExtrude={handleExtrude}
                                 offsetGroupX={offsetGroupX}
+                                offsetGroupY={offsetGroupY}
+                                offsetGroupRotation={offsetGroupRotation}
                             />
                         )
                     })}
@@ -474,6 +480,8 @@ const BuildingEditor = ({
                         totalHeight={totalBuildingHeight}
                         onHeightChange={handleHeightChange}
                         offsetGroupX={offsetGroupX}
+                        offsetGroupY={offsetGroupY}
+                        offsetGroupRotation={offsetGroupRotation}
                     />
 
                     {/* Footprint edge dimensions */}
@@ -501,6 +509,7 @@ const BuildingEditor = ({
                     displayOffset={[0, -30]}
                     offsetGroupX={offsetGroupX}
                     offsetGroupY={offsetGroupY}
+                    offsetGroupRotation={offsetGroupRotation}
                     onDrag={(newX, newY) => { if (onBuildingMove) onBuildingMove(newX, newY) }}
                     onDragEnd={() => {}}
                     parentHovered={hovered || selected}
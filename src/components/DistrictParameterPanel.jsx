@@ -1,11 +1,23 @@
 import { useState, useMemo, useCallback, useEffect, useRef } from 'react'
 import * as THREE from 'three'
-import { useStore, calculatePolygonArea, DIMENSION_FONT_OPTIONS } from '../store/useStore'
+import { useStore, DIMENSION_FONT_OPTIONS } from '../store/useStore'
+import { useShallow } from 'zustand/react/shallow'
 import {
     useLotIds,
     useModelSetup, useDistrictParameters, useEntityCount,
-    useRoadModules, useActiveLotId, getLotData,
+    useRoadModules, useActiveLotId, getLotData, useDistrictCompliance, useAccessPositions, useBlockLayout,
 } from '../hooks/useEntityStore'
+import { describeRule } from '../utils/zoningCompliance'
+import { getLotBuildings, getBuildingLabel, signedArea, getLotFrontEdge } from '../utils/lotGeometry'
+import { BLOCK_FACES, BLOCK_ARRANGEMENTS, getLotBlockFace, arrangeBlockFaces } from '../utils/blockLayout'
+import { computeDistrictAnalytics, computeLotAnalytics, getBuildingGFA, getBuildingUnits } from '../utils/siteAnalytics'
+import { computeDistrictBuildout } from '../utils/maxBuildout'
+import { SUBDIVISION_MODES, planSubdivision, getSubdivisionLots, getMergePlacements, mergeLotPolygons } from '../utils/lotSubdivision'
+import { generateParkingLayout, getRequiredStalls } from '../utils/parkingLayout'
+import { getLotDriveways, getDrivewayArea } from '../utils/driveways'
+import { runShadowStudy } from '../utils/shadowStudy'
+import { presetLocations } from '../hooks/useSunPosition'
+import { getRoadZones, ROAD_ZONE_TYPES, ROAD_ZONE_SHARED_STYLE_TYPES } from '../utils/roadZones'
 import Section from './ui/Section'
 import ColorPicker from './ui/ColorPicker'
 import SliderInput from './ui/SliderInput'
@@ -13,7 +25,7 @@ import LineStyleSelector from './ui/LineStyleSelector'
 import {
     ChevronDown, ChevronUp, Eye, EyeOff, Palette, Plus, Minus, Trash2, Copy,
     Layers, Settings, Building2, Route, Upload, Download, BarChart3, Hexagon,
-    Save, FolderOpen, Search, Check, X, Lock, Unlock,
+    Save, FolderOpen, Search, Check, X, Lock, Unlock, ShieldCheck, Scissors, Combine, Maximize2, Sun, MapPin, Film,
 } from 'lucide-react'
 import ImportWizard from './ImportWizard'
 import { downloadDistrictTemplate } from '../utils/templateGenerator'
@@ -21,6 +33,10 @@ import DrawingLayersPanel from './DrawingEditor/DrawingLayersPanel'
 import DrawingPropertiesPanel from './DrawingEditor/DrawingPropertiesPanel'
 import DrawingLayerStylesPanel from './DrawingEditor/DrawingLayerStylesPanel'
 import MassExportModal from './MassExportModal'
+import RoadZoneEditor, { RoadCrossSectionSummary } from './RoadZoneEditor'
+import RoadAlignmentEditor from './RoadAlignmentEditor'
+import StreetscapeEditor from './StreetscapeEditor'
+import StreetTypeLibrary, { StreetTypeOptions } from './StreetTypeLibrary'
 import * as api from '../services/api'
 
 // ============================================
@@ -108,12 +124,41 @@ const DistrictRefCell = ({ value }) => {
     )
 }
 
+/** Pass/fail badge for a lot's zoning compliance result */
+const ComplianceBadge = ({ result }) => {
+    if (!result || result.status === 'na') return null
+    const failing = result.status === 'fail'
+    return (
+        <span
+            className="inline-flex items-center justify-center rounded px-1 text-[9px] font-bold"
+            style={{ color: '#fff', backgroundColor: failing ? '#DC2626' : '#16A34A', minWidth: '16px', lineHeight: '14px' }}
+            title={failing ? `${result.failCount} zoning rule${result.failCount === 1 ? '' : 's'} failing` : 'All zoning rules pass'}
+        >
+            {failing ? result.failCount : <Check className="w-2.5 h-2.5" />}
+        </span>
+    )
+}
+
+/** Finds the failing compliance rule (if any) behind a model parameter row */
+const findFailingRule = (result, row) => {
+    if (!row.rulePath || !result) return null
+    return result.rules.find(r =>
+        r.status === 'fail' && r.path === row.rulePath && (!row.ruleSide || r.side === row.ruleSide)
+    ) ?? null
+}
+
+/** Cell highlight for a failing compliance rule */
+const failingCellStyle = (rule) => rule
+    ? { boxShadow: 'inset 0 0 0 1px #DC2626', backgroundColor: 'rgba(220, 38, 38, 0.12)' }
+    : undefined
+
 /** Maps (section title, row label) to district parameter getter function */
 const DISTRICT_REF_MAP = {
     'Lot Dimensions': {
         'Lot Width (ft)': (dp) => dp?.lotWidth?.min,
         'Lot Depth (ft)': (dp) => dp?.lotDepth?.min,
         'W:D Ratio (%)': (dp) => dp?.widthToDepthRatio?.max,
+        'FAR': (dp) => dp?.far?.max,
         'Max Imperv. (%)': (dp) => dp?.maxImperviousSurface?.max,
     },
     'Setbacks Principle': {
@@ -171,19 +216,23 @@ const ANALYTICS_REF_MAP = {
     'Lot Area': (dp) => dp?.lotArea?.min,
     'Coverage': (dp) => dp?.lotCoverage?.max,
     'GFA': null,
-    'FAR': null,
+    'FAR': (dp) => dp?.far?.max,
     'W:D Ratio': (dp) => dp?.widthToDepthRatio?.max,
     'Imperv. Surface': (dp) => dp?.maxImperviousSurface?.max,
+    'Units': null,
+    'Density': (dp) => dp?.density?.max,
+    'Lot Area / Unit': (dp) => dp?.lotAreaPerUnit?.min,
+    'Parking Stalls': null,
 }
 
 /** District parameter min/max pair input */
-const MinMaxInput = ({ min, max, onMinChange, onMaxChange, unit = '' }) => (
+const MinMaxInput = ({ min, max, onMinChange, onMaxChange, unit = '', placeholders = ['min', 'max'] }) => (
     <div className="flex items-center gap-1">
         <input
             type="number"
             value={min ?? ''}
             onChange={(e) => onMinChange(e.target.value === '' ? null : parseFloat(e.target.value))}
-            placeholder="min"
+            placeholder={placeholders[0]}
             className="w-16 text-xs text-right rounded px-1 py-0.5
                        placeholder-theme focus:outline-none focus-ring-accent-1"
             style={{
@@ -199,7 +248,7 @@ const MinMaxInput = ({ min, max, onMinChange, onMaxChange, unit = '' }) => (
             type="number"
             value={max ?? ''}
             onChange={(e) => onMaxChange(e.target.value === '' ? null : parseFloat(e.target.value))}
-            placeholder="max"
+            placeholder={placeholders[1]}
             className="w-16 text-xs text-right rounded px-1 py-0.5
                        placeholder-theme focus:outline-none focus-ring-accent-1"
             style={{
@@ -234,26 +283,35 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
     const updateLotParam = useStore((s) => s.updateLotParam)
     const updateLotSetback = useStore((s) => s.updateLotSetback)
     const updateBuildingParam = useStore((s) => s.updateBuildingParam)
+    const setEntityLotFrontEdge = useStore((s) => s.setEntityLotFrontEdge)
     const setLotVisibilityAction = useStore((s) => s.setLotVisibility)
     const lots = useStore((s) => s.entities?.lots ?? {})
     const lotVisibilityAll = useStore((s) => s.lotVisibility ?? {})
-    const modelSetup = useModelSetup()
     const districtParameters = useDistrictParameters()
+    const compliance = useDistrictCompliance()
+    const roadModules = useRoadModules()
+    const accessPositions = useAccessPositions()
+
+    // Street-facing sides per lot from the block layout (same source as the scene and compliance)
+    const { placements } = useBlockLayout()
+    const lotPlacements = useMemo(() => Object.fromEntries(placements.map(p => [p.lotId, p])), [placements])
+    const lotStreetSides = useMemo(() => Object.fromEntries(placements.map(p => [p.lotId, p.streetSides])), [placements])
+
+    // Generated driveways per lot (area feeds impervious surface, corner spacing its own row)
+    const lotDriveways = useMemo(() => Object.fromEntries(lotIds.map(id => [
+        id, getLotDriveways(lots[id], id, {
+            streetSides: lotPlacements[id]?.streetSides,
+            streetRoads: lotPlacements[id]?.streetRoads,
+            roadModules,
+            annotationPositions: accessPositions,
+        }),
+    ])), [lotIds, lots, lotPlacements, roadModules, accessPositions])
 
     // Compute which lots are corner lots (have a street side)
-    const lotCornerStatus = useMemo(() => {
-        const edges = modelSetup.streetEdges ?? { front: true, left: false, right: false, rear: false }
-        const status = {}
-        lotIds.forEach((lotId, index) => {
-            const isFirst = index === 0
-            const isLast = index === lotIds.length - 1
-            const isOnly = lotIds.length === 1
-            const hasLeftStreet = isOnly ? edges.left : isLast ? edges.left : false
-            const hasRightStreet = isOnly ? edges.right : isFirst ? edges.right : false
-            status[lotId] = { isCorner: hasLeftStreet || hasRightStreet }
-        })
-        return status
-    }, [lotIds, modelSetup.streetEdges])
+    const lotCornerStatus = useMemo(() => Object.fromEntries(lotIds.map(lotId => {
+        const sides = lotStreetSides[lotId]
+        return [lotId, { isCorner: !!(sides?.left || sides?.right) }]
+    })), [lotIds, lotStreetSides])
 
     // Parameter row definitions
     const sections = useMemo(() => [
@@ -266,6 +324,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.lotWidth,
                     setValue: (lotId, v) => updateLotParam(lotId, 'lotWidth', v),
                     type: 'number', min: 1,
+                    rulePath: 'lotWidth',
                 },
                 {
                     label: 'Lot Depth (ft)',
@@ -273,6 +332,27 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.lotDepth,
                     setValue: (lotId, v) => updateLotParam(lotId, 'lotDepth', v),
                     type: 'number', min: 1,
+                    rulePath: 'lotDepth',
+                },
+                {
+                    label: 'Front Lot Line',
+                    visKey: null,
+                    getValue: (lot) => String(getLotFrontEdge(lot) ?? 'auto'),
+                    setValue: (lotId, v) => setEntityLotFrontEdge(lotId, v === 'auto' ? null : parseInt(v, 10)),
+                    type: 'select',
+                    // Polygon lots can front an angled street along any edge
+                    options: (lot) => [
+                        { value: 'auto', label: 'Auto' },
+                        ...(lot.lotGeometry?.mode === 'polygon' ? (lot.lotGeometry.vertices ?? []).map((_, i) => ({ value: String(i), label: `Edge ${i + 1}` })) : []),
+                    ],
+                },
+                {
+                    label: 'Block Face',
+                    visKey: null,
+                    getValue: (lot) => getLotBlockFace(lot),
+                    setValue: (lotId, v) => updateLotParam(lotId, 'blockFace', v),
+                    type: 'select',
+                    options: Object.entries(BLOCK_FACES).map(([value, { label }]) => ({ value, label })),
                 },
                 {
                     label: 'W:D Ratio (%)',
@@ -283,12 +363,21 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                         return d > 0 ? ((w / d) * 100) : null
                     },
                     type: 'computed',
+                    rulePath: 'widthToDepthRatio',
+                },
+                {
+                    label: 'FAR',
+                    visKey: null,
+                    getValue: (lot) => computeLotAnalytics(lot).far.toFixed(2),
+                    type: 'computed',
+                    rulePath: 'far',
                 },
                 {
                     label: 'Max Imperv. (%)',
                     visKey: null,
-                    getValue: () => null,
+                    getValue: (lot, lotId) => computeLotAnalytics(lot, lotStreetSides[lotId], lotDriveways[lotId]).impervious,
                     type: 'computed',
+                    rulePath: 'maxImperviousSurface',
                 },
             ],
         },
@@ -301,6 +390,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.front,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'front', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.front',
                 },
                 {
                     label: 'Max. Front (ft)',
@@ -308,6 +398,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.maxFront,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'maxFront', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.frontMax',
                 },
                 {
                     label: 'BTZ - Front (%)',
@@ -322,6 +413,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.rear,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'rear', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.rear',
                 },
                 {
                     label: 'Side, Interior (ft)',
@@ -329,6 +421,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.sideInterior,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'sideInterior', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.sideInterior',
                 },
                 {
                     label: 'Side, Int. Left (ft)',
@@ -336,6 +429,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.sideInteriorLeft,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'sideInteriorLeft', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.sideInterior', ruleSide: 'left',
                 },
                 {
                     label: 'Side, Int. Right (ft)',
@@ -343,6 +437,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.sideInteriorRight,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'sideInteriorRight', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.sideInterior', ruleSide: 'right',
                 },
                 {
                     label: 'Min. Side, Street (ft)',
@@ -351,6 +446,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.minSideStreet,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'minSideStreet', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.sideStreet',
                 },
                 {
                     label: 'Max. Side, Street (ft)',
@@ -359,6 +455,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.principal?.maxSideStreet,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'principal', 'maxSideStreet', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksPrincipal.sideStreet',
                 },
                 {
                     label: 'BTZ - Side, Street (%)',
@@ -379,6 +476,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.accessory?.front,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'accessory', 'front', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksAccessory.front',
                 },
                 {
                     label: 'Rear (ft)',
@@ -386,6 +484,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.accessory?.rear,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'accessory', 'rear', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksAccessory.rear',
                 },
                 {
                     label: 'Side, Interior (ft)',
@@ -393,6 +492,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.accessory?.sideInterior,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'accessory', 'sideInterior', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksAccessory.sideInterior',
                 },
                 {
                     label: 'Side, Int. Left (ft)',
@@ -400,6 +500,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.accessory?.sideInteriorLeft,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'accessory', 'sideInteriorLeft', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksAccessory.sideInterior', ruleSide: 'left',
                 },
                 {
                     label: 'Side, Int. Right (ft)',
@@ -407,6 +508,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.accessory?.sideInteriorRight,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'accessory', 'sideInteriorRight', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksAccessory.sideInterior', ruleSide: 'right',
                 },
                 {
                     label: 'Side, Street (ft)',
@@ -415,6 +517,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.setbacks?.accessory?.sideStreet,
                     setValue: (lotId, v) => updateLotSetback(lotId, 'accessory', 'sideStreet', v),
                     type: 'number', min: 0,
+                    rulePath: 'setbacksAccessory.sideStreet',
                 },
                 {
                     label: 'BTZ - Front (%)',
@@ -445,6 +548,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                         return b.firstFloorHeight + (b.upperFloorHeight * Math.max(0, (b.stories || 1) - 1))
                     },
                     type: 'computed',
+                    rulePath: 'structures.principal.height',
                 },
                 {
                     label: 'Width (ft)',
@@ -466,6 +570,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.buildings?.principal?.stories,
                     setValue: (lotId, v) => updateBuildingParam(lotId, 'principal', 'stories', v),
                     type: 'number', min: 1, step: 1,
+                    rulePath: 'structures.principal.stories',
                 },
                 {
                     label: 'Show Roof',
@@ -479,6 +584,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.buildings?.principal?.firstFloorHeight,
                     setValue: (lotId, v) => updateBuildingParam(lotId, 'principal', 'firstFloorHeight', v),
                     type: 'number', min: 1,
+                    rulePath: 'structures.principal.firstStoryHeight',
                 },
                 {
                     label: 'Upper Floor Height',
@@ -486,6 +592,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.buildings?.principal?.upperFloorHeight,
                     setValue: (lotId, v) => updateBuildingParam(lotId, 'principal', 'upperFloorHeight', v),
                     type: 'number', min: 1,
+                    rulePath: 'structures.principal.upperStoryHeight',
                 },
                 {
                     label: 'Show Max. Height Plane',
@@ -525,6 +632,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                         return b.firstFloorHeight + (b.upperFloorHeight * Math.max(0, (b.stories || 1) - 1))
                     },
                     type: 'computed',
+                    rulePath: 'structures.accessory.height',
                 },
                 {
                     label: 'Width (ft)',
@@ -546,6 +654,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.buildings?.accessory?.stories,
                     setValue: (lotId, v) => updateBuildingParam(lotId, 'accessory', 'stories', v),
                     type: 'number', min: 1, step: 1,
+                    rulePath: 'structures.accessory.stories',
                 },
                 {
                     label: 'First Story Height',
@@ -553,6 +662,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.buildings?.accessory?.firstFloorHeight,
                     setValue: (lotId, v) => updateBuildingParam(lotId, 'accessory', 'firstFloorHeight', v),
                     type: 'number', min: 1,
+                    rulePath: 'structures.accessory.firstStoryHeight',
                 },
                 {
                     label: 'Upper Floor Height',
@@ -560,6 +670,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     getValue: (lot) => lot.buildings?.accessory?.upperFloorHeight,
                     setValue: (lotId, v) => updateBuildingParam(lotId, 'accessory', 'upperFloorHeight', v),
                     type: 'number', min: 1,
+                    rulePath: 'structures.accessory.upperStoryHeight',
                 },
                 {
                     label: 'Show Roof',
@@ -632,6 +743,53 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     setValue: (lotId, v) => updateLotParam(lotId, 'lotAccess', { ...lots[lotId]?.lotAccess, rear: v }),
                     type: 'checkbox',
                 },
+                {
+                    label: 'Drive Area (sf)',
+                    visKey: null,
+                    getValue: (lot) => lot.pavedAreas?.drives,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'pavedAreas', { ...lots[lotId]?.pavedAreas, drives: v }),
+                    type: 'number', min: 0,
+                },
+                {
+                    label: 'Driveways',
+                    visKey: 'driveways',
+                    getValue: (lot) => lot.driveways?.enabled,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'driveways', { ...lots[lotId]?.driveways, enabled: v }),
+                    type: 'checkbox',
+                },
+                {
+                    label: 'Driveway Width (ft)',
+                    visKey: null,
+                    getValue: (lot) => lot.driveways?.width,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'driveways', { ...lots[lotId]?.driveways, width: v }),
+                    type: 'number', min: 1,
+                    rulePath: 'drivewayWidth',
+                },
+                {
+                    label: 'Curb Cut Flare (ft)',
+                    visKey: null,
+                    getValue: (lot) => lot.driveways?.flare,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'driveways', { ...lots[lotId]?.driveways, flare: v }),
+                    type: 'number', min: 0,
+                },
+                {
+                    label: 'Corner Spacing (ft)',
+                    visKey: null,
+                    getValue: (lot, lotId) => {
+                        const spacings = (lotDriveways[lotId] ?? []).map(d => d.cornerSpacing).filter(v => v != null)
+                        return spacings.length > 0 ? Math.min(...spacings).toFixed(1) : null
+                    },
+                    type: 'computed',
+                    rulePath: 'drivewayCornerSpacing',
+                },
+                {
+                    label: 'Driveway Area (sf)',
+                    visKey: null,
+                    getValue: (lot, lotId) => (lot.driveways?.enabled
+                        ? Math.round(getDrivewayArea(lotDriveways[lotId] ?? [])).toLocaleString('en-US')
+                        : null),
+                    type: 'computed',
+                },
             ],
         },
         {
@@ -665,6 +823,67 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                     setValue: (lotId, v) => updateLotParam(lotId, 'parking', { ...lots[lotId]?.parking, rear: v }),
                     type: 'checkbox',
                 },
+                {
+                    label: 'Parking Area (sf)',
+                    visKey: null,
+                    getValue: (lot) => lot.pavedAreas?.parking,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'pavedAreas', { ...lots[lotId]?.pavedAreas, parking: v }),
+                    type: 'number', min: 0,
+                },
+                {
+                    label: 'Surface Layout',
+                    visKey: 'parkingLayout',
+                    getValue: (lot) => lot.parkingLayout?.enabled,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'parkingLayout', { ...lots[lotId]?.parkingLayout, enabled: v }),
+                    type: 'checkbox',
+                },
+                {
+                    label: 'Stall Width (ft)',
+                    visKey: null,
+                    getValue: (lot) => lot.parkingLayout?.stallWidth,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'parkingLayout', { ...lots[lotId]?.parkingLayout, stallWidth: v }),
+                    type: 'number', min: 1,
+                },
+                {
+                    label: 'Stall Depth (ft)',
+                    visKey: null,
+                    getValue: (lot) => lot.parkingLayout?.stallDepth,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'parkingLayout', { ...lots[lotId]?.parkingLayout, stallDepth: v }),
+                    type: 'number', min: 1,
+                },
+                {
+                    label: 'Aisle Width (ft)',
+                    visKey: null,
+                    getValue: (lot) => lot.parkingLayout?.aisleWidth,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'parkingLayout', { ...lots[lotId]?.parkingLayout, aisleWidth: v }),
+                    type: 'number', min: 1,
+                },
+                {
+                    label: 'Drive Width (ft)',
+                    visKey: null,
+                    getValue: (lot) => lot.parkingLayout?.driveWidth,
+                    setValue: (lotId, v) => updateLotParam(lotId, 'parkingLayout', { ...lots[lotId]?.parkingLayout, driveWidth: v }),
+                    type: 'number', min: 1,
+                },
+                {
+                    label: 'Stalls Provided',
+                    visKey: null,
+                    getValue: (lot, lotId) => (lot.parkingLayout?.enabled
+                        ? String(generateParkingLayout(lot, lotStreetSides[lotId]).stallCount)
+                        : null),
+                    type: 'computed',
+                    rulePath: 'parkingRatios',
+                },
+                {
+                    label: 'Stalls Required',
+                    visKey: null,
+                    getValue: (lot, lotId) => {
+                        const { min, max } = getRequiredStalls(computeLotAnalytics(lot, lotStreetSides[lotId]), districtParameters)
+                        if (min == null && max == null) return null
+                        return min != null && max != null ? `${min}–${max}` : min != null ? `${min} min` : `${max} max`
+                    },
+                    type: 'computed',
+                },
             ],
         },
         {
@@ -714,7 +933,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                 },
             ],
         },
-    ], [lots, updateLotParam, updateLotSetback, updateBuildingParam])
+    ], [lots, lotStreetSides, lotDriveways, districtParameters, updateLotParam, updateLotSetback, updateBuildingParam, setEntityLotFrontEdge])
 
     // First lot's visibility used for the eye-icon column (controls all lots)
     const firstLotVis = lotVisibilityAll[lotIds[0]] ?? {}
@@ -736,7 +955,10 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                         </th>
                         {lotIds.map((id, i) => (
                             <th key={id} className="text-center font-medium py-1 px-1 min-w-[36px]" style={{ color: 'var(--ui-text-secondary)' }}>
-                                {i + 1}
+                                <div className="flex items-center justify-center gap-1">
+                                    {i + 1}
+                                    <ComplianceBadge result={compliance[id]} />
+                                </div>
                             </th>
                         ))}
                         <th className="text-center font-medium py-1 px-1 w-8" style={{ color: 'var(--ui-text-muted)' }}>
@@ -757,6 +979,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
                             collapseKey={collapseKey}
                             allModelCollapsed={allModelCollapsed}
                             districtParameters={districtParameters}
+                            compliance={compliance}
                         />
                     ))}
                 </tbody>
@@ -766,7 +989,7 @@ const ModelParametersTable = ({ collapseKey, allModelCollapsed }) => {
 }
 
 /** A group of rows in the model parameters table with a collapsible section header */
-const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityAction, lotCornerStatus, collapseKey, allModelCollapsed, districtParameters }) => {
+const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityAction, lotCornerStatus, collapseKey, allModelCollapsed, districtParameters, compliance }) => {
     const [isOpen, setIsOpen] = useState(true)
     // Sync with parent collapse-all toggle
     const [prevCollapseKey, setPrevCollapseKey] = useState(collapseKey)
@@ -892,11 +1115,12 @@ const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityActi
                         )
                     }
 
-                    const value = row.getValue(lot)
+                    const value = row.getValue(lot, lotId)
+                    const failingRule = findFailingRule(compliance?.[lotId], row)
 
                     if (row.type === 'computed') {
                         return (
-                            <td key={lotId} className="py-1 px-1">
+                            <td key={lotId} className="py-1 px-1" style={failingCellStyle(failingRule)} title={failingRule ? `${failingRule.label}: ${describeRule(failingRule)}` : undefined}>
                                 <ComputedCell value={value} />
                             </td>
                         )
@@ -923,10 +1147,11 @@ const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityActi
                     }
 
                     if (row.type === 'select') {
+                        const options = typeof row.options === 'function' ? row.options(lot) : row.options
                         return (
                             <td key={lotId} className="py-1 px-1">
                                 <select
-                                    value={value ?? row.options[0]?.value}
+                                    value={value ?? options[0]?.value}
                                     onChange={(e) => row.setValue(lotId, e.target.value)}
                                     className="w-full text-xs rounded px-1 py-0.5"
                                     style={{
@@ -936,7 +1161,7 @@ const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityActi
                                         borderWidth: '1px',
                                     }}
                                 >
-                                    {row.options.map(opt => (
+                                    {options.map(opt => (
                                         <option key={opt.value} value={opt.value}>{opt.label}</option>
                                     ))}
                                 </select>
@@ -946,7 +1171,7 @@ const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityActi
 
                     // Default: number input
                     return (
-                        <td key={lotId} className="py-1 px-1">
+                        <td key={lotId} className="py-1 px-1" style={failingCellStyle(failingRule)} title={failingRule ? `${failingRule.label}: ${describeRule(failingRule)}` : undefined}>
                             <ParamCell
                                 value={value}
                                 onChange={(v) => row.setValue(lotId, v)}
@@ -987,6 +1212,9 @@ const SectionGroup = ({ section, lotIds, lots, firstLotVis, setLotVisibilityActi
 // MODEL SETUP SECTION
 // ============================================
 
+// Enough for a full block with a corner lot on each corner
+const MAX_LOTS = 12
+
 const ModelSetupSection = () => {
     const modelSetup = useModelSetup()
     const entityCount = useEntityCount()
@@ -994,10 +1222,18 @@ const ModelSetupSection = () => {
     const setStreetType = useStore((s) => s.setStreetType)
     const addLot = useStore((s) => s.addLot)
     const removeLot = useStore((s) => s.removeLot)
+    const arrangeBlock = useStore((s) => s.arrangeBlock)
     const lotIds = useLotIds()
+    const blockFaces = useStore(useShallow((s) => (s.entityOrder ?? []).map(id => getLotBlockFace(s.entities?.lots?.[id]))))
+
+    // Preset the current block faces match, if any
+    const arrangement = useMemo(() => Object.keys(BLOCK_ARRANGEMENTS).find(key => {
+        const faces = arrangeBlockFaces(lotIds, key)
+        return lotIds.every((id, i) => faces[id] === blockFaces[i])
+    }) ?? 'custom', [lotIds, blockFaces])
 
     const handleAddLot = useCallback(() => {
-        if (entityCount < 5) addLot()
+        if (entityCount < MAX_LOTS) addLot()
     }, [entityCount, addLot])
 
     const handleRemoveLot = useCallback(() => {
@@ -1008,6 +1244,7 @@ const ModelSetupSection = () => {
     }, [entityCount, lotIds, removeLot])
 
     const streetEdges = modelSetup.streetEdges ?? { front: true, left: false, right: false, rear: false }
+    const streetTypeLibrary = useStore((s) => s.streetTypeLibrary)
     const streetTypes = modelSetup.streetTypes ?? { front: 'S1', left: 'S1', right: 'S2', rear: 'S3' }
 
     return (
@@ -1027,7 +1264,7 @@ const ModelSetupSection = () => {
                     <span className="text-sm font-semibold w-8 text-center" style={{ color: 'var(--ui-text-primary)' }}>{entityCount}</span>
                     <button
                         onClick={handleAddLot}
-                        disabled={entityCount >= 5}
+                        disabled={entityCount >= MAX_LOTS}
                         className="p-1 rounded border hover-bg-secondary disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
                         style={{ borderColor: 'var(--ui-border)' }}
                     >
@@ -1036,6 +1273,30 @@ const ModelSetupSection = () => {
                 </div>
             </div>
 
+            {/* Block Layout */}
+            <div className="mb-3">
+                <label className="text-xs block mb-1" style={{ color: 'var(--ui-text-secondary)' }}>Block Layout</label>
+                <select
+                    value={arrangement}
+                    onChange={(e) => arrangeBlock(e.target.value)}
+                    disabled={entityCount === 0}
+                    className="w-full text-xs rounded px-1.5 py-0.5
+                               focus:outline-none focus-ring-accent-1 disabled:opacity-50"
+                    style={{
+                        color: 'var(--ui-text-primary)',
+                        backgroundColor: 'var(--ui-bg-secondary)',
+                        borderWidth: '1px',
+                        borderStyle: 'solid',
+                        borderColor: 'var(--ui-border)',
+                    }}
+                >
+                    {Object.entries(BLOCK_ARRANGEMENTS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                    {arrangement === 'custom' && <option value="custom" disabled>Custom (per-lot Block Face)</option>}
+                </select>
+            </div>
+
             {/* Street Edges */}
             <div className="mb-3">
                 <label className="text-xs block mb-1" style={{ color: 'var(--ui-text-secondary)' }}>Street Edges</label>
@@ -1068,15 +1329,80 @@ const ModelSetupSection = () => {
                                         borderColor: 'var(--ui-border)',
                                     }}
                                 >
-                                    <option value="S1">S1</option>
-                                    <option value="S2">S2</option>
-                                    <option value="S3">S3</option>
+                                    <StreetTypeOptions library={streetTypeLibrary} />
                                 </select>
                             )}
                         </div>
                     ))}
                 </div>
             </div>
+
+            {/* Street Type Library */}
+            <div className="pt-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
+                <StreetTypeLibrary />
+            </div>
+        </Section>
+    )
+}
+
+// ============================================
+// SITE LOCATION SECTION
+// ============================================
+
+const SITE_LOCATION_FIELDS = [
+    { key: 'latitude', label: 'Latitude', min: -90, max: 90, step: 0.0001 },
+    { key: 'longitude', label: 'Longitude', min: -180, max: 180, step: 0.0001 },
+    { key: 'utcOffset', label: 'UTC Offset (h)', min: -12, max: 14, step: 0.5 },
+    { key: 'trueNorth', label: 'True North (°)', min: -360, max: 360, step: 1 },
+]
+
+const SiteLocationSection = () => {
+    const siteLocation = useStore((s) => s.siteLocation)
+    const setSiteLocation = useStore((s) => s.setSiteLocation)
+    const preset = presetLocations.find(l => l.latitude === siteLocation.latitude && l.longitude === siteLocation.longitude)
+
+    const inputStyle = {
+        color: 'var(--ui-text-primary)',
+        backgroundColor: 'var(--ui-bg-secondary)',
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        borderColor: 'var(--ui-border)',
+    }
+
+    return (
+        <Section title="Site Location" icon={<MapPin className="w-4 h-4" />} defaultOpen={false}>
+            <select
+                value={preset?.name ?? ''}
+                onChange={(e) => {
+                    const loc = presetLocations.find(l => l.name === e.target.value)
+                    if (loc) setSiteLocation({ latitude: loc.latitude, longitude: loc.longitude, utcOffset: loc.utcOffset })
+                }}
+                className="w-full text-xs rounded px-1.5 py-1 mb-2 focus:outline-none focus-ring-accent-1"
+                style={inputStyle}
+            >
+                {!preset && <option value="">Custom location</option>}
+                {presetLocations.map(l => <option key={l.name} value={l.name}>{l.name}</option>)}
+            </select>
+            <div className="grid grid-cols-2 gap-1">
+                {SITE_LOCATION_FIELDS.map(({ key, label, min, max, step }) => (
+                    <div key={key}>
+                        <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>{label}</label>
+                        <input
+                            type="number"
+                            value={siteLocation[key]}
+                            onChange={(e) => setSiteLocation({ [key]: Math.max(min, Math.min(max, parseFloat(e.target.value) || 0)) })}
+                            min={min}
+                            max={max}
+                            step={step}
+                            className="w-full text-xs rounded px-1 py-1 text-right focus:outline-none focus-ring-accent-1"
+                            style={inputStyle}
+                        />
+                    </div>
+                ))}
+            </div>
+            <p className="text-[10px] mt-1" style={{ color: 'var(--ui-text-muted)' }}>
+                True north is measured clockwise from the model's +Y axis (0° = lot rears face north). Times use standard time; daylight saving is not applied.
+            </p>
         </Section>
     )
 }
@@ -1093,6 +1419,7 @@ const LAYER_GROUPS = [
         items: [
             { key: 'grid', label: 'Grid' },
             { key: 'origin', label: 'Origin' },
+            { key: 'northArrow', label: 'North Arrow' },
             { key: 'ground', label: 'Ground Plane' },
             { key: 'axes', label: 'Axes' },
             { key: 'gimbal', label: 'Gimbal' },
@@ -1113,6 +1440,11 @@ const LAYER_GROUPS = [
             { key: 'lotAccessSideStreet', label: 'Lot Access Side Street' },
             { key: 'lotAccessSharedDrive', label: 'Lot Access Shared Drive' },
             { key: 'parkingSetbacks', label: 'Parking Setbacks' },
+            { key: 'parkingLayout', label: 'Parking Layout' },
+            { key: 'driveways', label: 'Driveways' },
+            { key: 'sightTriangles', label: 'Sight Triangles' },
+            { key: 'complianceHighlights', label: 'Compliance Highlights' },
+            { key: 'shadowStudy', label: 'Shadow Study' },
             { key: 'labelLotEdges', label: 'Lot Edges' },
         ],
     },
@@ -1121,6 +1453,7 @@ const LAYER_GROUPS = [
         title: 'Structures',
         items: [
             { key: 'btzPlanes', label: 'BTZ Planes' },
+            { key: 'buildingEnvelope', label: 'Building Envelope' },
             { key: 'principalBuildings', label: 'Principal Buildings' },
             { key: 'accessoryBuildings', label: 'Accessory Buildings' },
             { key: 'roof', label: 'Roof' },
@@ -1135,6 +1468,7 @@ const LAYER_GROUPS = [
         items: [
             { key: 'roadModule', label: 'Road Module' },
             { key: 'roadIntersections', label: 'Road Intersections' },
+            { key: 'streetFurniture', label: 'Street Furniture' },
         ],
     },
     {
@@ -1233,7 +1567,7 @@ const DistrictParametersSection = () => {
     const [collapsed, setCollapsed] = useState({})
     const [showImportWizard, setShowImportWizard] = useState(false)
     const toggle = (key) => setCollapsed(prev => ({ ...prev, [key]: !prev[key] }))
-    const allDistrictKeys = ['lotDimensions', 'setbacksPrincipal', 'setbacksAccessory', 'structures', 'lotAccess', 'parkingLocations', 'parkingSetbacks']
+    const allDistrictKeys = ['lotDimensions', 'setbacksPrincipal', 'setbacksAccessory', 'structures', 'heightTransitions', 'lotAccess', 'sightTriangles', 'driveways', 'parkingLocations', 'parkingRatios', 'parkingSetbacks']
     const allCollapsed = allDistrictKeys.every(k => collapsed[k])
     const toggleCollapseAll = (e) => {
         e.stopPropagation()
@@ -1302,11 +1636,14 @@ const DistrictParametersSection = () => {
                     {[
                         { label: 'Lot Area (sf)', path: 'lotArea' },
                         { label: 'Lot Coverage (%)', path: 'lotCoverage' },
+                        { label: 'FAR', path: 'far' },
                         { label: 'Lot Width (ft)', path: 'lotWidth' },
                         { label: 'Lot Width at Setback (ft)', path: 'lotWidthAtSetback' },
                         { label: 'Lot Depth (ft)', path: 'lotDepth' },
                         { label: 'Width to Depth Ratio (%)', path: 'widthToDepthRatio' },
                         { label: 'Max Impervious Surface (%)', path: 'maxImperviousSurface' },
+                        { label: 'Density (du/ac)', path: 'density' },
+                        { label: 'Lot Area per Unit (sf)', path: 'lotAreaPerUnit' },
                     ].map(({ label, path }) => (
                         <div key={path} className="flex items-center justify-between gap-2">
                             <span className="text-xs flex-shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
@@ -1510,6 +1847,47 @@ const DistrictParametersSection = () => {
                 )}
             </div>
 
+            {/* Height Transitions (daylight planes + stepbacks) */}
+            <div className="mb-3">
+                <h4 className="text-[10px] font-bold uppercase tracking-wider cursor-pointer select-none flex items-center gap-1"
+                    style={{ color: 'var(--ui-text-secondary)', borderBottom: '1px solid var(--ui-border)', borderLeft: '2px solid var(--ui-text-muted)', paddingLeft: '6px', paddingBottom: '4px', paddingTop: '8px' }}
+                    onClick={() => toggle('heightTransitions')}>
+                    <ChevronDown className={`w-3 h-3 transition-transform ${collapsed.heightTransitions ? '-rotate-90' : ''}`} />
+                    Height Transitions
+                </h4>
+                {!collapsed.heightTransitions && (
+                <div>
+                {[
+                    { group: 'daylightPlanes', title: 'Daylight Plane (start ft / angle °)', fields: ['startHeight', 'angle'], placeholders: ['start', 'angle'] },
+                    { group: 'stepbacks', title: 'Stepback (above ft / depth ft)', fields: ['height', 'depth'], placeholders: ['above', 'depth'] },
+                ].map(({ group, title, fields, placeholders }) => (
+                    <div key={group} className="mb-2">
+                        <span className="text-[10px] font-medium" style={{ color: 'var(--ui-text-secondary)' }}>{title}</span>
+                        <div className="space-y-1 mt-1 ml-2">
+                            {[
+                                { label: 'Front', side: 'front' },
+                                { label: 'Rear', side: 'rear' },
+                                { label: 'Side, Interior', side: 'sideInterior' },
+                                { label: 'Side, Street', side: 'sideStreet' },
+                            ].map(({ label, side }) => (
+                                <div key={side} className="flex items-center justify-between gap-2">
+                                    <span className="text-xs flex-shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
+                                    <MinMaxInput
+                                        min={dp(`${group}.${side}.${fields[0]}`)}
+                                        max={dp(`${group}.${side}.${fields[1]}`)}
+                                        onMinChange={(v) => setDistrictParameter(`${group}.${side}.${fields[0]}`, v)}
+                                        onMaxChange={(v) => setDistrictParameter(`${group}.${side}.${fields[1]}`, v)}
+                                        placeholders={placeholders}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+                </div>
+                )}
+            </div>
+
             {/* Lot Access */}
             <div className="mb-3">
                 <h4 className="text-[10px] font-bold uppercase tracking-wider cursor-pointer select-none flex items-center gap-1"
@@ -1552,6 +1930,71 @@ const DistrictParametersSection = () => {
                 )}
             </div>
 
+            {/* Sight Triangles (clear-vision leg lengths) */}
+            <div className="mb-3">
+                <h4 className="text-[10px] font-bold uppercase tracking-wider cursor-pointer select-none flex items-center gap-1"
+                    style={{ color: 'var(--ui-text-secondary)', borderBottom: '1px solid var(--ui-border)', borderLeft: '2px solid var(--ui-text-muted)', paddingLeft: '6px', paddingBottom: '4px', paddingTop: '8px' }}
+                    onClick={() => toggle('sightTriangles')}>
+                    <ChevronDown className={`w-3 h-3 transition-transform ${collapsed.sightTriangles ? '-rotate-90' : ''}`} />
+                    Sight Triangles
+                </h4>
+                {!collapsed.sightTriangles && (
+                <div className="space-y-1">
+                    {[
+                        { label: 'Intersection Leg (ft)', path: 'sightTriangles.intersection' },
+                        { label: 'Driveway Leg (ft)', path: 'sightTriangles.driveway' },
+                    ].map(({ label, path }) => (
+                        <div key={path} className="flex items-center justify-between gap-2">
+                            <span className="text-xs flex-shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
+                            <input
+                                type="number"
+                                value={dp(path) ?? ''}
+                                onChange={(e) => setDistrictParameter(path, e.target.value === '' ? null : parseFloat(e.target.value))}
+                                min={0}
+                                className="w-16 text-xs text-right rounded px-1 py-0.5
+                                           focus:outline-none focus-ring-accent-1"
+                                style={{
+                                    color: 'var(--ui-text-primary)',
+                                    backgroundColor: 'var(--ui-bg-secondary)',
+                                    borderWidth: '1px',
+                                    borderStyle: 'solid',
+                                    borderColor: 'var(--ui-border)',
+                                }}
+                            />
+                        </div>
+                    ))}
+                </div>
+                )}
+            </div>
+
+            {/* Driveways (generated from lot access) */}
+            <div className="mb-3">
+                <h4 className="text-[10px] font-bold uppercase tracking-wider cursor-pointer select-none flex items-center gap-1"
+                    style={{ color: 'var(--ui-text-secondary)', borderBottom: '1px solid var(--ui-border)', borderLeft: '2px solid var(--ui-text-muted)', paddingLeft: '6px', paddingBottom: '4px', paddingTop: '8px' }}
+                    onClick={() => toggle('driveways')}>
+                    <ChevronDown className={`w-3 h-3 transition-transform ${collapsed.driveways ? '-rotate-90' : ''}`} />
+                    Driveways
+                </h4>
+                {!collapsed.driveways && (
+                <div className="space-y-1">
+                    {[
+                        { label: 'Driveway Width (ft)', path: 'drivewayWidth' },
+                        { label: 'Spacing from Corner (ft)', path: 'drivewayCornerSpacing' },
+                    ].map(({ label, path }) => (
+                        <div key={path} className="flex items-center justify-between gap-2">
+                            <span className="text-xs flex-shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
+                            <MinMaxInput
+                                min={dp(`${path}.min`)}
+                                max={dp(`${path}.max`)}
+                                onMinChange={(v) => setDistrictParameter(`${path}.min`, v)}
+                                onMaxChange={(v) => setDistrictParameter(`${path}.max`, v)}
+                            />
+                        </div>
+                    ))}
+                </div>
+                )}
+            </div>
+
             {/* Parking Locations */}
             <div className="mb-3">
                 <h4 className="text-[10px] font-bold uppercase tracking-wider cursor-pointer select-none flex items-center gap-1"
@@ -1593,6 +2036,34 @@ const DistrictParametersSection = () => {
                 </div>
                 )}
             </div>
+
+            {/* Parking Ratios */}
+            <div className="mb-3">
+                <h4 className="text-[10px] font-bold uppercase tracking-wider cursor-pointer select-none flex items-center gap-1"
+                    style={{ color: 'var(--ui-text-secondary)', borderBottom: '1px solid var(--ui-border)', borderLeft: '2px solid var(--ui-text-muted)', paddingLeft: '6px', paddingBottom: '4px', paddingTop: '8px' }}
+                    onClick={() => toggle('parkingRatios')}>
+                    <ChevronDown className={`w-3 h-3 transition-transform ${collapsed.parkingRatios ? '-rotate-90' : ''}`} />
+                    Parking Ratios
+                </h4>
+                {!collapsed.parkingRatios && (
+                <div className="space-y-1">
+                    {[
+                        { label: 'Stalls per Unit', path: 'parkingRatios.perUnit' },
+                        { label: 'Stalls per 1,000 sf GFA', path: 'parkingRatios.per1000Gfa' },
+                    ].map(({ label, path }) => (
+                        <div key={path} className="flex items-center justify-between gap-2">
+                            <span className="text-xs flex-shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
+                            <MinMaxInput
+                                min={dp(`${path}.min`)}
+                                max={dp(`${path}.max`)}
+                                onMinChange={(v) => setDistrictParameter(`${path}.min`, v)}
+                                onMaxChange={(v) => setDistrictParameter(`${path}.max`, v)}
+                            />
+                        </div>
+                    ))}
+                </div>
+                )}
+            </div>
         </Section>
     )
 }
@@ -1782,7 +2253,10 @@ const BuildingRoofSection = () => {
     const activeLotId = useActiveLotId()
     const lots = useStore((s) => s.entities?.lots ?? {})
     const setEntityRoofSetting = useStore((s) => s.setEntityRoofSetting)
+    const updateBuildingParam = useStore((s) => s.updateBuildingParam)
     const regenerateEntityBuilding = useStore((s) => s.regenerateEntityBuilding)
+    const addEntityBuilding = useStore((s) => s.addEntityBuilding)
+    const deleteEntityBuilding = useStore((s) => s.deleteEntityBuilding)
     const selectEntity = useStore((s) => s.selectEntity)
     const districtParams = useDistrictParameters()
 
@@ -1802,24 +2276,63 @@ const BuildingRoofSection = () => {
         ? `Lot ${lotIds.indexOf(activeLotId) + 1}`
         : `Lot 1 (default)`
 
-    const renderBuildingRoofControls = (buildingType, label) => {
-        const building = lot.buildings?.[buildingType]
+    const renderBuildingRoofControls = (buildingId, label) => {
+        const building = lot.buildings?.[buildingId]
         if (!building) return null
 
         const roof = building.roof || {}
         const totalHeight = building.firstFloorHeight +
             (building.upperFloorHeight * Math.max(0, (building.stories || 1) - 1))
 
+        // Extra buildings have no Model Parameters column — size them here
+        const isExtra = buildingId !== 'principal' && buildingId !== 'accessory'
+
         return (
-            <div className="mb-3">
-                <h4 className="text-[10px] font-bold uppercase tracking-wider mb-1.5" style={{ color: 'var(--ui-text-muted)' }}>{label}</h4>
+            <div key={buildingId} className="mb-3">
+                <div className="flex items-center justify-between mb-1.5">
+                    <h4 className="text-[10px] font-bold uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>{label}</h4>
+                    {isExtra && (
+                        <button
+                            onClick={() => deleteEntityBuilding(targetLotId, buildingId)}
+                            className="p-0.5 rounded hover:bg-red-500/20"
+                            style={{ color: 'var(--ui-text-muted)' }}
+                            title={`Remove ${label.toLowerCase()}`}
+                        >
+                            <Trash2 className="w-3 h-3" />
+                        </button>
+                    )}
+                </div>
                 <div className="space-y-2 ml-1">
+                    {isExtra && (
+                        <div className="grid grid-cols-3 gap-1">
+                            {[['width', 'Width (ft)'], ['depth', 'Depth (ft)'], ['stories', 'Stories']].map(([key, fieldLabel]) => (
+                                <div key={key}>
+                                    <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>{fieldLabel}</label>
+                                    <input
+                                        type="number"
+                                        value={building[key] ?? 0}
+                                        onChange={(e) => updateBuildingParam(targetLotId, buildingId, key, Math.max(0, parseFloat(e.target.value) || 0))}
+                                        min={0}
+                                        step={key === 'stories' ? 1 : 0.5}
+                                        className="w-full text-xs rounded px-1 py-0.5 text-right focus:outline-none focus-ring-accent-1"
+                                        style={{
+                                            color: 'var(--ui-text-primary)',
+                                            backgroundColor: 'var(--ui-bg-secondary)',
+                                            borderWidth: '1px',
+                                            borderStyle: 'solid',
+                                            borderColor: 'var(--ui-border)',
+                                        }}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    )}
                     {/* Roof Type */}
                     <div>
                         <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>Roof Type</label>
                         <select
                             value={roof.type || 'flat'}
-                            onChange={(e) => setEntityRoofSetting(targetLotId, buildingType, 'type', e.target.value)}
+                            onChange={(e) => setEntityRoofSetting(targetLotId, buildingId, 'type', e.target.value)}
                             className="w-full text-xs rounded px-1.5 py-1
                                        focus:outline-none focus-ring-accent-1"
                             style={{
@@ -1845,7 +2358,7 @@ const BuildingRoofSection = () => {
                                 {['x', 'y'].map((dir) => (
                                     <button
                                         key={dir}
-                                        onClick={() => setEntityRoofSetting(targetLotId, buildingType, 'ridgeDirection', dir)}
+                                        onClick={() => setEntityRoofSetting(targetLotId, buildingId, 'ridgeDirection', dir)}
                                         className="flex-1 text-[10px] px-1 py-1 rounded border transition-colors"
                                         style={(roof.ridgeDirection || 'x') === dir
                                             ? { backgroundColor: 'var(--ui-accent-muted)', borderColor: 'var(--ui-accent)', color: 'var(--ui-text-primary)' }
@@ -1865,7 +2378,7 @@ const BuildingRoofSection = () => {
                             <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>Slope Direction</label>
                             <select
                                 value={roof.shedDirection || '+y'}
-                                onChange={(e) => setEntityRoofSetting(targetLotId, buildingType, 'shedDirection', e.target.value)}
+                                onChange={(e) => setEntityRoofSetting(targetLotId, buildingId, 'shedDirection', e.target.value)}
                                 className="w-full text-xs rounded px-1.5 py-1
                                            focus:outline-none focus-ring-accent-1"
                                 style={{
@@ -1891,7 +2404,7 @@ const BuildingRoofSection = () => {
                                 <input
                                     type="checkbox"
                                     checked={roof.overrideHeight || false}
-                                    onChange={(e) => setEntityRoofSetting(targetLotId, buildingType, 'overrideHeight', e.target.checked)}
+                                    onChange={(e) => setEntityRoofSetting(targetLotId, buildingId, 'overrideHeight', e.target.checked)}
                                     className="rounded accent-theme"
                                     style={{ backgroundColor: 'var(--ui-bg-secondary)', borderColor: 'var(--ui-border)' }}
                                 />
@@ -1902,12 +2415,12 @@ const BuildingRoofSection = () => {
                                     <input
                                         type="number"
                                         value={roof.ridgeHeight ?? Math.round(
-                                            (buildingType === 'principal'
+                                            (buildingId === 'principal'
                                                 ? districtParams?.structures?.principal?.height?.max
                                                 : districtParams?.structures?.accessory?.height?.max
                                             ) ?? totalHeight
                                         )}
-                                        onChange={(e) => setEntityRoofSetting(targetLotId, buildingType, 'ridgeHeight', parseFloat(e.target.value) || 0)}
+                                        onChange={(e) => setEntityRoofSetting(targetLotId, buildingId, 'ridgeHeight', parseFloat(e.target.value) || 0)}
                                         className="w-full text-xs rounded px-1 py-0.5
                                                    text-right focus:outline-none focus-ring-accent-1"
                                         style={{
@@ -1931,7 +2444,7 @@ const BuildingRoofSection = () => {
                         const halfSpan = Math.min(building.width ?? 0, building.depth ?? 0) / 2
                         const currentRidgeZ = (roof.overrideHeight && roof.ridgeHeight != null)
                             ? roof.ridgeHeight
-                            : ((buildingType === 'principal'
+                            : ((buildingId === 'principal'
                                 ? districtParams?.structures?.principal?.height?.max
                                 : districtParams?.structures?.accessory?.height?.max
                               ) ?? totalHeight)
@@ -1946,8 +2459,8 @@ const BuildingRoofSection = () => {
                                         onChange={(e) => {
                                             const pitchVal = parseFloat(e.target.value) || 0
                                             const newRidgeHeight = totalHeight + (pitchVal / 12) * halfSpan
-                                            setEntityRoofSetting(targetLotId, buildingType, 'overrideHeight', true)
-                                            setEntityRoofSetting(targetLotId, buildingType, 'ridgeHeight', Math.round(newRidgeHeight * 10) / 10)
+                                            setEntityRoofSetting(targetLotId, buildingId, 'overrideHeight', true)
+                                            setEntityRoofSetting(targetLotId, buildingId, 'ridgeHeight', Math.round(newRidgeHeight * 10) / 10)
                                         }}
                                         className="w-full text-xs rounded px-1 py-0.5
                                                    text-right focus:outline-none focus-ring-accent-1"
@@ -1966,13 +2479,125 @@ const BuildingRoofSection = () => {
                             </div>
                         )
                     })()}
+
+                    {/* Upper floor plates (podium + tower) */}
+                    {(building.stories ?? 0) > 1 && (() => {
+                        const plates = building.storyFootprints ?? []
+                        const setPlates = (next) => updateBuildingParam(targetLotId, buildingId, 'storyFootprints', next)
+                        const updatePlate = (index, key, value) => setPlates(plates.map((p, i) => (i === index ? { ...p, [key]: value } : p)))
+                        const inputStyle = {
+                            color: 'var(--ui-text-primary)',
+                            backgroundColor: 'var(--ui-bg-secondary)',
+                            borderWidth: '1px',
+                            borderStyle: 'solid',
+                            borderColor: 'var(--ui-border)',
+                        }
+                        return (
+                            <div>
+                                <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>Upper Floor Plates</label>
+                                {plates.length > 0 && (
+                                    <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-1 text-[9px] mb-0.5" style={{ color: 'var(--ui-text-muted)' }}>
+                                        <span>From Story</span>
+                                        <span>Width (ft)</span>
+                                        <span>Depth (ft)</span>
+                                        <span />
+                                    </div>
+                                )}
+                                {plates.map((plate, i) => (
+                                    <div key={i} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-1 mb-1 items-center">
+                                        {['fromStory', 'width', 'depth'].map((key) => (
+                                            <input
+                                                key={key}
+                                                type="number"
+                                                value={plate[key] ?? ''}
+                                                onChange={(e) => updatePlate(i, key, e.target.value === '' ? null : parseFloat(e.target.value))}
+                                                min={key === 'fromStory' ? 2 : 0}
+                                                max={key === 'fromStory' ? building.stories : undefined}
+                                                step={key === 'fromStory' ? 1 : 0.5}
+                                                className="w-full text-xs rounded px-1 py-0.5 text-right focus:outline-none focus-ring-accent-1"
+                                                style={inputStyle}
+                                            />
+                                        ))}
+                                        <button
+                                            onClick={() => setPlates(plates.filter((_, j) => j !== i))}
+                                            className="p-0.5 rounded hover-bg-secondary"
+                                            style={{ color: 'var(--ui-text-muted)' }}
+                                            title="Remove floor plate"
+                                        >
+                                            <X className="w-3 h-3" />
+                                        </button>
+                                    </div>
+                                ))}
+                                <button
+                                    onClick={() => {
+                                        const last = plates[plates.length - 1]
+                                        setPlates([...plates, {
+                                            fromStory: Math.min(building.stories, (last?.fromStory ?? 2) + (last ? 1 : 0)),
+                                            width: Math.round((last?.width ?? building.width ?? 0) * 0.75),
+                                            depth: Math.round((last?.depth ?? building.depth ?? 0) * 0.75),
+                                        }])
+                                    }}
+                                    className="w-full text-[10px] py-0.5 rounded transition-colors"
+                                    style={{ ...inputStyle, color: 'var(--ui-text-secondary)' }}
+                                >
+                                    + Add Floor Plate
+                                </button>
+                                <p className="text-[10px] mt-1" style={{ color: 'var(--ui-text-muted)' }}>
+                                    GFA: {Math.round(getBuildingGFA(building)).toLocaleString()} sf
+                                </p>
+                            </div>
+                        )
+                    })()}
+
+                    {/* Dwelling units (density) */}
+                    {(building.stories ?? 0) > 0 && (() => {
+                        const du = building.dwellingUnits ?? {}
+                        const mode = du.mode ?? 'perFloor'
+                        const field = mode === 'unitSize' ? 'unitSize' : 'perFloor'
+                        const setUnits = (key, value) => updateBuildingParam(targetLotId, buildingId, 'dwellingUnits', { ...du, mode, [key]: value })
+                        const inputStyle = {
+                            color: 'var(--ui-text-primary)',
+                            backgroundColor: 'var(--ui-bg-secondary)',
+                            borderWidth: '1px',
+                            borderStyle: 'solid',
+                            borderColor: 'var(--ui-border)',
+                        }
+                        return (
+                            <div>
+                                <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>Dwelling Units</label>
+                                <div className="grid grid-cols-2 gap-1">
+                                    <select
+                                        value={mode}
+                                        onChange={(e) => setUnits('mode', e.target.value)}
+                                        className="w-full text-xs rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                        style={inputStyle}
+                                    >
+                                        <option value="perFloor">Units per Floor</option>
+                                        <option value="unitSize">Avg. Unit Size (sf)</option>
+                                    </select>
+                                    <input
+                                        type="number"
+                                        value={du[field] ?? ''}
+                                        onChange={(e) => setUnits(field, e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0))}
+                                        min={0}
+                                        step={mode === 'unitSize' ? 50 : 1}
+                                        className="w-full text-xs rounded px-1 py-0.5 text-right focus:outline-none focus-ring-accent-1"
+                                        style={inputStyle}
+                                    />
+                                </div>
+                                <p className="text-[10px] mt-1" style={{ color: 'var(--ui-text-muted)' }}>
+                                    Units: {getBuildingUnits(building)}
+                                </p>
+                            </div>
+                        )
+                    })()}
                 </div>
                 {/* Reset Building button */}
                 {(building.width > 0 || building.stories > 0) && (
                     <button
                         onClick={() => {
                             if (window.confirm(`Reset ${label.toLowerCase()} to defaults?`)) {
-                                regenerateEntityBuilding(targetLotId, buildingType)
+                                regenerateEntityBuilding(targetLotId, buildingId)
                             }
                         }}
                         className="w-full text-[10px] py-1 rounded transition-colors mt-1"
@@ -2017,8 +2642,497 @@ const BuildingRoofSection = () => {
                 )}
             </div>
 
-            {renderBuildingRoofControls('principal', 'Principal Building')}
-            {renderBuildingRoofControls('accessory', 'Accessory Building')}
+            {getLotBuildings(lot).map((b) => renderBuildingRoofControls(b.id, `${getBuildingLabel(lot, b.id)} Building`))}
+
+            {/* Add buildings (townhouse rows, cottage courts, ADU + garage) */}
+            <div className="grid grid-cols-2 gap-1">
+                {[['principal', 'Principal'], ['accessory', 'Accessory']].map(([type, typeLabel]) => (
+                    <button
+                        key={type}
+                        onClick={() => addEntityBuilding(targetLotId, type)}
+                        className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors hover-bg-secondary"
+                        style={{ color: 'var(--ui-text-secondary)', border: '1px solid var(--ui-border)' }}
+                        title={`Add a ${typeLabel.toLowerCase()} building to ${lotLabel}`}
+                    >
+                        <Plus className="w-3 h-3" />
+                        {typeLabel}
+                    </button>
+                ))}
+            </div>
+        </Section>
+    )
+}
+
+// ============================================
+// MAX BUILD-OUT SECTION
+// ============================================
+
+const BUILDOUT_LIMIT_LABELS = {
+    setbacks: 'Setbacks',
+    coverage: 'Coverage',
+    height: 'Height',
+    stories: 'Stories',
+    far: 'FAR',
+    heightTransitions: 'Daylight / Stepback',
+}
+
+const MaxBuildoutSection = () => {
+    const lotIds = useLotIds()
+    const activeLotId = useActiveLotId()
+    const updateBuildingParam = useStore((s) => s.updateBuildingParam)
+    const setEntityBuildingTotalHeight = useStore((s) => s.setEntityBuildingTotalHeight)
+    const updateLotParam = useStore((s) => s.updateLotParam)
+    const [scope, setScope] = useState('active')
+    const [includeAccessory, setIncludeAccessory] = useState(false)
+    const [includeParking, setIncludeParking] = useState(false)
+    const [results, setResults] = useState(null)
+
+    const targetLotId = activeLotId || lotIds[0]
+    const scopeIds = scope === 'all' ? lotIds : lotIds.filter(id => id === targetLotId)
+
+    // Computed on demand: the generator runs the compliance engine several times per lot
+    const handleGenerate = () => {
+        const { entities, entityOrder, districtParameters } = useStore.getState()
+        const all = computeDistrictBuildout({ entities, entityOrder, districtParameters }, { includeAccessory, includeParking })
+        setResults(scopeIds.filter(id => all[id]).map(id => ({ lotId: id, ...all[id] })))
+    }
+
+    // One undo step: the first store write records the prior state, the rest run paused
+    const handleApply = () => {
+        if (!results) return
+        const { pause, resume } = useStore.temporal.getState()
+        let paused = false
+        const recordOnce = (action) => (...args) => {
+            action(...args)
+            if (!paused) { pause(); paused = true }
+        }
+        const setParam = recordOnce(updateBuildingParam)
+        const setTotalHeight = recordOnce(setEntityBuildingTotalHeight)
+        const setLotParam = recordOnce(updateLotParam)
+        const writeBuilding = (lotId, buildingId, b) => {
+            setParam(lotId, buildingId, 'geometry', { mode: 'rectangle', vertices: null })
+            setParam(lotId, buildingId, 'storyFootprints', [])
+            for (const key of ['x', 'y', 'width', 'depth', 'stories', 'firstFloorHeight']) {
+                setParam(lotId, buildingId, key, b[key])
+            }
+            setTotalHeight(lotId, buildingId, b.firstFloorHeight + (b.stories - 1) * b.upperFloorHeight)
+        }
+        try {
+            for (const r of results) {
+                const lot = useStore.getState().entities.lots[r.lotId]
+                if (!lot || !r.principal) continue
+                writeBuilding(r.lotId, 'principal', r.principal)
+                if (r.accessory) writeBuilding(r.lotId, 'accessory', r.accessory)
+                if (r.parking) {
+                    setLotParam(r.lotId, 'parking', { ...lot.parking, rear: true })
+                    setLotParam(r.lotId, 'parkingLayout', { ...lot.parkingLayout, enabled: true })
+                }
+            }
+        } finally {
+            if (paused) resume()
+        }
+    }
+
+    const inputStyle = {
+        color: 'var(--ui-text-primary)',
+        backgroundColor: 'var(--ui-bg-secondary)',
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        borderColor: 'var(--ui-border)',
+    }
+    const totalGFA = results?.reduce((sum, r) => sum + r.gfa, 0) ?? 0
+
+    return (
+        <Section title="Max Build-Out" icon={<Maximize2 className="w-4 h-4" />} defaultOpen={false}>
+            {lotIds.length === 0 ? (
+                <p className="text-xs italic" style={{ color: 'var(--ui-text-muted)' }}>No lots available. Add a lot first.</p>
+            ) : (
+                <>
+                    <div className="flex items-center justify-between mb-2">
+                        <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>Lots</span>
+                        <select
+                            value={scope}
+                            onChange={(e) => { setScope(e.target.value); setResults(null) }}
+                            className="text-xs rounded px-1.5 py-0.5 focus:outline-none focus-ring-accent-1"
+                            style={inputStyle}
+                        >
+                            <option value="active">Lot {lotIds.indexOf(targetLotId) + 1} (active)</option>
+                            <option value="all">All lots</option>
+                        </select>
+                    </div>
+                    <label className="flex items-center gap-1.5 text-[10px] cursor-pointer" style={{ color: 'var(--ui-text-secondary)' }}>
+                        <input type="checkbox" checked={includeAccessory} onChange={(e) => { setIncludeAccessory(e.target.checked); setResults(null) }} />
+                        Include accessory building
+                    </label>
+                    <label className="flex items-center gap-1.5 text-[10px] mb-2 cursor-pointer" style={{ color: 'var(--ui-text-secondary)' }}>
+                        <input type="checkbox" checked={includeParking} onChange={(e) => { setIncludeParking(e.target.checked); setResults(null) }} />
+                        Include rear parking (sized to required stalls)
+                    </label>
+
+                    {results && (
+                        <div className="mb-2">
+                            <table className="w-full text-[10px] border-collapse">
+                                <thead>
+                                    <tr style={{ borderBottom: '1px solid var(--ui-border)', color: 'var(--ui-text-secondary)' }}>
+                                        <th className="text-left font-medium py-0.5">Lot</th>
+                                        <th className="text-right font-medium py-0.5">Footprint</th>
+                                        <th className="text-right font-medium py-0.5">Stories</th>
+                                        <th className="text-right font-medium py-0.5">GFA (sf)</th>
+                                        <th className="text-right font-medium py-0.5">FAR</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {results.map((r) => (
+                                        <tr
+                                            key={r.lotId}
+                                            style={{ borderBottom: '1px solid var(--ui-border)', color: r.principal ? 'var(--ui-text-primary)' : 'var(--ui-text-muted)' }}
+                                            title={[
+                                                `Limited by: ${r.limits.map(l => BUILDOUT_LIMIT_LABELS[l] ?? l).join(', ')}`,
+                                                `Coverage: ${r.coverage.toFixed(1)}%`,
+                                                ...(r.parking ? [`Parking: ${r.parking.stalls} stalls${r.parking.required != null ? ` (${r.parking.required} required)` : ''}`] : []),
+                                                ...r.notes,
+                                            ].join('\n')}
+                                        >
+                                            <td className="py-0.5">
+                                                {lotIds.indexOf(r.lotId) + 1}
+                                                {r.compliance?.failCount > 0 && <span style={{ color: '#D64545' }}> ✕</span>}
+                                            </td>
+                                            <td className="text-right py-0.5">
+                                                {r.principal ? `${r.principal.width.toFixed(1)} × ${r.principal.depth.toFixed(1)}` : '--'}
+                                            </td>
+                                            <td className="text-right py-0.5">{r.principal?.stories ?? '--'}</td>
+                                            <td className="text-right py-0.5">{Math.round(r.gfa).toLocaleString()}</td>
+                                            <td className="text-right py-0.5">{r.far.toFixed(2)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {results.length > 1 && (
+                                <p className="text-[10px] text-right mt-1 font-semibold" style={{ color: 'var(--ui-accent)' }}>
+                                    Total GFA: {Math.round(totalGFA).toLocaleString()} sf
+                                </p>
+                            )}
+                            {results.flatMap(r => r.notes.map(note => ({ lotId: r.lotId, note }))).map(({ lotId, note }, i) => (
+                                <p key={i} className="text-[10px] mt-1" style={{ color: 'var(--ui-text-muted)' }}>
+                                    Lot {lotIds.indexOf(lotId) + 1}: {note}
+                                </p>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-1">
+                        <button
+                            onClick={handleGenerate}
+                            className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors hover-bg-secondary"
+                            style={{ color: 'var(--ui-text-secondary)', border: '1px solid var(--ui-border)' }}
+                        >
+                            <Maximize2 className="w-3 h-3" />
+                            Generate
+                        </button>
+                        <button
+                            onClick={handleApply}
+                            disabled={!results?.some(r => r.principal)}
+                            className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors disabled:opacity-40"
+                            style={{
+                                backgroundColor: 'var(--ui-accent-muted)',
+                                border: '1px solid var(--ui-accent)',
+                                color: 'var(--ui-accent)',
+                            }}
+                        >
+                            <Check className="w-3 h-3" />
+                            Apply
+                        </button>
+                    </div>
+                </>
+            )}
+        </Section>
+    )
+}
+
+// ============================================
+// LOT SUBDIVISION SECTION
+// ============================================
+
+const SUBDIVISION_MODE_LABELS = {
+    count: { label: 'By Count', unit: 'lots', step: 1, defaultValue: 2 },
+    frontage: { label: 'By Frontage', unit: 'ft', step: 1, defaultValue: 50 },
+    area: { label: 'By Area', unit: 'sf', step: 100, defaultValue: 5000 },
+}
+
+const SubdivisionSection = () => {
+    const lotIds = useLotIds()
+    const activeLotId = useActiveLotId()
+    const lots = useStore((s) => s.entities?.lots ?? {})
+    const subdivideLot = useStore((s) => s.subdivideLot)
+    const setSubdivisionPreview = useStore((s) => s.setSubdivisionPreview)
+    const selectEntity = useStore((s) => s.selectEntity)
+    const districtParams = useDistrictParameters()
+    const [mode, setMode] = useState('count')
+    const [values, setValues] = useState(() => Object.fromEntries(
+        SUBDIVISION_MODES.map(m => [m, SUBDIVISION_MODE_LABELS[m].defaultValue])
+    ))
+    const [absorbRemainder, setAbsorbRemainder] = useState(false)
+    const [showPreview, setShowPreview] = useState(false)
+
+    const targetLotId = activeLotId || lotIds[0]
+    const lot = lots[targetLotId]
+
+    const plan = useMemo(() => (lot ? planSubdivision(lot, {
+        mode,
+        count: values.count,
+        frontage: values.frontage,
+        area: values.area,
+        absorbRemainder,
+    }, districtParams) : null), [lot, mode, values, absorbRemainder, districtParams])
+
+    // Mirror the plan into the scene while the preview is on
+    useEffect(() => {
+        if (!showPreview || !plan || !targetLotId) {
+            setSubdivisionPreview(null)
+            return
+        }
+        setSubdivisionPreview({
+            lotId: targetLotId,
+            parcels: plan.parcels.map(p => ({ polygon: p.polygon, valid: p.valid })),
+            remainder: plan.leftover ? [plan.leftover] : [],
+        })
+    }, [showPreview, plan, targetLotId, setSubdivisionPreview])
+
+    useEffect(() => () => setSubdivisionPreview(null), [setSubdivisionPreview])
+
+    if (!lot || lotIds.length === 0) {
+        return (
+            <Section title="Lot Subdivision" icon={<Scissors className="w-4 h-4" />} defaultOpen={false}>
+                <p className="text-xs italic" style={{ color: 'var(--ui-text-muted)' }}>No lots available. Add a lot first.</p>
+            </Section>
+        )
+    }
+
+    const inputStyle = {
+        color: 'var(--ui-text-primary)',
+        backgroundColor: 'var(--ui-bg-secondary)',
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        borderColor: 'var(--ui-border)',
+    }
+    const modeConfig = SUBDIVISION_MODE_LABELS[mode]
+    const formatSf = (n) => Math.round(n).toLocaleString()
+
+    const handleSubdivide = () => {
+        if (!plan || plan.validCount === 0) return
+        const skipped = plan.parcels.length - plan.validCount
+        const message = skipped > 0
+            ? `Replace Lot ${lotIds.indexOf(targetLotId) + 1} with ${plan.validCount} lots? ${skipped} parcel(s) below the district minimums will be left out.`
+            : `Replace Lot ${lotIds.indexOf(targetLotId) + 1} with ${plan.validCount} lots?`
+        if (!window.confirm(message)) return
+        subdivideLot(targetLotId, getSubdivisionLots(plan))
+        setShowPreview(false)
+    }
+
+    return (
+        <Section title="Lot Subdivision" icon={<Scissors className="w-4 h-4" />} defaultOpen={false}>
+            {/* Parent lot */}
+            <div className="flex items-center justify-between mb-2">
+                <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>
+                    Parent: <strong style={{ color: 'var(--ui-text-primary)' }}>Lot {lotIds.indexOf(targetLotId) + 1}</strong>
+                </span>
+                {lotIds.length > 1 && (
+                    <select
+                        value={targetLotId}
+                        onChange={(e) => selectEntity(e.target.value)}
+                        className="text-xs rounded px-1.5 py-0.5 focus:outline-none focus-ring-accent-1"
+                        style={inputStyle}
+                    >
+                        {lotIds.map((id, i) => (
+                            <option key={id} value={id}>Lot {i + 1}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {/* Split method */}
+            <div className="grid grid-cols-2 gap-1 mb-2">
+                <div>
+                    <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>Method</label>
+                    <select
+                        value={mode}
+                        onChange={(e) => setMode(e.target.value)}
+                        className="w-full text-xs rounded px-1.5 py-1 focus:outline-none focus-ring-accent-1"
+                        style={inputStyle}
+                    >
+                        {SUBDIVISION_MODES.map(m => (
+                            <option key={m} value={m}>{SUBDIVISION_MODE_LABELS[m].label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>
+                        {mode === 'count' ? 'Lots' : `Target (${modeConfig.unit})`}
+                    </label>
+                    <input
+                        type="number"
+                        value={values[mode] ?? ''}
+                        onChange={(e) => setValues(prev => ({ ...prev, [mode]: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                        min={mode === 'count' ? 1 : 0}
+                        step={modeConfig.step}
+                        className="w-full text-xs rounded px-1 py-1 text-right focus:outline-none focus-ring-accent-1"
+                        style={inputStyle}
+                    />
+                </div>
+            </div>
+
+            {mode !== 'count' && (
+                <label className="flex items-center gap-1.5 text-[10px] mb-2 cursor-pointer" style={{ color: 'var(--ui-text-secondary)' }}>
+                    <input
+                        type="checkbox"
+                        checked={absorbRemainder}
+                        onChange={(e) => setAbsorbRemainder(e.target.checked)}
+                    />
+                    Absorb remainder into last lot
+                </label>
+            )}
+
+            {/* Proposed parcels */}
+            {plan && (
+                <div className="mb-2">
+                    {plan.parcels.length === 0 ? (
+                        <p className="text-[10px] italic" style={{ color: 'var(--ui-text-muted)' }}>Target is larger than the parent lot.</p>
+                    ) : (
+                        <table className="w-full text-[10px] border-collapse">
+                            <thead>
+                                <tr style={{ borderBottom: '1px solid var(--ui-border)', color: 'var(--ui-text-secondary)' }}>
+                                    <th className="text-left font-medium py-0.5">#</th>
+                                    <th className="text-right font-medium py-0.5">W (ft)</th>
+                                    <th className="text-right font-medium py-0.5">D (ft)</th>
+                                    <th className="text-right font-medium py-0.5">Area (sf)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plan.parcels.map((p, i) => (
+                                    <tr
+                                        key={i}
+                                        style={{ borderBottom: '1px solid var(--ui-border)', color: p.valid ? 'var(--ui-text-primary)' : '#D64545' }}
+                                        title={p.valid ? undefined : `Below district minimum ${p.failures.join(', ')}`}
+                                    >
+                                        <td className="py-0.5">{i + 1}{!p.valid && ' ✕'}</td>
+                                        <td className={`text-right py-0.5${p.failures.includes('width') ? ' font-bold' : ''}`}>{p.width.toFixed(1)}</td>
+                                        <td className={`text-right py-0.5${p.failures.includes('depth') ? ' font-bold' : ''}`}>{p.depth.toFixed(1)}</td>
+                                        <td className={`text-right py-0.5${p.failures.includes('area') ? ' font-bold' : ''}`}>{formatSf(p.area)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    <div className="flex justify-between text-[10px] mt-1" style={{ color: 'var(--ui-text-muted)' }}>
+                        <span>Parent: {formatSf(plan.parentArea)} sf</span>
+                        <span>Remainder: {formatSf(plan.remainder.area)} sf</span>
+                    </div>
+                </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-1">
+                <button
+                    onClick={() => setShowPreview(v => !v)}
+                    className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors hover-bg-secondary"
+                    style={showPreview
+                        ? { backgroundColor: 'var(--ui-accent-muted)', border: '1px solid var(--ui-accent)', color: 'var(--ui-text-primary)' }
+                        : { color: 'var(--ui-text-secondary)', border: '1px solid var(--ui-border)' }
+                    }
+                >
+                    {showPreview ? <EyeOff className="w-3 h-3" /> : <Eye className="w-3 h-3" />}
+                    {showPreview ? 'Hide Preview' : 'Preview'}
+                </button>
+                <button
+                    onClick={handleSubdivide}
+                    disabled={!plan || plan.validCount === 0}
+                    className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors disabled:opacity-40"
+                    style={{
+                        backgroundColor: 'var(--ui-accent-muted)',
+                        border: '1px solid var(--ui-accent)',
+                        color: 'var(--ui-accent)',
+                    }}
+                >
+                    <Scissors className="w-3 h-3" />
+                    Subdivide
+                </button>
+            </div>
+        </Section>
+    )
+}
+
+// ============================================
+// LOT CONSOLIDATION SECTION
+// ============================================
+
+const LotConsolidationSection = () => {
+    const lotIds = useLotIds()
+    const lots = useStore((s) => s.entities?.lots ?? {})
+    const roadModules = useRoadModules()
+    const mergeLots = useStore((s) => s.mergeLots)
+    const [checked, setChecked] = useState([])
+
+    // Drop ids of lots that no longer exist (merged, removed, undo)
+    const selectedIds = lotIds.filter(id => checked.includes(id))
+    const indices = selectedIds.map(id => lotIds.indexOf(id))
+    const { placements, error } = getMergePlacements(lots, lotIds, roadModules, selectedIds)
+    const merged = selectedIds.length >= 2 && !error ? mergeLotPolygons(placements) : null
+
+    const toggle = (id) => setChecked(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]))
+
+    let status = null
+    if (error === 'face') status = 'Selected lots must be on the same block face.'
+    else if (error === 'adjacent') status = 'Selected lots must be next to each other on their block face.'
+    else if (selectedIds.length >= 2 && !merged) status = 'Selected lots do not share a side lot line.'
+
+    const handleMerge = () => {
+        if (!merged) return
+        const labels = indices.map(i => i + 1).join(', ')
+        if (!window.confirm(`Merge Lots ${labels} into Lot ${indices[0] + 1}? Buildings on the other lots are removed.`)) return
+        mergeLots(selectedIds)
+        setChecked([])
+    }
+
+    return (
+        <Section title="Lot Consolidation" icon={<Combine className="w-4 h-4" />} defaultOpen={false}>
+            {lotIds.length < 2 ? (
+                <p className="text-xs italic" style={{ color: 'var(--ui-text-muted)' }}>Add at least two lots to merge.</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-4 gap-1 mb-2">
+                        {lotIds.map((id, i) => (
+                            <label
+                                key={id}
+                                className="flex items-center gap-1 text-[10px] cursor-pointer"
+                                style={{ color: 'var(--ui-text-secondary)' }}
+                            >
+                                <input type="checkbox" checked={checked.includes(id)} onChange={() => toggle(id)} />
+                                Lot {i + 1}
+                            </label>
+                        ))}
+                    </div>
+                    {merged && (
+                        <p className="text-[10px] mb-2" style={{ color: 'var(--ui-text-muted)' }}>
+                            Merged: {merged.lotWidth.toFixed(1)} × {merged.lotDepth.toFixed(1)} ft, {Math.round(Math.abs(signedArea(merged.vertices))).toLocaleString()} sf
+                        </p>
+                    )}
+                    {status && (
+                        <p className="text-[10px] mb-2" style={{ color: '#D64545' }}>{status}</p>
+                    )}
+                    <button
+                        onClick={handleMerge}
+                        disabled={!merged}
+                        className="w-full flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors disabled:opacity-40"
+                        style={{
+                            backgroundColor: 'var(--ui-accent-muted)',
+                            border: '1px solid var(--ui-accent)',
+                            color: 'var(--ui-accent)',
+                        }}
+                    >
+                        <Combine className="w-3 h-3" />
+                        Merge Lots
+                    </button>
+                </>
+            )}
         </Section>
     )
 }
@@ -2113,6 +3227,7 @@ const RoadModuleStylesSection = () => {
         'alleyRightOfWay', 'alleyRoadWidth', 'alleyVerge', 'alleyParking', 'alleySidewalk', 'alleyTransitionZone',
         'leftSide', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone',
         'rightSide', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone',
+        'zoneTypes', 'travelLane', 'transitLane', 'bikeLane', 'median', 'treeWell',
     ]
     const [collapsedZones, setCollapsedZones] = useState(() => {
         const init = {}
@@ -2353,6 +3468,18 @@ const RoadModuleStylesSection = () => {
                 'rightSide'
             )}
 
+            {/* Zone types without side-specific styles */}
+            {renderSideZoneGroup(
+                ROAD_ZONE_SHARED_STYLE_TYPES.map(key => ({
+                    key,
+                    label: ROAD_ZONE_TYPES[key].label,
+                    defaultFill: ROAD_ZONE_TYPES[key].fillColor,
+                })),
+                'Other Zone Types',
+                'var(--ui-text-secondary)',
+                'zoneTypes'
+            )}
+
             {/* Intersection Fill */}
             {renderZoneHeader('intersectionFill', 'Intersection Fill')}
             {!collapsedZones.intersectionFill && (
@@ -2419,18 +3546,12 @@ const RoadModuleStylesSection = () => {
 
 const RoadModuleCard = ({ road, onRemove, onUpdate, onChangeType }) => {
     const [isOpen, setIsOpen] = useState(true)
+    const roadModuleStyles = useStore((s) => s.roadModuleStyles)
+    const streetTypeLibrary = useStore((s) => s.streetTypeLibrary)
 
-    // Calculate available space
+    // Road surface vs right-of-way
     const rightOfWay = road.rightOfWay ?? 50
     const roadWidth = road.roadWidth ?? 24
-    const availablePerSide = (rightOfWay - roadWidth) / 2
-
-    const leftUsed = (road.leftParking || 0) + (road.leftVerge || 0) +
-        (road.leftSidewalk || 0) + (road.leftTransitionZone || 0)
-    const rightUsed = (road.rightParking || 0) + (road.rightVerge || 0) +
-        (road.rightSidewalk || 0) + (road.rightTransitionZone || 0)
-    const leftRemaining = availablePerSide - leftUsed
-    const rightRemaining = availablePerSide - rightUsed
 
     return (
         <div className="rounded mb-2 overflow-hidden" style={{ borderWidth: '1px', borderStyle: 'solid', borderColor: 'var(--ui-border)' }}>
@@ -2476,9 +3597,7 @@ const RoadModuleCard = ({ road, onRemove, onUpdate, onChangeType }) => {
                                 borderColor: 'var(--ui-border)',
                             }}
                         >
-                            <option value="S1">S1 (50&apos; ROW)</option>
-                            <option value="S2">S2 (40&apos; ROW)</option>
-                            <option value="S3">S3 (20&apos; ROW)</option>
+                            <StreetTypeOptions library={streetTypeLibrary} showRow />
                         </select>
                     </div>
 
@@ -2534,119 +3653,25 @@ const RoadModuleCard = ({ road, onRemove, onUpdate, onChangeType }) => {
                         </div>
                     )}
 
-                    {/* Left Side */}
-                    <div className="pt-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
-                        <div className="flex items-center justify-between mb-1">
-                            <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>Left Side</span>
-                            <span
-                                className="text-[10px] font-medium px-1.5 py-0.5 rounded"
-                                style={
-                                    leftRemaining < 0
-                                        ? { backgroundColor: 'var(--ui-error-muted)', color: 'var(--ui-error)' }
-                                        : leftRemaining === 0
-                                            ? { backgroundColor: 'var(--ui-warning-muted)', color: 'var(--ui-warning)' }
-                                            : { backgroundColor: 'var(--ui-success-muted)', color: 'var(--ui-success)' }
-                                }
-                            >
-                                {leftRemaining.toFixed(1)}' left
-                            </span>
-                        </div>
-                        {[
-                            { key: 'leftParking', label: 'Parking' },
-                            { key: 'leftVerge', label: 'Verge' },
-                            { key: 'leftSidewalk', label: 'Sidewalk' },
-                            { key: 'leftTransitionZone', label: 'Transition' },
-                        ].map(({ key, label }) => (
-                            <div key={key} className="flex items-center justify-between py-0.5">
-                                <label className="flex items-center gap-1.5 cursor-pointer">
-                                    <input
-                                        type="checkbox"
-                                        checked={road[key] != null}
-                                        onChange={(e) => onUpdate(key, e.target.checked ? 8 : null)}
-                                        className="rounded accent-theme"
-                                        style={{ backgroundColor: 'var(--ui-bg-secondary)', borderColor: 'var(--ui-border)' }}
-                                    />
-                                    <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
-                                </label>
-                                {road[key] != null && (
-                                    <div className="flex items-center gap-1">
-                                        <input
-                                            type="number"
-                                            value={road[key] ?? 0}
-                                            onChange={(e) => onUpdate(key, parseFloat(e.target.value) || 0)}
-                                            className="w-14 text-xs text-right rounded px-1 py-0.5
-                                                       focus:outline-none focus-ring-accent-1"
-                                            style={{
-                                                color: 'var(--ui-text-primary)',
-                                                backgroundColor: 'var(--ui-bg-secondary)',
-                                                borderWidth: '1px',
-                                                borderStyle: 'solid',
-                                                borderColor: 'var(--ui-border)',
-                                            }}
-                                        />
-                                        <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>ft</span>
-                                    </div>
-                                )}
-                            </div>
-                        ))}
-                    </div>
+                    <RoadCrossSectionSummary road={road} />
 
-                    {/* Right Side */}
-                    <div className="pt-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
-                        <div className="flex items-center justify-between mb-1">
-                            <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>Right Side</span>
-                            <span
-                                className="text-[10px] font-medium px-1.5 py-0.5 rounded"
-                                style={
-                                    rightRemaining < 0
-                                        ? { backgroundColor: 'var(--ui-error-muted)', color: 'var(--ui-error)' }
-                                        : rightRemaining === 0
-                                            ? { backgroundColor: 'var(--ui-warning-muted)', color: 'var(--ui-warning)' }
-                                            : { backgroundColor: 'var(--ui-success-muted)', color: 'var(--ui-success)' }
-                                }
-                            >
-                                {rightRemaining.toFixed(1)}' left
-                            </span>
-                        </div>
-                        {[
-                            { key: 'rightParking', label: 'Parking' },
-                            { key: 'rightVerge', label: 'Verge' },
-                            { key: 'rightSidewalk', label: 'Sidewalk' },
-                            { key: 'rightTransitionZone', label: 'Transition' },
-                        ].map(({ key, label }) => (
-                            <div key={key} className="flex items-center justify-between py-0.5">
-                                <label className="flex items-center gap-1.5 cursor-pointer">
-                                    <input
-                                        type="checkbox"
-                                        checked={road[key] != null}
-                                        onChange={(e) => onUpdate(key, e.target.checked ? 8 : null)}
-                                        className="rounded accent-theme"
-                                        style={{ backgroundColor: 'var(--ui-bg-secondary)', borderColor: 'var(--ui-border)' }}
-                                    />
-                                    <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
-                                </label>
-                                {road[key] != null && (
-                                    <div className="flex items-center gap-1">
-                                        <input
-                                            type="number"
-                                            value={road[key] ?? 0}
-                                            onChange={(e) => onUpdate(key, parseFloat(e.target.value) || 0)}
-                                            className="w-14 text-xs text-right rounded px-1 py-0.5
-                                                       focus:outline-none focus-ring-accent-1"
-                                            style={{
-                                                color: 'var(--ui-text-primary)',
-                                                backgroundColor: 'var(--ui-bg-secondary)',
-                                                borderWidth: '1px',
-                                                borderStyle: 'solid',
-                                                borderColor: 'var(--ui-border)',
-                                            }}
-                                        />
-                                        <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>ft</span>
-                                    </div>
-                                )}
-                            </div>
-                        ))}
-                    </div>
+                    {/* Centerline: block edge, polyline or arc */}
+                    <RoadAlignmentEditor road={road} onChange={(alignment) => onUpdate('alignment', alignment)} />
+
+                    {/* Cross-section zones, road edge first */}
+                    {['left', 'right'].map(side => (
+                        <RoadZoneEditor
+                            key={side}
+                            road={road}
+                            side={side}
+                            zones={getRoadZones(road, side)}
+                            styles={roadModuleStyles}
+                            onChange={(zones) => onUpdate(`${side}Zones`, zones)}
+                        />
+                    ))}
+
+                    {/* Street trees, light poles and benches along the verge / sidewalk zones */}
+                    <StreetscapeEditor road={road} onChange={(streetscape) => onUpdate('streetscape', streetscape)} />
                 </div>
             )}
         </div>
@@ -3275,6 +4300,216 @@ const BatchExportSection = () => {
     )
 }
 
+// ============================================
+// SUN PATH EXPORT SECTION
+// ============================================
+
+const GIF_WIDTH_OPTIONS = [480, 640, 800, 1024]
+
+const SunPathExportSection = () => {
+    const sunDate = useStore((s) => s.sunSettings.date)
+    const activeScenario = useStore((s) => s.activeScenario)
+    const isBatchExporting = useStore((s) => s.viewSettings.isBatchExporting)
+    const massExportActive = useStore((s) => s.massExportActive)
+    const addToExportQueue = useStore((s) => s.addToExportQueue)
+    const setIsBatchExporting = useStore((s) => s.setIsBatchExporting)
+    const [options, setOptions] = useState({
+        date: sunDate || `${new Date().getFullYear()}-06-21`,
+        startHour: 8,
+        endHour: 18,
+        stepMinutes: 30,
+        cameraView: 'current',
+        resolution: '1920x1080',
+        includeGif: true,
+        gifWidth: 800,
+        delay: 300,
+    })
+    const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }))
+
+    const hours = useMemo(() => {
+        const list = []
+        const step = Math.max(1, options.stepMinutes) / 60
+        for (let h = options.startHour; h <= options.endHour + 1e-9; h += step) list.push(h)
+        return list
+    }, [options.startHour, options.endHour, options.stepMinutes])
+
+    // One PNG per sun position through the batch queue; the Exporter zips them with the GIF
+    const handleExport = () => {
+        if (hours.length === 0 || isBatchExporting) return
+        const [w, h] = options.resolution.split('x').map(Number)
+        const base = `${sanitizeExportName(activeScenario || 'default')}_sun_${options.date}`
+        const gif = options.includeGif ? { width: options.gifWidth, delay: options.delay, name: base } : null
+        const queue = hours.map((hour, i) => {
+            const hh = Math.floor(hour)
+            const mm = Math.round((hour - hh) * 60)
+            return {
+                cameraView: options.cameraView,
+                format: 'png',
+                sun: { date: options.date, time: hour },
+                gif,
+                label: `${base}_${String(i + 1).padStart(3, '0')}_${String(hh).padStart(2, '0')}${String(mm).padStart(2, '0')}`,
+            }
+        })
+        useStore.getState().setExportSettings({ width: w, height: h, label: options.resolution })
+        addToExportQueue(queue)
+        setIsBatchExporting(true)
+    }
+
+    const inputStyle = {
+        color: 'var(--ui-text-primary)',
+        backgroundColor: 'var(--ui-bg-secondary)',
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        borderColor: 'var(--ui-border)',
+    }
+    const labelStyle = { color: 'var(--ui-text-secondary)' }
+    const selectClass = 'w-full text-xs rounded px-1 py-1 focus:outline-none focus-ring-accent-1'
+    const numberInput = (key, props) => (
+        <input
+            type="number"
+            value={options[key]}
+            onChange={(e) => setOption(key, parseFloat(e.target.value) || 0)}
+            className="w-full text-xs rounded px-1 py-1 text-right focus:outline-none focus-ring-accent-1"
+            style={inputStyle}
+            disabled={isBatchExporting}
+            {...props}
+        />
+    )
+
+    return (
+        <Section title="Sun Path Export" icon={<Film className="w-4 h-4" />} defaultOpen={false}>
+            <div className="space-y-2">
+                <p className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                    Renders the current view once per sun position at the project site and downloads a ZIP of numbered PNG frames{options.includeGif ? ' plus an animated GIF' : ''}.
+                </p>
+
+                {/* Date & hours */}
+                <div className="grid grid-cols-3 gap-1">
+                    {SHADOW_DATE_PRESETS.map(({ label, monthDay }) => (
+                        <button
+                            key={label}
+                            onClick={() => setOption('date', `${options.date.slice(0, 4)}-${monthDay}`)}
+                            className="text-[10px] py-0.5 rounded transition-colors hover-bg-secondary"
+                            style={{ color: 'var(--ui-text-secondary)', border: '1px solid var(--ui-border)' }}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="grid grid-cols-4 gap-1">
+                    <div className="col-span-4">
+                        <label className="text-[10px] block mb-0.5" style={labelStyle}>Date</label>
+                        <input
+                            type="date"
+                            value={options.date}
+                            onChange={(e) => e.target.value && setOption('date', e.target.value)}
+                            className={selectClass}
+                            style={inputStyle}
+                            disabled={isBatchExporting}
+                        />
+                    </div>
+                    <div>
+                        <label className="text-[10px] block mb-0.5" style={labelStyle}>Start (h)</label>
+                        {numberInput('startHour', { min: 0, max: 24, step: 0.5 })}
+                    </div>
+                    <div>
+                        <label className="text-[10px] block mb-0.5" style={labelStyle}>End (h)</label>
+                        {numberInput('endHour', { min: 0, max: 24, step: 0.5 })}
+                    </div>
+                    <div className="col-span-2">
+                        <label className="text-[10px] block mb-0.5" style={labelStyle}>Step</label>
+                        <select
+                            value={options.stepMinutes}
+                            onChange={(e) => setOption('stepMinutes', Number(e.target.value))}
+                            className={selectClass}
+                            style={inputStyle}
+                            disabled={isBatchExporting}
+                        >
+                            {SHADOW_STEP_OPTIONS.map(m => <option key={m} value={m}>{m} min</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {/* Camera & resolution */}
+                <div className="grid grid-cols-2 gap-1">
+                    <select
+                        value={options.cameraView}
+                        onChange={(e) => setOption('cameraView', e.target.value)}
+                        className={selectClass}
+                        style={inputStyle}
+                        disabled={isBatchExporting}
+                    >
+                        <option value="current">Current view</option>
+                        {CAMERA_VIEWS.map(v => <option key={v.key} value={v.key}>{v.label}</option>)}
+                    </select>
+                    <select
+                        value={options.resolution}
+                        onChange={(e) => setOption('resolution', e.target.value)}
+                        className={selectClass}
+                        style={inputStyle}
+                        disabled={isBatchExporting}
+                    >
+                        {RESOLUTION_PRESETS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                </div>
+
+                {/* Animated GIF */}
+                <label className="flex items-center gap-1.5 text-xs cursor-pointer" style={labelStyle}>
+                    <input
+                        type="checkbox"
+                        checked={options.includeGif}
+                        onChange={(e) => setOption('includeGif', e.target.checked)}
+                        className="accent-theme"
+                        disabled={isBatchExporting}
+                    />
+                    Include animated GIF
+                </label>
+                {options.includeGif && (
+                    <div className="grid grid-cols-2 gap-1">
+                        <div>
+                            <label className="text-[10px] block mb-0.5" style={labelStyle}>GIF width</label>
+                            <select
+                                value={options.gifWidth}
+                                onChange={(e) => setOption('gifWidth', Number(e.target.value))}
+                                className={selectClass}
+                                style={inputStyle}
+                                disabled={isBatchExporting}
+                            >
+                                {GIF_WIDTH_OPTIONS.map(px => <option key={px} value={px}>{px} px</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="text-[10px] block mb-0.5" style={labelStyle}>Frame (ms)</label>
+                            {numberInput('delay', { min: 20, step: 50 })}
+                        </div>
+                    </div>
+                )}
+
+                <button
+                    onClick={handleExport}
+                    disabled={hours.length === 0 || isBatchExporting || massExportActive}
+                    className="w-full flex items-center justify-center gap-1.5 px-3 py-1.5 rounded text-xs font-medium transition-opacity disabled:opacity-40"
+                    style={{
+                        backgroundColor: 'var(--ui-accent)',
+                        color: '#fff',
+                    }}
+                >
+                    <Download className="w-3.5 h-3.5" />
+                    {isBatchExporting
+                        ? 'Exporting...'
+                        : `Export ${hours.length} Frame${hours.length !== 1 ? 's' : ''}`
+                    }
+                </button>
+                {hours.length > 0 && (
+                    <p className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                        {formatStudyHour(hours[0])} – {formatStudyHour(hours[hours.length - 1])} local standard time
+                    </p>
+                )}
+            </div>
+        </Section>
+    )
+}
+
 // ============================================
 // HYBRID LINE TYPE SELECTOR (for maxHeightPlane, setbackFill)
 // ============================================
@@ -3381,7 +4616,7 @@ const InlineStyleControls = ({ lotId, category, style }) => {
     // Mesh-only categories: only color + opacity (no line width/dashed)
     const isMeshCategory = ['lotFill', 'btzPlanes', 'lotAccessArrows', 'sharedDriveArrow', 'principalBuildingFaces', 'accessoryBuildingFaces', 'buildingFaces', 'roofFaces', 'importedModelFaces'].includes(category)
     // Hybrid categories: mesh controls (fill color/opacity) + line controls (lineColor/lineWidth/lineDashed)
-    const isHybridCategory = ['maxHeightPlane', 'setbackFill', 'placementZone'].includes(category)
+    const isHybridCategory = ['maxHeightPlane', 'setbackFill', 'placementZone', 'buildingEnvelope', 'parkingLayout', 'driveways', 'sightTriangles'].includes(category)
 
     return (
         <div
@@ -3422,6 +4657,34 @@ const InlineStyleControls = ({ lotId, category, style }) => {
                         step={0.5}
                     />
                     <HybridLineTypeSelector style={style} onChange={handleChange} />
+                    {category === 'buildingEnvelope' && (
+                        <>
+                            <div style={{ paddingTop: '4px' }}>
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', cursor: 'pointer', color: 'var(--ui-text-muted)' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={style.showFrontZone ?? true}
+                                        onChange={(e) => handleChange('showFrontZone', e.target.checked)}
+                                        style={{ borderColor: 'var(--ui-border)' }}
+                                    />
+                                    Show BTZ Front Zone
+                                </label>
+                            </div>
+                            <ColorPicker
+                                label="Front Zone Color"
+                                value={style.frontZoneColor ?? '#AA00FF'}
+                                onChange={(v) => handleChange('frontZoneColor', v)}
+                            />
+                            <SliderInput
+                                label="Front Zone Opacity"
+                                value={style.frontZoneOpacity ?? 0.25}
+                                onChange={(v) => handleChange('frontZoneOpacity', v)}
+                                min={0}
+                                max={1}
+                                step={0.05}
+                            />
+                        </>
+                    )}
                 </div>
             ) : isMeshCategory ? (
                 <div className="space-y-1">
@@ -3658,7 +4921,11 @@ const StylesSection = () => {
         { key: 'maxSetbacks', label: 'Max Setbacks' },
         { key: 'placementZone', label: 'Placement Zone' },
         { key: 'parkingSetbacks', label: 'Parking Setbacks' },
+        { key: 'parkingLayout', label: 'Parking Layout' },
+        { key: 'driveways', label: 'Driveways' },
+        { key: 'sightTriangles', label: 'Sight Triangles' },
         { key: 'btzPlanes', label: 'BTZ Planes' },
+        { key: 'buildingEnvelope', label: 'Building Envelope' },
         { key: 'lotAccessArrows', label: 'Lot Access Arrows' },
         { key: 'sharedDriveArrow', label: 'Shared Drive Arrow' },
         { key: 'principalBuildingEdges', label: 'Principal Building Edges' },
@@ -5130,57 +6397,82 @@ const DimensionStylesSection = () => {
 }
 
 // ============================================
-// ANALYTICS SECTION — Per-lot metrics dashboard
+// COMPLIANCE SECTION — Per-lot zoning rule results
 // ============================================
 
-const AnalyticsSection = () => {
+const ComplianceSection = () => {
     const lotIds = useLotIds()
-    const lots = useStore((s) => s.entities?.lots ?? {})
-    const districtParameters = useDistrictParameters()
-
-    const metrics = useMemo(() => {
-        let districtLotArea = 0
-        let districtGFA = 0
-        let districtFootprint = 0
-
-        const perLot = lotIds.map((lotId) => {
-            const lot = lots[lotId]
-            if (!lot) return { lotArea: 0, coverage: 0, gfa: 0, far: 0, footprint: 0 }
-
-            // Lot area
-            const isPolygon = lot.lotGeometry?.mode === 'polygon' && lot.lotGeometry?.vertices?.length >= 3
-            const lotArea = isPolygon
-                ? calculatePolygonArea(lot.lotGeometry.vertices)
-                : (lot.lotWidth ?? 50) * (lot.lotDepth ?? 100)
-
-            // Building footprints + GFA
-            let totalFootprint = 0
-            let totalGFA = 0
-            for (const type of ['principal', 'accessory']) {
-                const b = lot.buildings?.[type]
-                if (b && b.width > 0 && b.depth > 0 && (b.stories ?? 0) > 0) {
-                    const footprint = b.width * b.depth
-                    totalFootprint += footprint
-                    totalGFA += footprint * b.stories
-                }
-            }
+    const compliance = useDistrictCompliance()
 
-            const coverage = lotArea > 0 ? (totalFootprint / lotArea) * 100 : 0
-            const far = lotArea > 0 ? totalGFA / lotArea : 0
-            const wdRatio = (lot.lotDepth ?? 0) > 0 ? ((lot.lotWidth ?? 0) / lot.lotDepth) * 100 : null
+    const evaluated = lotIds.some(id => compliance[id] && compliance[id].status !== 'na')
+    const totalFailing = lotIds.reduce((sum, id) => sum + (compliance[id]?.failCount ?? 0), 0)
 
-            districtLotArea += lotArea
-            districtGFA += totalGFA
-            districtFootprint += totalFootprint
+    return (
+        <Section
+            title="Compliance"
+            icon={<ShieldCheck className="w-4 h-4" />}
+            defaultOpen={false}
+            headerRight={evaluated && (
+                <span
+                    className="px-1.5 py-0.5 rounded text-[10px] font-bold"
+                    style={{ color: '#fff', backgroundColor: totalFailing > 0 ? '#DC2626' : '#16A34A' }}
+                >
+                    {totalFailing > 0 ? `${totalFailing} failing` : 'Pass'}
+                </span>
+            )}
+        >
+            {!evaluated ? (
+                <p className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                    Enter district parameter limits to evaluate lots.
+                </p>
+            ) : (
+                <div className="space-y-2">
+                    {lotIds.map((lotId, i) => {
+                        const result = compliance[lotId]
+                        const failing = (result?.rules ?? []).filter(r => r.status === 'fail')
+                        return (
+                            <div key={lotId}>
+                                <div className="flex items-center justify-between text-xs font-medium" style={{ color: 'var(--ui-text-secondary)' }}>
+                                    <span>Lot {i + 1}</span>
+                                    <span className="flex items-center gap-2">
+                                        <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                                            {result?.passCount ?? 0} pass
+                                        </span>
+                                        <ComplianceBadge result={result} />
+                                    </span>
+                                </div>
+                                {failing.length > 0 && (
+                                    <ul className="mt-1 space-y-0.5">
+                                        {failing.map(rule => (
+                                            <li key={rule.key} className="flex items-center justify-between gap-2 text-[10px] pl-2" style={{ borderLeft: '2px solid #DC2626' }}>
+                                                <span style={{ color: 'var(--ui-text-primary)' }}>{rule.label}</span>
+                                                <span style={{ color: '#DC2626' }}>{describeRule(rule)}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )
+                    })}
+                </div>
+            )}
+        </Section>
+    )
+}
 
-            return { lotArea, coverage, gfa: totalGFA, far, footprint: totalFootprint, wdRatio, impervious: null }
-        })
+// ============================================
+// ANALYTICS SECTION — Per-lot metrics dashboard
+// ============================================
 
-        const districtCoverage = districtLotArea > 0 ? (districtFootprint / districtLotArea) * 100 : 0
-        const districtFAR = districtLotArea > 0 ? districtGFA / districtLotArea : 0
+const AnalyticsSection = () => {
+    const lotIds = useLotIds()
+    const lots = useStore((s) => s.entities?.lots ?? {})
+    const districtParameters = useDistrictParameters()
+    const roadModules = useRoadModules()
+    const compliance = useDistrictCompliance()
+    const accessPositions = useAccessPositions()
 
-        return { perLot, district: { lotArea: districtLotArea, coverage: districtCoverage, gfa: districtGFA, far: districtFAR } }
-    }, [lotIds, lots])
+    const metrics = useMemo(() => computeDistrictAnalytics(lots, lotIds, roadModules, accessPositions), [lotIds, lots, roadModules, accessPositions])
 
     const formatNum = (n, decimals = 0) => {
         if (n == null || isNaN(n)) return '--'
@@ -5194,6 +6486,10 @@ const AnalyticsSection = () => {
         { label: 'FAR', unit: '', key: 'far', decimals: 2 },
         { label: 'W:D Ratio', unit: '%', key: 'wdRatio', decimals: 1 },
         { label: 'Imperv. Surface', unit: '%', key: 'impervious', decimals: 1 },
+        { label: 'Units', unit: '', key: 'units', decimals: 0 },
+        { label: 'Density', unit: 'du/ac', key: 'density', decimals: 1, rulePath: 'density' },
+        { label: 'Lot Area / Unit', unit: 'SF', key: 'lotAreaPerUnit', decimals: 0, rulePath: 'lotAreaPerUnit' },
+        { label: 'Parking Stalls', unit: '', key: 'stalls', decimals: 0 },
     ]
 
     return (
@@ -5224,7 +6520,7 @@ const AnalyticsSection = () => {
                         </tr>
                     </thead>
                     <tbody>
-                        {metricRows.map(({ label, unit, key, decimals, showBar }) => (
+                        {metricRows.map(({ label, unit, key, decimals, showBar, rulePath }) => (
                             <tr key={key} style={{ borderBottom: '1px solid var(--ui-border)' }}>
                                 <td className="py-1.5 pr-2 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>
                                     {label}
@@ -5233,24 +6529,32 @@ const AnalyticsSection = () => {
                                 <td className="py-1.5 px-0.5">
                                     <DistrictRefCell value={ANALYTICS_REF_MAP[label]?.(districtParameters) ?? null} />
                                 </td>
-                                {metrics.perLot.map((m, i) => (
-                                    <td key={i} className="text-right py-1.5 px-1">
-                                        <div className="relative">
-                                            {showBar && (
-                                                <div
-                                                    className="absolute inset-0 rounded-sm opacity-20"
-                                                    style={{
-                                                        backgroundColor: 'var(--ui-accent)',
-                                                        width: `${Math.min(100, m[key])}%`,
-                                                    }}
-                                                />
-                                            )}
-                                            <span className="relative" style={{ color: 'var(--ui-text-primary)' }}>
-                                                {formatNum(m[key], decimals)}
-                                            </span>
-                                        </div>
-                                    </td>
-                                ))}
+                                {metrics.perLot.map((m, i) => {
+                                    const failingRule = findFailingRule(compliance?.[lotIds[i]], { rulePath })
+                                    return (
+                                        <td
+                                            key={i}
+                                            className="text-right py-1.5 px-1"
+                                            style={failingCellStyle(failingRule)}
+                                            title={failingRule ? `${failingRule.label}: ${describeRule(failingRule)}` : undefined}
+                                        >
+                                            <div className="relative">
+                                                {showBar && (
+                                                    <div
+                                                        className="absolute inset-0 rounded-sm opacity-20"
+                                                        style={{
+                                                            backgroundColor: 'var(--ui-accent)',
+                                                            width: `${Math.min(100, m[key])}%`,
+                                                        }}
+                                                    />
+                                                )}
+                                                <span className="relative" style={{ color: 'var(--ui-text-primary)' }}>
+                                                    {formatNum(m[key], decimals)}
+                                                </span>
+                                            </div>
+                                        </td>
+                                    )
+                                })}
                                 {lotIds.length > 1 && (
                                     <td className="text-right py-1.5 px-1 font-semibold" style={{ color: 'var(--ui-accent)' }}>
                                         {formatNum(metrics.district[key], decimals)}
@@ -5265,6 +6569,259 @@ const AnalyticsSection = () => {
     )
 }
 
+// ============================================
+// SHADOW STUDY SECTION
+// ============================================
+
+const SHADOW_STEP_OPTIONS = [15, 30, 60]
+const SHADOW_DATE_PRESETS = [
+    { label: 'Winter Solstice', monthDay: '12-21' },
+    { label: 'Equinox', monthDay: '03-20' },
+    { label: 'Summer Solstice', monthDay: '06-21' },
+]
+
+const formatStudyHour = (hour) => {
+    const h = Math.floor(hour)
+    const m = Math.round((hour - h) * 60)
+    return `${((h + 11) % 12) + 1}:${String(m).padStart(2, '0')} ${h >= 12 ? 'PM' : 'AM'}`
+}
+
+const ShadowStudySection = () => {
+    const lotIds = useLotIds()
+    const entities = useStore((s) => s.entities)
+    const siteLocation = useStore((s) => s.siteLocation)
+    const study = useStore((s) => s.shadowStudy)
+    const frame = useStore((s) => s.shadowStudyFrame)
+    const setShadowStudy = useStore((s) => s.setShadowStudy)
+    const setShadowStudyFrame = useStore((s) => s.setShadowStudyFrame)
+    const year = new Date().getFullYear()
+    const [options, setOptions] = useState({
+        startDate: `${year}-12-21`,
+        endDate: `${year}-12-21`,
+        startHour: 9,
+        endHour: 15,
+        stepMinutes: 60,
+        dayStep: 1,
+        cellSize: 2,
+    })
+    // Model and site the current result was computed from, to flag a stale study
+    const [studyInputs, setStudyInputs] = useState(null)
+    // Fraction done while a study runs (null when idle); the controller cancels it
+    const [progress, setProgress] = useState(null)
+    const runRef = useRef(null)
+    useEffect(() => () => runRef.current?.abort(), [])
+
+    const preset = presetLocations.find(l => l.latitude === siteLocation.latitude && l.longitude === siteLocation.longitude)
+    const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }))
+
+    // Run on demand: every sample rasterizes every building's shadow over the study grid.
+    // The study yields between chunks of samples, so it can report progress and be cancelled.
+    const handleRun = async () => {
+        const state = useStore.getState()
+        const controller = new AbortController()
+        runRef.current = controller
+        setProgress(0)
+        const result = await runShadowStudy(state, options, { onProgress: setProgress, signal: controller.signal })
+        if (controller.signal.aborted) return
+        runRef.current = null
+        setProgress(null)
+        setShadowStudy(result)
+        setStudyInputs({ entities: state.entities, siteLocation: state.siteLocation })
+    }
+    const handleCancel = () => {
+        runRef.current?.abort()
+        runRef.current = null
+        setProgress(null)
+    }
+
+    const inputStyle = {
+        color: 'var(--ui-text-primary)',
+        backgroundColor: 'var(--ui-bg-secondary)',
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        borderColor: 'var(--ui-border)',
+    }
+    const labelStyle = { color: 'var(--ui-text-secondary)' }
+    const numberInput = (key, props) => (
+        <input
+            type="number"
+            value={options[key]}
+            onChange={(e) => setOption(key, parseFloat(e.target.value) || 0)}
+            className="w-full text-xs rounded px-1 py-1 text-right focus:outline-none focus-ring-accent-1"
+            style={inputStyle}
+            {...props}
+        />
+    )
+    const multiDay = options.endDate > options.startDate
+
+    return (
+        <Section title="Shadow Study" icon={<Sun className="w-4 h-4" />} defaultOpen={false}>
+            {lotIds.length === 0 ? (
+                <p className="text-xs italic" style={{ color: 'var(--ui-text-muted)' }}>No lots available. Add a lot first.</p>
+            ) : (
+                <>
+                    {/* Site (edited in Site Location) */}
+                    <p className="text-[10px] mb-2" style={{ color: 'var(--ui-text-muted)' }}>
+                        Site: {preset?.name ?? `${siteLocation.latitude.toFixed(4)}, ${siteLocation.longitude.toFixed(4)}`}
+                        {' '}· UTC{siteLocation.utcOffset >= 0 ? '+' : ''}{siteLocation.utcOffset} · North {siteLocation.trueNorth}°
+                    </p>
+
+                    {/* Dates */}
+                    <div className="grid grid-cols-3 gap-1 mb-1">
+                        {SHADOW_DATE_PRESETS.map(({ label, monthDay }) => (
+                            <button
+                                key={label}
+                                onClick={() => setOptions(prev => ({ ...prev, startDate: `${year}-${monthDay}`, endDate: `${year}-${monthDay}` }))}
+                                className="text-[10px] py-0.5 rounded transition-colors hover-bg-secondary"
+                                style={{ color: 'var(--ui-text-secondary)', border: '1px solid var(--ui-border)' }}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="grid grid-cols-2 gap-1 mb-2">
+                        {[['startDate', 'From'], ['endDate', 'To']].map(([key, label]) => (
+                            <div key={key}>
+                                <label className="text-[10px] block mb-0.5" style={labelStyle}>{label}</label>
+                                <input
+                                    type="date"
+                                    value={options[key]}
+                                    onChange={(e) => e.target.value && setOption(key, e.target.value)}
+                                    className="w-full text-xs rounded px-1 py-1 focus:outline-none focus-ring-accent-1"
+                                    style={inputStyle}
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Time step & resolution */}
+                    <div className="grid grid-cols-3 gap-1 mb-2">
+                        <div>
+                            <label className="text-[10px] block mb-0.5" style={labelStyle}>Start (h)</label>
+                            {numberInput('startHour', { min: 0, max: 24, step: 0.5 })}
+                        </div>
+                        <div>
+                            <label className="text-[10px] block mb-0.5" style={labelStyle}>End (h)</label>
+                            {numberInput('endHour', { min: 0, max: 24, step: 0.5 })}
+                        </div>
+                        <div>
+                            <label className="text-[10px] block mb-0.5" style={labelStyle}>Step</label>
+                            <select
+                                value={options.stepMinutes}
+                                onChange={(e) => setOption('stepMinutes', Number(e.target.value))}
+                                className="w-full text-xs rounded px-1 py-1 focus:outline-none focus-ring-accent-1"
+                                style={inputStyle}
+                            >
+                                {SHADOW_STEP_OPTIONS.map(m => <option key={m} value={m}>{m} min</option>)}
+                            </select>
+                        </div>
+                        {multiDay && (
+                            <div>
+                                <label className="text-[10px] block mb-0.5" style={labelStyle}>Every (days)</label>
+                                {numberInput('dayStep', { min: 1, step: 1 })}
+                            </div>
+                        )}
+                        <div>
+                            <label className="text-[10px] block mb-0.5" style={labelStyle}>Cell (ft)</label>
+                            {numberInput('cellSize', { min: 0.5, step: 0.5 })}
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-1 mb-2">
+                        <button
+                            onClick={progress != null ? handleCancel : handleRun}
+                            disabled={progress == null && (!(options.endHour > options.startHour) || options.endDate < options.startDate)}
+                            className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors disabled:opacity-40"
+                            style={{
+                                backgroundColor: 'var(--ui-accent-muted)',
+                                border: '1px solid var(--ui-accent)',
+                                color: 'var(--ui-accent)',
+                            }}
+                        >
+                            {progress != null ? <X className="w-3 h-3" /> : <Sun className="w-3 h-3" />}
+                            {progress != null ? `Cancel (${Math.round(progress * 100)}%)` : 'Run Study'}
+                        </button>
+                        <button
+                            onClick={() => setShadowStudy(null)}
+                            disabled={!study || progress != null}
+                            className="flex items-center justify-center gap-1 text-[10px] py-1 rounded transition-colors hover-bg-secondary disabled:opacity-40"
+                            style={{ color: 'var(--ui-text-secondary)', border: '1px solid var(--ui-border)' }}
+                        >
+                            <X className="w-3 h-3" />
+                            Clear
+                        </button>
+                    </div>
+
+                    {study && (
+                        <div>
+                            {(studyInputs?.entities !== entities || studyInputs?.siteLocation !== siteLocation) && (
+                                <p className="text-[10px] mb-1" style={{ color: '#D64545' }}>The model or site changed since this study ran.</p>
+                            )}
+                            {study.samples.length === 0 ? (
+                                <p className="text-[10px] italic" style={{ color: 'var(--ui-text-muted)' }}>The sun is below the horizon for the whole study.</p>
+                            ) : (
+                                <>
+                                    <div className="flex items-center justify-between mb-1">
+                                        <span className="text-xs" style={labelStyle}>Show</span>
+                                        <select
+                                            value={frame ?? ''}
+                                            onChange={(e) => setShadowStudyFrame(e.target.value === '' ? null : Number(e.target.value))}
+                                            className="text-xs rounded px-1.5 py-0.5 focus:outline-none focus-ring-accent-1"
+                                            style={inputStyle}
+                                        >
+                                            <option value="">Cumulative shade</option>
+                                            {study.samples.map((s, i) => (
+                                                <option key={i} value={i}>
+                                                    {study.days > 1 ? `${s.date.slice(5)} ` : ''}{formatStudyHour(s.hour)}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    {frame == null && (
+                                        <div className="mb-2">
+                                            <div
+                                                className="h-2 rounded"
+                                                style={{ background: 'linear-gradient(to right, rgb(255,237,160), rgb(254,178,76), rgb(227,74,51), rgb(84,39,143))' }}
+                                            />
+                                            <div className="flex justify-between text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                                                <span>0 h</span>
+                                                <span>{study.maxHours.toFixed(1)} h of shade</span>
+                                            </div>
+                                        </div>
+                                    )}
+                                    <table className="w-full text-[10px] border-collapse">
+                                        <thead>
+                                            <tr style={{ borderBottom: '1px solid var(--ui-border)', color: 'var(--ui-text-secondary)' }}>
+                                                <th className="text-left font-medium py-0.5">Lot</th>
+                                                <th className="text-right font-medium py-0.5" title="Share of the lot shaded by other lots' buildings, averaged over the study">Shaded</th>
+                                                <th className="text-right font-medium py-0.5">Peak</th>
+                                                <th className="text-right font-medium py-0.5" title="Average hours of shade per sq ft">Hours</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {study.lots.map((l) => (
+                                                <tr key={l.lotId} style={{ borderBottom: '1px solid var(--ui-border)', color: 'var(--ui-text-primary)' }}>
+                                                    <td className="py-0.5">{lotIds.indexOf(l.lotId) + 1}</td>
+                                                    <td className="text-right py-0.5">{l.shadedPct.toFixed(1)}%</td>
+                                                    <td className="text-right py-0.5">{l.maxShadedPct.toFixed(1)}%</td>
+                                                    <td className="text-right py-0.5">{l.shadeHours.toFixed(1)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                    <p className="text-[10px] mt-1" style={{ color: 'var(--ui-text-muted)' }}>
+                                        Shade cast by buildings on other lots. {study.samples.length} sun positions over {study.days} day(s)
+                                        {study.dayStep > 1 ? `, every ${study.dayStep} days` : ''}; {study.sunHours.toFixed(1)} h of sun.
+                                    </p>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </Section>
+    )
+}
+
 // ============================================
 // SCENARIOS SECTION
 // ============================================
@@ -5717,6 +7274,7 @@ const DistrictParameterPanel = () => {
             <div className="p-2">
                 <ScenariosSection />
                 <ModelSetupSection />
+                <SiteLocationSection />
                 <LayersSection />
                 <AnnotationSettingsSection />
                 <DrawingLayersPanel />
@@ -5726,13 +7284,19 @@ const DistrictParameterPanel = () => {
                 <ModelParametersSection />
                 <StylesSection />
                 <DimensionStylesSection />
+                <ComplianceSection />
                 <AnalyticsSection />
+                <ShadowStudySection />
                 <BuildingRoofSection />
+                <MaxBuildoutSection />
+                <SubdivisionSection />
+                <LotConsolidationSection />
                 <ModelImportSection />
                 <RoadModulesSection />
                 <RoadModuleStylesSection />
                 <ViewsSection />
                 <BatchExportSection />
+                <SunPathExportSection />
             </div>
         </div>
     )
@@ -1,15 +1,22 @@
 import { useMemo, useCallback, useEffect } from 'react'
 import * as THREE from 'three'
 import { useThree } from '@react-three/fiber'
+import { Text } from '@react-three/drei'
 import { useStore } from '../store/useStore'
-import { useLotIds, useRoadModules, getLotData } from '../hooks/useEntityStore'
+import { useRoadModules, getLotData, useBlockLayout } from '../hooks/useEntityStore'
 import { useShallow } from 'zustand/react/shallow'
 import LotEntity, { computeTotalHeight } from './LotEntity'
 import RoadModule from './RoadModule'
+import AlignedRoadModule from './AlignedRoadModule'
 import RoadAnnotations from './RoadAnnotations'
 import RoadIntersectionFillet from './RoadIntersectionFillet'
 import DrawingEditor from './DrawingEditor'
+import ShadowStudyOverlay from './ShadowStudyOverlay'
 import { computeFilletOuterRadius, createNotchedRectShape } from '../utils/intersectionGeometry'
+import { hasAlignment, computeAlignedRoadNetwork, getAlignmentLabelFrame } from '../utils/roadAlignment'
+import { isAlleyRoad, hasCurbReturns } from '../utils/streetTypes'
+import { getLotBuildings } from '../utils/lotGeometry'
+import { worldToLot } from '../utils/blockLayout'
 
 // Direction rotation for annotation labels (matches RoadModule.jsx DIRECTION_ROTATION)
 const DIRECTION_ROTATION = {
@@ -29,6 +36,41 @@ const OriginMarker = () => (
     </mesh>
 )
 
+// ============================================
+// NorthArrow — compass needle turned to the
+// site's true north, placed right of the district
+// ============================================
+const NORTH_ARROW_SIZE = 12
+
+const northArrowShape = (() => {
+    const s = NORTH_ARROW_SIZE
+    const shape = new THREE.Shape()
+    shape.moveTo(0, s / 2)
+    shape.lineTo(s * 0.3, -s / 2)
+    shape.lineTo(0, -s * 0.25)
+    shape.lineTo(-s * 0.3, -s / 2)
+    shape.closePath()
+    return shape
+})()
+
+const NorthArrow = ({ position, trueNorth }) => (
+    <group position={position} rotation={[0, 0, -(trueNorth * Math.PI) / 180]}>
+        <mesh position={[0, 0, 0.1]}>
+            <shapeGeometry args={[northArrowShape]} />
+            <meshBasicMaterial color="#D64545" side={THREE.DoubleSide} />
+        </mesh>
+        <Text
+            position={[0, NORTH_ARROW_SIZE / 2 + 3, 0.1]}
+            fontSize={4}
+            color="#D64545"
+            anchorX="center"
+            anchorY="middle"
+        >
+            N
+        </Text>
+    </group>
+)
+
 // ============================================
 // GroundPlane — receives shadows, centered
 // ============================================
@@ -58,34 +100,25 @@ const GroundPlane = ({ style }) => {
 // Lots extend in negative X from origin (Lot 1 right edge at x=0).
 // Roads are rendered in canonical "front" orientation then rotated via direction prop.
 // Each road's span is extended to cover adjacent direction ROW areas so corners connect.
+// Roads with an alignment are swept along their own centerline instead and
+// only form intersections with other aligned roads.
 // ============================================
-const EntityRoadModules = ({ lotPositions }) => {
+const EntityRoadModules = ({ layout }) => {
     const roadModules = useRoadModules()
     const roadModuleStyles = useStore(state => state.roadModuleStyles)
+    const streetTypeLibrary = useStore(state => state.streetTypeLibrary)
     const exportLineScale = useStore(state => state.viewSettings.exportLineScale) || 1
     const layers = useStore(state => state.viewSettings.layers)
 
-    // Calculate lot row extents and per-direction ROW widths for road connections
-    const { totalExtentLeft, totalExtentRight, totalWidth, maxLotDepth, frontROW, rearROW, leftROW, rightROW } = useMemo(() => {
-        if (lotPositions.length === 0) return { totalExtentLeft: -100, totalExtentRight: 0, totalWidth: 100, maxLotDepth: 100, frontROW: 0, rearROW: 0, leftROW: 0, rightROW: 0 }
-
-        // Find the actual leftmost and rightmost edges across all lots
-        let left = Infinity, right = -Infinity
-        for (const lp of lotPositions) {
-            if (lp.leftEdge < left) left = lp.leftEdge
-            if (lp.rightEdge > right) right = lp.rightEdge
-        }
-        let maxD = 100
-        for (const lp of lotPositions) {
-            const lot = getLotData(lp.lotId)
-            const depth = lot?.lotDepth ?? 100
-            if (depth > maxD) maxD = depth
-        }
+    // Block extents (see blockLayout.js) and per-direction ROW widths for road connections
+    const { totalExtentLeft, totalExtentRight, totalWidth, maxLotDepth, acrossDepth, acrossTop, frontROW, rearROW, leftROW, rightROW } = useMemo(() => {
+        if (layout.placements.length === 0) return { totalExtentLeft: -100, totalExtentRight: 0, totalWidth: 100, maxLotDepth: 100, acrossDepth: 0, acrossTop: 0, frontROW: 0, rearROW: 0, leftROW: 0, rightROW: 0 }
+        const { left, right, depth, acrossDepth: acrossD, frontROW: acrossT } = layout.block
 
         // Compute ROW widths per direction from enabled roads
         let fROW = 0, rROW = 0, lROW = 0, rROW2 = 0
         for (const [, road] of Object.entries(roadModules)) {
-            if (!road.enabled) continue
+            if (!road.enabled || hasAlignment(road)) continue
             const row = road.rightOfWay || 0
             if (road.direction === 'front') fROW = Math.max(fROW, row)
             if (road.direction === 'rear') rROW = Math.max(rROW, row)
@@ -93,19 +126,29 @@ const EntityRoadModules = ({ lotPositions }) => {
             if (road.direction === 'right') rROW2 = Math.max(rROW2, row)
         }
 
-        return { totalExtentLeft: left, totalExtentRight: right, totalWidth: right - left, maxLotDepth: maxD, frontROW: fROW, rearROW: rROW, leftROW: lROW, rightROW: rROW2 }
-    }, [lotPositions, roadModules])
+        return { totalExtentLeft: left, totalExtentRight: right, totalWidth: right - left, maxLotDepth: depth, acrossDepth: acrossD, acrossTop: acrossT, frontROW: fROW, rearROW: rROW, leftROW: lROW, rightROW: rROW2 }
+    }, [layout, roadModules])
 
     // Build a lookup of enabled roads by direction for fillet computation
     // NOTE: All hooks must be called before any early returns (React Rules of Hooks)
     const roadsByDir = useMemo(() => {
         const byDir = {}
         for (const [, road] of Object.entries(roadModules)) {
-            if (road.enabled) byDir[road.direction] = road
+            if (road.enabled && !hasAlignment(road)) byDir[road.direction] = road
         }
         return byDir
     }, [roadModules])
 
+    // Swept bands and angled junctions of roads that follow their own centerline
+    const alignedNetwork = useMemo(
+        () => computeAlignedRoadNetwork(roadModules, streetTypeLibrary),
+        [roadModules, streetTypeLibrary]
+    )
+    const junctionFills = useMemo(() => alignedNetwork.junctions.map(junction => ({
+        key: junction.key,
+        shape: new THREE.Shape(junction.fillPoints.map(p => new THREE.Vector2(p.x, p.y))),
+    })), [alignedNetwork])
+
     // Generate all 4 fillet sub-corners for each intersection between perpendicular roads.
     // Each intersection has: lot corner (toward×toward), far-B (toward×away),
     // far-A (away×toward), and far corner (away×away).
@@ -131,11 +174,9 @@ const EntityRoadModules = ({ lotPositions }) => {
         for (const { dirA, dirB, lotPos } of pairs) {
             if (!roadsByDir[dirA] || !roadsByDir[dirB]) continue
 
-            // Suppress fillets at alley (S3) intersections — alleys meet cross
-            // streets at 90-degree angles with no curb returns
-            const typeA = roadsByDir[dirA].type || 'S1'
-            const typeB = roadsByDir[dirB].type || 'S1'
-            if (typeA === 'S3' || typeB === 'S3') continue
+            // Suppress fillets at alley and no-fillet street types — these meet
+            // cross streets at 90-degree angles with no curb returns
+            if (!hasCurbReturns(roadsByDir[dirA], streetTypeLibrary) || !hasCurbReturns(roadsByDir[dirB], streetTypeLibrary)) continue
 
             const oA = getOffset(dirA)
             const oB = getOffset(dirB)
@@ -151,7 +192,7 @@ const EntityRoadModules = ({ lotPositions }) => {
             corners.push({ key: `${pairName}-aa`, corner: `${flipA(dirA)}-${flipB(dirB)}`, dirA, dirB, pos: [lotPos[0] + oA.dx + oB.dx, lotPos[1] + oA.dy + oB.dy], sideA: 'left', sideB: 'left' })
         }
         return corners
-    }, [totalExtentLeft, totalExtentRight, maxLotDepth, frontROW, rearROW, leftROW, rightROW, roadsByDir])
+    }, [totalExtentLeft, totalExtentRight, maxLotDepth, frontROW, rearROW, leftROW, rightROW, roadsByDir, streetTypeLibrary])
 
     // Compute intersection fill rectangles — one per perpendicular road pair.
     // Each rectangle covers the full ROW × ROW overlap area at z=0.04
@@ -167,11 +208,13 @@ const EntityRoadModules = ({ lotPositions }) => {
         const rects = []
         for (const { dirA, dirB, corner } of pairs) {
             if (!roadsByDir[dirA] || !roadsByDir[dirB]) continue
-            // Suppress intersection fill at S3 (alley) corners — the dominant
+            // Suppress intersection fill at alley corners — the dominant
             // road's extended zone bands cover the corner area instead
-            if ((roadsByDir[dirA].type || 'S1') === 'S3' || (roadsByDir[dirB].type || 'S1') === 'S3') continue
+            if (isAlleyRoad(roadsByDir[dirA], streetTypeLibrary) || isAlleyRoad(roadsByDir[dirB], streetTypeLibrary)) continue
             const roadA = roadsByDir[dirA]
             const roadB = roadsByDir[dirB]
+            // No-fillet street types keep a square fill (no notches)
+            const filleted = hasCurbReturns(roadA, streetTypeLibrary) && hasCurbReturns(roadB, streetTypeLibrary)
             const rowA = roadA.rightOfWay || 0
             const rowB = roadB.rightOfWay || 0
             let x, y, w, h
@@ -188,10 +231,10 @@ const EntityRoadModules = ({ lotPositions }) => {
                 // Compute fillet outer radius at each sub-corner of this intersection rect.
                 // Sub-corners: tt = toward A × toward B, ta = toward A × away B,
                 //              at = away A × toward B, aa = away A × away B
-                const rTT = computeFilletOuterRadius(roadA, roadB, 'right', 'right')
-                const rTA = computeFilletOuterRadius(roadA, roadB, 'right', 'left')
-                const rAT = computeFilletOuterRadius(roadA, roadB, 'left', 'right')
-                const rAA = computeFilletOuterRadius(roadA, roadB, 'left', 'left')
+                const rTT = filleted ? computeFilletOuterRadius(roadA, roadB, 'right', 'right') : 0
+                const rTA = filleted ? computeFilletOuterRadius(roadA, roadB, 'right', 'left') : 0
+                const rAT = filleted ? computeFilletOuterRadius(roadA, roadB, 'left', 'right') : 0
+                const rAA = filleted ? computeFilletOuterRadius(roadA, roadB, 'left', 'left') : 0
 
                 // Map sub-corners to rect corners (topLeft/topRight/bottomLeft/bottomRight)
                 // based on which intersection position this is
@@ -217,9 +260,9 @@ const EntityRoadModules = ({ lotPositions }) => {
             }
         }
         return rects
-    }, [totalExtentLeft, totalExtentRight, maxLotDepth, roadsByDir])
+    }, [totalExtentLeft, totalExtentRight, maxLotDepth, roadsByDir, streetTypeLibrary])
 
-    // Alley fill rects — small connector rectangles at S3 corners, spanning only
+    // Alley fill rects — small connector rectangles at alley corners, spanning only
     // the perpendicular road's sidewalk+verge strip (lot boundary to curb line).
     const alleyFillRects = useMemo(() => {
         const pairs = [
@@ -231,51 +274,51 @@ const EntityRoadModules = ({ lotPositions }) => {
         const rects = []
         for (const { dirA, dirB, corner } of pairs) {
             if (!roadsByDir[dirA] || !roadsByDir[dirB]) continue
-            const typeA = roadsByDir[dirA].type || 'S1'
-            const typeB = roadsByDir[dirB].type || 'S1'
-            const s3Road = typeA === 'S3' ? roadsByDir[dirA] : typeB === 'S3' ? roadsByDir[dirB] : null
-            const perpRoad = typeA === 'S3' ? roadsByDir[dirB] : typeB === 'S3' ? roadsByDir[dirA] : null
-            const s3Dir = typeA === 'S3' ? dirA : typeB === 'S3' ? dirB : null
-            const perpDir = typeA === 'S3' ? dirB : typeB === 'S3' ? dirA : null
-            if (!s3Road || !perpRoad) continue
-
-            const sROW = s3Road.rightOfWay || 20
-            const sRW = s3Road.roadWidth || 16
+            const alleyA = isAlleyRoad(roadsByDir[dirA], streetTypeLibrary)
+            const alleyB = isAlleyRoad(roadsByDir[dirB], streetTypeLibrary)
+            const alleyRoad = alleyA ? roadsByDir[dirA] : alleyB ? roadsByDir[dirB] : null
+            const perpRoad = alleyA ? roadsByDir[dirB] : alleyB ? roadsByDir[dirA] : null
+            const alleyDir = alleyA ? dirA : alleyB ? dirB : null
+            const perpDir = alleyA ? dirB : alleyB ? dirA : null
+            if (!alleyRoad || !perpRoad) continue
+
+            const sROW = alleyRoad.rightOfWay || 20
+            const sRW = alleyRoad.roadWidth || 16
             const inset = (sROW - sRW) / 2
             const perpROW = perpRoad.rightOfWay || 50
             const perpRW = perpRoad.roadWidth || 24
             const perpInset = (perpROW - perpRW) / 2 // sidewalk+verge width (13' for S1)
 
             let cx, cy, w, h
-            if (s3Dir === 'rear' && perpDir === 'left') {
+            if (alleyDir === 'rear' && perpDir === 'left') {
                 cx = corner[0] - perpInset / 2
                 cy = corner[1] + inset + sRW / 2
                 w = perpInset; h = sRW
-            } else if (s3Dir === 'rear' && perpDir === 'right') {
+            } else if (alleyDir === 'rear' && perpDir === 'right') {
                 cx = corner[0] + perpInset / 2
                 cy = corner[1] + inset + sRW / 2
                 w = perpInset; h = sRW
-            } else if (s3Dir === 'front' && perpDir === 'left') {
+            } else if (alleyDir === 'front' && perpDir === 'left') {
                 cx = corner[0] - perpInset / 2
                 cy = corner[1] - inset - sRW / 2
                 w = perpInset; h = sRW
-            } else if (s3Dir === 'front' && perpDir === 'right') {
+            } else if (alleyDir === 'front' && perpDir === 'right') {
                 cx = corner[0] + perpInset / 2
                 cy = corner[1] - inset - sRW / 2
                 w = perpInset; h = sRW
-            } else if (s3Dir === 'left' && perpDir === 'front') {
+            } else if (alleyDir === 'left' && perpDir === 'front') {
                 cx = corner[0] - inset - sRW / 2
                 cy = corner[1] - perpInset / 2
                 w = sRW; h = perpInset
-            } else if (s3Dir === 'left' && perpDir === 'rear') {
+            } else if (alleyDir === 'left' && perpDir === 'rear') {
                 cx = corner[0] - inset - sRW / 2
                 cy = corner[1] + perpInset / 2
                 w = sRW; h = perpInset
-            } else if (s3Dir === 'right' && perpDir === 'front') {
+            } else if (alleyDir === 'right' && perpDir === 'front') {
                 cx = corner[0] + inset + sRW / 2
                 cy = corner[1] - perpInset / 2
                 w = sRW; h = perpInset
-            } else if (s3Dir === 'right' && perpDir === 'rear') {
+            } else if (alleyDir === 'right' && perpDir === 'rear') {
                 cx = corner[0] + inset + sRW / 2
                 cy = corner[1] + perpInset / 2
                 w = sRW; h = perpInset
@@ -285,7 +328,7 @@ const EntityRoadModules = ({ lotPositions }) => {
             }
         }
         return rects
-    }, [totalExtentLeft, totalExtentRight, maxLotDepth, roadsByDir])
+    }, [totalExtentLeft, totalExtentRight, maxLotDepth, roadsByDir, streetTypeLibrary])
 
     if (!roadModuleStyles) return null
 
@@ -298,6 +341,18 @@ const EntityRoadModules = ({ lotPositions }) => {
                     {roadEntries.map(([roadId, road]) => {
                         if (!road.enabled) return null
 
+                        if (hasAlignment(road)) {
+                            return (
+                                <AlignedRoadModule
+                                    key={roadId}
+                                    roadModule={road}
+                                    sweep={alignedNetwork.sweeps[roadId]}
+                                    styles={roadModuleStyles}
+                                    lineScale={exportLineScale}
+                                />
+                            )
+                        }
+
                         const dir = road.direction || 'front'
 
                         let spanWidth, posX, posY
@@ -323,11 +378,11 @@ const EntityRoadModules = ({ lotPositions }) => {
                             posY = 0
                         }
 
-                        // Extend non-S3 roads through perpendicular S3 (alley) roads
+                        // Extend non-alley roads through perpendicular alley roads
                         // so the dominant road's zone bands continue through the alley area
-                        const ownType = road.type || 'S1'
-                        const _isS3 = (r) => (r?.type || 'S1') === 'S3'
-                        if (ownType !== 'S3') {
+                        const isAlley = (r) => isAlleyRoad(r, streetTypeLibrary)
+                        const isOwnAlley = isAlley(road)
+                        if (!isOwnAlley) {
                             // perpLeft/perpRight = the perpendicular road at each end of this road
                             const perpLeft = dir === 'front' ? roadsByDir.left
                                            : dir === 'rear' ? roadsByDir.right
@@ -337,7 +392,7 @@ const EntityRoadModules = ({ lotPositions }) => {
                                             : dir === 'rear' ? roadsByDir.left
                                             : dir === 'left' ? roadsByDir.front
                                             : roadsByDir.rear
-                            if (perpLeft && _isS3(perpLeft)) {
+                            if (perpLeft && isAlley(perpLeft)) {
                                 const perpROW = perpLeft.rightOfWay || 0
                                 spanWidth += perpROW
                                 if (dir === 'front') posX -= perpROW
@@ -345,42 +400,61 @@ const EntityRoadModules = ({ lotPositions }) => {
                                 else if (dir === 'left') posY += perpROW
                                 else if (dir === 'right') posY -= perpROW
                             }
-                            if (perpRight && _isS3(perpRight)) {
+                            if (perpRight && isAlley(perpRight)) {
                                 spanWidth += (perpRight.rightOfWay || 0)
                             }
                         }
 
                         // Suppress end lines at perpendicular road intersections.
-                        // At S3 corners, non-S3 roads extend through (keep end lines);
-                        // S3 roads always suppress ends at cross-streets.
-                        const isOwnS3 = ownType === 'S3'
+                        // At alley corners, non-alley roads extend through (keep end lines);
+                        // alley roads always suppress ends at cross-streets.
                         let suppressLeftEnd = false, suppressRightEnd = false
                         if (dir === 'front') {
-                            suppressLeftEnd = !!roadsByDir.left && (isOwnS3 || !_isS3(roadsByDir.left))
-                            suppressRightEnd = !!roadsByDir.right && (isOwnS3 || !_isS3(roadsByDir.right))
+                            suppressLeftEnd = !!roadsByDir.left && (isOwnAlley || !isAlley(roadsByDir.left))
+                            suppressRightEnd = !!roadsByDir.right && (isOwnAlley || !isAlley(roadsByDir.right))
                         } else if (dir === 'rear') {
-                            suppressLeftEnd = !!roadsByDir.right && (isOwnS3 || !_isS3(roadsByDir.right))
-                            suppressRightEnd = !!roadsByDir.left && (isOwnS3 || !_isS3(roadsByDir.left))
+                            suppressLeftEnd = !!roadsByDir.right && (isOwnAlley || !isAlley(roadsByDir.right))
+                            suppressRightEnd = !!roadsByDir.left && (isOwnAlley || !isAlley(roadsByDir.left))
                         } else if (dir === 'left') {
-                            suppressLeftEnd = !!roadsByDir.rear && (isOwnS3 || !_isS3(roadsByDir.rear))
-                            suppressRightEnd = !!roadsByDir.front && (isOwnS3 || !_isS3(roadsByDir.front))
+                            suppressLeftEnd = !!roadsByDir.rear && (isOwnAlley || !isAlley(roadsByDir.rear))
+                            suppressRightEnd = !!roadsByDir.front && (isOwnAlley || !isAlley(roadsByDir.front))
                         } else if (dir === 'right') {
-                            suppressLeftEnd = !!roadsByDir.front && (isOwnS3 || !_isS3(roadsByDir.front))
-                            suppressRightEnd = !!roadsByDir.rear && (isOwnS3 || !_isS3(roadsByDir.rear))
+                            suppressLeftEnd = !!roadsByDir.front && (isOwnAlley || !isAlley(roadsByDir.front))
+                            suppressRightEnd = !!roadsByDir.rear && (isOwnAlley || !isAlley(roadsByDir.rear))
                         }
 
+                        // Side streets run on past the front street alongside the lots across it;
+                        // the far-side fillets of the front corners already round that crossing
+                        const acrossSpan = (dir === 'left' || dir === 'right') && acrossDepth > 0
+
                         return (
-                            <group key={roadId} position={[posX, posY, isOwnS3 ? 0.042 : 0]}>
-                                <RoadModule
-                                    lotWidth={spanWidth}
-                                    roadModule={road}
-                                    styles={roadModuleStyles}
-                                    model="proposed"
-                                    direction={dir}
-                                    lineScale={exportLineScale}
-                                    suppressLeftEnd={suppressLeftEnd}
-                                    suppressRightEnd={suppressRightEnd}
-                                />
+                            <group key={roadId}>
+                                <group position={[posX, posY, isOwnAlley ? 0.042 : 0]}>
+                                    <RoadModule
+                                        lotWidth={spanWidth}
+                                        roadModule={road}
+                                        styles={roadModuleStyles}
+                                        model="proposed"
+                                        direction={dir}
+                                        lineScale={exportLineScale}
+                                        suppressLeftEnd={suppressLeftEnd}
+                                        suppressRightEnd={suppressRightEnd}
+                                    />
+                                </group>
+                                {acrossSpan && (
+                                    <group position={[posX, dir === 'left' ? -acrossTop : -acrossTop - acrossDepth, isOwnAlley ? 0.042 : 0]}>
+                                        <RoadModule
+                                            lotWidth={acrossDepth}
+                                            roadModule={road}
+                                            styles={roadModuleStyles}
+                                            model="proposed"
+                                            direction={dir}
+                                            lineScale={exportLineScale}
+                                            suppressLeftEnd={dir === 'left' && !!roadsByDir.front}
+                                            suppressRightEnd={dir === 'right' && !!roadsByDir.front}
+                                        />
+                                    </group>
+                                )}
                             </group>
                         )
                     })}
@@ -438,6 +512,43 @@ const EntityRoadModules = ({ lotPositions }) => {
                             roadWidthStyle={roadModuleStyles.roadWidth}
                         />
                     ))}
+
+                    {/* Aligned road junctions: fill under the crossing, angled fillets at each corner */}
+                    {(layers.roadIntersections !== false) && junctionFills.map(fill => {
+                        const intColor = roadModuleStyles.intersectionFill?.fillColor ?? roadModuleStyles.roadWidth?.fillColor ?? '#666666'
+                        const intOpacity = roadModuleStyles.intersectionFill?.fillOpacity ?? roadModuleStyles.roadWidth?.fillOpacity ?? 1.0
+                        return (
+                            <mesh key={fill.key} position={[0, 0, 0.04]} renderOrder={1}>
+                                <shapeGeometry args={[fill.shape]} />
+                                <meshStandardMaterial
+                                    color={intColor}
+                                    opacity={intOpacity}
+                                    transparent={intOpacity < 1}
+                                    side={THREE.FrontSide}
+                                    depthWrite={intOpacity >= 0.95}
+                                    roughness={1}
+                                    metalness={0}
+                                />
+                            </mesh>
+                        )
+                    })}
+
+                    {(layers.roadIntersections !== false) && alignedNetwork.junctions.map(junction =>
+                        junction.corners.filter(c => c.radius > 0).map(c => (
+                            <RoadIntersectionFillet
+                                key={`${junction.key}-${c.sa}-${c.sb}`}
+                                roadA={roadModules[junction.roadIdA]}
+                                roadB={roadModules[junction.roadIdB]}
+                                corner={c.angles}
+                                cornerPosition={[c.position.x, c.position.y]}
+                                styles={roadModuleStyles}
+                                lineScale={exportLineScale}
+                                sideA={c.sideA}
+                                sideB={c.sideB}
+                                roadWidthStyle={roadModuleStyles.roadWidth}
+                            />
+                        ))
+                    )}
                 </>
 
             {/* Road annotation labels */}
@@ -445,6 +556,22 @@ const EntityRoadModules = ({ lotPositions }) => {
                 if (!road.enabled) return null
                 const dir = road.direction || 'front'
 
+                if (hasAlignment(road)) {
+                    const frame = alignedNetwork.sweeps[roadId] && getAlignmentLabelFrame(alignedNetwork.sweeps[roadId].centerline, road.rightOfWay ?? 50)
+                    if (!frame) return null
+                    return (
+                        <group key={`annot-${roadId}`} position={frame.position} rotation={frame.rotation}>
+                            <RoadAnnotations
+                                roadId={roadId}
+                                road={road}
+                                spanWidth={frame.spanWidth}
+                                lineScale={exportLineScale}
+                                direction={dir}
+                            />
+                        </group>
+                    )
+                }
+
                 let spanWidth, posX, posY
                 if (dir === 'front') {
                     spanWidth = totalWidth; posX = totalExtentLeft; posY = 0
@@ -490,50 +617,28 @@ const MoveModeCapturePlane = () => {
     const plane = useMemo(() => new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), [])
     const planeIntersectPoint = useMemo(() => new THREE.Vector3(), [])
 
-    // Get lot offset for building position calculation
-    const lotIds = useLotIds()
-    const lotDimsKey = useStore((state) => {
-        const order = state.entityOrder ?? []
-        const lots = state.entities?.lots ?? {}
-        return order.map(id => {
-            const lot = lots[id]
-            return `${lot?.lotWidth ?? 50}:${lot?.lotDepth ?? 100}`
-        }).join(',')
-    })
-    const lotPositions = useMemo(() => {
-        const positions = {}
-        let negOffset = 0
-        for (let i = 0; i < lotIds.length; i++) {
-            const lot = getLotData(lotIds[i])
-            const lotWidth = lot?.lotWidth ?? 50
-            const lotDepth = lot?.lotDepth ?? 100
-            if (i === 0) {
-                positions[lotIds[i]] = { x: lotWidth / 2, y: lotDepth / 2 }
-            } else {
-                negOffset -= lotWidth
-                positions[lotIds[i]] = { x: negOffset + lotWidth / 2, y: lotDepth / 2 }
-            }
-        }
-        return positions
-    }, [lotIds, lotDimsKey])
+    // Lot placements for converting the pointer into lot-local coordinates
+    const { placements } = useBlockLayout()
+    const lotPositions = useMemo(() => Object.fromEntries(placements.map(p => [p.lotId, p])), [placements])
 
     const handlePointerMove = useCallback((e) => {
         if (!moveMode?.active || moveMode.phase !== 'moving' || !moveMode.basePoint) return
         e.stopPropagation()
         if (!e.ray.intersectPlane(plane, planeIntersectPoint)) return
 
+        const lotPos = lotPositions[moveMode.targetLotId] ?? { x: 0, y: 0, rotation: 0 }
         if (moveMode.targetType === 'building') {
-            const lotPos = lotPositions[moveMode.targetLotId] ?? { x: 0, y: 0 }
-            const localX = planeIntersectPoint.x - lotPos.x
-            const localY = planeIntersectPoint.y - lotPos.y
-            const dx = localX - moveMode.basePoint[0]
-            const dy = localY - moveMode.basePoint[1]
+            const local = worldToLot(planeIntersectPoint.x, planeIntersectPoint.y, lotPos.x, lotPos.y, lotPos.rotation)
+            const dx = local.x - moveMode.basePoint[0]
+            const dy = local.y - moveMode.basePoint[1]
             const newX = Math.round((moveMode.originalPosition?.[0] ?? 0) + dx)
             const newY = Math.round((moveMode.originalPosition?.[1] ?? 0) + dy)
-            setEntityBuildingPosition(moveMode.targetLotId, moveMode.targetBuildingType, newX, newY)
+            setEntityBuildingPosition(moveMode.targetLotId, moveMode.targetBuildingId, newX, newY)
         } else if (moveMode.targetType === 'lotAccessArrow') {
-            const dx = planeIntersectPoint.x - moveMode.basePoint[0]
-            const dy = planeIntersectPoint.y - moveMode.basePoint[1]
+            // Base point is in the lot frame's axes (see LotAccessArrow)
+            const point = worldToLot(planeIntersectPoint.x, planeIntersectPoint.y, 0, 0, lotPos.rotation)
+            const dx = point.x - moveMode.basePoint[0]
+            const dy = point.y - moveMode.basePoint[1]
             const newPos = [
                 (moveMode.originalPosition?.[0] ?? 0) + dx,
                 (moveMode.originalPosition?.[1] ?? 0) + dy,
@@ -564,98 +669,27 @@ const MoveModeCapturePlane = () => {
 
 // ============================================
 // DistrictSceneContent — iterates entityOrder
-// and renders LotEntity for each lot, positioned
-// in a row along the X axis with spacing.
+// and renders LotEntity for each lot, placed
+// around the block by the block layout.
 // ============================================
 const DistrictSceneContent = () => {
-    const lotIds = useLotIds()
-    const lotDimsKey = useStore((state) => {
-        const order = state.entityOrder ?? []
-        const lots = state.entities?.lots ?? {}
-        return order.map(id => {
-            const lot = lots[id]
-            return `${lot?.lotWidth ?? 50}:${lot?.lotDepth ?? 100}`
-        }).join(',')
-    })
     const layers = useStore(useShallow(state => state.viewSettings.layers))
     const groundStyle = useStore(useShallow(state => state.viewSettings.styleSettings?.ground))
     const roadModulesState = useStore(state => state.entities?.roadModules ?? {})
 
-    // Calculate lot positions: Lot 1 extends in positive X from origin,
-    // Lots 2+ extend in negative X from origin. Origin (0,0) = front-left corner of Lot 1.
-    const lotPositions = useMemo(() => {
-        const LOT_SPACING = 0 // lots are adjacent (touching)
-        const positions = []
-        let negOffset = 0 // tracks negative X accumulation for lots 2+
-
-        for (let i = 0; i < lotIds.length; i++) {
-            const lotId = lotIds[i]
-            const lot = getLotData(lotId)
-            const lotWidth = lot?.lotWidth ?? 50
-
-            if (i === 0) {
-                // Lot 1: extends in positive X from origin
-                positions.push({
-                    lotId,
-                    offset: 0,
-                    leftEdge: 0,
-                    rightEdge: lotWidth,
-                })
-            } else {
-                // Lots 2+: extend in negative X from origin
-                negOffset -= lotWidth
-                positions.push({
-                    lotId,
-                    offset: negOffset,
-                    leftEdge: negOffset,
-                    rightEdge: negOffset + lotWidth,
-                })
-                negOffset -= LOT_SPACING
-            }
-        }
-
-        return positions
-    }, [lotIds, lotDimsKey])
-
-    // Derive active road directions from actual enabled road modules
-    // (not from modelSetup.streetEdges, which can desync during undo/redo)
-    const activeRoadDirs = useMemo(() => {
-        const dirs = { front: false, left: false, right: false, rear: false }
-        for (const road of Object.values(roadModulesState)) {
-            if (road.enabled) dirs[road.direction] = true
-        }
-        return dirs
-    }, [roadModulesState])
-
-    // Compute per-lot street sides for setback line placement.
-    // Street-facing sides use minSideStreet; interior sides use sideInterior.
-    // Lot 1 (index 0, rightmost) may face a right road; last lot (leftmost) may face a left road.
-    const lotStreetSides = useMemo(() => {
-        return lotPositions.map((_, index) => {
-            const isFirst = index === 0
-            const isLast = index === lotPositions.length - 1
-            const isOnly = lotPositions.length === 1
-            return {
-                left: isOnly ? activeRoadDirs.left : isLast ? activeRoadDirs.left : false,
-                right: isOnly ? activeRoadDirs.right : isFirst ? activeRoadDirs.right : false,
-            }
-        })
-    }, [lotPositions, activeRoadDirs])
+    // Place lots around the block from each lot's block face (see blockLayout.js).
+    // Front lots keep the original row: Lot 1 extends in positive X from origin,
+    // later lots in negative X. Origin (0,0) = front-left corner of Lot 1.
+    // Street sides per lot come from the same layout (setback lines, sight triangles).
+    const layout = useBlockLayout()
 
     // Publish scene bounds for dynamic camera fitting
     const setSceneBounds = useStore((s) => s.setSceneBounds)
     useEffect(() => {
-        if (lotPositions.length === 0) return
+        if (layout.placements.length === 0) return
         // Get road ROWs from EntityRoadModules memo data
         let fROW = 0, rROW = 0, lROW = 0, rROW2 = 0
-        let left = Infinity, right = -Infinity, maxD = 0
-        for (const lp of lotPositions) {
-            if (lp.leftEdge < left) left = lp.leftEdge
-            if (lp.rightEdge > right) right = lp.rightEdge
-            const lot = getLotData(lp.lotId)
-            const depth = lot?.lotDepth ?? 100
-            if (depth > maxD) maxD = depth
-        }
+        const { left, right, depth, acrossDepth } = layout.block
         for (const road of Object.values(roadModulesState)) {
             if (!road.enabled) continue
             const row = road.rightOfWay || 0
@@ -666,20 +700,22 @@ const DistrictSceneContent = () => {
         }
         const minX = left - lROW
         const maxX = right + rROW2
-        const minY = -fROW
-        const maxY = maxD + rROW
+        const minY = -fROW - acrossDepth
+        const maxY = depth + rROW
         let maxZ = 0
-        for (const lp of lotPositions) {
-            const lot = getLotData(lp.lotId)
-            if (lot?.buildings?.principal) maxZ = Math.max(maxZ, computeTotalHeight(lot.buildings.principal))
-            if (lot?.buildings?.accessory) maxZ = Math.max(maxZ, computeTotalHeight(lot.buildings.accessory))
+        for (const { lotId } of layout.placements) {
+            const lot = getLotData(lotId)
+            for (const b of getLotBuildings(lot)) maxZ = Math.max(maxZ, computeTotalHeight(b))
         }
         maxZ = Math.max(maxZ, 20)
         setSceneBounds({ minX, maxX, minY, maxY, maxZ })
-    }, [lotPositions, roadModulesState, setSceneBounds])
+    }, [layout, roadModulesState, setSceneBounds])
 
     // Move mode state
     const moveMode = useStore((s) => s.moveMode)
+    const hasShadowStudy = useStore((s) => s.shadowStudy != null)
+    const sceneBounds = useStore((s) => s.sceneBounds)
+    const trueNorth = useStore((s) => s.siteLocation?.trueNorth ?? 0)
 
     return (
         <group>
@@ -689,14 +725,22 @@ const DistrictSceneContent = () => {
             {/* Origin marker */}
             {layers.origin && <OriginMarker />}
 
+            {/* North arrow */}
+            {layers.northArrow && sceneBounds && (
+                <NorthArrow position={[sceneBounds.maxX + NORTH_ARROW_SIZE * 1.5, NORTH_ARROW_SIZE, 0]} trueNorth={trueNorth} />
+            )}
+
             {/* Lot entities */}
-            {lotPositions.map(({ lotId, offset }, index) => (
-                <LotEntity key={lotId} lotId={lotId} offset={offset} lotIndex={index + 1} streetSides={lotStreetSides[index]} />
+            {layout.placements.map((placement) => (
+                <LotEntity key={placement.lotId} lotId={placement.lotId} lotIndex={placement.index + 1} placement={placement} />
             ))}
 
+            {/* Shadow study heat map / hourly shadows */}
+            {layers.shadowStudy && hasShadowStudy && <ShadowStudyOverlay />}
+
             {/* Road modules from entity system */}
             {layers.roadModule && (
-                <EntityRoadModules lotPositions={lotPositions} />
+                <EntityRoadModules layout={layout} />
             )}
 
             {/* Drawing editor — markup objects on ground plane */}
@@ -172,6 +172,8 @@ const DistrictViewer = () => {
                         <option value="dae">DAE (SketchUp)</option>
                         <option value="dxf">DXF (AutoCAD)</option>
                         <option value="ifc">IFC (BIM)</option>
+                        <option value="geojson">GeoJSON (GIS, WGS84)</option>
+                        <option value="geojsonLocal">GeoJSON (Local Feet)</option>
                         <option disabled>──────────</option>
                         <option value="png">PNG (Image)</option>
                         <option value="jpg">JPG (Image)</option>
@@ -4,6 +4,8 @@ import { useStore } from '../store/useStore'
 import { OBJExporter, GLTFExporter, ColladaExporter } from 'three-stdlib'
 import * as THREE from 'three'
 import { generateIFC, generateDistrictIFC } from '../utils/ifcGenerator'
+import { generateDXF, generateDistrictDXF } from '../utils/dxfGenerator'
+import { generateDistrictGeoJSON } from '../utils/geojson'
 import {
     generateStarPoints,
     generateRegularPolygonPoints,
@@ -11,6 +13,7 @@ import {
 } from '../utils/drawingGeometry'
 import * as api from '../services/api'
 import JSZip from 'jszip'
+import { encodeGif } from '../utils/gifEncoder'
 import { buildViewSnapshot, applyViewSnapshot, CAMERA_VIEWS, RESOLUTION_PRESETS, buildExportLabel, sanitizeExportName } from './DistrictParameterPanel'
 import { useShallow } from 'zustand/react/shallow'
 
@@ -26,6 +29,22 @@ function buildSingleExportName(ext) {
     return `${sanitizeFilename(scenario)}_${date}.${ext}`
 }
 
+/**
+ * Downscale a captured frame onto a white background for the animated GIF.
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function captureGifFrame(source, width) {
+    const height = Math.round(width * source.height / source.width)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, width, height)
+    ctx.drawImage(source, 0, 0, width, height)
+    return { data: ctx.getImageData(0, 0, width, height).data, width, height }
+}
+
 /**
  * Override onBeforeRender on all Line2 instances to force a specific resolution.
  * Returns a restore function that puts back the original callbacks.
@@ -159,6 +178,8 @@ const Exporter = ({ target, cameraControlsRef }) => {
     const zipRef = useRef(null)
     const savedLayersRef = useRef(null)
     const batchProcessingRef = useRef(false)
+    const zipSuffixRef = useRef('batch')
+    const gifRef = useRef(null) // { width, delay, name, frames } while a sun-path GIF is collected
 
     useEffect(() => {
         if (exportRequested) {
@@ -325,7 +346,19 @@ const Exporter = ({ target, cameraControlsRef }) => {
                         const tempGroup = new THREE.Group()
                         objectToExport.updateMatrixWorld(true)
 
+                        const instanceMatrix = new THREE.Matrix4()
                         objectToExport.traverse((child) => {
+                            // Instanced meshes (street furniture): one mesh per instance
+                            if (child.isInstancedMesh) {
+                                for (let i = 0; i < child.count; i++) {
+                                    child.getMatrixAt(i, instanceMatrix)
+                                    const instance = new THREE.Mesh(child.geometry, child.material)
+                                    instance.matrix.multiplyMatrices(child.matrixWorld, instanceMatrix)
+                                    instance.matrix.decompose(instance.position, instance.quaternion, instance.scale)
+                                    tempGroup.add(instance)
+                                }
+                                return
+                            }
                             // Whitelist: standard geometry types for 3D export
                             if (child.isMesh) {
                                 const type = child.geometry?.type
@@ -362,9 +395,34 @@ const Exporter = ({ target, cameraControlsRef }) => {
                             saveOrDownload(result.data, 'zoning-model.dae', 'application/xml', false, projectId, showToast)
 
                         } else if (exportFormat === 'dxf') {
-                            // DXF operates on the Three.js scene graph + drawing objects
-                            const { drawingObjects: dxfDrawObjs, drawingLayers: dxfDrawLayers } = useStore.getState()
-                            const dxfString = generateDXF(tempGroup, dxfDrawObjs, dxfDrawLayers)
+                            // DXF export is a plan view built from the store, like IFC
+                            const state = useStore.getState()
+                            const dxfOptions = {
+                                layers: state.viewSettings.layers,
+                                dimensionSettings: state.viewSettings.styleSettings?.dimensionSettings,
+                                drawingObjects: state.drawingObjects,
+                                drawingLayers: state.drawingLayers,
+                            }
+                            let dxfString
+                            if (state.activeModule === 'district') {
+                                dxfString = generateDistrictDXF(state.entities.lots, state.entityOrder, {
+                                    ...dxfOptions,
+                                    entityStyles: state.entityStyles,
+                                    lotVisibility: state.lotVisibility,
+                                    roadModules: state.entities.roadModules,
+                                    roadModuleStyles: state.roadModuleStyles,
+                                    streetTypeLibrary: state.streetTypeLibrary,
+                                    annotationSettings: state.annotationSettings,
+                                    annotationPositions: state.annotationPositions,
+                                    annotationCustomLabels: state.annotationCustomLabels,
+                                })
+                            } else {
+                                dxfString = generateDXF(state.existing, state.proposed, {
+                                    ...dxfOptions,
+                                    styleSettings: state.viewSettings.styleSettings,
+                                    lotSpacing: state.layoutSettings?.lotSpacing ?? 0,
+                                })
+                            }
                             saveOrDownload(dxfString, 'zoning-model.dxf', 'application/dxf', false, projectId, showToast)
 
                         } else if (exportFormat === 'ifc') {
@@ -375,18 +433,38 @@ const Exporter = ({ target, cameraControlsRef }) => {
                                 // District module: multi-lot IFC from entity system
                                 ifcString = generateDistrictIFC(state.entities.lots, state.entityOrder, {
                                     filename: 'zoning-district.ifc',
-                                    lotSpacing: state.layoutSettings?.lotSpacing || 10
+                                    districtParameters: state.districtParameters,
+                                    roadModules: state.entities.roadModules,
+                                    streetTypeLibrary: state.streetTypeLibrary,
+                                    siteLocation: state.siteLocation,
+                                    importedModelMetrics: state.importedModelMetrics,
                                 })
                                 saveOrDownload(ifcString, 'zoning-district.ifc', 'application/x-step', false, projectId, showToast)
                             } else {
                                 // Comparison module: existing vs proposed IFC
                                 ifcString = generateIFC(state.existing, state.proposed, {
                                     filename: 'zoning-model.ifc',
-                                    lotSpacing: state.layoutSettings?.lotSpacing || 10
+                                    lotSpacing: state.layoutSettings?.lotSpacing || 10,
+                                    siteLocation: state.siteLocation,
                                 })
                                 saveOrDownload(ifcString, 'zoning-model.ifc', 'application/x-step', false, projectId, showToast)
                             }
 
+                        } else if (exportFormat === 'geojson' || exportFormat === 'geojsonLocal') {
+                            // GeoJSON is the district's lots, setbacks, buildings and road zones from the store
+                            const state = useStore.getState()
+                            if (state.activeModule !== 'district') {
+                                showToast?.('GeoJSON export is only available in the district module', 'error')
+                            } else {
+                                const geojsonString = generateDistrictGeoJSON(state.entities.lots, state.entityOrder, {
+                                    roadModules: state.entities.roadModules,
+                                    streetTypeLibrary: state.streetTypeLibrary,
+                                    siteLocation: state.siteLocation,
+                                    coordinates: exportFormat === 'geojsonLocal' ? 'local' : 'geographic',
+                                })
+                                saveOrDownload(geojsonString, 'zoning-district.geojson', 'application/geo+json', false, projectId, showToast)
+                            }
+
                         } else if (exportFormat === 'png') {
                             const captureSource = tiledCanvas || gl.domElement
                             const url = captureSource.toDataURL('image/png')
@@ -397,6 +475,11 @@ const Exporter = ({ target, cameraControlsRef }) => {
                                 const base64Data = url.split(',')[1]
                                 const filename = `${queueItem?.label || 'export'}.png`
                                 zipRef.current.file(filename, base64Data, { base64: true })
+
+                                if (queueItem?.gif) {
+                                    if (!gifRef.current) gifRef.current = { ...queueItem.gif, frames: [] }
+                                    gifRef.current.frames.push(captureGifFrame(captureSource, gifRef.current.width))
+                                }
                             } else {
                                 saveOrDownload(url, buildSingleExportName('png'), 'image/png', true, projectId, showToast)
                             }
@@ -511,12 +594,23 @@ const Exporter = ({ target, cameraControlsRef }) => {
             if (zipRef.current) {
                 const zip = zipRef.current
                 zipRef.current = null
+                const zipSuffix = zipSuffixRef.current
+
+                // Sun-path animation: encode the collected frames next to the PNG sequence
+                if (gifRef.current) {
+                    const { frames, delay, name } = gifRef.current
+                    gifRef.current = null
+                    if (frames.length > 0) {
+                        const gif = encodeGif(frames.map(f => f.data), frames[0].width, frames[0].height, { delay })
+                        zip.file(`${name}.gif`, gif)
+                    }
+                }
 
                 zip.generateAsync({ type: 'blob' }).then((blob) => {
                     const link = document.createElement('a')
                     const scenario = useStore.getState().activeScenario || 'default'
                     const sanitized = scenario.replace(/[^a-zA-Z0-9_-]/g, '_').replace(/_+/g, '_')
-                    link.download = `${sanitized}_batch_${new Date().toISOString().slice(0, 10)}.zip`
+                    link.download = `${sanitized}_${zipSuffix}_${new Date().toISOString().slice(0, 10)}.zip`
                     link.href = URL.createObjectURL(blob)
                     link.click()
                     setTimeout(() => URL.revokeObjectURL(link.href), 1000)
@@ -555,6 +649,8 @@ const Exporter = ({ target, cameraControlsRef }) => {
             zipRef.current = new JSZip()
             // Save current full state for restoration
             savedLayersRef.current = buildViewSnapshot(store)
+            zipSuffixRef.current = item.sun ? 'sun-path' : 'batch'
+            gifRef.current = null
         }
 
         // Apply full view snapshot (layers, styles, custom labels, etc.)
@@ -562,6 +658,20 @@ const Exporter = ({ target, cameraControlsRef }) => {
             applyViewSnapshot(item.snapshot)
         }
 
+        // Sun-path frames pin the sun to a site date and local hour
+        if (item.sun) {
+            useStore.setState({
+                sunSettings: {
+                    ...useStore.getState().sunSettings,
+                    enabled: true,
+                    mode: 'site',
+                    animating: false,
+                    date: item.sun.date,
+                    time: item.sun.time,
+                },
+            })
+        }
+
         // Set export format and view
         store.setExportFormat(item.format || 'png')
         store.setExportView(item.cameraView || 'current')
@@ -656,164 +766,6 @@ const Exporter = ({ target, cameraControlsRef }) => {
     return null
 }
 
-// Minimal DXF Generator for 3DFACEs (Mesh Geometry) + Drawing Objects
-const generateDXF = (group, drawingObjects, drawingLayers) => {
-    let s = `0\nSECTION\n2\nHEADER\n0\nENDSEC\n0\nSECTION\n2\nENTITIES\n`
-
-    group.traverse((child) => {
-        if (child.isMesh && child.geometry) {
-            const geom = child.geometry
-            const positions = geom.attributes.position
-            if (!positions) return
-
-            const localMatrix = child.matrix
-
-            const getVert = (idx) => {
-                const arr = positions.array
-                const v = new THREE.Vector3(arr[idx * 3], arr[idx * 3 + 1], arr[idx * 3 + 2])
-                v.applyMatrix4(localMatrix)
-                return v
-            }
-
-            if (geom.index) {
-                const indices = geom.index.array
-                for (let i = 0; i < indices.length; i += 3) {
-                    const v1 = getVert(indices[i])
-                    const v2 = getVert(indices[i + 1])
-                    const v3 = getVert(indices[i + 2])
-                    s += `0\n3DFACE\n8\n0\n`
-                    const formatVert = (code, v) => `${code}\n${v.x}\n${code + 10}\n${v.y}\n${code + 20}\n${v.z}`
-                    s += formatVert(10, v1) + '\n'
-                    s += formatVert(11, v2) + '\n'
-                    s += formatVert(12, v3) + '\n'
-                    s += formatVert(13, v3) + '\n'
-                }
-            } else {
-                for (let i = 0; i < positions.count; i += 3) {
-                    const v1 = getVert(i)
-                    const v2 = getVert(i + 1)
-                    const v3 = getVert(i + 2)
-                    s += `0\n3DFACE\n8\n0\n`
-                    const formatVert = (code, v) => `${code}\n${v.x}\n${code + 10}\n${v.y}\n${code + 20}\n${v.z}`
-                    s += formatVert(10, v1) + '\n'
-                    s += formatVert(11, v2) + '\n'
-                    s += formatVert(12, v3) + '\n'
-                    s += formatVert(13, v3) + '\n'
-                }
-            }
-        }
-    })
-
-    // Drawing objects → DXF entities
-    if (drawingObjects && drawingLayers) {
-        s += generateDrawingDXF(drawingObjects, drawingLayers)
-    }
-
-    s += `0\nENDSEC\n0\nEOF\n`
-    return s
-}
-
-// Generate DXF entities for drawing objects
-const generateDrawingDXF = (drawingObjects, drawingLayers) => {
-    let s = ''
-
-    const dxfLine = (layerName, x1, y1, z1, x2, y2, z2) =>
-        `0\nLINE\n8\n${layerName}\n10\n${x1}\n20\n${y1}\n30\n${z1}\n11\n${x2}\n21\n${y2}\n31\n${z2}\n`
-
-    const dxfLwPolyline = (layerName, points, closed, z) => {
-        let e = `0\nLWPOLYLINE\n8\n${layerName}\n90\n${points.length}\n70\n${closed ? 1 : 0}\n38\n${z}\n`
-        for (const [x, y] of points) {
-            e += `10\n${x}\n20\n${y}\n`
-        }
-        return e
-    }
-
-    const dxfCircle = (layerName, cx, cy, cz, r) =>
-        `0\nCIRCLE\n8\n${layerName}\n10\n${cx}\n20\n${cy}\n30\n${cz}\n40\n${r}\n`
-
-    const dxfEllipse = (layerName, cx, cy, cz, rx, ry) => {
-        // DXF ELLIPSE: center, major axis endpoint (relative), ratio of minor/major
-        const major = rx >= ry
-        const majorLen = major ? rx : ry
-        const minorLen = major ? ry : rx
-        const ratio = minorLen / majorLen
-        const mx = major ? majorLen : 0
-        const my = major ? 0 : majorLen
-        return `0\nELLIPSE\n8\n${layerName}\n10\n${cx}\n20\n${cy}\n30\n${cz}\n11\n${mx}\n21\n${my}\n31\n0\n40\n${ratio}\n41\n0\n42\n${Math.PI * 2}\n`
-    }
-
-    const dxfText = (layerName, x, y, z, height, text) =>
-        `0\nTEXT\n8\n${layerName}\n10\n${x}\n20\n${y}\n30\n${z}\n40\n${height}\n1\n${text}\n`
-
-    for (const obj of Object.values(drawingObjects)) {
-        const layer = drawingLayers[obj.layerId]
-        if (!layer || !layer.visible) continue
-        const layerName = layer.name.replace(/[^a-zA-Z0-9_-]/g, '_')
-        const z = layer.zHeight ?? 0.2
-
-        switch (obj.type) {
-            case 'freehand': {
-                const pts = obj.points.map(([x, y]) => [x, y])
-                s += dxfLwPolyline(layerName, pts, false, z)
-                break
-            }
-            case 'line':
-            case 'arrow': {
-                s += dxfLine(layerName, obj.start[0], obj.start[1], z, obj.end[0], obj.end[1], z)
-                break
-            }
-            case 'rectangle': {
-                const [ox, oy] = obj.origin
-                const pts = [[ox, oy], [ox + obj.width, oy], [ox + obj.width, oy + obj.height], [ox, oy + obj.height]]
-                s += dxfLwPolyline(layerName, pts, true, z)
-                break
-            }
-            case 'roundedRect': {
-                const verts = generateRoundedRectPoints(obj.origin[0], obj.origin[1], obj.width, obj.height, obj.cornerRadius ?? 0)
-                const pts = verts.slice(0, -1).map(([x, y]) => [x, y]) // remove closing duplicate
-                s += dxfLwPolyline(layerName, pts, true, z)
-                break
-            }
-            case 'polygon': {
-                const pts = obj.points.map(([x, y]) => [x, y])
-                s += dxfLwPolyline(layerName, pts, true, z)
-                break
-            }
-            case 'circle': {
-                s += dxfCircle(layerName, obj.center[0], obj.center[1], z, obj.radius)
-                break
-            }
-            case 'ellipse': {
-                s += dxfEllipse(layerName, obj.center[0], obj.center[1], z, obj.radiusX, obj.radiusY)
-                break
-            }
-            case 'star': {
-                const verts = generateStarPoints(obj.center[0], obj.center[1], obj.outerRadius, obj.innerRadius, obj.numPoints ?? 5)
-                const pts = verts.slice(0, -1).map(([x, y]) => [x, y])
-                s += dxfLwPolyline(layerName, pts, true, z)
-                break
-            }
-            case 'octagon': {
-                const verts = generateRegularPolygonPoints(obj.center[0], obj.center[1], obj.radius, 8)
-                const pts = verts.slice(0, -1).map(([x, y]) => [x, y])
-                s += dxfLwPolyline(layerName, pts, true, z)
-                break
-            }
-            case 'text': {
-                s += dxfText(layerName, obj.position[0], obj.position[1], z, obj.fontSize ?? 3, obj.text ?? '')
-                break
-            }
-            case 'leader': {
-                s += dxfLine(layerName, obj.targetPoint[0], obj.targetPoint[1], z, obj.textPosition[0], obj.textPosition[1], z)
-                s += dxfText(layerName, obj.textPosition[0], obj.textPosition[1], z, obj.fontSize ?? 3, obj.text ?? '')
-                break
-            }
-        }
-    }
-    return s
-}
-
-
 const generateSVG = (group, camera, width, height, drawingObjects, drawingLayers) => {
     let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`
     svg += `<rect width="100%" height="100%" fill="white"/>`
@@ -1040,7 +992,7 @@ const saveOrDownload = async (data, filename, mimeType, isBase64, projectId, sho
                 const blob = new Blob([data], { type: mimeType })
                 await api.saveExportBinary(projectId, timestampedFilename, blob)
             } else {
-                // Text data (OBJ, DAE, DXF, IFC, SVG)
+                // Text data (OBJ, DAE, DXF, IFC, GeoJSON, SVG)
                 await api.saveExport(projectId, timestampedFilename, data, 'text')
             }
             console.log(`Saved to project: ${timestampedFilename}`)
@@ -3,6 +3,8 @@ import { Upload, FileText, ArrowRight, ArrowLeft, Check, X, AlertCircle, Downloa
 import { useStore } from '../store/useStore'
 import { parseCSV, parseXLSXToCSV, APP_FIELDS, DISTRICT_FIELDS, autoMatchHeaders, applyMapping, parseAllDistrictRows, detectTransposedFormat, parseTransposedCSV } from '../utils/importParser'
 import { downloadDistrictTemplate } from '../utils/templateGenerator'
+import { parseDxfLinework, buildCadLots, CAD_UNITS } from '../utils/cadImport'
+import { parseGeoJSONParcels } from '../utils/geojson'
 import * as api from '../services/api'
 
 /**
@@ -12,23 +14,30 @@ import * as api from '../services/api'
  * Step 2: Field Mapping (CSV columns -> app fields with auto-match)
  * Step 3: Preview & Import (review mapped data, confirm import)
  *
+ * DXF files take the same steps as a CAD source: step 2 picks the parcel and
+ * building layers and the drawing units, step 3 previews the polygon lots.
+ * GeoJSON parcels map their feature properties in step 2 like CSV columns and
+ * import as polygon lots, with 'building' features as footprints.
+ *
  * @param {{ isOpen: boolean, onClose: () => void }} props
  */
 const ImportWizard = ({ isOpen, onClose }) => {
   const addLot = useStore(state => state.addLot)
+  const importPolygonLots = useStore(state => state.importPolygonLots)
   const setDistrictParameter = useStore(state => state.setDistrictParameter)
   const currentProject = useStore(state => state.currentProject)
   const setScenarios = useStore(state => state.setScenarios)
   const setActiveScenario = useStore(state => state.setActiveScenario)
   const getSnapshotData = useStore(state => state.getSnapshotData)
   const setCustomLabel = useStore(state => state.setCustomLabel)
+  const siteLocation = useStore(state => state.siteLocation)
 
   // Wizard state
   const [step, setStep] = useState(1)
   const [error, setError] = useState('')
   const [fileName, setFileName] = useState('')
   const [dragActive, setDragActive] = useState(false)
-  const [importType, setImportType] = useState('lot') // 'lot' | 'district'
+  const [importType, setImportType] = useState('lot') // 'lot' | 'district' | 'cad' | 'geojson'
 
   // Parsed data
   const [headers, setHeaders] = useState([])
@@ -37,6 +46,10 @@ const ImportWizard = ({ isOpen, onClose }) => {
   // Field mapping: column index -> app field key (or null for skip)
   const [mapping, setMapping] = useState({})
 
+  // CAD linework: parseDxfLinework (or parseGeoJSONParcels) result + layer / unit choices
+  const [cadData, setCadData] = useState(null)
+  const [cadOptions, setCadOptions] = useState({ parcelLayer: '', buildingLayer: '', units: 'feet' })
+
   // Transposed format
   const [isTransposed, setIsTransposed] = useState(false)
   const [transposedData, setTransposedData] = useState([])
@@ -60,15 +73,23 @@ const ImportWizard = ({ isOpen, onClose }) => {
     const name = file.name.toLowerCase()
     const isXLSX = name.endsWith('.xlsx') || name.endsWith('.xls')
     const isCSV = name.endsWith('.csv')
+    const isDXF = name.endsWith('.dxf')
+    const isGeoJSON = name.endsWith('.geojson') || name.endsWith('.json')
+
+    if (name.endsWith('.dwg')) {
+      setError('DWG files are not supported. Save the drawing as DXF and upload that instead.')
+      return
+    }
 
-    if (!isCSV && !isXLSX) {
-      setError('Please select a CSV or Excel file (.csv, .xlsx, .xls)')
+    if (!isCSV && !isXLSX && !isDXF && !isGeoJSON) {
+      setError('Please select a CSV, Excel, DXF or GeoJSON file (.csv, .xlsx, .xls, .dxf, .geojson)')
       return
     }
 
-    // Check file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      setError('File is too large. Maximum size is 5MB.')
+    // Check file size (max 5MB; survey DXFs and GeoJSON up to 20MB)
+    const maxSizeMB = isDXF || isGeoJSON ? 20 : 5
+    if (file.size > maxSizeMB * 1024 * 1024) {
+      setError(`File is too large. Maximum size is ${maxSizeMB}MB.`)
       return
     }
 
@@ -122,7 +143,70 @@ const ImportWizard = ({ isOpen, onClose }) => {
       setStep(2)
     }
 
-    if (isXLSX) {
+    /**
+     * DXF: read the linework and guess the parcel / building layers by name,
+     * falling back to the layer with the most closed outlines for parcels
+     */
+    const handleDXF = (text) => {
+      const parsed = parseDxfLinework(text)
+      const closedLayers = parsed.layers.filter(l => l.closed > 0)
+      if (closedLayers.length === 0) {
+        setError('No closed polylines found in the drawing. Parcels must be closed outlines.')
+        return
+      }
+      const byName = (pattern) => closedLayers.find(l => pattern.test(l.name))?.name
+      const mostClosed = [...closedLayers].sort((a, b) => b.closed - a.closed)[0].name
+      const parcelLayer = byName(/parcel|lot|property|boundary/i) ?? mostClosed
+      const buildingLayer = closedLayers.find(l => l.name !== parcelLayer && /build|bldg|footprint|struct/i.test(l.name))?.name ?? ''
+      setCadData(parsed)
+      setCadOptions({ parcelLayer, buildingLayer, units: parsed.units ?? 'feet' })
+      setImportType('cad')
+      setStep(2)
+    }
+
+    /**
+     * GeoJSON: parcel polygons become the lots, their properties the columns
+     * to map; lon / lat data is laid out with the site's true north
+     */
+    const handleGeoJSON = (text) => {
+      const parsed = parseGeoJSONParcels(JSON.parse(text), siteLocation)
+      const headerMapping = autoMatchHeaders(parsed.headers, APP_FIELDS)
+      const indexMapping = {}
+      parsed.headers.forEach((header, index) => {
+        indexMapping[index] = headerMapping[header] || null
+      })
+      setHeaders(parsed.headers)
+      setRows(parsed.rows)
+      setMapping(indexMapping)
+      setCadData(parsed)
+      setCadOptions({ parcelLayer: 'parcel', buildingLayer: 'building', units: parsed.units ?? 'feet' })
+      setImportType('geojson')
+      setStep(2)
+    }
+
+    if (isGeoJSON) {
+      const reader = new FileReader()
+      reader.onload = (e) => {
+        try {
+          handleGeoJSON(e.target.result)
+        } catch (err) {
+          setError(`Failed to parse GeoJSON: ${err.message}`)
+        }
+      }
+      reader.onerror = () => setError('Failed to read file. Please try again.')
+      reader.readAsText(file)
+    } else if (isDXF) {
+      const reader = new FileReader()
+      reader.onload = (e) => {
+        try {
+          handleDXF(e.target.result)
+        } catch (err) {
+          setError(`Failed to parse DXF: ${err.message}`)
+        }
+      }
+      reader.onerror = () => setError('Failed to read file. Please try again.')
+      reader.readAsText(file)
+    } else if (isXLSX) {
       const reader = new FileReader()
       reader.onload = async (e) => {
         try {
@@ -147,7 +231,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
       reader.onerror = () => setError('Failed to read file. Please try again.')
       reader.readAsText(file)
     }
-  }, [])
+  }, [siteLocation])
 
   // ============================================
   // Drag and Drop Handlers
@@ -196,15 +280,31 @@ const ImportWizard = ({ isOpen, onClose }) => {
     }))
   }, [])
 
+  // CAD lots for the chosen layers and units; GeoJSON parcels carry their mapped row
+  const getCadResult = useCallback(() => {
+    if (!cadData || !cadOptions.parcelLayer) return { lots: [], unassignedBuildings: 0 }
+    const shapes = importType === 'geojson'
+      ? cadData.shapes.map(shape => (shape.layer === 'parcel'
+        ? { ...shape, attributes: applyMapping([rows[shape.rowIndex]], mapping)[0] ?? null }
+        : shape))
+      : cadData.shapes
+    return buildCadLots(shapes, {
+      parcelLayer: cadOptions.parcelLayer,
+      buildingLayer: cadOptions.buildingLayer || null,
+      units: cadOptions.units,
+    })
+  }, [cadData, cadOptions, importType, rows, mapping])
+
   // Get mapped data preview — lots array or district scenarios array
   const getMappedData = useCallback(() => {
+    if (importType === 'cad' || importType === 'geojson') return getCadResult().lots
     if (isTransposed) return transposedData
     if (importType === 'district') {
       if (rows.length === 0) return []
       return parseAllDistrictRows(rows, mapping)
     }
     return applyMapping(rows, mapping)
-  }, [rows, mapping, importType, isTransposed, transposedData])
+  }, [rows, mapping, importType, isTransposed, transposedData, getCadResult])
 
   // ============================================
   // Import Handler
@@ -263,6 +363,13 @@ const ImportWizard = ({ isOpen, onClose }) => {
         }
         setImportCount(1)
       }
+    } else if (importType === 'cad' || importType === 'geojson') {
+      if (!data || data.length === 0) {
+        setError(importType === 'cad' ? 'No closed parcel outlines on the selected layer.' : 'No parcel polygons to import.')
+        return
+      }
+      importPolygonLots(data)
+      setImportCount(data.length)
     } else {
       if (!data || data.length === 0) {
         setError('No valid data to import. Check your field mapping.')
@@ -281,7 +388,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
     }
 
     setImported(true)
-  }, [getMappedData, addLot, setDistrictParameter, setCustomLabel, importType, currentProject, getSnapshotData, setScenarios])
+  }, [getMappedData, addLot, importPolygonLots, setDistrictParameter, setCustomLabel, importType, currentProject, getSnapshotData, setScenarios])
 
   // ============================================
   // Reset / Close
@@ -300,6 +407,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
     setImportType('lot')
     setIsTransposed(false)
     setTransposedData([])
+    setCadData(null)
     onClose()
   }, [onClose])
 
@@ -324,6 +432,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
       setHeaders([])
       setRows([])
       setMapping({})
+      setCadData(null)
       setImportType('lot')
     }
   }, [step, isTransposed])
@@ -361,6 +470,9 @@ const ImportWizard = ({ isOpen, onClose }) => {
   // Count how many columns are mapped
   const mappedCount = Object.values(mapping).filter(v => v !== null).length
 
+  const isPolygonImport = importType === 'cad' || importType === 'geojson'
+  const cadResult = isPolygonImport && step >= 2 ? getCadResult() : null
+
   // Preview data for step 3 — always an array (districts or lots)
   const previewData = step === 3 ? getMappedData() : []
 
@@ -396,7 +508,9 @@ const ImportWizard = ({ isOpen, onClose }) => {
           <div className="flex items-center gap-3">
             <FileText size={18} style={{ color: 'var(--ui-accent)' }} />
             <h2 className="text-base font-semibold" style={{ color: 'var(--ui-text-primary)' }}>
-              {importType === 'district' ? 'Import District Parameters' : 'Import CSV Data'}
+              {importType === 'district'
+                ? 'Import District Parameters'
+                : importType === 'cad' ? 'Import CAD Linework' : importType === 'geojson' ? 'Import GeoJSON Parcels' : 'Import CSV Data'}
             </h2>
           </div>
           <div className="flex items-center gap-4">
@@ -457,6 +571,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
             <div>
               <p className="text-sm mb-4" style={{ color: 'var(--ui-text-secondary)' }}>
                 Upload a CSV or Excel file to import data. Column headers will be auto-matched to fields.
+                Upload a DXF or GeoJSON to create polygon lots from parcel and building outlines.
               </p>
 
               {/* Drop Zone */}
@@ -480,14 +595,14 @@ const ImportWizard = ({ isOpen, onClose }) => {
                   Drag and drop your file here
                 </p>
                 <p className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>
-                  CSV or Excel (.xlsx) — or click to browse
+                  CSV, Excel (.xlsx), DXF or GeoJSON — or click to browse
                 </p>
               </div>
 
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".csv,.xlsx,.xls"
+                accept=".csv,.xlsx,.xls,.dxf,.geojson,.json"
                 onChange={handleFileInput}
                 className="hidden"
               />
@@ -535,36 +650,40 @@ const ImportWizard = ({ isOpen, onClose }) => {
           )}
 
           {/* Step 2: Field Mapping */}
-          {step === 2 && (
+          {step === 2 && importType !== 'cad' && (
             <div>
               {/* Import Type Toggle */}
-              <div className="flex items-center gap-2 mb-3">
-                <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>Import as:</span>
-                <button
-                  onClick={() => switchImportType('lot')}
-                  className="text-xs px-2 py-1 rounded transition-colors"
-                  style={{
-                    backgroundColor: importType === 'lot' ? 'var(--ui-accent)' : 'var(--ui-bg-tertiary)',
-                    color: importType === 'lot' ? '#fff' : 'var(--ui-text-secondary)',
-                  }}
-                >
-                  Lot Data
-                </button>
-                <button
-                  onClick={() => switchImportType('district')}
-                  className="text-xs px-2 py-1 rounded transition-colors"
-                  style={{
-                    backgroundColor: importType === 'district' ? 'var(--ui-accent)' : 'var(--ui-bg-tertiary)',
-                    color: importType === 'district' ? '#fff' : 'var(--ui-text-secondary)',
-                  }}
-                >
-                  District Parameters
-                </button>
-              </div>
+              {importType !== 'geojson' && (
+                <div className="flex items-center gap-2 mb-3">
+                  <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>Import as:</span>
+                  <button
+                    onClick={() => switchImportType('lot')}
+                    className="text-xs px-2 py-1 rounded transition-colors"
+                    style={{
+                      backgroundColor: importType === 'lot' ? 'var(--ui-accent)' : 'var(--ui-bg-tertiary)',
+                      color: importType === 'lot' ? '#fff' : 'var(--ui-text-secondary)',
+                    }}
+                  >
+                    Lot Data
+                  </button>
+                  <button
+                    onClick={() => switchImportType('district')}
+                    className="text-xs px-2 py-1 rounded transition-colors"
+                    style={{
+                      backgroundColor: importType === 'district' ? 'var(--ui-accent)' : 'var(--ui-bg-tertiary)',
+                      color: importType === 'district' ? '#fff' : 'var(--ui-text-secondary)',
+                    }}
+                  >
+                    District Parameters
+                  </button>
+                </div>
+              )}
 
               <div className="flex items-center justify-between mb-4">
                 <p className="text-sm" style={{ color: 'var(--ui-text-secondary)' }}>
-                  Map CSV columns to {importType === 'district' ? 'district parameter' : 'lot'} fields. {mappedCount} of {headers.length} columns mapped.
+                  {importType === 'geojson'
+                    ? `Map parcel properties to lot fields. ${mappedCount} of ${headers.length} properties mapped; unmapped lots keep the defaults.`
+                    : `Map CSV columns to ${importType === 'district' ? 'district parameter' : 'lot'} fields. ${mappedCount} of ${headers.length} columns mapped.`}
                 </p>
                 {fileName && (
                   <span className="text-xs px-2 py-1 rounded" style={{
@@ -576,6 +695,46 @@ const ImportWizard = ({ isOpen, onClose }) => {
                 )}
               </div>
 
+              {/* GeoJSON Units & Parcel Count */}
+              {importType === 'geojson' && cadData && (
+                <div className="flex flex-col gap-3 mb-4">
+                  {!cadData.geographic && (
+                    <label className="flex items-center gap-3 text-sm">
+                      <span className="w-32 shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>Coordinate units</span>
+                      <select
+                        value={cadOptions.units}
+                        onChange={(e) => setCadOptions(prev => ({ ...prev, units: e.target.value }))}
+                        className="flex-1 px-2 py-1 rounded text-xs cursor-pointer"
+                        style={{
+                          backgroundColor: 'var(--ui-bg-secondary)',
+                          color: 'var(--ui-text-primary)',
+                          border: '1px solid var(--ui-border)',
+                        }}
+                      >
+                        {Object.entries(CAD_UNITS).map(([key, { label }]) => (
+                          <option key={key} value={key}>
+                            {label}{key === cadData.units ? ' (from file)' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  <div
+                    className="p-3 rounded text-xs"
+                    style={{
+                      backgroundColor: 'var(--ui-bg-tertiary)',
+                      color: 'var(--ui-text-secondary)',
+                    }}
+                  >
+                    {cadResult.lots.length} parcel{cadResult.lots.length !== 1 ? 's' : ''} found
+                    {`, ${cadResult.lots.reduce((sum, lot) => sum + lot.buildings.length, 0)} building footprints on them. `}
+                    {cadData.geographic
+                      ? 'Longitude / latitude is laid out around the parcels\' center, turned by the site\'s true north.'
+                      : 'Coordinates are read as projected plan units.'}
+                  </div>
+                </div>
+              )}
+
               {/* Mapping Table */}
               <div
                 className="rounded border overflow-hidden mb-4"
@@ -588,7 +747,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
                         className="text-left px-3 py-2 font-medium text-xs"
                         style={{ color: 'var(--ui-text-secondary)', width: '40%' }}
                       >
-                        CSV Column
+                        {importType === 'geojson' ? 'Property' : 'CSV Column'}
                       </th>
                       <th
                         className="text-center px-2 py-2 font-medium text-xs"
@@ -714,6 +873,84 @@ const ImportWizard = ({ isOpen, onClose }) => {
             </div>
           )}
 
+          {/* Step 2: CAD Layers & Units */}
+          {step === 2 && importType === 'cad' && cadData && (
+            <div>
+              <div className="flex items-center justify-between mb-4">
+                <p className="text-sm" style={{ color: 'var(--ui-text-secondary)' }}>
+                  Choose the layers holding parcel boundaries and building footprints. Only closed outlines are imported.
+                </p>
+                {fileName && (
+                  <span className="text-xs px-2 py-1 rounded shrink-0 ml-3" style={{
+                    backgroundColor: 'var(--ui-bg-tertiary)',
+                    color: 'var(--ui-text-secondary)',
+                  }}>
+                    {fileName}
+                  </span>
+                )}
+              </div>
+
+              <div className="flex flex-col gap-3 mb-4">
+                {[
+                  { key: 'parcelLayer', label: 'Parcel layer', allowNone: false },
+                  { key: 'buildingLayer', label: 'Building layer', allowNone: true },
+                ].map(({ key, label, allowNone }) => (
+                  <label key={key} className="flex items-center gap-3 text-sm">
+                    <span className="w-32 shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
+                    <select
+                      value={cadOptions[key]}
+                      onChange={(e) => setCadOptions(prev => ({ ...prev, [key]: e.target.value }))}
+                      className="flex-1 px-2 py-1 rounded text-xs cursor-pointer"
+                      style={{
+                        backgroundColor: 'var(--ui-bg-secondary)',
+                        color: 'var(--ui-text-primary)',
+                        border: '1px solid var(--ui-border)',
+                      }}
+                    >
+                      {allowNone && <option value="">-- None --</option>}
+                      {cadData.layers.map(layer => (
+                        <option key={layer.name} value={layer.name}>
+                          {layer.name} ({layer.closed} closed, {layer.open} open)
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                <label className="flex items-center gap-3 text-sm">
+                  <span className="w-32 shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>Drawing units</span>
+                  <select
+                    value={cadOptions.units}
+                    onChange={(e) => setCadOptions(prev => ({ ...prev, units: e.target.value }))}
+                    className="flex-1 px-2 py-1 rounded text-xs cursor-pointer"
+                    style={{
+                      backgroundColor: 'var(--ui-bg-secondary)',
+                      color: 'var(--ui-text-primary)',
+                      border: '1px solid var(--ui-border)',
+                    }}
+                  >
+                    {Object.entries(CAD_UNITS).map(([key, { label }]) => (
+                      <option key={key} value={key}>
+                        {label}{key === cadData.units ? ' (from drawing)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div
+                className="p-3 rounded text-xs"
+                style={{
+                  backgroundColor: 'var(--ui-bg-tertiary)',
+                  color: 'var(--ui-text-secondary)',
+                }}
+              >
+                {cadResult.lots.length} parcel{cadResult.lots.length !== 1 ? 's' : ''} found
+                {cadOptions.buildingLayer ? `, ${cadResult.lots.reduce((sum, lot) => sum + lot.buildings.length, 0)} building footprints on them` : ''}.
+                Lots are added to the end of the district row, rightmost parcel first.
+              </div>
+            </div>
+          )}
+
           {/* Step 3: Preview & Import */}
           {step === 3 && !imported && importType === 'district' && (
             <div>
@@ -758,7 +995,58 @@ const ImportWizard = ({ isOpen, onClose }) => {
             </div>
           )}
 
-          {step === 3 && !imported && importType !== 'district' && (
+          {step === 3 && !imported && isPolygonImport && (
+            <div>
+              <p className="text-sm mb-4" style={{ color: 'var(--ui-text-secondary)' }}>
+                {previewData.length === 0
+                  ? importType === 'cad'
+                    ? 'No closed parcel outlines on the selected layer. Go back and choose another layer.'
+                    : 'No parcel polygons in the file.'
+                  : `Ready to create ${previewData.length} polygon lot${previewData.length !== 1 ? 's' : ''}:`
+                }
+              </p>
+
+              {cadResult?.unassignedBuildings > 0 && (
+                <p className="text-xs mb-3" style={{ color: 'var(--ui-text-secondary)' }}>
+                  {cadResult.unassignedBuildings} footprint{cadResult.unassignedBuildings !== 1 ? 's' : ''} outside every parcel will be skipped.
+                </p>
+              )}
+
+              {previewData.length > 0 && (
+                <div
+                  className="rounded border overflow-y-auto max-h-60 mb-4"
+                  style={{ borderColor: 'var(--ui-border)' }}
+                >
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr style={{ backgroundColor: 'var(--ui-bg-tertiary)' }}>
+                        <th className="text-left px-2 py-1.5 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>#</th>
+                        <th className="text-right px-2 py-1.5 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>Width (ft)</th>
+                        <th className="text-right px-2 py-1.5 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>Depth (ft)</th>
+                        <th className="text-right px-2 py-1.5 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>Area (sf)</th>
+                        <th className="text-right px-2 py-1.5 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>Vertices</th>
+                        <th className="text-right px-2 py-1.5 font-medium" style={{ color: 'var(--ui-text-secondary)' }}>Buildings</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {previewData.map((lot, i) => (
+                        <tr key={i} className="border-t" style={{ borderColor: 'var(--ui-border)' }}>
+                          <td className="px-2 py-1" style={{ color: 'var(--ui-text-secondary)' }}>{i + 1}</td>
+                          <td className="px-2 py-1 text-right" style={{ color: 'var(--ui-text-primary)' }}>{lot.lotWidth}</td>
+                          <td className="px-2 py-1 text-right" style={{ color: 'var(--ui-text-primary)' }}>{lot.lotDepth}</td>
+                          <td className="px-2 py-1 text-right" style={{ color: 'var(--ui-text-primary)' }}>{Math.round(lot.area).toLocaleString()}</td>
+                          <td className="px-2 py-1 text-right" style={{ color: 'var(--ui-text-secondary)' }}>{lot.vertices.length}</td>
+                          <td className="px-2 py-1 text-right" style={{ color: 'var(--ui-text-secondary)' }}>{lot.buildings.length}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {step === 3 && !imported && importType === 'lot' && (
             <div>
               <p className="text-sm mb-4" style={{ color: 'var(--ui-text-secondary)' }}>
                 {previewData.length === 0
@@ -880,7 +1168,7 @@ const ImportWizard = ({ isOpen, onClose }) => {
                   setError('')
                   setStep(3)
                 }}
-                disabled={mappedCount === 0}
+                disabled={isPolygonImport ? !cadResult?.lots.length : mappedCount === 0}
                 className="flex items-center gap-1.5 px-4 py-1.5 rounded text-sm font-medium transition-opacity disabled:opacity-40"
                 style={{
                   backgroundColor: 'var(--ui-accent)',
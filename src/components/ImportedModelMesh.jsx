@@ -3,6 +3,7 @@ import * as THREE from 'three'
 import { Edges } from '@react-three/drei'
 import { useStore } from '../store/useStore'
 import { loadIFCMeshes } from '../utils/ifcLoader'
+import { measureImportedModel } from '../utils/importedModelCompliance'
 
 const API_BASE = 'http://localhost:3001/api'
 const METERS_TO_FEET = 3.28084
@@ -10,11 +11,13 @@ const METERS_TO_FEET = 3.28084
 const ImportedModelMesh = ({ lotId, modelId, filename, x = 0, y = 0, rotation = 0, scale = 1, units = 'auto', style, selected, onSelect, locked, lineScale = 1 }) => {
   const [meshData, setMeshData] = useState(null)
   const [detectedUnits, setDetectedUnits] = useState('meters')
+  const [storeys, setStoreys] = useState([])
   const [error, setError] = useState(null)
   const [loading, setLoading] = useState(true)
   const groupRef = useRef()
 
   const currentProject = useStore(state => state.currentProject)
+  const setImportedModelMetrics = useStore(state => state.setImportedModelMetrics)
 
   const faces = style?.faces
   const edges = style?.edges
@@ -35,6 +38,7 @@ const ImportedModelMesh = ({ lotId, modelId, filename, x = 0, y = 0, rotation =
           console.log('[IFC Mesh] Received', result.meshes.length, 'meshes from loader, detected units:', result.detectedUnits)
           setMeshData(result.meshes)
           setDetectedUnits(result.detectedUnits)
+          setStoreys(result.storeys ?? [])
           setLoading(false)
         }
       })
@@ -54,12 +58,15 @@ const ImportedModelMesh = ({ lotId, modelId, filename, x = 0, y = 0, rotation =
   const needsScaling = effectiveUnits === 'meters'
 
   // Build Three.js geometries from mesh data
-  const { geometries, center, zMin } = useMemo(() => {
+  const { geometries, center, zMin, zMax, lengthScale } = useMemo(() => {
     if (!meshData || meshData.length === 0) {
       console.log('[IFC Mesh] No mesh data to build geometries from')
-      return { geometries: [], center: [0, 0, 0], zMin: 0 }
+      return { geometries: [], center: [0, 0, 0], zMin: 0, zMax: 0, lengthScale: 1 }
     }
 
+    // Feet per web-ifc meter as finally applied, for the storey elevations
+    let lengthScale = needsScaling ? METERS_TO_FEET : 1
+
     const geos = []
     const bbox = new THREE.Box3()
 
@@ -115,6 +122,7 @@ const ImportedModelMesh = ({ lotId, modelId, filename, x = 0, y = 0, rotation =
       }
       bbox.getCenter(c)
       bbox.getSize(size)
+      lengthScale = 1
     }
 
     console.log('[IFC Mesh] Built', geos.length, 'geometries')
@@ -122,9 +130,16 @@ const ImportedModelMesh = ({ lotId, modelId, filename, x = 0, y = 0, rotation =
     console.log('[IFC Mesh] BBox min:', bbox.min.toArray().map(v => v.toFixed(2)), '→ max:', bbox.max.toArray().map(v => v.toFixed(2)))
     console.log('[IFC Mesh] Dimensions (ft):', size.x.toFixed(1), 'W ×', size.y.toFixed(1), 'D ×', size.z.toFixed(1), 'H')
     console.log('[IFC Mesh] Center:', [c.x.toFixed(2), c.y.toFixed(2), c.z.toFixed(2)])
-    return { geometries: geos, center: [c.x, c.y, c.z], zMin: bbox.min.z }
+    return { geometries: geos, center: [c.x, c.y, c.z], zMin: bbox.min.z, zMax: bbox.max.z, lengthScale }
   }, [meshData, needsScaling, effectiveUnits, units])
 
+  // Gross footprint, height and storeys for the compliance report
+  useEffect(() => {
+    if (!modelId || geometries.length === 0) return
+    const positionArrays = geometries.map(g => g.geometry.getAttribute('position').array)
+    setImportedModelMetrics(modelId, measureImportedModel(positionArrays, { center, zMin, zMax, storeys, lengthScale }))
+  }, [modelId, geometries, center, zMin, zMax, storeys, lengthScale, setImportedModelMetrics])
+
   // Dispose geometries on unmount
   useEffect(() => {
     return () => {
@@ -1,9 +1,13 @@
 import { useStore } from '../store/useStore'
-import { useLotIds } from '../hooks/useEntityStore'
+import { useLotIds, useLotPlacement } from '../hooks/useEntityStore'
+import { evaluateImportedModelCompliance } from '../utils/importedModelCompliance'
+import { describeRule } from '../utils/zoningCompliance'
 import ColorPicker from './ui/ColorPicker'
 import SliderInput from './ui/SliderInput'
 import { X, Trash2, Lock, Unlock } from 'lucide-react'
 
+const STATUS_COLORS = { pass: '#16A34A', fail: '#DC2626', na: 'var(--ui-text-muted)' }
+
 const ImportedModelStylePopup = () => {
     const selectedImportedModel = useStore((s) => s.selectedImportedModel)
     const lots = useStore((s) => s.entities?.lots ?? {})
@@ -15,6 +19,8 @@ const ImportedModelStylePopup = () => {
     const removeImportedModel = useStore((s) => s.removeImportedModel)
     const deselectImportedModel = useStore((s) => s.deselectImportedModel)
     const toggleImportedModelLocked = useStore((s) => s.toggleImportedModelLocked)
+    const metrics = useStore((s) => s.importedModelMetrics?.[s.selectedImportedModel?.modelId])
+    const placement = useLotPlacement(selectedImportedModel?.lotId)
 
     if (!selectedImportedModel) return null
 
@@ -34,6 +40,9 @@ const ImportedModelStylePopup = () => {
     const edgeOpacity = modelStyle?.edges?.opacity ?? lotStyle.importedModelEdges?.opacity ?? 1.0
     const edgeVisible = modelStyle?.edges?.visible ?? lotStyle.importedModelEdges?.visible ?? true
 
+    const compliance = evaluateImportedModelCompliance(lot, model, metrics, placement?.streetSides)
+    const storeys = (metrics?.storeys ?? []).filter(st => st.elevation != null)
+
     return (
         <div
             className="absolute top-20 right-4 z-10 w-56 rounded-lg shadow-xl border"
@@ -135,6 +144,44 @@ const ImportedModelStylePopup = () => {
                     </div>
                 </div>
 
+                {/* Compliance report — measured against the lot's principal setbacks and max height */}
+                <div className="space-y-1">
+                    <div className="flex items-center justify-between">
+                        <span className="text-[10px] uppercase tracking-wider font-semibold" style={{ color: 'var(--ui-text-muted)' }}>Compliance</span>
+                        {compliance && compliance.status !== 'na' && (
+                            <span
+                                className="px-1.5 py-0.5 rounded text-[10px] font-bold"
+                                style={{ color: '#fff', backgroundColor: STATUS_COLORS[compliance.status] }}
+                            >
+                                {compliance.failCount > 0 ? `${compliance.failCount} failing` : 'Pass'}
+                            </span>
+                        )}
+                    </div>
+                    {!compliance ? (
+                        <p className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>Measuring model…</p>
+                    ) : (
+                        <ul className="space-y-0.5">
+                            {compliance.rules.map(rule => (
+                                <li key={rule.key} className="flex items-center justify-between gap-2 text-[10px] pl-1.5" style={{ borderLeft: `2px solid ${STATUS_COLORS[rule.status]}` }}>
+                                    <span style={{ color: 'var(--ui-text-secondary)' }}>{rule.label}</span>
+                                    <span style={{ color: rule.status === 'fail' ? STATUS_COLORS.fail : 'var(--ui-text)' }}>{describeRule(rule)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {storeys.length > 0 && (
+                        <div className="pt-1 space-y-0.5">
+                            <label className="text-[10px] block" style={{ color: 'var(--ui-text-muted)' }}>Storeys</label>
+                            {storeys.map((st, i) => (
+                                <div key={i} className="flex items-center justify-between text-[10px]">
+                                    <span className="truncate" style={{ color: 'var(--ui-text-secondary)' }}>{st.name}</span>
+                                    <span style={{ color: 'var(--ui-text)' }}>{(st.elevation * (model.scale ?? 1)).toFixed(1)} ft</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
                 {/* Delete button */}
                 <button
                     onClick={() => {
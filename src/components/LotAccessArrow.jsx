@@ -3,6 +3,7 @@ import { useThree } from '@react-three/fiber'
 import { Line } from '@react-three/drei'
 import * as THREE from 'three'
 import { useStore } from '../store/useStore'
+import { worldToLot } from '../utils/blockLayout'
 
 /**
  * Creates a 2D arrow silhouette (shaft + triangular arrowhead) pointing in +Y.
@@ -95,6 +96,7 @@ const createSharedDriveShape = (
  *   bidirectional: boolean — render two arrows back-to-back
  *   position: [x, y, z] — current position
  *   onPositionChange: callback(newPos)
+ *   offsetGroupRotation: rotation of the lot frame the arrow is drawn in (block layout)
  *   color: arrow color (default magenta)
  */
 const LotAccessArrow = ({
@@ -107,6 +109,7 @@ const LotAccessArrow = ({
     bidirectional = false,
     position = [0, 0, 0],
     onPositionChange,
+    offsetGroupRotation = 0,
     color: colorProp,
     style: styleProp,
 }) => {
@@ -131,6 +134,13 @@ const LotAccessArrow = ({
     const planeIntersectPoint = useRef(new THREE.Vector3())
     const dragOffset = useRef(new THREE.Vector3())
 
+    // Ground point under the pointer, turned into the lot frame's axes
+    // (positions are lot-local, so only the rotation matters for drag deltas)
+    const intersectGround = (e) => {
+        if (!e.ray.intersectPlane(plane, planeIntersectPoint.current)) return null
+        return worldToLot(planeIntersectPoint.current.x, planeIntersectPoint.current.y, 0, 0, offsetGroupRotation)
+    }
+
     // Create the arrow shape geometry (memoized, scaled width)
     const arrowGeometry = useMemo(() => {
         const shape = createArrowShape(8 * heightScale, 4 * scale, 3 * heightScale, 1.5 * scale)
@@ -207,12 +217,8 @@ const LotAccessArrow = ({
 
         // Move mode: select base point phase
         if (moveMode?.active && moveMode.phase === 'selectBase' && isMoveModeTarget) {
-            if (e.ray.intersectPlane(plane, planeIntersectPoint.current)) {
-                setMoveBasePoint(
-                    [planeIntersectPoint.current.x, planeIntersectPoint.current.y],
-                    [...position]
-                )
-            }
+            const point = intersectGround(e)
+            if (point) setMoveBasePoint([point.x, point.y], [...position])
             useStore.temporal.getState().pause()
             if (controls) controls.enabled = false
             e.target.setPointerCapture(e.pointerId)
@@ -235,13 +241,8 @@ const LotAccessArrow = ({
         e.target.setPointerCapture(e.pointerId)
 
         // Calculate offset from arrow position to click point
-        if (e.ray.intersectPlane(plane, planeIntersectPoint.current)) {
-            dragOffset.current.set(
-                position[0] - planeIntersectPoint.current.x,
-                position[1] - planeIntersectPoint.current.y,
-                0
-            )
-        }
+        const point = intersectGround(e)
+        if (point) dragOffset.current.set(position[0] - point.x, position[1] - point.y, 0)
     }
 
     const handlePointerUp = (e) => {
@@ -257,9 +258,10 @@ const LotAccessArrow = ({
         // Move mode: moving phase
         if (moveMode?.active && moveMode.phase === 'moving' && isMoveModeTarget && moveMode.basePoint) {
             e.stopPropagation()
-            if (!e.ray.intersectPlane(plane, planeIntersectPoint.current)) return
-            const dx = planeIntersectPoint.current.x - moveMode.basePoint[0]
-            const dy = planeIntersectPoint.current.y - moveMode.basePoint[1]
+            const point = intersectGround(e)
+            if (!point) return
+            const dx = point.x - moveMode.basePoint[0]
+            const dy = point.y - moveMode.basePoint[1]
             const newPos = [
                 (moveMode.originalPosition?.[0] ?? position[0]) + dx,
                 (moveMode.originalPosition?.[1] ?? position[1]) + dy,
@@ -272,11 +274,12 @@ const LotAccessArrow = ({
         if (!dragging) return
         e.stopPropagation()
 
-        if (!e.ray.intersectPlane(plane, planeIntersectPoint.current)) return
+        const point = intersectGround(e)
+        if (!point) return
 
         const newPos = [
-            planeIntersectPoint.current.x + dragOffset.current.x,
-            planeIntersectPoint.current.y + dragOffset.current.y,
+            point.x + dragOffset.current.x,
+            point.y + dragOffset.current.y,
             position[2],
         ]
 
@@ -2,6 +2,7 @@ import { useMemo } from 'react'
 import { useStore, DIMENSION_FONT_OPTIONS } from '../store/useStore'
 import { useShallow } from 'zustand/react/shallow'
 import DraggableLabel from './DraggableLabel'
+import { getLotAnnotationLabels, isLabelLayerOn } from '../utils/annotationLabels'
 
 /**
  * Renders all annotation labels for a single lot/condition.
@@ -16,7 +17,7 @@ const LotAnnotations = ({
     lotDepth,
     setbacks = {},
     maxSetbacks = {},
-    buildings = {},
+    buildings = [],           // [{ id, type, label, x, y, width, depth, totalHeight }]
     lotIndex = 1,
     lotCenter = [0, 0],
     lineScale = 1,
@@ -58,210 +59,26 @@ const LotAnnotations = ({
 
     const baseFontSize = annotationSettings.fontSize
 
-    // ---------- Lot Name ----------
-    const lotNameId = `lot-${lotId}-name`
-    const lotNameDefault = [lotWidth / 2, lotDepth / 2, 0.2]
-
-    // ---------- Lot Edge Labels ----------
-    const edgeLabels = [
-        {
-            id: `lot-${lotId}-edge-front`,
-            text: 'Front',
-            defaultPosition: [lotWidth / 2, -3, 0.15],
-            anchorPoint: [lotWidth / 2, 0, 0],
-        },
-        {
-            id: `lot-${lotId}-edge-rear`,
-            text: 'Rear',
-            defaultPosition: [lotWidth / 2, lotDepth + 3, 0.15],
-            anchorPoint: [lotWidth / 2, lotDepth, 0],
-        },
-        {
-            id: `lot-${lotId}-edge-interior`,
-            text: 'Side (Interior)',
-            defaultPosition: [-3, lotDepth / 2, 0.15],
-            anchorPoint: [0, lotDepth / 2, 0],
-        },
-        {
-            id: `lot-${lotId}-edge-street`,
-            text: 'Side (Street)',
-            defaultPosition: [lotWidth + 3, lotDepth / 2, 0.15],
-            anchorPoint: [lotWidth, lotDepth / 2, 0],
-        },
-    ]
-
-    // ---------- Setback Labels ----------
-    const { front: sbFront = 0, rear: sbRear = 0, left: sbLeft = 0, right: sbRight = 0 } = setbacks
-    const setbackLabels = []
-
-    if (sbFront > 0) {
-        setbackLabels.push({
-            id: `lot-${lotId}-setback-front`,
-            text: 'Front Setback',
-            defaultPosition: [lotWidth / 2, sbFront / 2, 0.15],
-        })
-    }
-    if (sbRear > 0) {
-        setbackLabels.push({
-            id: `lot-${lotId}-setback-rear`,
-            text: 'Rear Setback',
-            defaultPosition: [lotWidth / 2, lotDepth - sbRear / 2, 0.15],
-        })
-    }
-    if (sbLeft > 0) {
-        setbackLabels.push({
-            id: `lot-${lotId}-setback-left`,
-            text: 'Left Setback',
-            defaultPosition: [sbLeft / 2, lotDepth / 2, 0.15],
-        })
-    }
-    if (sbRight > 0) {
-        setbackLabels.push({
-            id: `lot-${lotId}-setback-right`,
-            text: 'Right Setback',
-            defaultPosition: [lotWidth - sbRight / 2, lotDepth / 2, 0.15],
-            fixedRotation: [0, 0, Math.PI / 2],
-        })
-    }
-
-    // ---------- Max Setback Labels ----------
-    const maxSetbackLabels = []
-    const { front: maxFront = 0, sideStreet: maxSideStreet = 0, streetSides = {} } = maxSetbacks
-
-    if (maxFront > 0) {
-        maxSetbackLabels.push({
-            id: `lot-${lotId}-maxsetback-front`,
-            text: 'Max. Front Setback',
-            defaultPosition: [lotWidth / 2, maxFront / 2, 0.17],
-        })
-    }
-    if (maxSideStreet > 0 && streetSides.left) {
-        maxSetbackLabels.push({
-            id: `lot-${lotId}-maxsetback-left`,
-            text: 'Max. Side Setback',
-            defaultPosition: [maxSideStreet / 2, lotDepth / 2, 0.17],
-        })
-    }
-    if (maxSideStreet > 0 && streetSides.right) {
-        maxSetbackLabels.push({
-            id: `lot-${lotId}-maxsetback-right`,
-            text: 'Max. Side Setback',
-            defaultPosition: [lotWidth - maxSideStreet / 2, lotDepth / 2, 0.17],
-        })
-    }
-
-    // ---------- Building Labels ----------
-    const buildingLabels = []
-    const principal = buildings?.principal
-    const accessory = buildings?.accessory
-
-    if (principal && principal.width > 0 && principal.depth > 0) {
-        const px = (principal.x ?? 0) + principal.width / 2
-        const py = (principal.y ?? 0) + principal.depth / 2
-        const pz = (principal.totalHeight ?? 0) + 2
-        buildingLabels.push({
-            id: `lot-${lotId}-bldg-principal`,
-            text: 'Principal Building',
-            anchorPoint: [px, py, pz],
-            defaultPosition: [px + principal.width * 0.5 + 5, py, pz + 3],
-        })
-    }
-
-    if (accessory && accessory.width > 0 && accessory.depth > 0) {
-        const ax = (accessory.x ?? 0) + accessory.width / 2
-        const ay = (accessory.y ?? 0) + accessory.depth / 2
-        const az = (accessory.totalHeight ?? 0) + 2
-        buildingLabels.push({
-            id: `lot-${lotId}-bldg-accessory`,
-            text: 'Accessory Building',
-            anchorPoint: [ax, ay, az],
-            defaultPosition: [ax + accessory.width * 0.5 + 5, ay, az + 3],
-        })
-    }
-
-    const lotNameText = (() => {
-        const cl = annotationCustomLabels?.[`lot-${lotId}-name`]
-        return (cl?.mode === 'custom' && cl.text) ? cl.text : `Lot ${lotIndex}`
-    })()
+    const labels = getLotAnnotationLabels({
+        lotId, lotWidth, lotDepth, setbacks, maxSetbacks, buildings, lotIndex,
+        customLabels: annotationCustomLabels,
+    })
 
     return (
         <group>
-            {/* Lot Name */}
-            {layers.labelLotNames && (
-                <DraggableLabel
-                    {...sharedProps}
-                    text={lotNameText}
-                    fontSize={baseFontSize * 1.3}
-                    defaultPosition={lotNameDefault}
-                    anchorPoint={[lotWidth / 2, lotDepth / 2, 0]}
-                    customPosition={annotationPositions[lotNameId] || null}
-                    onPositionChange={(pos) => setAnnotationPosition(lotNameId, pos)}
-                />
-            )}
-
-            {/* Lot Edge Labels */}
-            {layers.labelLotEdges && edgeLabels.map((label) => (
+            {labels.filter(label => isLabelLayerOn(layers, label.layerKey)).map((label) => (
                 <DraggableLabel
                     key={label.id}
                     {...sharedProps}
                     text={label.text}
-                    fontSize={baseFontSize}
+                    fontSize={baseFontSize * label.fontScale}
                     defaultPosition={label.defaultPosition}
                     anchorPoint={label.anchorPoint}
                     customPosition={annotationPositions[label.id] || null}
                     onPositionChange={(pos) => setAnnotationPosition(label.id, pos)}
-                />
-            ))}
-
-            {/* Setback Labels */}
-            {layers.labelSetbacks && setbackLabels.map((label) => (
-                <DraggableLabel
-                    key={label.id}
-                    {...sharedProps}
-                    text={label.text}
-                    fontSize={baseFontSize}
-                    defaultPosition={label.defaultPosition}
-                    anchorPoint={label.defaultPosition}
-                    customPosition={annotationPositions[label.id] || null}
-                    onPositionChange={(pos) => setAnnotationPosition(label.id, pos)}
                     {...(label.fixedRotation ? { fixedRotation: label.fixedRotation } : {})}
                 />
             ))}
-
-            {/* Max Setback Labels */}
-            {layers.labelMaxSetbacks && maxSetbackLabels.map((label) => (
-                <DraggableLabel
-                    key={label.id}
-                    {...sharedProps}
-                    text={label.text}
-                    fontSize={baseFontSize}
-                    defaultPosition={label.defaultPosition}
-                    anchorPoint={label.defaultPosition}
-                    customPosition={annotationPositions[label.id] || null}
-                    onPositionChange={(pos) => setAnnotationPosition(label.id, pos)}
-                />
-            ))}
-
-            {/* Building Labels */}
-            {buildingLabels.map((label) => {
-                const isPrincipal = label.id.includes('bldg-principal')
-                const layerOn = isPrincipal
-                    ? (layers.labelPrincipalBuildings ?? layers.labelBuildings ?? true)
-                    : (layers.labelAccessoryBuildings ?? layers.labelBuildings ?? true)
-                if (!layerOn) return null
-                return (
-                    <DraggableLabel
-                        key={label.id}
-                        {...sharedProps}
-                        text={label.text}
-                        fontSize={baseFontSize}
-                        defaultPosition={label.defaultPosition}
-                        anchorPoint={label.anchorPoint}
-                        customPosition={annotationPositions[label.id] || null}
-                        onPositionChange={(pos) => setAnnotationPosition(label.id, pos)}
-                    />
-                )
-            })}
         </group>
     )
 }
@@ -2,9 +2,10 @@ import { useState, useMemo, useRef } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import { useStore } from '../../store/useStore'
+import { worldToLot } from '../../utils/blockLayout'
 
 // Push/pull handle on edges - drag perpendicular to extrude
-const EdgeHandle = ({ v1, v2, edgeIndex, onExtrude, offsetGroupX = 0, offsetGroupY = 0 }) => {
+const EdgeHandle = ({ v1, v2, edgeIndex, onExtrude, offsetGroupX = 0, offsetGroupY = 0, offsetGroupRotation = 0 }) => {
     const [hovered, setHovered] = useState(false)
     const [dragging, setDragging] = useState(false)
     const { controls, camera } = useThree()
@@ -70,10 +71,7 @@ const EdgeHandle = ({ v1, v2, edgeIndex, onExtrude, offsetGroupX = 0, offsetGrou
 
         // Store initial position
         if (e.ray.intersectPlane(plane, planeIntersectPoint.current)) {
-            dragStartRef.current = {
-                x: planeIntersectPoint.current.x - offsetGroupX,
-                y: planeIntersectPoint.current.y - offsetGroupY,
-            }
+            dragStartRef.current = worldToLot(planeIntersectPoint.current.x, planeIntersectPoint.current.y, offsetGroupX, offsetGroupY, offsetGroupRotation)
             initialDistanceRef.current = 0
         }
     }
@@ -93,8 +91,7 @@ const EdgeHandle = ({ v1, v2, edgeIndex, onExtrude, offsetGroupX = 0, offsetGrou
 
         if (!e.ray.intersectPlane(plane, planeIntersectPoint.current)) return
 
-        const currentX = planeIntersectPoint.current.x - offsetGroupX
-        const currentY = planeIntersectPoint.current.y - offsetGroupY
+        const { x: currentX, y: currentY } = worldToLot(planeIntersectPoint.current.x, planeIntersectPoint.current.y, offsetGroupX, offsetGroupY, offsetGroupRotation)
 
         // Calculate movement from drag start
         const dx = currentX - dragStartRef.current.x
@@ -2,9 +2,10 @@ import { useState, useMemo, useRef } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
 import * as THREE from 'three'
 import { useStore } from '../../store/useStore'
+import { worldToLot } from '../../utils/blockLayout'
 
 // Draggable vertex handle at polygon corners
-const VertexHandle = ({ position, vertexIndex, onDrag, onDragEnd, offsetGroupX = 0, offsetGroupY = 0 }) => {
+const VertexHandle = ({ position, vertexIndex, onDrag, onDragEnd, offsetGroupX = 0, offsetGroupY = 0, offsetGroupRotation = 0 }) => {
     const [hovered, setHovered] = useState(false)
     const [dragging, setDragging] = useState(false)
     const { controls, camera } = useThree()
@@ -47,12 +48,11 @@ const VertexHandle = ({ position, vertexIndex, onDrag, onDragEnd, offsetGroupX =
         // Raycast to Z=0 plane
         if (!e.ray.intersectPlane(plane, planeIntersectPoint.current)) return
 
-        // Convert world to local (subtract group offset)
-        const localX = planeIntersectPoint.current.x - offsetGroupX
-        const localY = planeIntersectPoint.current.y - offsetGroupY
+        // Convert world to local (undo group offset and rotation)
+        const local = worldToLot(planeIntersectPoint.current.x, planeIntersectPoint.current.y, offsetGroupX, offsetGroupY, offsetGroupRotation)
 
         if (onDrag) {
-            onDrag(vertexIndex, localX, localY)
+            onDrag(vertexIndex, local.x, local.y)
         }
     }
 
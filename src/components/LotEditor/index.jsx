@@ -15,6 +15,7 @@ const LotEditor = ({
     dimensionSettings = {},
     offsetGroupX = 0,
     offsetGroupY = 0,
+    offsetGroupRotation = 0,
     lineScale = 1,   // Line scale for export WYSIWYG
     // Store actions
     updateVertex,
@@ -74,6 +75,7 @@ const LotEditor = ({
                             onDragEnd={handleVertexDragEnd}
                             offsetGroupX={offsetGroupX}
                             offsetGroupY={offsetGroupY}
+                            offsetGroupRotation={offsetGroupRotation}
                         />
                     ))}
 
@@ -103,6 +105,7 @@ const LotEditor = ({
                                 onExtrude={handleExtrude}
                                 offsetGroupX={offsetGroupX}
                                 offsetGroupY={offsetGroupY}
+                                offsetGroupRotation={offsetGroupRotation}
                             />
                         )
                     })}
@@ -2,7 +2,7 @@ import React, { useMemo } from 'react'
 import { Line } from '@react-three/drei'
 import * as THREE from 'three'
 import { useStore } from '../store/useStore'
-import { useLot, useLotStyle, useLotVisibility, useDistrictParameters } from '../hooks/useEntityStore'
+import { useLot, useLotStyle, useLotVisibility, useDistrictParameters, useLotCompliance } from '../hooks/useEntityStore'
 import Dimension from './Dimension'
 import LotEditor from './LotEditor'
 import BuildingEditor from './BuildingEditor'
@@ -11,6 +11,13 @@ import LotAccessArrow from './LotAccessArrow'
 import ImportedModelMesh from './ImportedModelMesh'
 import MoveHandle from './BuildingEditor/MoveHandle'
 import { formatDimension } from '../utils/formatUnits'
+import { getLotPolygon, getLotFrontEdge, classifyLotEdges, getFrontZonePolygon, getLotBuildings, getBuildingLabel, buildingExists, getBuildingFootprint } from '../utils/lotGeometry'
+import { computeEnvelopeLevels, generateEnvelopeGeometry, hasHeightTransitions } from '../utils/zoningEnvelope'
+import { getFailingRules } from '../utils/zoningCompliance'
+import { generateParkingLayout } from '../utils/parkingLayout'
+import { getLotSightTriangles, getSightTriangleIntrusion, getHatchSegments } from '../utils/sightTriangles'
+import { resolveAccessPosition } from '../utils/lotAccess'
+import { getLotDriveways } from '../utils/driveways'
 
 // Helper: compute total building height from story data
 export const computeTotalHeight = (building) => {
@@ -1001,12 +1008,413 @@ const MaxHeightPlaneStandalone = ({ building, maxHeight, style: planeStyle, line
     )
 }
 
+// ============================================
+// BuildingEnvelope — translucent solid of the buildable
+// volume: the min setback polygon lofted up to the
+// principal max height, cut back by any daylight planes
+// and stepbacks, plus the build-to zone behind the front
+// lot line when a max front setback is set.
+// ============================================
+const toShape = (points) => {
+    const s = new THREE.Shape()
+    s.moveTo(points[0].x, points[0].y)
+    for (let i = 1; i < points.length; i++) s.lineTo(points[i].x, points[i].y)
+    s.closePath()
+    return s
+}
+
+const BuildingEnvelope = ({ lot, setbacks, streetSides = {}, districtParameters, maxHeight, style, lineScale = 1 }) => {
+    const levels = useMemo(
+        () => computeEnvelopeLevels(lot, setbacks, streetSides, districtParameters, maxHeight),
+        [lot, setbacks, streetSides, districtParameters, maxHeight]
+    )
+    const geometry = useMemo(() => generateEnvelopeGeometry(levels), [levels])
+
+    // BTZ front zone runs up to the first height transition (or the full height)
+    const frontZone = useMemo(() => {
+        if (style.showFrontZone === false || levels.length < 2) return null
+        const polygon = getFrontZonePolygon(lot, setbacks, streetSides)
+        return polygon ? { shape: toShape(polygon), height: levels[1].z } : null
+    }, [lot, setbacks, streetSides, levels, style.showFrontZone])
+
+    // Level rings plus the edges connecting each vertex up the stack
+    const edgeLines = useMemo(() => {
+        if (levels.length < 2) return []
+        const lines = levels.map(({ z, polygon }) =>
+            [...polygon, polygon[0]].map(p => [p.x, p.y, z === 0 ? 0.08 : z]))
+        const n = levels[0].polygon.length
+        for (let i = 0; i < n; i++) {
+            lines.push(levels.map(({ z, polygon }) => [polygon[i].x, polygon[i].y, z === 0 ? 0.08 : z]))
+        }
+        return lines
+    }, [levels])
+
+    if (!geometry) return null
+
+    const opacity = style.opacity ?? 0.15
+    const frontZoneOpacity = style.frontZoneOpacity ?? 0.25
+
+    return (
+        <group>
+            <mesh name="BuildingEnvelope" renderOrder={3}>
+                <primitive object={geometry} attach="geometry" />
+                <meshStandardMaterial
+                    color={style.color ?? '#4A90D9'}
+                    transparent={opacity < 1}
+                    opacity={opacity}
+                    side={THREE.DoubleSide}
+                    depthWrite={opacity >= 0.95}
+                    roughness={1}
+                    metalness={0}
+                />
+            </mesh>
+            {frontZone && (
+                <mesh name="BuildingEnvelopeFrontZone" renderOrder={4}>
+                    <extrudeGeometry args={[frontZone.shape, { depth: frontZone.height, bevelEnabled: false }]} />
+                    <meshStandardMaterial
+                        color={style.frontZoneColor ?? '#AA00FF'}
+                        transparent={frontZoneOpacity < 1}
+                        opacity={frontZoneOpacity}
+                        side={THREE.DoubleSide}
+                        depthWrite={frontZoneOpacity >= 0.95}
+                        polygonOffset
+                        polygonOffsetFactor={-1}
+                        polygonOffsetUnits={-1}
+                        roughness={1}
+                        metalness={0}
+                    />
+                </mesh>
+            )}
+            {edgeLines.map((pts, i) => (
+                <Line
+                    key={i}
+                    points={pts}
+                    color={style.lineColor ?? '#1F5FA8'}
+                    lineWidth={(style.lineWidth ?? 1) * lineScale}
+                    dashed={style.lineDashed ?? false}
+                    dashSize={style.lineDashSize ?? 3}
+                    gapSize={style.lineGapSize ?? 2}
+                />
+            ))}
+        </group>
+    )
+}
+
+// ============================================
+// HeightTransitionPlanes — sloped daylight planes and
+// stepback ledges that cut into the max height plane.
+// Drawn with the max height plane style.
+// ============================================
+const HeightTransitionPlanes = ({ lot, setbacks, streetSides = {}, districtParameters, maxHeight, style: planeStyle }) => {
+    const geometry = useMemo(() => {
+        const levels = computeEnvelopeLevels(lot, setbacks, streetSides, districtParameters, maxHeight)
+        return generateEnvelopeGeometry(levels, { transitionsOnly: true })
+    }, [lot, setbacks, streetSides, districtParameters, maxHeight])
+
+    if (!geometry) return null
+
+    const opacity = planeStyle?.opacity ?? 0.3
+
+    return (
+        <mesh name="HeightTransitionPlanes" renderOrder={6}>
+            <primitive object={geometry} attach="geometry" />
+            <meshStandardMaterial
+                color={planeStyle?.color ?? '#FF6B6B'}
+                transparent={opacity < 1}
+                opacity={opacity}
+                side={THREE.DoubleSide}
+                depthWrite={opacity >= 0.95}
+            />
+        </mesh>
+    )
+}
+
+// ============================================
+// SubdivisionPreview — proposed parcels from the
+// subdivision tool, drawn over the parent lot before
+// they are committed. Green parcels meet the district
+// minimums, red ones do not; the remainder is grey.
+// ============================================
+const SUBDIVISION_PREVIEW_COLORS = { valid: '#2E9E4F', invalid: '#D64545', remainder: '#8A8A8A' }
+
+const SubdivisionPreviewShape = ({ polygon, color, dashed = false, lineScale = 1 }) => {
+    const shape = useMemo(() => toShape(polygon), [polygon])
+    const points = useMemo(() => [...polygon, polygon[0]].map(p => [p.x, p.y, 0.16]), [polygon])
+    return (
+        <group>
+            <mesh position={[0, 0, 0.15]} renderOrder={3}>
+                <shapeGeometry args={[shape]} />
+                <meshBasicMaterial color={color} transparent opacity={0.18} depthWrite={false} side={THREE.DoubleSide} />
+            </mesh>
+            <Line points={points} color={color} lineWidth={2 * lineScale} dashed={dashed} dashSize={3} gapSize={2} />
+        </group>
+    )
+}
+
+const SubdivisionPreview = ({ preview, lineScale = 1 }) => (
+    <group name="SubdivisionPreview">
+        {preview.parcels.map((parcel, i) => (
+            <SubdivisionPreviewShape
+                key={`parcel-${i}`}
+                polygon={parcel.polygon}
+                color={parcel.valid ? SUBDIVISION_PREVIEW_COLORS.valid : SUBDIVISION_PREVIEW_COLORS.invalid}
+                lineScale={lineScale}
+            />
+        ))}
+        {preview.remainder.map((polygon, i) => (
+            <SubdivisionPreviewShape
+                key={`remainder-${i}`}
+                polygon={polygon}
+                color={SUBDIVISION_PREVIEW_COLORS.remainder}
+                dashed
+                lineScale={lineScale}
+            />
+        ))}
+    </group>
+)
+
+// ============================================
+// ParkingLayout — generated surface parking: paved
+// stalls, aisles and drive as one fill, stall stripes
+// and the paving edge as line segments.
+// ============================================
+const rectCorners = (r) => [{ x: r.x0, y: r.y0 }, { x: r.x1, y: r.y0 }, { x: r.x1, y: r.y1 }, { x: r.x0, y: r.y1 }]
+
+const ParkingLayout = ({ lot, streetSides = {}, style, lineScale = 1 }) => {
+    const layout = useMemo(() => generateParkingLayout(lot, streetSides), [lot, streetSides])
+    const zFill = 0.07
+    const zLine = 0.075
+
+    const shapes = useMemo(() => {
+        const rects = [...layout.stalls, ...layout.aisles, ...(layout.drive ? [layout.drive] : [])]
+        return rects.map(r => toShape(rectCorners(r)))
+    }, [layout])
+
+    const segments = useMemo(() => {
+        const pts = []
+        for (const r of layout.stalls) {
+            const corners = rectCorners(r)
+            for (let i = 0; i < 4; i++) {
+                const a = corners[i]
+                const b = corners[(i + 1) % 4]
+                pts.push([a.x, a.y, zLine], [b.x, b.y, zLine])
+            }
+        }
+        return pts
+    }, [layout])
+
+    if (shapes.length === 0) return null
+
+    const { opacity = 0.35 } = style
+    return (
+        <group name="ParkingLayout">
+            <mesh position={[0, 0, zFill]}>
+                <shapeGeometry args={[shapes]} />
+                <meshStandardMaterial
+                    color={style.color ?? '#9E9E9E'}
+                    opacity={opacity}
+                    transparent={opacity < 1}
+                    depthWrite={opacity >= 0.95}
+                    side={THREE.FrontSide}
+                    roughness={1}
+                    metalness={0}
+                />
+            </mesh>
+            {segments.length > 0 && (
+                <Line
+                    points={segments}
+                    segments
+                    color={style.lineColor ?? '#FFFFFF'}
+                    lineWidth={(style.lineWidth ?? 1) * lineScale}
+                    dashed={style.lineDashed ?? false}
+                    dashSize={style.lineDashSize ?? 3}
+                    gapSize={style.lineGapSize ?? 2}
+                    dashScale={1}
+                />
+            )}
+        </group>
+    )
+}
+
+// Layer / visibility / style keys for each building type
+const BUILDING_TYPE_CONFIG = {
+    principal: {
+        layerKey: 'principalBuildings', visKey: 'buildings', planeKey: 'maxHeightPlanePrincipal',
+        facesKey: 'principalBuildingFaces', edgesKey: 'principalBuildingEdges', firstFloorHeight: 12,
+    },
+    accessory: {
+        layerKey: 'accessoryBuildings', visKey: 'accessoryBuilding', planeKey: 'maxHeightPlaneAccessory',
+        facesKey: 'accessoryBuildingFaces', edgesKey: 'accessoryBuildingEdges', firstFloorHeight: 10,
+    },
+}
+
+// ============================================
+// ComplianceHighlight — red overlay for lots that fail district rules.
+// Lot-level failures outline the whole lot; setback failures
+// highlight only the offending side of the lot line.
+// ============================================
+const COMPLIANCE_COLOR = '#FF0000'
+
+const ComplianceHighlight = ({ lot, compliance, lineScale = 1 }) => {
+    const { outline, sideEdges } = useMemo(() => {
+        const polygon = getLotPolygon(lot)
+        const failing = getFailingRules(compliance)
+        const lotFails = failing.some(r => r.category === 'lot')
+        const failingSides = new Set(failing.filter(r => r.side).map(r => r.side))
+        const edges = classifyLotEdges(polygon, getLotFrontEdge(lot))
+            .filter(e => failingSides.has(e.side))
+            .map(e => [[e.a.x, e.a.y, 0.14], [e.b.x, e.b.y, 0.14]])
+        const pts = lotFails ? [...polygon, polygon[0]].map(p => [p.x, p.y, 0.14]) : null
+        return { outline: pts, sideEdges: edges }
+    }, [lot, compliance])
+
+    return (
+        <group>
+            {outline && (
+                <Line
+                    points={outline}
+                    color={COMPLIANCE_COLOR}
+                    lineWidth={3 * lineScale}
+                    dashed
+                    dashSize={2}
+                    gapSize={1.5}
+                    renderOrder={4}
+                />
+            )}
+            {sideEdges.map((pts, i) => (
+                <Line
+                    key={i}
+                    points={pts}
+                    color={COMPLIANCE_COLOR}
+                    lineWidth={4 * lineScale}
+                    renderOrder={4}
+                />
+            ))}
+        </group>
+    )
+}
+
+// ============================================
+// Driveways — generated drive paths and flared curb
+// cuts at each lot access. The curb cut lies in the
+// right-of-way, outside the lot.
+// ============================================
+const Driveways = ({ lot, lotId, streetSides = {}, roadModules, streetRoads, annotationPositions, style, lineScale = 1 }) => {
+    const zFill = 0.06
+    const zLine = 0.065
+
+    const polygons = useMemo(() => getLotDriveways(lot, lotId, { streetSides, roadModules, streetRoads, annotationPositions })
+        .flatMap(d => [d.path, d.apron])
+        .filter(Boolean), [lot, lotId, streetSides, roadModules, streetRoads, annotationPositions])
+
+    const segments = useMemo(() => polygons.flatMap(polygon => polygon.flatMap((a, i) => {
+        const b = polygon[(i + 1) % polygon.length]
+        return [[a.x, a.y, zLine], [b.x, b.y, zLine]]
+    })), [polygons])
+
+    if (polygons.length === 0) return null
+
+    const { opacity = 0.6 } = style
+    return (
+        <group name="Driveways">
+            <mesh position={[0, 0, zFill]}>
+                <shapeGeometry args={[polygons.map(toShape)]} />
+                <meshStandardMaterial
+                    color={style.color ?? '#7A7A7A'}
+                    opacity={opacity}
+                    transparent={opacity < 1}
+                    depthWrite={opacity >= 0.95}
+                    side={THREE.FrontSide}
+                    roughness={1}
+                    metalness={0}
+                />
+            </mesh>
+            <Line
+                points={segments}
+                segments
+                color={style.lineColor ?? '#4A4A4A'}
+                lineWidth={(style.lineWidth ?? 1) * lineScale}
+                dashed={style.lineDashed ?? false}
+                dashSize={style.lineDashSize ?? 3}
+                gapSize={style.lineGapSize ?? 2}
+                dashScale={1}
+            />
+        </group>
+    )
+}
+
+// ============================================
+// SightTriangles — hatched clear-vision zones at street corners and
+// driveways. Triangles a building intrudes into are drawn in the
+// compliance color.
+// ============================================
+const SightTriangles = ({ lot, lotId, streetSides = {}, roadDirs, annotationPositions, districtParameters, style, lineScale = 1 }) => {
+    const zFill = 0.08
+    const zLine = 0.085
+
+    const triangles = useMemo(() => {
+        const footprints = getLotBuildings(lot).filter(buildingExists).map(getBuildingFootprint)
+        return getLotSightTriangles(lot, lotId, { districtParameters, streetSides, roadDirs, annotationPositions }).map(t => ({
+            ...t,
+            intruded: footprints.some(fp => getSightTriangleIntrusion(fp, t.points) > 0),
+            hatch: getHatchSegments(t.points, Math.max(style.hatchSpacing ?? 3, 0.5))
+                .flatMap(([a, b]) => [[a.x, a.y, zLine], [b.x, b.y, zLine]]),
+        }))
+    }, [lot, lotId, streetSides, roadDirs, annotationPositions, districtParameters, style.hatchSpacing])
+
+    if (triangles.length === 0) return null
+
+    const { opacity = 0.12 } = style
+    return (
+        <group name="SightTriangles">
+            {triangles.map(t => {
+                const lineColor = t.intruded ? COMPLIANCE_COLOR : (style.lineColor ?? '#FF8C00')
+                return (
+                    <group key={t.key}>
+                        <mesh position={[0, 0, zFill]}>
+                            <shapeGeometry args={[toShape(t.points)]} />
+                            <meshStandardMaterial
+                                color={t.intruded ? COMPLIANCE_COLOR : (style.color ?? '#FF8C00')}
+                                opacity={opacity}
+                                transparent={opacity < 1}
+                                depthWrite={opacity >= 0.95}
+                                side={THREE.FrontSide}
+                                roughness={1}
+                                metalness={0}
+                            />
+                        </mesh>
+                        <Line
+                            points={[...t.points, t.points[0]].map(p => [p.x, p.y, zLine])}
+                            color={lineColor}
+                            lineWidth={(style.lineWidth ?? 1) * lineScale}
+                            dashed={style.lineDashed ?? false}
+                            dashSize={style.lineDashSize ?? 3}
+                            gapSize={style.lineGapSize ?? 2}
+                            dashScale={1}
+                        />
+                        {t.hatch.length > 0 && (
+                            <Line
+                                points={t.hatch}
+                                segments
+                                color={lineColor}
+                                lineWidth={(style.lineWidth ?? 1) * 0.75 * lineScale}
+                            />
+                        )}
+                    </group>
+                )
+            })}
+        </group>
+    )
+}
+
+const NO_STREET_SIDES = {}
+
 // ============================================
 // LotEntity — renders a single lot's 3D content
 // from the entity system.
-// Props: lotId, offset (x position)
+// Props: lotId, placement (blockLayout position, rotation and street sides)
 // ============================================
-const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
+const LotEntity = ({ lotId, lotIndex = 1, placement }) => {
     const lot = useLot(lotId)
     const style = useLotStyle(lotId)
     const visibility = useLotVisibility(lotId)
@@ -1019,7 +1427,6 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
     // District parameters (max height source of truth)
     const districtParameters = useDistrictParameters()
     const principalMaxHeight = districtParameters?.structures?.principal?.height?.max ?? 0
-    const accessoryMaxHeight = districtParameters?.structures?.accessory?.height?.max ?? 0
 
     // Entity building actions from store
     const selectEntityBuilding = useStore(state => state.selectEntityBuilding)
@@ -1039,14 +1446,29 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
     const setImportedModelPosition = useStore(state => state.setImportedModelPosition)
     const selectImportedModel = useStore(state => state.selectImportedModel)
     const selectedImportedModel = useStore(state => state.selectedImportedModel)
+    const subdivisionPreview = useStore(state => state.subdivisionPreview)
 
     // Annotation positions for draggable elements (lot access arrows, etc.)
     const annotationPositions = useStore(state => state.annotationPositions)
     const setAnnotationPosition = useStore(state => state.setAnnotationPosition)
 
+    // Street-facing lot lines from the block layout, and the roads they face (curb cuts)
+    const roadModules = useStore(state => state.entities?.roadModules)
+    const streetSides = placement?.streetSides ?? NO_STREET_SIDES
+    const roadDirs = placement?.roadDirs ?? NO_STREET_SIDES
+    const streetRoads = placement?.streetRoads ?? null
+
+    // Zoning compliance (red highlights on failing lots/buildings)
+    const compliance = useLotCompliance(lotId)
+
     if (!lot || !style) return null
 
     const { lotWidth, lotDepth, lotGeometry, setbacks, buildings } = lot
+
+    // World position of the lot center and rotation of its frame (block layout)
+    const originX = placement?.x ?? lotWidth / 2
+    const originY = placement?.y ?? lotDepth / 2
+    const rotation = placement?.rotation ?? 0
     const principal = buildings?.principal
     const accessory = buildings?.accessory
 
@@ -1063,10 +1485,17 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
     const showPrincipalHeightDim = layers.dimensionsHeightPrincipal ?? layers.dimensionsHeight
     const showAccessoryHeightDim = layers.dimensionsHeightAccessory ?? layers.dimensionsHeight
 
+    const showCompliance = layers.complianceHighlights && compliance?.status === 'fail'
+    const complianceEdges = (edges, buildingId) => (
+        showCompliance && getFailingRules(compliance, buildingId).length > 0
+            ? { ...edges, color: COMPLIANCE_COLOR, visible: true }
+            : edges
+    )
+
     // Position the lot group centered on its own width, front edge at y=0
     // Each lot's internal coordinate system: center-x at 0, front at -lotDepth/2, rear at +lotDepth/2
     return (
-        <group position={[offset + lotWidth / 2, lotDepth / 2, 0]}>
+        <group position={[originX, originY, 0]} rotation={[0, 0, rotation]}>
             {/* ============================================ */}
             {/* Lot Lines (rectangle or polygon) */}
             {/* ============================================ */}
@@ -1080,8 +1509,9 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                         fillStyle={style.lotFill}
                         showDimensions={showWidthDim || showDepthDim}
                         dimensionSettings={dimensionSettings}
-                        offsetGroupX={offset + lotWidth / 2}
-                        offsetGroupY={lotDepth / 2}
+                        offsetGroupX={originX}
+                        offsetGroupY={originY}
+                        offsetGroupRotation={rotation}
                         updateVertex={updateEntityVertex}
                         splitEdge={splitEntityEdge}
                         extrudeEdge={extrudeEntityEdge}
@@ -1196,6 +1626,61 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                 />
             )}
 
+            {/* ============================================ */}
+            {/* Parking Layout (generated stalls + aisles) */}
+            {/* ============================================ */}
+            {layers.parkingLayout && visibility.parkingLayout && lot.parkingLayout?.enabled && style?.parkingLayout && (
+                <ParkingLayout
+                    lot={lot}
+                    streetSides={streetSides}
+                    style={style.parkingLayout}
+                    lineScale={exportLineScale}
+                />
+            )}
+
+            {/* ============================================ */}
+            {/* Driveways (generated from lot access) */}
+            {/* ============================================ */}
+            {layers.driveways && visibility.driveways && lot.driveways?.enabled && style?.driveways && (
+                <Driveways
+                    lot={lot}
+                    lotId={lotId}
+                    streetSides={streetSides}
+                    roadModules={roadModules}
+                    streetRoads={streetRoads}
+                    annotationPositions={annotationPositions}
+                    style={style.driveways}
+                    lineScale={exportLineScale}
+                />
+            )}
+
+            {/* ============================================ */}
+            {/* Sight Triangles (clear-vision zones) */}
+            {/* ============================================ */}
+            {layers.sightTriangles && style?.sightTriangles && (
+                <SightTriangles
+                    lot={lot}
+                    lotId={lotId}
+                    streetSides={streetSides}
+                    roadDirs={roadDirs}
+                    annotationPositions={annotationPositions}
+                    districtParameters={districtParameters}
+                    style={style.sightTriangles}
+                    lineScale={exportLineScale}
+                />
+            )}
+
+            {/* ============================================ */}
+            {/* Compliance Highlights (failing rules) */}
+            {/* ============================================ */}
+            {showCompliance && (
+                <ComplianceHighlight
+                    lot={lot}
+                    compliance={compliance}
+                    lineScale={exportLineScale}
+                />
+            )}
+
             {/* ============================================ */}
             {/* BTZ Planes (Build-To Zone) */}
             {/* ============================================ */}
@@ -1218,109 +1703,103 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
             )}
 
             {/* ============================================ */}
-            {/* Principal Building */}
+            {/* Building Envelope (zoning solid) */}
             {/* ============================================ */}
-            {(layers.principalBuildings ?? layers.buildings) && visibility.buildings && principal && (
-                <BuildingEditor
-                    model={lotId}
-                    width={principal.width}
-                    depth={principal.depth}
-                    x={principal.x}
-                    y={principal.y}
-                    buildingGeometry={principal.geometry}
-                    selected={principal.selected}
-                    buildingType="principal"
-                    styles={{ faces: style.principalBuildingFaces ?? style.buildingFaces, edges: style.principalBuildingEdges ?? style.buildingEdges }}
-                    scaleFactor={1}
-                    onSelect={() => selectEntityBuilding(lotId, 'principal')}
-                    offsetGroupX={offset + lotWidth / 2}
-                    offsetGroupY={lotDepth / 2}
-                    stories={principal.stories ?? 1}
-                    firstFloorHeight={principal.firstFloorHeight ?? 12}
-                    upperFloorHeight={principal.upperFloorHeight ?? 10}
-                    maxHeight={principalMaxHeight}
-                    showMaxHeightPlane={(layers.maxHeightPlanePrincipal ?? layers.maxHeightPlane) && (visibility.maxHeightPlanePrincipal ?? visibility.maxHeightPlane)}
-                    maxHeightPlaneStyle={style.maxHeightPlane}
-                    roof={principal.roof}
-                    roofStyles={{ roofFaces: style.roofFaces, roofEdges: style.roofEdges }}
-                    showRoof={layers.roof && visibility.roof}
-                    showHeightDimensions={showPrincipalHeightDim}
-                    showFirstFloorHeightDim={layers.dimensionsFirstFloorHeight ?? true}
-                    dimensionSettings={dimensionSettings}
-                    lineScale={exportLineScale}
-                    enableBuildingPolygonMode={() => enableEntityBuildingPolygonMode(lotId, 'principal')}
-                    updateBuildingVertex={(_model, vertexIndex, newX, newY) => updateEntityBuildingVertex(lotId, 'principal', vertexIndex, newX, newY)}
-                    splitBuildingEdge={(_model, edgeIndex) => splitEntityBuildingEdge(lotId, 'principal', edgeIndex)}
-                    extrudeBuildingEdge={(_model, edgeIndex, distance) => extrudeEntityBuildingEdge(lotId, 'principal', edgeIndex, distance)}
-                    setBuildingTotalHeight={(_model, newHeight) => setEntityBuildingTotalHeight(lotId, 'principal', newHeight)}
-                    onBuildingMove={(newX, newY) => setEntityBuildingPosition(lotId, 'principal', newX, newY)}
-                />
-            )}
-
-            {/* Standalone principal max height plane — shown when building layer is off but height plane layer is on */}
-            {!((layers.principalBuildings ?? layers.buildings) && visibility.buildings) && principal &&
-             (layers.maxHeightPlanePrincipal ?? layers.maxHeightPlane) && (visibility.maxHeightPlanePrincipal ?? visibility.maxHeightPlane) &&
-             principalMaxHeight > 0 && (
-                <MaxHeightPlaneStandalone
-                    building={principal}
+            {layers.buildingEnvelope && visibility.buildingEnvelope && style?.buildingEnvelope &&
+             setbacks?.principal && principalMaxHeight > 0 && (
+                <BuildingEnvelope
+                    lot={lot}
+                    setbacks={setbacks.principal}
+                    streetSides={streetSides}
+                    districtParameters={districtParameters}
                     maxHeight={principalMaxHeight}
-                    style={style.maxHeightPlane}
+                    style={style.buildingEnvelope}
                     lineScale={exportLineScale}
                 />
             )}
 
             {/* ============================================ */}
-            {/* Accessory Building */}
+            {/* Buildings (principal + accessory, in buildingOrder) */}
             {/* ============================================ */}
-            {(layers.accessoryBuildings ?? layers.buildings) && visibility.accessoryBuilding && accessory && accessory.width > 0 && (
-                <BuildingEditor
-                    model={lotId}
-                    width={accessory.width}
-                    depth={accessory.depth}
-                    x={accessory.x}
-                    y={accessory.y}
-                    buildingGeometry={accessory.geometry}
-                    selected={accessory.selected}
-                    buildingType="accessory"
-                    styles={{ faces: style.accessoryBuildingFaces ?? style.buildingFaces, edges: style.accessoryBuildingEdges ?? style.buildingEdges }}
-                    scaleFactor={1}
-                    onSelect={() => selectEntityBuilding(lotId, 'accessory')}
-                    offsetGroupX={offset + lotWidth / 2}
-                    offsetGroupY={lotDepth / 2}
-                    stories={accessory.stories ?? 1}
-                    firstFloorHeight={accessory.firstFloorHeight ?? 10}
-                    upperFloorHeight={accessory.upperFloorHeight ?? 10}
-                    maxHeight={accessoryMaxHeight}
-                    showMaxHeightPlane={(layers.maxHeightPlaneAccessory ?? layers.maxHeightPlane) && (visibility.maxHeightPlaneAccessory ?? visibility.maxHeightPlane)}
-                    maxHeightPlaneStyle={style.maxHeightPlane}
-                    roof={accessory.roof}
-                    roofStyles={{ roofFaces: style.roofFaces, roofEdges: style.roofEdges }}
-                    showRoof={layers.roof && visibility.roof}
-                    showHeightDimensions={showAccessoryHeightDim}
-                    showFirstFloorHeightDim={layers.dimensionsFirstFloorHeight ?? true}
-                    dimensionSettings={dimensionSettings}
-                    lineScale={exportLineScale}
-                    enableBuildingPolygonMode={() => enableEntityBuildingPolygonMode(lotId, 'accessory')}
-                    updateBuildingVertex={(_model, vertexIndex, newX, newY) => updateEntityBuildingVertex(lotId, 'accessory', vertexIndex, newX, newY)}
-                    splitBuildingEdge={(_model, edgeIndex) => splitEntityBuildingEdge(lotId, 'accessory', edgeIndex)}
-                    extrudeBuildingEdge={(_model, edgeIndex, distance) => extrudeEntityBuildingEdge(lotId, 'accessory', edgeIndex, distance)}
-                    setBuildingTotalHeight={(_model, newHeight) => setEntityBuildingTotalHeight(lotId, 'accessory', newHeight)}
-                    onBuildingMove={(newX, newY) => setEntityBuildingPosition(lotId, 'accessory', newX, newY)}
-                />
-            )}
+            {getLotBuildings(lot).map((b) => {
+                const cfg = BUILDING_TYPE_CONFIG[b.type] ?? BUILDING_TYPE_CONFIG.principal
+                if (b.type === 'accessory' && !(b.width > 0)) return null
+                const showBuilding = (layers[cfg.layerKey] ?? layers.buildings) && visibility[cfg.visKey]
+                const showPlane = (layers[cfg.planeKey] ?? layers.maxHeightPlane) && (visibility[cfg.planeKey] ?? visibility.maxHeightPlane)
+                const maxHeight = districtParameters?.structures?.[b.type]?.height?.max ?? 0
+
+                // Standalone max height plane — shown when building layer is off but height plane layer is on
+                if (!showBuilding) {
+                    return showPlane && maxHeight > 0 ? (
+                        <MaxHeightPlaneStandalone
+                            key={b.id}
+                            building={b}
+                            maxHeight={maxHeight}
+                            style={style.maxHeightPlane}
+                            lineScale={exportLineScale}
+                        />
+                    ) : null
+                }
 
-            {/* Standalone accessory max height plane — shown when building layer is off but height plane layer is on */}
-            {!((layers.accessoryBuildings ?? layers.buildings) && visibility.accessoryBuilding) && accessory && accessory.width > 0 &&
-             (layers.maxHeightPlaneAccessory ?? layers.maxHeightPlane) && (visibility.maxHeightPlaneAccessory ?? visibility.maxHeightPlane) &&
-             accessoryMaxHeight > 0 && (
-                <MaxHeightPlaneStandalone
-                    building={accessory}
-                    maxHeight={accessoryMaxHeight}
+                return (
+                    <BuildingEditor
+                        key={b.id}
+                        model={lotId}
+                        width={b.width}
+                        depth={b.depth}
+                        x={b.x}
+                        y={b.y}
+                        buildingGeometry={b.geometry}
+                        selected={b.selected}
+                        buildingType={b.type}
+                        buildingId={b.id}
+                        styles={{ faces: style[cfg.facesKey] ?? style.buildingFaces, edges: complianceEdges(style[cfg.edgesKey] ?? style.buildingEdges, b.id) }}
+                        scaleFactor={1}
+                        onSelect={() => selectEntityBuilding(lotId, b.id)}
+                        offsetGroupX={originX}
+                        offsetGroupY={originY}
+                        offsetGroupRotation={rotation}
+                        stories={b.stories ?? 1}
+                        firstFloorHeight={b.firstFloorHeight ?? cfg.firstFloorHeight}
+                        upperFloorHeight={b.upperFloorHeight ?? 10}
+                        maxHeight={maxHeight}
+                        showMaxHeightPlane={showPlane}
+                        maxHeightPlaneStyle={style.maxHeightPlane}
+                        roof={b.roof}
+                        roofStyles={{ roofFaces: style.roofFaces, roofEdges: style.roofEdges }}
+                        showRoof={layers.roof && visibility.roof}
+                        showHeightDimensions={b.type === 'accessory' ? showAccessoryHeightDim : showPrincipalHeightDim}
+                        showFirstFloorHeightDim={layers.dimensionsFirstFloorHeight ?? true}
+                        dimensionSettings={dimensionSettings}
+                        lineScale={exportLineScale}
+                        enableBuildingPolygonMode={() => enableEntityBuildingPolygonMode(lotId, b.id)}
+                        updateBuildingVertex={(_model, vertexIndex, newX, newY) => updateEntityBuildingVertex(lotId, b.id, vertexIndex, newX, newY)}
+                        splitBuildingEdge={(_model, edgeIndex) => splitEntityBuildingEdge(lotId, b.id, edgeIndex)}
+                        extrudeBuildingEdge={(_model, edgeIndex, distance) => extrudeEntityBuildingEdge(lotId, b.id, edgeIndex, distance)}
+                        setBuildingTotalHeight={(_model, newHeight) => setEntityBuildingTotalHeight(lotId, b.id, newHeight)}
+                        onBuildingMove={(newX, newY) => setEntityBuildingPosition(lotId, b.id, newX, newY)}
+                    />
+                )
+            })}
+
+            {/* Daylight planes / stepbacks — sloped and stepped parts of the principal max height plane */}
+            {(layers.maxHeightPlanePrincipal ?? layers.maxHeightPlane) && (visibility.maxHeightPlanePrincipal ?? visibility.maxHeightPlane) &&
+             setbacks?.principal && style?.maxHeightPlane && principalMaxHeight > 0 && hasHeightTransitions(districtParameters) && (
+                <HeightTransitionPlanes
+                    lot={lot}
+                    setbacks={setbacks.principal}
+                    streetSides={streetSides}
+                    districtParameters={districtParameters}
+                    maxHeight={principalMaxHeight}
                     style={style.maxHeightPlane}
-                    lineScale={exportLineScale}
                 />
             )}
 
+            {/* Subdivision preview (parcels proposed by the subdivision tool) */}
+            {subdivisionPreview?.lotId === lotId && (
+                <SubdivisionPreview preview={subdivisionPreview} lineScale={exportLineScale} />
+            )}
+
             {/* ============================================ */}
             {/* Imported Models (multi-model) */}
             {/* ============================================ */}
@@ -1363,8 +1842,9 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                                     position={[model.x ?? 0, model.y ?? 0]}
                                     zPosition={1}
                                     displayOffset={[0, -30]}
-                                    offsetGroupX={offset + lotWidth / 2}
-                                    offsetGroupY={lotDepth / 2}
+                                    offsetGroupX={originX}
+                                    offsetGroupY={originY}
+                                    offsetGroupRotation={rotation}
                                     onDrag={(newX, newY) => {
                                         useStore.getState().setImportedModelPosition(lotId, modelId, newX, newY)
                                     }}
@@ -1390,22 +1870,18 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                         left: (streetSides.left ? setbacks?.principal?.minSideStreet : (setbacks?.principal?.sideInteriorLeft ?? setbacks?.principal?.sideInterior)) || 0,
                         right: (streetSides.right ? setbacks?.principal?.minSideStreet : (setbacks?.principal?.sideInteriorRight ?? setbacks?.principal?.sideInterior)) || 0,
                     }}
-                    buildings={{
-                        principal: principal ? {
-                            x: (principal.x || 0) + lotWidth / 2 - principal.width / 2,
-                            y: (principal.y || 0) + lotDepth / 2 - principal.depth / 2,
-                            width: principal.width,
-                            depth: principal.depth,
-                            totalHeight: computeTotalHeight(principal),
-                        } : undefined,
-                        accessory: accessory && accessory.width > 0 ? {
-                            x: (accessory.x || 0) + lotWidth / 2 - accessory.width / 2,
-                            y: (accessory.y || 0) + lotDepth / 2 - accessory.depth / 2,
-                            width: accessory.width,
-                            depth: accessory.depth,
-                            totalHeight: computeTotalHeight(accessory),
-                        } : undefined,
-                    }}
+                    buildings={getLotBuildings(lot)
+                        .filter(b => b.width > 0)
+                        .map(b => ({
+                            id: b.id,
+                            type: b.type,
+                            label: getBuildingLabel(lot, b.id),
+                            x: (b.x || 0) + lotWidth / 2 - b.width / 2,
+                            y: (b.y || 0) + lotDepth / 2 - b.depth / 2,
+                            width: b.width,
+                            depth: b.depth,
+                            totalHeight: computeTotalHeight(b),
+                        }))}
                     maxSetbacks={{
                         front: setbacks?.principal?.maxFront || 0,
                         sideStreet: setbacks?.principal?.maxSideStreet || 0,
@@ -1421,13 +1897,7 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
             {/* ============================================ */}
             {lot.lotAccess && (() => {
                 // Validate stored positions — ignore if outside lot bounds (stale from old dimensions)
-                const validPos = (key, fallback) => {
-                    const stored = annotationPositions[key]
-                    if (!stored) return fallback
-                    const margin = 20
-                    if (Math.abs(stored[0]) > lotWidth / 2 + margin || Math.abs(stored[1]) > lotDepth / 2 + margin) return fallback
-                    return stored
-                }
+                const validPos = (key, fallback) => resolveAccessPosition(annotationPositions[key], lotWidth, lotDepth, fallback)
                 // Apply position offsets from style
                 const applyOffset = (pos, styleObj) => {
                     const ox = styleObj?.positionOffsetX ?? 0
@@ -1447,6 +1917,7 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                             style={style?.lotAccessArrows}
                             position={applyOffset(validPos(`lot-${lotId}-access-front`, [0, -lotDepth / 2 + 5, 0]), style?.lotAccessArrows)}
                             onPositionChange={(pos) => setAnnotationPosition(`lot-${lotId}-access-front`, pos)}
+                            offsetGroupRotation={rotation}
                         />
                     )}
                     {layers.lotAccessRear && visibility.lotAccessRear && lot.lotAccess.rear && (
@@ -1459,6 +1930,7 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                             style={style?.lotAccessArrows}
                             position={applyOffset(validPos(`lot-${lotId}-access-rear`, [0, lotDepth / 2 - 5, 0]), style?.lotAccessArrows)}
                             onPositionChange={(pos) => setAnnotationPosition(`lot-${lotId}-access-rear`, pos)}
+                            offsetGroupRotation={rotation}
                         />
                     )}
                     {layers.lotAccessSideStreet && visibility.lotAccessSideStreet && lot.lotAccess.sideStreet && (streetSides.left || streetSides.right) && (
@@ -1474,6 +1946,7 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                                 0, 0
                             ]), style?.lotAccessArrows)}
                             onPositionChange={(pos) => setAnnotationPosition(`lot-${lotId}-access-sidestreet`, pos)}
+                            offsetGroupRotation={rotation}
                         />
                     )}
                     {layers.lotAccessSharedDrive && visibility.lotAccessSharedDrive && lot.lotAccess.sideInterior && (() => {
@@ -1497,6 +1970,7 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                                             -lotDepth / 2, 0
                                         ]), sdStyle)}
                                         onPositionChange={(pos) => setAnnotationPosition(`lot-${lotId}-access-shareddrive`, pos)}
+                                        offsetGroupRotation={rotation}
                                     />
                                 )}
                                 {showRear && (
@@ -1514,6 +1988,7 @@ const LotEntity = ({ lotId, offset = 0, lotIndex = 1, streetSides = {} }) => {
                                             lotDepth / 2, 0
                                         ]), sdStyle)}
                                         onPositionChange={(pos) => setAnnotationPosition(`lot-${lotId}-access-shareddrive-rear`, pos)}
+                                        offsetGroupRotation={rotation}
                                     />
                                 )}
                             </>
@@ -1,8 +1,12 @@
-import { useStore, calculatePolygonArea, DIMENSION_FONT_OPTIONS } from '../store/useStore'
+import { useStore, DIMENSION_FONT_OPTIONS } from '../store/useStore'
 import { useStore as useZustandStore } from 'zustand'
 import { useState } from 'react'
 import { calculateRoofPitch } from '../utils/roofGeometry'
+import { computeModelAnalytics } from '../utils/siteAnalytics'
 import StateManager from './StateManager'
+import RoadZoneEditor, { RoadCrossSectionSummary } from './RoadZoneEditor'
+import { StreetTypeOptions } from './StreetTypeLibrary'
+import { getRoadZones, ROAD_ZONE_TYPES, ROAD_ZONE_SHARED_STYLE_TYPES } from '../utils/roadZones'
 import {
     ChevronUp, ChevronDown, Eye, EyeOff, Palette, Undo, Save
 } from 'lucide-react'
@@ -594,6 +598,7 @@ const ParameterPanel = () => {
     const saveAsDefault = useStore((state) => state.saveAsDefault)
     const loadUserDefaults = useStore((state) => state.loadUserDefaults)
     const roadModuleStyles = useStore((state) => state.roadModuleStyles)
+    const streetTypeLibrary = useStore((state) => state.streetTypeLibrary)
     const setRoadModuleStyle = useStore((state) => state.setRoadModuleStyle)
 
     // Annotation settings
@@ -621,14 +626,11 @@ const ParameterPanel = () => {
     const existingIsEditing = existingIsPolygon && existing.lotGeometry?.editing
     const proposedIsEditing = proposedIsPolygon && proposed.lotGeometry?.editing
 
-    // Calculate lot areas
-    const existingLotArea = existingIsPolygon && existing.lotGeometry?.vertices
-        ? calculatePolygonArea(existing.lotGeometry.vertices)
-        : existing.lotWidth * existing.lotDepth
-
-    const proposedLotArea = proposedIsPolygon && proposed.lotGeometry?.vertices
-        ? calculatePolygonArea(proposed.lotGeometry.vertices)
-        : proposed.lotWidth * proposed.lotDepth
+    // Lot area, coverage, GFA and FAR (polygon-aware, shared with the district module)
+    const existingAnalytics = computeModelAnalytics(existing)
+    const proposedAnalytics = computeModelAnalytics(proposed)
+    const existingLotArea = existingAnalytics.lotArea
+    const proposedLotArea = proposedAnalytics.lotArea
 
     // Parameter groups
     const parameterGroups = [
@@ -1061,19 +1063,6 @@ const ParameterPanel = () => {
                     {roadModule?.enabled && (() => {
                         const rightOfWay = roadModule?.rightOfWay ?? 50
                         const roadWidth = roadModule?.roadWidth ?? 24
-                        const availablePerSide = (rightOfWay - roadWidth) / 2
-
-                        const leftUsed = (roadModule?.leftParking || 0) +
-                            (roadModule?.leftVerge || 0) +
-                            (roadModule?.leftSidewalk || 0) +
-                            (roadModule?.leftTransitionZone || 0)
-                        const leftRemaining = availablePerSide - leftUsed
-
-                        const rightUsed = (roadModule?.rightParking || 0) +
-                            (roadModule?.rightVerge || 0) +
-                            (roadModule?.rightSidewalk || 0) +
-                            (roadModule?.rightTransitionZone || 0)
-                        const rightRemaining = availablePerSide - rightUsed
 
                         return (
                             <div className="space-y-3">
@@ -1110,101 +1099,19 @@ const ParameterPanel = () => {
                                     )}
                                 </div>
 
-                                {/* Left Side */}
-                                <div className="pt-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
-                                    <div className="flex items-center justify-between mb-2">
-                                        <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>Left Side</span>
-                                        <span className="text-[10px] font-bold px-1.5 py-0.5 rounded" style={{
-                                            backgroundColor: leftRemaining < 0 ? 'var(--ui-error-muted)' : leftRemaining === 0 ? 'var(--ui-warning-muted)' : 'var(--ui-success-muted)',
-                                            color: leftRemaining < 0 ? 'var(--ui-error)' : leftRemaining === 0 ? 'var(--ui-warning)' : 'var(--ui-success)',
-                                        }}>
-                                            {leftRemaining.toFixed(1)}' left
-                                        </span>
-                                    </div>
-                                    {leftRemaining < 0 && (
-                                        <div className="text-[10px] px-2 py-1 rounded mb-2" style={{ color: 'var(--ui-error)', backgroundColor: 'var(--ui-error-muted)' }}>
-                                            Exceeds available space by {Math.abs(leftRemaining).toFixed(1)}'
-                                        </div>
-                                    )}
-                                    {[
-                                        { key: 'leftParking', label: 'Parking' },
-                                        { key: 'leftVerge', label: 'Verge' },
-                                        { key: 'leftSidewalk', label: 'Sidewalk' },
-                                        { key: 'leftTransitionZone', label: 'Transition' },
-                                    ].map(({ key, label }) => (
-                                        <div key={key} className="grid grid-cols-3 gap-2 items-center mb-1">
-                                            <label className="flex items-center gap-1 cursor-pointer col-span-2">
-                                                <input type="checkbox"
-                                                    checked={roadModule?.[key] !== null && roadModule?.[key] !== undefined}
-                                                    onChange={(e) => setRoadModuleSetting(key, e.target.checked ? 8 : null)}
-                                                    className="h-3 w-3 rounded accent-theme"
-                                                    style={{ backgroundColor: 'var(--ui-bg-secondary)', borderColor: 'var(--ui-border)' }} />
-                                                <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
-                                            </label>
-                                            {roadModule?.[key] !== null && roadModule?.[key] !== undefined && (
-                                                <div className="flex items-center gap-1">
-                                                    <input type="number" value={roadModule?.[key] ?? 0}
-                                                        onChange={(e) => setRoadModuleSetting(key, parseFloat(e.target.value) || 0)}
-                                                        className={`p-1 rounded text-right text-sm w-full outline-none ${leftRemaining < 0 ? '' : 'focus-ring-accent-1'}`}
-                                                        style={{
-                                                            backgroundColor: 'var(--ui-bg-secondary)',
-                                                            color: leftRemaining < 0 ? 'var(--ui-error)' : 'var(--ui-text-primary)',
-                                                            ...(leftRemaining < 0 ? { boxShadow: '0 0 0 1px var(--ui-error)' } : {}),
-                                                        }} />
-                                                    <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>ft</span>
-                                                </div>
-                                            )}
-                                        </div>
-                                    ))}
-                                </div>
-
-                                {/* Right Side */}
-                                <div className="pt-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
-                                    <div className="flex items-center justify-between mb-2">
-                                        <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>Right Side</span>
-                                        <span className="text-[10px] font-bold px-1.5 py-0.5 rounded" style={{
-                                            backgroundColor: rightRemaining < 0 ? 'var(--ui-error-muted)' : rightRemaining === 0 ? 'var(--ui-warning-muted)' : 'var(--ui-success-muted)',
-                                            color: rightRemaining < 0 ? 'var(--ui-error)' : rightRemaining === 0 ? 'var(--ui-warning)' : 'var(--ui-success)',
-                                        }}>
-                                            {rightRemaining.toFixed(1)}' left
-                                        </span>
-                                    </div>
-                                    {rightRemaining < 0 && (
-                                        <div className="text-[10px] px-2 py-1 rounded mb-2" style={{ color: 'var(--ui-error)', backgroundColor: 'var(--ui-error-muted)' }}>
-                                            Exceeds available space by {Math.abs(rightRemaining).toFixed(1)}'
-                                        </div>
-                                    )}
-                                    {[
-                                        { key: 'rightParking', label: 'Parking' },
-                                        { key: 'rightVerge', label: 'Verge' },
-                                        { key: 'rightSidewalk', label: 'Sidewalk' },
-                                        { key: 'rightTransitionZone', label: 'Transition' },
-                                    ].map(({ key, label }) => (
-                                        <div key={key} className="grid grid-cols-3 gap-2 items-center mb-1">
-                                            <label className="flex items-center gap-1 cursor-pointer col-span-2">
-                                                <input type="checkbox"
-                                                    checked={roadModule?.[key] !== null && roadModule?.[key] !== undefined}
-                                                    onChange={(e) => setRoadModuleSetting(key, e.target.checked ? 8 : null)}
-                                                    className="h-3 w-3 rounded accent-theme"
-                                                    style={{ backgroundColor: 'var(--ui-bg-secondary)', borderColor: 'var(--ui-border)' }} />
-                                                <span className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>{label}</span>
-                                            </label>
-                                            {roadModule?.[key] !== null && roadModule?.[key] !== undefined && (
-                                                <div className="flex items-center gap-1">
-                                                    <input type="number" value={roadModule?.[key] ?? 0}
-                                                        onChange={(e) => setRoadModuleSetting(key, parseFloat(e.target.value) || 0)}
-                                                        className={`p-1 rounded text-right text-sm w-full outline-none ${rightRemaining < 0 ? '' : 'focus-ring-accent-1'}`}
-                                                        style={{
-                                                            backgroundColor: 'var(--ui-bg-secondary)',
-                                                            color: rightRemaining < 0 ? 'var(--ui-error)' : 'var(--ui-text-primary)',
-                                                            ...(rightRemaining < 0 ? { boxShadow: '0 0 0 1px var(--ui-error)' } : {}),
-                                                        }} />
-                                                    <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>ft</span>
-                                                </div>
-                                            )}
-                                        </div>
-                                    ))}
-                                </div>
+                                <RoadCrossSectionSummary road={roadModule} />
+
+                                {/* Cross-section zones, road edge first */}
+                                {['left', 'right'].map(side => (
+                                    <RoadZoneEditor
+                                        key={side}
+                                        road={roadModule}
+                                        side={side}
+                                        zones={getRoadZones(roadModule, side)}
+                                        styles={roadModuleStyles}
+                                        onChange={(zones) => setRoadModuleSetting(`${side}Zones`, zones)}
+                                    />
+                                ))}
                             </div>
                         )
                     })()}
@@ -1241,9 +1148,7 @@ const ParameterPanel = () => {
                                             className="text-xs p-1 rounded outline-none focus-ring-accent-1"
                                             style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)', border: '1px solid var(--ui-border)' }}
                                         >
-                                            <option value="S1">S1 (50' ROW)</option>
-                                            <option value="S2">S2 (40' ROW)</option>
-                                            <option value="S3">S3 (20' ROW)</option>
+                                            <StreetTypeOptions library={streetTypeLibrary} showRow />
                                         </select>
                                     </div>
                                     <div className="grid grid-cols-2 gap-2 items-center">
@@ -1832,6 +1737,28 @@ const ParameterPanel = () => {
                                         </div>
                                     ))}
                                 </div>
+
+                                {/* Zone types without side-specific styles */}
+                                <div className="pt-2" style={{ borderTop: '1px solid var(--ui-bg-primary)' }}>
+                                    <span className="text-[9px] uppercase tracking-wider block mb-2 font-bold" style={{ color: 'var(--ui-text-secondary)' }}>Other Zone Types</span>
+                                    {ROAD_ZONE_SHARED_STYLE_TYPES.map(key => ({ key, label: ROAD_ZONE_TYPES[key].label, defaultFill: ROAD_ZONE_TYPES[key].fillColor })).map(({ key, label, defaultFill }) => (
+                                        <div key={key} className="mb-3 pl-2 border-l-2" style={{ borderColor: 'var(--ui-border)' }}>
+                                            <span className="text-[9px] uppercase tracking-wider block mb-1" style={{ color: 'var(--ui-text-muted)' }}>{label}</span>
+                                            <ControlRow label="Line Color">
+                                                <ColorPicker value={roadModuleStyles[key]?.lineColor ?? '#000000'} onChange={(c) => setRoadModuleStyle(key, 'lineColor', c)} />
+                                            </ControlRow>
+                                            <ControlRow label="Line Width">
+                                                <SliderInput value={roadModuleStyles[key]?.lineWidth ?? 1} onChange={(v) => setRoadModuleStyle(key, 'lineWidth', v)} min={0.5} max={5} step={0.5} />
+                                            </ControlRow>
+                                            <ControlRow label="Fill Color">
+                                                <ColorPicker value={roadModuleStyles[key]?.fillColor ?? defaultFill} onChange={(c) => setRoadModuleStyle(key, 'fillColor', c)} />
+                                            </ControlRow>
+                                            <ControlRow label="Fill Opacity">
+                                                <SliderInput value={roadModuleStyles[key]?.fillOpacity ?? 0.7} onChange={(v) => setRoadModuleStyle(key, 'fillOpacity', v)} />
+                                            </ControlRow>
+                                        </div>
+                                    ))}
+                                </div>
                             </SubSection>
                         )}
                     </>
@@ -1870,10 +1797,10 @@ const ParameterPanel = () => {
                     <div className="grid grid-cols-3 gap-2 items-center">
                         <label className="text-xs capitalize break-words pr-2" style={{ color: 'var(--ui-text-secondary)' }}>Coverage</label>
                         <div className="p-1 rounded text-right text-sm w-full" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)' }}>
-                            {((existing.buildingWidth * existing.buildingDepth) / existingLotArea * 100).toFixed(1)}%
+                            {existingAnalytics.coverage.toFixed(1)}%
                         </div>
                         <div className="p-1 rounded text-right text-sm w-full" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)' }}>
-                            {((proposed.buildingWidth * proposed.buildingDepth) / proposedLotArea * 100).toFixed(1)}%
+                            {proposedAnalytics.coverage.toFixed(1)}%
                         </div>
                     </div>
 
@@ -1881,10 +1808,10 @@ const ParameterPanel = () => {
                     <div className="grid grid-cols-3 gap-2 items-center">
                         <label className="text-xs capitalize break-words pr-2" style={{ color: 'var(--ui-text-secondary)' }}>Gross Floor Area</label>
                         <div className="p-1 rounded text-right text-sm w-full" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)' }}>
-                            {(existing.buildingWidth * existing.buildingDepth * (existing.buildingStories || 1)).toLocaleString()} <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>sq ft</span>
+                            {Math.round(existingAnalytics.gfa).toLocaleString()} <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>sq ft</span>
                         </div>
                         <div className="p-1 rounded text-right text-sm w-full" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)' }}>
-                            {(proposed.buildingWidth * proposed.buildingDepth * (proposed.buildingStories || 1)).toLocaleString()} <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>sq ft</span>
+                            {Math.round(proposedAnalytics.gfa).toLocaleString()} <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>sq ft</span>
                         </div>
                     </div>
 
@@ -1892,10 +1819,10 @@ const ParameterPanel = () => {
                     <div className="grid grid-cols-3 gap-2 items-center">
                         <label className="text-xs capitalize break-words pr-2" style={{ color: 'var(--ui-text-secondary)' }}>FAR</label>
                         <div className="p-1 rounded text-right text-sm w-full" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)' }}>
-                            {((existing.buildingWidth * existing.buildingDepth * (existing.buildingStories || 1)) / existingLotArea).toFixed(2)}
+                            {existingAnalytics.far.toFixed(2)}
                         </div>
                         <div className="p-1 rounded text-right text-sm w-full" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-primary)' }}>
-                            {((proposed.buildingWidth * proposed.buildingDepth * (proposed.buildingStories || 1)) / proposedLotArea).toFixed(2)}
+                            {proposedAnalytics.far.toFixed(2)}
                         </div>
                     </div>
                 </div>
@@ -0,0 +1,144 @@
+import { Plus, X } from 'lucide-react'
+import { useStore } from '../store/useStore'
+import { useLotIds } from '../hooks/useEntityStore'
+import { createArcAlignment, getDirectionCenterline, getDistrictBlockExtents } from '../utils/roadAlignment'
+
+const inputStyle = {
+    color: 'var(--ui-text-primary)',
+    backgroundColor: 'var(--ui-bg-secondary)',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: 'var(--ui-border)',
+}
+
+const NumberField = ({ label, value, onChange, step = 1, unit = 'ft' }) => (
+    <div>
+        <label className="text-[10px] block mb-0.5" style={{ color: 'var(--ui-text-secondary)' }}>{label}</label>
+        <div className="flex items-center gap-1">
+            <input
+                type="number"
+                value={value}
+                step={step}
+                onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+                className="w-full text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                style={inputStyle}
+            />
+            <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>{unit}</span>
+        </div>
+    </div>
+)
+
+/**
+ * Editor for a road's centerline. "Block edge" keeps the road on its
+ * `direction` side of the lots; polyline and arc alignments are seeded from
+ * that same edge so switching does not move the road until it is edited.
+ * Coordinates are district world feet (lot 1 front-left corner at the origin).
+ *
+ * @param {object} road - Road module data
+ * @param {function} onChange - Called with the new alignment (null = block edge)
+ */
+const RoadAlignmentEditor = ({ road, onChange }) => {
+    const lots = useStore((s) => s.entities?.lots)
+    const lotIds = useLotIds()
+    const alignment = road.alignment ?? null
+    const mode = alignment?.type ?? 'edge'
+
+    const seedLine = () => getDirectionCenterline(road.direction || 'front', road.rightOfWay ?? 50, getDistrictBlockExtents(lots, lotIds))
+
+    const changeMode = (next) => {
+        if (next === mode) return
+        if (next === 'edge') return onChange(null)
+        const line = alignment?.type === 'polyline' ? alignment.points : seedLine()
+        if (next === 'polyline') return onChange({ type: 'polyline', points: line.map(p => ({ x: p.x, y: p.y })) })
+        onChange(createArcAlignment(line[0], line[line.length - 1]))
+    }
+
+    const points = alignment?.type === 'polyline' ? alignment.points : []
+    const setPoint = (index, key, value) =>
+        onChange({ ...alignment, points: points.map((p, i) => (i === index ? { ...p, [key]: value } : p)) })
+    // New points continue the last segment by its own length
+    const addPoint = () => {
+        const a = points[points.length - 2]
+        const b = points[points.length - 1]
+        onChange({ ...alignment, points: [...points, { x: b.x + (b.x - a.x), y: b.y + (b.y - a.y) }] })
+    }
+
+    return (
+        <div className="pt-2 space-y-1" style={{ borderTop: '1px solid var(--ui-border)' }}>
+            <div className="flex items-center justify-between">
+                <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>Alignment</span>
+                <select
+                    value={mode}
+                    onChange={(e) => changeMode(e.target.value)}
+                    className="text-xs rounded px-1.5 py-0.5 focus:outline-none focus-ring-accent-1"
+                    style={inputStyle}
+                >
+                    <option value="edge">Block edge</option>
+                    <option value="polyline">Polyline</option>
+                    <option value="arc">Arc</option>
+                </select>
+            </div>
+
+            {mode === 'polyline' && (
+                <>
+                    {points.map((p, index) => (
+                        <div key={index} className="flex items-center gap-1">
+                            <span className="w-4 text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>{index + 1}</span>
+                            <input
+                                type="number"
+                                value={p.x}
+                                onChange={(e) => setPoint(index, 'x', parseFloat(e.target.value) || 0)}
+                                className="w-full text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                style={inputStyle}
+                                title="X (ft)"
+                            />
+                            <input
+                                type="number"
+                                value={p.y}
+                                onChange={(e) => setPoint(index, 'y', parseFloat(e.target.value) || 0)}
+                                className="w-full text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                style={inputStyle}
+                                title="Y (ft)"
+                            />
+                            <button
+                                onClick={() => onChange({ ...alignment, points: points.filter((_, i) => i !== index) })}
+                                disabled={points.length <= 2}
+                                className="p-0.5 transition-colors hover-text-error disabled:opacity-30"
+                                style={{ color: 'var(--ui-text-muted)' }}
+                                title="Remove point"
+                            >
+                                <X className="w-3 h-3" />
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        onClick={addPoint}
+                        className="w-full flex items-center justify-center gap-1 text-[10px] rounded px-1 py-0.5"
+                        style={{ ...inputStyle, color: 'var(--ui-text-secondary)' }}
+                    >
+                        <Plus className="w-3 h-3" /> Add point
+                    </button>
+                </>
+            )}
+
+            {mode === 'arc' && (
+                <div className="grid grid-cols-2 gap-2">
+                    <NumberField label="Center X" value={alignment.center.x} onChange={(v) => onChange({ ...alignment, center: { ...alignment.center, x: v } })} />
+                    <NumberField label="Center Y" value={alignment.center.y} onChange={(v) => onChange({ ...alignment, center: { ...alignment.center, y: v } })} />
+                    <NumberField label="Radius" value={alignment.radius} onChange={(v) => onChange({ ...alignment, radius: Math.max(v, 0) })} />
+                    <div />
+                    <NumberField label="Start Angle" value={alignment.startAngle} onChange={(v) => onChange({ ...alignment, startAngle: v })} unit="°" />
+                    <NumberField label="End Angle" value={alignment.endAngle} onChange={(v) => onChange({ ...alignment, endAngle: v })} unit="°" />
+                </div>
+            )}
+
+            {mode !== 'edge' && (
+                <p className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                    Lot-facing (right) zones sit to the left of the centerline, walking from the first point.
+                </p>
+            )}
+        </div>
+    )
+}
+
+export default RoadAlignmentEditor
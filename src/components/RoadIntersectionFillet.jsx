@@ -36,7 +36,8 @@ function toSegmentPairs(points) {
  *
  * @param {object} roadA - Road module data for one road
  * @param {object} roadB - Road module data for the perpendicular road
- * @param {string} corner - 'front-left' | 'front-right' | 'rear-left' | 'rear-right'
+ * @param {string|{ startAngle: number, endAngle: number }} corner - 'front-left' | 'front-right' |
+ *   'rear-left' | 'rear-right', or the angle range of an angled junction corner
  * @param {[number, number]} cornerPosition - [x, y] world position of the corner point
  * @param {object} styles - roadModuleStyles object with zone fill/stroke colors
  * @param {number} lineScale - Line width multiplier for WYSIWYG export scaling
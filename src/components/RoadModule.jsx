@@ -1,6 +1,10 @@
 import { useMemo } from 'react'
 import * as THREE from 'three'
 import { Line } from '@react-three/drei'
+import { useStore } from '../store/useStore'
+import { getRoadZoneLayout, getRoadZoneStyle } from '../utils/roadZones'
+import { getStreetType, applyStreetTypeStyles } from '../utils/streetTypes'
+import StreetFurniture from './StreetFurniture'
 
 /**
  * Direction-to-rotation mapping for multi-direction road rendering.
@@ -116,152 +120,51 @@ const RoadPolygon = ({ xMin, xMax, yMin, yMax, style, zOffset = 0.01, suppressLe
  *
  * Geometry Layout (canonical / front direction, from positive Y to negative Y):
  * - Lot front line is at Y=0
- * - Right side elements (parking, verge, sidewalk, transition) stack from road edge toward Y=0
+ * - Right side zones (`rightZones`, in list order) stack from road edge toward Y=0
  * - Road width polygon is centered on the centerline (rightOfWay/2)
- * - Left side elements stack from road edge toward the outer right-of-way line
+ * - Left side zones (`leftZones`) stack from road edge toward the outer right-of-way line
  * - Right-of-way outer line is at Y = -rightOfWay
  *
  * @param {number} lotWidth - Width of the lot (determines road module width along its primary axis)
  * @param {object} roadModule - Road module parameters
- * @param {object} styles - Style settings for each layer type
+ * @param {object} styles - Style settings for each layer type (street type overrides merged on top)
  * @param {string} model - 'existing' or 'proposed' (for positioning in comparison view)
  * @param {string} direction - 'front' | 'right' | 'rear' | 'left' (default: 'front')
  * @param {number} lineScale - Line width multiplier for export scaling
  */
-const RoadModule = ({ lotWidth, roadModule, styles, model, direction = 'front', lineScale = 1, suppressLeftEnd = false, suppressRightEnd = false }) => {
+const RoadModule = ({ lotWidth, roadModule, styles: baseStyles, model, direction = 'front', lineScale = 1, suppressLeftEnd = false, suppressRightEnd = false }) => {
     // All hooks must come before any conditional return (Rules of Hooks)
+    const streetTypeLibrary = useStore((state) => state.streetTypeLibrary)
+    const showFurniture = useStore((state) => state.viewSettings.layers.streetFurniture !== false)
     const {
         type: roadType,
         rightOfWay = 50,
         roadWidth = 24,
-        leftParking,
-        rightParking,
-        leftVerge,
-        rightVerge,
-        leftSidewalk,
-        rightSidewalk,
-        leftTransitionZone,
-        rightTransitionZone,
     } = roadModule ?? {}
 
-    // Calculate centerline Y position (negative, measured from lot front)
-    const centerlineY = -rightOfWay / 2
-
-    // Calculate road width edges
-    const roadHalfWidth = roadWidth / 2
-    const roadTopY = centerlineY + roadHalfWidth    // Closer to lot (toward Y=0)
-    const roadBottomY = centerlineY - roadHalfWidth // Farther from lot (toward Y=-rightOfWay)
-
     // Calculate X positions based on model type
     const xMin = model === 'existing' ? -(lotWidth ?? 0) : 0
     const xMax = model === 'existing' ? 0 : (lotWidth ?? 0)
 
-    // Build the layer stack for left and right sides (must be before early return — Rules of Hooks)
-    const leftLayers = useMemo(() => {
-        const layers = []
-        let currentY = roadBottomY // Start at left edge of road
-
-        if (leftParking) {
-            layers.push({
-                type: 'parking',
-                topY: currentY,
-                bottomY: currentY - leftParking,
-                depth: leftParking,
-            })
-            currentY -= leftParking
-        }
-
-        if (leftVerge) {
-            layers.push({
-                type: 'verge',
-                topY: currentY,
-                bottomY: currentY - leftVerge,
-                depth: leftVerge,
-            })
-            currentY -= leftVerge
-        }
-
-        if (leftSidewalk) {
-            layers.push({
-                type: 'sidewalk',
-                topY: currentY,
-                bottomY: currentY - leftSidewalk,
-                depth: leftSidewalk,
-            })
-            currentY -= leftSidewalk
-        }
-
-        if (leftTransitionZone) {
-            layers.push({
-                type: 'transitionZone',
-                topY: currentY,
-                bottomY: currentY - leftTransitionZone,
-                depth: leftTransitionZone,
-            })
-            currentY -= leftTransitionZone
-        }
-
-        return layers
-    }, [roadBottomY, leftParking, leftVerge, leftSidewalk, leftTransitionZone])
-
-    const rightLayers = useMemo(() => {
-        const layers = []
-        let currentY = roadTopY // Start at right edge of road
+    // Zone stacks for both sides, from each road edge outward (must be before early return — Rules of Hooks)
+    const layout = useMemo(() => getRoadZoneLayout(roadModule), [roadModule])
+    const centerline = useMemo(() => [{ x: xMin, y: layout.centerlineY }, { x: xMax, y: layout.centerlineY }], [xMin, xMax, layout])
 
-        if (rightParking) {
-            layers.push({
-                type: 'parking',
-                bottomY: currentY,
-                topY: currentY + rightParking,
-                depth: rightParking,
-            })
-            currentY += rightParking
-        }
-
-        if (rightVerge) {
-            layers.push({
-                type: 'verge',
-                bottomY: currentY,
-                topY: currentY + rightVerge,
-                depth: rightVerge,
-            })
-            currentY += rightVerge
-        }
-
-        if (rightSidewalk) {
-            layers.push({
-                type: 'sidewalk',
-                bottomY: currentY,
-                topY: currentY + rightSidewalk,
-                depth: rightSidewalk,
-            })
-            currentY += rightSidewalk
-        }
-
-        if (rightTransitionZone) {
-            layers.push({
-                type: 'transitionZone',
-                bottomY: currentY,
-                topY: currentY + rightTransitionZone,
-                depth: rightTransitionZone,
-            })
-            currentY += rightTransitionZone
-        }
-
-        return layers
-    }, [roadTopY, rightParking, rightVerge, rightSidewalk, rightTransitionZone])
+    // Street type template supplies alley behavior and style overrides
+    const streetType = getStreetType(roadType || 'S1', streetTypeLibrary)
+    const styles = useMemo(() => applyStreetTypeStyles(baseStyles, streetType), [baseStyles, streetType])
 
     // Early return AFTER all hooks
     if (!roadModule || !styles || !lotWidth) {
         return null
     }
 
-    // Default styles if not provided — S3 alleys merge alley-specific overrides onto regular styles
-    const isS3 = roadType === 'S3'
+    // Default styles if not provided — alley types merge alley-specific overrides onto regular styles
+    const isAlley = !!streetType.alley
     const baseRowStyle = styles.rightOfWay ?? { color: '#000000', width: 1, dashed: true, dashSize: 2, gapSize: 1, opacity: 1 }
-    const rowStyle = (isS3 && styles.alleyRightOfWay) ? { ...baseRowStyle, ...styles.alleyRightOfWay } : baseRowStyle
+    const rowStyle = (isAlley && styles.alleyRightOfWay) ? { ...baseRowStyle, ...styles.alleyRightOfWay } : baseRowStyle
     const baseRoadStyle = styles.roadWidth ?? { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1, fillColor: '#666666', fillOpacity: 1.0 }
-    const roadStyle = (isS3 && styles.alleyRoadWidth) ? { ...baseRoadStyle, ...styles.alleyRoadWidth } : baseRoadStyle
+    const roadStyle = (isAlley && styles.alleyRoadWidth) ? { ...baseRoadStyle, ...styles.alleyRoadWidth } : baseRoadStyle
 
     // Resolve rotation angle from direction prop
     const rotationZ = DIRECTION_ROTATION[direction] || 0
@@ -294,66 +197,39 @@ const RoadModule = ({ lotWidth, roadModule, styles, model, direction = 'front',
                 dashScale={rowStyle.dashed ? (rowStyle.dashScale ?? 1) : 1}
             />
 
-            {/* Road Width Polygon (centered on centerline) */}
-            <RoadPolygon
-                xMin={xMin}
-                xMax={xMax}
-                yMin={roadBottomY}
-                yMax={roadTopY}
-                style={roadStyle}
-                zOffset={0.01}
-                suppressLeftEnd={suppressLeftEnd}
-                suppressRightEnd={suppressRightEnd}
-                lineScale={lineScale}
-            />
+            {/* Road Width Polygon (centered on centerline) — omitted when the travel way is built from zones */}
+            {roadWidth > 0 && (
+                <RoadPolygon
+                    xMin={xMin}
+                    xMax={xMax}
+                    yMin={layout.roadBottomY}
+                    yMax={layout.roadTopY}
+                    style={roadStyle}
+                    zOffset={0.01}
+                    suppressLeftEnd={suppressLeftEnd}
+                    suppressRightEnd={suppressRightEnd}
+                    lineScale={lineScale}
+                />
+            )}
 
-            {/* Left Side Layers (toward outer right-of-way) */}
-            {leftLayers.map((layer, index) => {
-                // Use side-specific style key (e.g., 'leftParking' instead of 'parking')
-                const styleKey = `left${layer.type.charAt(0).toUpperCase()}${layer.type.slice(1)}`
-                // S3 alleys merge symmetric alley-specific overrides (e.g., alleyParking for both sides)
-                const alleyKey = `alley${layer.type.charAt(0).toUpperCase()}${layer.type.slice(1)}`
-                const baseStyle = styles[styleKey] ?? styles[layer.type] ?? { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1, fillColor: '#888888', fillOpacity: 1.0 }
-                const layerStyle = (isS3 && styles[alleyKey]) ? { ...baseStyle, ...styles[alleyKey] } : baseStyle
-                return (
-                    <RoadPolygon
-                        key={`left-${layer.type}-${index}`}
-                        xMin={xMin}
-                        xMax={xMax}
-                        yMin={layer.bottomY}
-                        yMax={layer.topY}
-                        style={layerStyle}
-                        zOffset={0.01 + (index + 1) * 0.001}
-                        suppressLeftEnd={suppressLeftEnd}
-                        suppressRightEnd={suppressRightEnd}
-                        lineScale={lineScale}
-                    />
-                )
-            })}
+            {/* Left side zones (toward outer right-of-way), then right side zones (toward lot front) */}
+            {['left', 'right'].map(side => layout[side].map(({ zone, topY, bottomY }, index) => (
+                <RoadPolygon
+                    key={`${side}-${zone.id}-${index}`}
+                    xMin={xMin}
+                    xMax={xMax}
+                    yMin={bottomY}
+                    yMax={topY}
+                    style={getRoadZoneStyle(styles, zone, side, isAlley)}
+                    zOffset={0.01 + (index + 1) * 0.001}
+                    suppressLeftEnd={suppressLeftEnd}
+                    suppressRightEnd={suppressRightEnd}
+                    lineScale={lineScale}
+                />
+            )))}
 
-            {/* Right Side Layers (toward lot front) */}
-            {rightLayers.map((layer, index) => {
-                // Use side-specific style key (e.g., 'rightParking' instead of 'parking')
-                const styleKey = `right${layer.type.charAt(0).toUpperCase()}${layer.type.slice(1)}`
-                // S3 alleys merge symmetric alley-specific overrides (e.g., alleyParking for both sides)
-                const alleyKey = `alley${layer.type.charAt(0).toUpperCase()}${layer.type.slice(1)}`
-                const baseStyle = styles[styleKey] ?? styles[layer.type] ?? { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1, fillColor: '#888888', fillOpacity: 1.0 }
-                const layerStyle = (isS3 && styles[alleyKey]) ? { ...baseStyle, ...styles[alleyKey] } : baseStyle
-                return (
-                    <RoadPolygon
-                        key={`right-${layer.type}-${index}`}
-                        xMin={xMin}
-                        xMax={xMax}
-                        yMin={layer.bottomY}
-                        yMax={layer.topY}
-                        style={layerStyle}
-                        zOffset={0.01 + (index + 1) * 0.001}
-                        suppressLeftEnd={suppressLeftEnd}
-                        suppressRightEnd={suppressRightEnd}
-                        lineScale={lineScale}
-                    />
-                )
-            })}
+            {/* Street trees, light poles and benches along the verge / sidewalk zones */}
+            {showFurniture && <StreetFurniture roadModule={roadModule} centerline={centerline} />}
         </group>
     )
 }
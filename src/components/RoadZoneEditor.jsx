@@ -0,0 +1,157 @@
+import { ChevronUp, ChevronDown, X } from 'lucide-react'
+import { useStore } from '../store/useStore'
+import { ROAD_ZONE_TYPES, createRoadZone, getRoadZoneStyle, validateRoadCrossSection } from '../utils/roadZones'
+import { isAlleyRoad } from '../utils/streetTypes'
+
+const inputStyle = {
+    color: 'var(--ui-text-primary)',
+    backgroundColor: 'var(--ui-bg-secondary)',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: 'var(--ui-border)',
+}
+
+const badgeStyle = (remaining) => (
+    remaining < 0
+        ? { backgroundColor: 'var(--ui-error-muted)', color: 'var(--ui-error)' }
+        : remaining === 0
+            ? { backgroundColor: 'var(--ui-warning-muted)', color: 'var(--ui-warning)' }
+            : { backgroundColor: 'var(--ui-success-muted)', color: 'var(--ui-success)' }
+)
+
+/**
+ * Editor for one side of a road cross-section: an ordered list of typed zones
+ * (road edge first) with width, fill color override, reordering and removal.
+ *
+ * @param {object} road - Road module data
+ * @param {'left' | 'right'} side
+ * @param {Array} zones - Current zones for the side (from getRoadZones)
+ * @param {object} styles - roadModuleStyles (for the resolved zone colors)
+ * @param {function} onChange - Called with the new zone array
+ */
+const RoadZoneEditor = ({ road, side, zones, styles, onChange }) => {
+    const { [side]: usage } = validateRoadCrossSection(road)
+    const streetTypeLibrary = useStore((s) => s.streetTypeLibrary)
+    const isAlley = isAlleyRoad(road, streetTypeLibrary)
+
+    const updateZone = (index, patch) => onChange(zones.map((z, i) => (i === index ? { ...z, ...patch } : z)))
+    const moveZone = (index, delta) => {
+        const target = index + delta
+        if (target < 0 || target >= zones.length) return
+        const next = [...zones]
+        ;[next[index], next[target]] = [next[target], next[index]]
+        onChange(next)
+    }
+
+    return (
+        <div className="pt-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
+            <div className="flex items-center justify-between mb-1">
+                <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>
+                    {side === 'left' ? 'Left Side' : 'Right Side'}
+                </span>
+                <span className="text-[10px] font-medium px-1.5 py-0.5 rounded" style={badgeStyle(usage.remaining)}>
+                    {usage.remaining.toFixed(1)}' left
+                </span>
+            </div>
+            {usage.remaining < 0 && (
+                <div className="text-[10px] px-2 py-1 rounded mb-1" style={{ color: 'var(--ui-error)', backgroundColor: 'var(--ui-error-muted)' }}>
+                    Exceeds available space by {Math.abs(usage.remaining).toFixed(1)}'
+                </div>
+            )}
+            {zones.length === 0 && (
+                <p className="text-[10px] italic mb-1" style={{ color: 'var(--ui-text-muted)' }}>No zones</p>
+            )}
+            {zones.map((zone, index) => {
+                const fill = getRoadZoneStyle(styles, zone, side, isAlley).fillColor
+                return (
+                    <div key={zone.id ?? index} className="flex items-center gap-1 py-0.5">
+                        <input
+                            type="color"
+                            value={fill}
+                            onChange={(e) => updateZone(index, { style: { ...zone.style, fillColor: e.target.value } })}
+                            className="w-5 h-5 rounded cursor-pointer p-0 overflow-hidden shrink-0"
+                            style={{ borderColor: 'var(--ui-border)' }}
+                            title="Zone fill color"
+                        />
+                        <select
+                            value={zone.type}
+                            onChange={(e) => updateZone(index, { type: e.target.value })}
+                            className="flex-1 min-w-0 text-xs rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                            style={inputStyle}
+                        >
+                            {Object.entries(ROAD_ZONE_TYPES).map(([type, def]) => (
+                                <option key={type} value={type}>{def.label}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            value={zone.width}
+                            min={0}
+                            step={0.5}
+                            onChange={(e) => updateZone(index, { width: parseFloat(e.target.value) || 0 })}
+                            className="w-12 text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                            style={{ ...inputStyle, ...(usage.remaining < 0 ? { color: 'var(--ui-error)' } : {}) }}
+                        />
+                        <span className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>ft</span>
+                        <button
+                            onClick={() => moveZone(index, -1)}
+                            disabled={index === 0}
+                            className="p-0.5 disabled:opacity-30"
+                            style={{ color: 'var(--ui-text-muted)' }}
+                            title="Move toward road"
+                        >
+                            <ChevronUp className="w-3 h-3" />
+                        </button>
+                        <button
+                            onClick={() => moveZone(index, 1)}
+                            disabled={index === zones.length - 1}
+                            className="p-0.5 disabled:opacity-30"
+                            style={{ color: 'var(--ui-text-muted)' }}
+                            title="Move away from road"
+                        >
+                            <ChevronDown className="w-3 h-3" />
+                        </button>
+                        <button
+                            onClick={() => onChange(zones.filter((_, i) => i !== index))}
+                            className="p-0.5 transition-colors hover-text-error"
+                            style={{ color: 'var(--ui-text-muted)' }}
+                            title="Remove zone"
+                        >
+                            <X className="w-3 h-3" />
+                        </button>
+                    </div>
+                )
+            })}
+            <select
+                value=""
+                onChange={(e) => e.target.value && onChange([...zones, createRoadZone(e.target.value)])}
+                className="w-full mt-1 text-[10px] rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                style={{ ...inputStyle, color: 'var(--ui-text-secondary)' }}
+            >
+                <option value="">+ Add zone…</option>
+                {Object.entries(ROAD_ZONE_TYPES).map(([type, def]) => (
+                    <option key={type} value={type}>{def.label} ({def.width}')</option>
+                ))}
+            </select>
+        </div>
+    )
+}
+
+/**
+ * One-line check of road surface + both sides against the right-of-way.
+ */
+export const RoadCrossSectionSummary = ({ road }) => {
+    const check = validateRoadCrossSection(road)
+    return (
+        <div className="flex items-center justify-between text-[10px]">
+            <span style={{ color: 'var(--ui-text-muted)' }}>
+                Cross-section {check.total.toFixed(1)}' of {check.rightOfWay}' ROW
+            </span>
+            <span className="font-medium px-1.5 py-0.5 rounded" style={badgeStyle(check.valid ? check.remaining : -1)}>
+                {!check.valid ? (check.remaining < 0 ? 'Over ROW' : 'Side overflows') : check.remaining === 0 ? 'Fills ROW' : `${check.remaining.toFixed(1)}' unassigned`}
+            </span>
+        </div>
+    )
+}
+
+export default RoadZoneEditor
@@ -10,6 +10,7 @@ import LotAnnotations from './LotAnnotations'
 import RoadAnnotations from './RoadAnnotations'
 import RoadIntersectionFillet from './RoadIntersectionFillet'
 import { formatDimension } from '../utils/formatUnits'
+import { hasCurbReturns } from '../utils/streetTypes'
 
 // Helper: compute total building height from story data
 const computeTotalHeight = (stories, firstFloorHeight, upperFloorHeight) => {
@@ -30,10 +31,10 @@ const DIRECTION_ROTATION = {
 }
 
 // Generate all 4 fillet sub-corners for a pair of perpendicular roads at an intersection
-function generateFilletCorners(roadA, dirA, roadB, dirB, lotPos) {
+function generateFilletCorners(roadA, dirA, roadB, dirB, lotPos, streetTypeLibrary) {
     if (!roadA?.enabled || !roadB?.enabled) return []
-    // Suppress fillets at alley (S3) intersections
-    if ((roadA.type || 'S1') === 'S3' || (roadB.type || 'S1') === 'S3') return []
+    // Suppress fillets at alley / no-fillet street type intersections
+    if (!hasCurbReturns(roadA, streetTypeLibrary) || !hasCurbReturns(roadB, streetTypeLibrary)) return []
     const flipA = d => d === 'front' ? 'rear' : d === 'rear' ? 'front' : d
     const flipB = d => d === 'left' ? 'right' : d === 'right' ? 'left' : d
     const getOffset = (dir, road) => {
@@ -282,6 +283,7 @@ const SceneContent = () => {
     const setBuildingPosition = useStore((state) => state.setBuildingPosition)
     const roadModule = useStore((state) => state.roadModule)
     const roadModuleStyles = useStore((state) => state.roadModuleStyles)
+    const streetTypeLibrary = useStore((state) => state.streetTypeLibrary)
     const comparisonRoads = useStore((state) => state.comparisonRoads)
     const exportLineScale = useStore((state) => state.viewSettings.exportLineScale) || 1
 
@@ -574,10 +576,10 @@ const SceneContent = () => {
                 {(layers.roadIntersections !== false) && roadModuleStyles && (() => {
                     const W = existing.lotWidth, D = existing.lotDepth
                     const allCorners = [
-                        ...generateFilletCorners(roadModule, 'front', comparisonRoads?.left, 'left', [-W, 0]),
-                        ...generateFilletCorners(roadModule, 'front', comparisonRoads?.right, 'right', [0, 0]),
-                        ...generateFilletCorners(comparisonRoads?.rear, 'rear', comparisonRoads?.left, 'left', [-W, D]),
-                        ...generateFilletCorners(comparisonRoads?.rear, 'rear', comparisonRoads?.right, 'right', [0, D]),
+                        ...generateFilletCorners(roadModule, 'front', comparisonRoads?.left, 'left', [-W, 0], streetTypeLibrary),
+                        ...generateFilletCorners(roadModule, 'front', comparisonRoads?.right, 'right', [0, 0], streetTypeLibrary),
+                        ...generateFilletCorners(comparisonRoads?.rear, 'rear', comparisonRoads?.left, 'left', [-W, D], streetTypeLibrary),
+                        ...generateFilletCorners(comparisonRoads?.rear, 'rear', comparisonRoads?.right, 'right', [0, D], streetTypeLibrary),
                     ]
                     return allCorners.map((c, i) => (
                         <RoadIntersectionFillet key={`ex-fillet-${i}`} roadA={c.roadA} roadB={c.roadB} corner={c.corner} cornerPosition={c.pos} styles={roadModuleStyles} lineScale={exportLineScale} sideA={c.sideA} sideB={c.sideB} />
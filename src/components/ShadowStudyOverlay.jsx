@@ -0,0 +1,72 @@
+import { useMemo, useEffect } from 'react'
+import * as THREE from 'three'
+import { useStore } from '../store/useStore'
+import { getShadowMask } from '../utils/shadowStudy'
+
+// Heat map ramp from light to heavy shade: [stop, r, g, b]
+const SHADE_RAMP = [
+    [0, 255, 237, 160],
+    [0.35, 254, 178, 76],
+    [0.7, 227, 74, 51],
+    [1, 84, 39, 143],
+]
+const HEAT_ALPHA = 170
+const FRAME_COLOR = [30, 30, 60, 150]
+
+const rampColor = (t) => {
+    for (let i = 1; i < SHADE_RAMP.length; i++) {
+        const [s1, ...c1] = SHADE_RAMP[i]
+        if (t > s1 && i < SHADE_RAMP.length - 1) continue
+        const [s0, ...c0] = SHADE_RAMP[i - 1]
+        const f = Math.min(1, Math.max(0, (t - s0) / (s1 - s0)))
+        return c0.map((c, k) => Math.round(c + (c1[k] - c) * f))
+    }
+    return SHADE_RAMP[0].slice(1)
+}
+
+/**
+ * Ground overlay for the shadow study: the cumulative hours-of-shade heat map,
+ * or the shadows of a single sample when a frame is selected in the panel.
+ * Drawn in district world coordinates just above the lot fills.
+ */
+const ShadowStudyOverlay = () => {
+    const study = useStore((s) => s.shadowStudy)
+    const frame = useStore((s) => s.shadowStudyFrame)
+
+    const texture = useMemo(() => {
+        if (!study) return null
+        const { cols, rows } = study.grid
+        const data = new Uint8Array(cols * rows * 4)
+        if (frame != null) {
+            const mask = getShadowMask(study, frame)
+            for (let i = 0; i < mask.length; i++) {
+                if (mask[i]) data.set(FRAME_COLOR, i * 4)
+            }
+        } else if (study.maxHours > 0) {
+            for (let i = 0; i < study.hours.length; i++) {
+                if (study.hours[i] <= 0) continue
+                data.set([...rampColor(study.hours[i] / study.maxHours), HEAT_ALPHA], i * 4)
+            }
+        }
+        const tex = new THREE.DataTexture(data, cols, rows, THREE.RGBAFormat)
+        tex.magFilter = THREE.NearestFilter
+        tex.needsUpdate = true
+        return tex
+    }, [study, frame])
+
+    useEffect(() => () => texture?.dispose(), [texture])
+
+    if (!study || !texture) return null
+    const { minX, minY, cellSize, cols, rows } = study.grid
+    const width = cols * cellSize
+    const depth = rows * cellSize
+
+    return (
+        <mesh position={[minX + width / 2, minY + depth / 2, 0.05]} renderOrder={2}>
+            <planeGeometry args={[width, depth]} />
+            <meshBasicMaterial map={texture} transparent depthWrite={false} side={THREE.DoubleSide} />
+        </mesh>
+    )
+}
+
+export default ShadowStudyOverlay
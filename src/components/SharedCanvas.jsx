@@ -8,6 +8,7 @@ import { useStore } from '../store/useStore'
 import { useShallow } from 'zustand/react/shallow'
 import CameraHandler from './CameraHandler'
 import Exporter from './Exporter'
+import { getSiteSunPosition } from '../utils/siteLocation'
 
 // ============================================
 // StudioLighting — High-quality lighting setup
@@ -77,19 +78,31 @@ export const StudioLighting = () => {
 }
 
 // ============================================
-// SunLighting — Simple azimuth/altitude light
+// SunLighting — azimuth/altitude light, or the
+// real sun at the project site in 'site' mode
 // ============================================
 export const SunLighting = () => {
     const sunSettings = useStore(useShallow(state => state.sunSettings))
-    const { azimuth: azDeg, altitude: altDeg, intensity, shadowsEnabled, ambientIntensity } = sunSettings
-
-    const azRad = (azDeg ?? 45) * Math.PI / 180
-    const altRad = (altDeg ?? 45) * Math.PI / 180
+    const siteLocation = useStore(state => state.siteLocation)
+    const { azimuth: azDeg, altitude: altDeg, intensity, shadowsEnabled, ambientIntensity, mode, date, time } = sunSettings
     const distance = 500
 
-    const x = Math.sin(azRad) * Math.cos(altRad) * distance
-    const y = Math.cos(azRad) * Math.cos(altRad) * distance
-    const z = Math.sin(altRad) * distance
+    let x, y, z
+    if (mode === 'site' && date) {
+        // Sun below the horizon is clamped to it so the scene keeps some light
+        const { direction } = getSiteSunPosition(siteLocation, date, time ?? 12)
+        const horizontal = Math.hypot(direction.x, direction.y) || 1
+        const up = Math.max(direction.z, 0.01)
+        x = (direction.x / horizontal) * Math.sqrt(1 - up * up) * distance
+        y = (direction.y / horizontal) * Math.sqrt(1 - up * up) * distance
+        z = up * distance
+    } else {
+        const azRad = (azDeg ?? 45) * Math.PI / 180
+        const altRad = (altDeg ?? 45) * Math.PI / 180
+        x = Math.sin(azRad) * Math.cos(altRad) * distance
+        y = Math.cos(azRad) * Math.cos(altRad) * distance
+        z = Math.sin(altRad) * distance
+    }
 
     return (
         <>
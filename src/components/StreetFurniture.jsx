@@ -0,0 +1,116 @@
+import { useLayoutEffect, useMemo, useRef } from 'react'
+import * as THREE from 'three'
+import { getStreetFurniturePlacements, getStreetscape, TREE_SIZES } from '../utils/streetFurniture'
+
+const LIGHT_POLE_HEIGHT = 16
+const TRUNK_COLOR = '#6B4F3A'
+const CANOPY_COLOR = '#4F7F3A'
+const METAL_COLOR = '#4A4A4A'
+const LAMP_COLOR = '#F2E6B8'
+const BENCH_COLOR = '#8B6B4A'
+
+// Three.js cylinders run along Y; the scene is Z-up
+const uprightCylinder = (radiusTop, radiusBottom, height, z) =>
+    new THREE.CylinderGeometry(radiusTop, radiusBottom, height, 6).rotateX(Math.PI / 2).translate(0, 0, z)
+
+const box = (sx, sy, sz, x, y, z) => new THREE.BoxGeometry(sx, sy, sz).translate(x, y, z)
+
+/**
+ * Low-poly parts per furniture kind, in the item's local frame: +X along the
+ * road, -Y toward the road, Z up from grade.
+ * @returns {{ [kind: string]: Array<{ key: string, geometry: THREE.BufferGeometry, color: string }> }}
+ */
+const createFurnitureParts = (treeSize) => {
+    const { height, canopy } = TREE_SIZES[treeSize] ?? TREE_SIZES.medium
+    const trunkHeight = height - canopy * 0.6
+    return {
+        trees: [
+            { key: 'trunk', geometry: uprightCylinder(height / 60, height / 45, trunkHeight, trunkHeight / 2), color: TRUNK_COLOR },
+            { key: 'canopy', geometry: new THREE.IcosahedronGeometry(canopy / 2, 0).translate(0, 0, height - canopy / 2), color: CANOPY_COLOR },
+        ],
+        lights: [
+            { key: 'pole', geometry: uprightCylinder(0.2, 0.3, LIGHT_POLE_HEIGHT, LIGHT_POLE_HEIGHT / 2), color: METAL_COLOR },
+            { key: 'arm', geometry: box(0.3, 4, 0.3, 0, -2, LIGHT_POLE_HEIGHT - 0.15), color: METAL_COLOR },
+            { key: 'lamp', geometry: box(1.2, 1.6, 0.5, 0, -4, LIGHT_POLE_HEIGHT - 0.5), color: LAMP_COLOR },
+        ],
+        benches: [
+            { key: 'seat', geometry: box(5, 1.5, 0.2, 0, 0, 1.5), color: BENCH_COLOR },
+            { key: 'back', geometry: box(5, 0.2, 1.4, 0, 0.65, 2.3), color: BENCH_COLOR },
+            { key: 'legs', geometry: box(4.4, 1.3, 1.4, 0, 0, 0.7), color: METAL_COLOR },
+        ],
+    }
+}
+
+/**
+ * FurnitureInstances Component (module-level — never define inside a render function)
+ *
+ * One instanced mesh holding every copy of a single furniture part.
+ */
+const FurnitureInstances = ({ geometry, color, matrices }) => {
+    const meshRef = useRef()
+
+    useLayoutEffect(() => {
+        const mesh = meshRef.current
+        if (!mesh) return
+        matrices.forEach((matrix, index) => mesh.setMatrixAt(index, matrix))
+        mesh.instanceMatrix.needsUpdate = true
+        mesh.computeBoundingSphere()
+    }, [matrices])
+
+    return (
+        <instancedMesh ref={meshRef} args={[geometry, undefined, matrices.length]} castShadow receiveShadow>
+            <meshStandardMaterial color={color} roughness={0.9} metalness={0} />
+        </instancedMesh>
+    )
+}
+
+/**
+ * StreetFurniture Component
+ *
+ * Street trees, light poles and benches along one road, as instanced
+ * low-poly meshes (see utils/streetFurniture.js for placement rules).
+ * Coordinates follow the centerline's frame: RoadModule passes a canonical
+ * centerline inside its rotated group, AlignedRoadModule a world one.
+ *
+ * @param {object} roadModule - Road module data
+ * @param {Array<{x: number, y: number}>} centerline
+ * @param {object} [ranges] - Station ranges kept per side (aligned roads cut at junctions)
+ */
+const StreetFurniture = ({ roadModule, centerline, ranges }) => {
+    const treeSize = getStreetscape(roadModule).trees.size
+    const parts = useMemo(() => createFurnitureParts(treeSize), [treeSize])
+
+    const matrices = useMemo(() => {
+        const placements = getStreetFurniturePlacements(roadModule, centerline, ranges)
+        const rotation = new THREE.Quaternion()
+        const scale = new THREE.Vector3(1, 1, 1)
+        return Object.fromEntries(Object.entries(placements).map(([kind, items]) => [
+            kind,
+            items.map(({ x, y, rotation: angle }) => new THREE.Matrix4().compose(
+                new THREE.Vector3(x, y, 0),
+                rotation.setFromAxisAngle(new THREE.Vector3(0, 0, 1), angle),
+                scale,
+            )),
+        ]))
+    }, [roadModule, centerline, ranges])
+
+    useLayoutEffect(() => () => {
+        Object.values(parts).flat().forEach(({ geometry }) => geometry.dispose())
+    }, [parts])
+
+    return (
+        <group>
+            {Object.entries(matrices).map(([kind, kindMatrices]) => kindMatrices.length > 0 && parts[kind].map(part => (
+                // Keyed by count — an instanced mesh's capacity is fixed at creation
+                <FurnitureInstances
+                    key={`${kind}-${part.key}-${kindMatrices.length}`}
+                    geometry={part.geometry}
+                    color={part.color}
+                    matrices={kindMatrices}
+                />
+            )))}
+        </group>
+    )
+}
+
+export default StreetFurniture
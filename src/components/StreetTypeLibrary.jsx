@@ -0,0 +1,329 @@
+import { useRef, useState } from 'react'
+import { Plus, Copy, Trash2, ChevronDown, ChevronUp, Save, Upload, RefreshCw } from 'lucide-react'
+import { useStore } from '../store/useStore'
+import { getStreetTypeOptions, getStreetType, createStreetType, normalizeStreetType } from '../utils/streetTypes'
+import { getRoadZones } from '../utils/roadZones'
+import { parseCSV, parseXLSXToCSV, parseStreetTypeRows } from '../utils/importParser'
+import RoadZoneEditor, { RoadCrossSectionSummary } from './RoadZoneEditor'
+import * as api from '../services/api'
+
+const inputStyle = {
+    color: 'var(--ui-text-primary)',
+    backgroundColor: 'var(--ui-bg-secondary)',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: 'var(--ui-border)',
+}
+
+const iconButtonStyle = { color: 'var(--ui-text-muted)' }
+
+/**
+ * <option> list of every street type (built-ins, then the user library).
+ */
+export const StreetTypeOptions = ({ library, showRow = false }) => (
+    getStreetTypeOptions(library).map(({ code, name, rightOfWay }) => (
+        <option key={code} value={code} title={name}>
+            {code}{showRow ? ` (${rightOfWay}' ROW)` : ''}
+        </option>
+    ))
+)
+
+/**
+ * Street type library manager: lists built-in and user street types, creates
+ * and edits user templates (dimensions, zones, road fill, alley/no-fillet),
+ * imports them from a spreadsheet and syncs them with the server library.
+ */
+const StreetTypeLibrary = () => {
+    const streetTypeLibrary = useStore((s) => s.streetTypeLibrary)
+    const roadModuleStyles = useStore((s) => s.roadModuleStyles)
+    const roadModules = useStore((s) => s.entities.roadModules)
+    const saveStreetTypeTemplate = useStore((s) => s.saveStreetTypeTemplate)
+    const updateStreetTypeTemplate = useStore((s) => s.updateStreetTypeTemplate)
+    const removeStreetTypeTemplate = useStore((s) => s.removeStreetTypeTemplate)
+    const importStreetTypeTemplates = useStore((s) => s.importStreetTypeTemplates)
+    const applyStreetTypeToRoads = useStore((s) => s.applyStreetTypeToRoads)
+    const showToast = useStore((s) => s.showToast)
+
+    const [expandedCode, setExpandedCode] = useState(null)
+    const [draft, setDraft] = useState(null) // { code, name, source } while creating
+    const [importWarnings, setImportWarnings] = useState([])
+    const [busy, setBusy] = useState(false)
+    const fileInputRef = useRef(null)
+
+    const options = getStreetTypeOptions(streetTypeLibrary)
+    const roadCountByType = {}
+    for (const road of Object.values(roadModules ?? {})) {
+        const code = road.type || 'S1'
+        roadCountByType[code] = (roadCountByType[code] ?? 0) + 1
+    }
+
+    const startDraft = (sourceCode) => {
+        const source = sourceCode ? getStreetType(sourceCode, streetTypeLibrary) : createStreetType()
+        setDraft({ code: '', name: sourceCode ? `${source.name} (copy)` : '', source })
+    }
+
+    const handleCreate = (e) => {
+        e.preventDefault()
+        const code = draft.code.trim()
+        if (!code) return
+        // A built-in code is allowed — the library entry replaces the built-in
+        if (streetTypeLibrary?.[code]) {
+            showToast(`Street type "${code}" already exists`, 'error')
+            return
+        }
+        saveStreetTypeTemplate(normalizeStreetType({ ...draft.source, code, name: draft.name }))
+        setExpandedCode(code)
+        setDraft(null)
+    }
+
+    const handleSaveToServer = async (code) => {
+        try {
+            await api.saveStreetType(streetTypeLibrary[code])
+            showToast(`Street type "${code}" saved`)
+        } catch (err) {
+            showToast(err.message, 'error')
+        }
+    }
+
+    const handleLoadFromServer = async () => {
+        setBusy(true)
+        try {
+            const list = await api.listStreetTypes()
+            const loaded = await Promise.all(list.map(item => api.loadStreetType(item.filename)))
+            const streetTypes = loaded.map(normalizeStreetType).filter(Boolean)
+            importStreetTypeTemplates(streetTypes)
+            showToast(`Loaded ${streetTypes.length} street type${streetTypes.length === 1 ? '' : 's'}`)
+        } catch (err) {
+            showToast(err.message, 'error')
+        }
+        setBusy(false)
+    }
+
+    const handleDelete = async (code) => {
+        if (!window.confirm(`Delete street type "${code}"? Roads of this type fall back to S1 behavior.`)) return
+        removeStreetTypeTemplate(code)
+        if (expandedCode === code) setExpandedCode(null)
+        try {
+            await api.deleteStreetType(code)
+        } catch {
+            // Not saved on the server (or server unavailable) — local removal is enough
+        }
+    }
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+        setBusy(true)
+        try {
+            const isXLSX = /\.xlsx?$/i.test(file.name)
+            const { headers, rows } = isXLSX
+                ? await parseXLSXToCSV(await file.arrayBuffer())
+                : parseCSV(await file.text())
+            const { streetTypes, warnings } = parseStreetTypeRows(headers, rows)
+            setImportWarnings(warnings)
+            if (streetTypes.length === 0) {
+                showToast('No street types found in file', 'error')
+            } else {
+                importStreetTypeTemplates(streetTypes)
+                const results = await Promise.allSettled(streetTypes.map(t => api.saveStreetType(t)))
+                const failed = results.filter(r => r.status === 'rejected').length
+                showToast(failed === 0
+                    ? `Imported ${streetTypes.length} street types`
+                    : `Imported ${streetTypes.length} street types (${failed} not saved to server)`,
+                failed === 0 ? undefined : 'error')
+            }
+        } catch (err) {
+            showToast(`Failed to import street types: ${err.message}`, 'error')
+        }
+        setBusy(false)
+    }
+
+    const renderEditor = (streetType) => {
+        const { code } = streetType
+        const update = (patch) => updateStreetTypeTemplate(code, patch)
+        const roadFill = streetType.styles?.roadWidth?.fillColor
+        // Zone editors expect a road; templates are keyed by code instead of type
+        const asRoad = { ...streetType, type: code }
+        return (
+            <div className="pl-2 pb-2 space-y-1.5" style={{ borderLeft: '2px solid var(--ui-border)' }}>
+                <div className="flex items-center gap-1">
+                    <label className="text-[10px] w-16 shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>Name</label>
+                    <input
+                        type="text"
+                        value={streetType.name}
+                        onChange={(e) => update({ name: e.target.value })}
+                        className="flex-1 min-w-0 text-xs rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                        style={inputStyle}
+                    />
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    {[['rightOfWay', 'ROW'], ['roadWidth', 'Road Width']].map(([key, label]) => (
+                        <div key={key} className="flex items-center gap-1">
+                            <label className="text-[10px] shrink-0" style={{ color: 'var(--ui-text-secondary)' }}>{label}</label>
+                            <input
+                                type="number"
+                                value={streetType[key]}
+                                min={0}
+                                onChange={(e) => update({ [key]: parseFloat(e.target.value) || 0 })}
+                                className="w-full text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                style={inputStyle}
+                            />
+                        </div>
+                    ))}
+                </div>
+                <div className="flex items-center gap-3">
+                    {[['alley', 'Alley'], ['noFillet', 'No fillets']].map(([key, label]) => (
+                        <label key={key} className="flex items-center gap-1 cursor-pointer text-[10px]" style={{ color: 'var(--ui-text-secondary)' }}>
+                            <input
+                                type="checkbox"
+                                checked={!!streetType[key]}
+                                onChange={(e) => update({ [key]: e.target.checked })}
+                                className="rounded accent-theme"
+                            />
+                            {label}
+                        </label>
+                    ))}
+                    <label className="flex items-center gap-1 text-[10px] ml-auto" style={{ color: 'var(--ui-text-secondary)' }}>
+                        Road fill
+                        <input
+                            type="color"
+                            value={roadFill ?? roadModuleStyles?.roadWidth?.fillColor ?? '#666666'}
+                            onChange={(e) => update({ styles: { ...streetType.styles, roadWidth: { ...streetType.styles?.roadWidth, fillColor: e.target.value } } })}
+                            className="w-5 h-5 rounded cursor-pointer p-0 overflow-hidden"
+                            style={{ borderColor: 'var(--ui-border)', opacity: roadFill ? 1 : 0.5 }}
+                            title={roadFill ? 'Street type road fill' : 'Using shared road style'}
+                        />
+                    </label>
+                </div>
+                <RoadCrossSectionSummary road={asRoad} />
+                {['left', 'right'].map(side => (
+                    <RoadZoneEditor
+                        key={side}
+                        road={asRoad}
+                        side={side}
+                        zones={getRoadZones(asRoad, side)}
+                        styles={roadModuleStyles}
+                        onChange={(zones) => update({ [`${side}Zones`]: zones })}
+                    />
+                ))}
+                <div className="flex gap-2 pt-1">
+                    <button
+                        onClick={() => handleSaveToServer(code)}
+                        className="flex-1 flex items-center justify-center gap-1 px-2 py-1 rounded text-[10px] transition-colors"
+                        style={{ backgroundColor: 'var(--ui-bg-secondary)', border: '1px solid var(--ui-border)', color: 'var(--ui-text-secondary)' }}
+                    >
+                        <Save className="w-3 h-3" />
+                        Save to Library
+                    </button>
+                    <button
+                        onClick={() => applyStreetTypeToRoads(code)}
+                        disabled={!roadCountByType[code]}
+                        className="flex-1 px-2 py-1 rounded text-[10px] transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                        style={{ backgroundColor: 'var(--ui-bg-secondary)', border: '1px solid var(--ui-border)', color: 'var(--ui-text-secondary)' }}
+                        title="Reset dimensions and zones of roads using this type"
+                    >
+                        Apply to {roadCountByType[code] ?? 0} road{roadCountByType[code] === 1 ? '' : 's'}
+                    </button>
+                </div>
+            </div>
+        )
+    }
+
+    return (
+        <div className="space-y-1">
+            <div className="flex items-center justify-between">
+                <label className="text-xs" style={{ color: 'var(--ui-text-secondary)' }}>Street Types</label>
+                <div className="flex items-center gap-1">
+                    <button onClick={() => startDraft(null)} className="p-0.5" style={iconButtonStyle} title="New street type">
+                        <Plus className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={() => fileInputRef.current?.click()} disabled={busy} className="p-0.5 disabled:opacity-40" style={iconButtonStyle} title="Import street types (.csv, .xlsx)">
+                        <Upload className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={handleLoadFromServer} disabled={busy} className="p-0.5 disabled:opacity-40" style={iconButtonStyle} title="Load street types from library">
+                        <RefreshCw className={`w-3.5 h-3.5 ${busy ? 'animate-spin' : ''}`} />
+                    </button>
+                    <input ref={fileInputRef} type="file" accept=".csv,.xlsx,.xls" className="hidden" onChange={handleImportFile} />
+                </div>
+            </div>
+
+            {draft && (
+                <form onSubmit={handleCreate} className="flex items-center gap-1">
+                    <input
+                        type="text"
+                        value={draft.code}
+                        onChange={(e) => setDraft({ ...draft, code: e.target.value })}
+                        placeholder="Code"
+                        autoFocus
+                        className="w-14 text-xs rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                        style={inputStyle}
+                    />
+                    <input
+                        type="text"
+                        value={draft.name}
+                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                        placeholder="Name"
+                        className="flex-1 min-w-0 text-xs rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                        style={inputStyle}
+                    />
+                    <button type="submit" disabled={!draft.code.trim()} className="px-2 py-0.5 rounded text-[10px] font-bold disabled:opacity-40" style={{ backgroundColor: 'var(--ui-accent)', color: '#fff' }}>
+                        Add
+                    </button>
+                    <button type="button" onClick={() => setDraft(null)} className="px-1 py-0.5 text-[10px]" style={iconButtonStyle}>
+                        Cancel
+                    </button>
+                </form>
+            )}
+
+            {importWarnings.length > 0 && (
+                <div className="text-[10px] px-2 py-1 rounded space-y-0.5" style={{ color: 'var(--ui-warning)', backgroundColor: 'var(--ui-warning-muted)' }}>
+                    {importWarnings.map((w, i) => <div key={i}>{w}</div>)}
+                    <button onClick={() => setImportWarnings([])} className="underline">Dismiss</button>
+                </div>
+            )}
+
+            {options.map(({ code, name, rightOfWay, builtIn }) => {
+                const streetType = getStreetType(code, streetTypeLibrary)
+                const isExpanded = !builtIn && expandedCode === code
+                return (
+                    <div key={code}>
+                        <div className="flex items-center gap-1.5 py-0.5">
+                            <span className="text-xs font-semibold w-10 truncate" style={{ color: 'var(--ui-text-primary)' }}>{code}</span>
+                            <span className="flex-1 text-[10px] truncate" style={{ color: 'var(--ui-text-secondary)' }}>{name}</span>
+                            {streetType.alley && (
+                                <span className="text-[9px] px-1 rounded" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-muted)' }}>alley</span>
+                            )}
+                            {!streetType.alley && streetType.noFillet && (
+                                <span className="text-[9px] px-1 rounded" style={{ backgroundColor: 'var(--ui-bg-secondary)', color: 'var(--ui-text-muted)' }}>square</span>
+                            )}
+                            <span className="text-[10px] w-8 text-right" style={{ color: 'var(--ui-text-muted)' }}>{rightOfWay}&apos;</span>
+                            <button onClick={() => startDraft(code)} className="p-0.5" style={iconButtonStyle} title="Copy as new street type">
+                                <Copy className="w-3 h-3" />
+                            </button>
+                            {builtIn ? (
+                                <span className="w-7" />
+                            ) : (
+                                <>
+                                    <button onClick={() => setExpandedCode(isExpanded ? null : code)} className="p-0.5" style={iconButtonStyle} title="Edit street type">
+                                        {isExpanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                                    </button>
+                                    <button onClick={() => handleDelete(code)} className="p-0.5 transition-colors hover-text-error" style={iconButtonStyle} title="Delete street type">
+                                        <Trash2 className="w-3 h-3" />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                        {isExpanded && renderEditor(streetType)}
+                    </div>
+                )
+            })}
+
+            <p className="text-[9px]" style={{ color: 'var(--ui-text-muted)' }}>
+                Import columns: Code, Name, ROW, Road Width, Left Side, Right Side (e.g. &quot;Verge 7; Sidewalk 6&quot;), Alley, No Fillet, Road Fill.
+            </p>
+        </div>
+    )
+}
+
+export default StreetTypeLibrary
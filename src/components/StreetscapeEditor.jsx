@@ -0,0 +1,92 @@
+import { getStreetscape, STREET_FURNITURE_KINDS, TREE_SIZES } from '../utils/streetFurniture'
+
+const inputStyle = {
+    color: 'var(--ui-text-primary)',
+    backgroundColor: 'var(--ui-bg-secondary)',
+    borderWidth: '1px',
+    borderStyle: 'solid',
+    borderColor: 'var(--ui-border)',
+}
+
+const labelStyle = { color: 'var(--ui-text-secondary)' }
+
+/**
+ * Street trees, light poles and benches for one road: on/off, spacing,
+ * setback from the curb (blank = centered in the host zone) and tree size.
+ * Items only appear on sides with a verge, tree well or sidewalk zone.
+ *
+ * @param {object} road - Road module data
+ * @param {function} onChange - Called with the full new streetscape object
+ */
+const StreetscapeEditor = ({ road, onChange }) => {
+    const streetscape = getStreetscape(road)
+    const update = (kind, key, value) => onChange({ ...streetscape, [kind]: { ...streetscape[kind], [key]: value } })
+
+    return (
+        <div className="pt-2 space-y-2" style={{ borderTop: '1px solid var(--ui-border)' }}>
+            <span className="text-[10px] uppercase tracking-wider" style={{ color: 'var(--ui-text-muted)' }}>Streetscape</span>
+            {Object.entries(STREET_FURNITURE_KINDS).map(([kind, { label }]) => {
+                const settings = streetscape[kind]
+                return (
+                    <div key={kind} className="space-y-1">
+                        <label className="flex items-center gap-1.5 text-xs cursor-pointer" style={labelStyle}>
+                            <input
+                                type="checkbox"
+                                checked={settings.enabled}
+                                onChange={(e) => update(kind, 'enabled', e.target.checked)}
+                                className="rounded accent-theme"
+                            />
+                            {label}
+                        </label>
+                        {settings.enabled && (
+                            <div className="grid grid-cols-3 gap-2 pl-5">
+                                <div>
+                                    <label className="text-[10px] block mb-0.5" style={labelStyle}>Spacing</label>
+                                    <input
+                                        type="number"
+                                        min={5}
+                                        value={settings.spacing}
+                                        onChange={(e) => update(kind, 'spacing', Math.max(parseFloat(e.target.value) || 0, 0))}
+                                        className="w-full text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                        style={inputStyle}
+                                        title="Distance between items along the road (ft)"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] block mb-0.5" style={labelStyle}>From Curb</label>
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        value={settings.setback ?? ''}
+                                        placeholder="auto"
+                                        onChange={(e) => update(kind, 'setback', e.target.value === '' ? null : Math.max(parseFloat(e.target.value) || 0, 0))}
+                                        className="w-full text-xs text-right rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                        style={inputStyle}
+                                        title="Setback from the curb (ft); blank centers the item in its zone"
+                                    />
+                                </div>
+                                {kind === 'trees' && (
+                                    <div>
+                                        <label className="text-[10px] block mb-0.5" style={labelStyle}>Size</label>
+                                        <select
+                                            value={settings.size}
+                                            onChange={(e) => update(kind, 'size', e.target.value)}
+                                            className="w-full text-xs rounded px-1 py-0.5 focus:outline-none focus-ring-accent-1"
+                                            style={inputStyle}
+                                        >
+                                            {Object.entries(TREE_SIZES).map(([size, { label: sizeLabel, height }]) => (
+                                                <option key={size} value={size}>{sizeLabel} ({height}')</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+export default StreetscapeEditor
@@ -1,6 +1,7 @@
 import React, { useState } from 'react'
 import { useStore as useZustandStore } from 'zustand'
 import { useStore } from '../store/useStore'
+import { ROAD_ZONE_TYPES, ROAD_ZONE_SHARED_STYLE_TYPES } from '../utils/roadZones'
 import { ChevronDown, ChevronUp, Palette, Undo, Save } from 'lucide-react'
 
 
@@ -1162,6 +1163,44 @@ const StyleEditor = () => {
                                         </div>
                                     ))}
                                 </div>
+
+                                {/* Zone types without side-specific styles */}
+                                <div className="border-t border-gray-800 pt-2">
+                                    <span className="text-[9px] text-gray-400 uppercase tracking-wider block mb-2 font-bold">Other Zone Types</span>
+
+                                    {ROAD_ZONE_SHARED_STYLE_TYPES.map(key => ({ key, label: ROAD_ZONE_TYPES[key].label, defaultFill: ROAD_ZONE_TYPES[key].fillColor })).map(({ key, label, defaultFill }) => (
+                                        <div key={key} className="mb-3 pl-2 border-l-2 border-gray-700">
+                                            <span className="text-[9px] text-gray-500 uppercase tracking-wider block mb-1">{label}</span>
+                                            <ControlRow label="Line Color">
+                                                <ColorPicker
+                                                    value={roadModuleStyles[key]?.lineColor ?? '#000000'}
+                                                    onChange={(c) => setRoadModuleStyle(key, 'lineColor', c)}
+                                                />
+                                            </ControlRow>
+                                            <ControlRow label="Line Width">
+                                                <SliderInput
+                                                    value={roadModuleStyles[key]?.lineWidth ?? 1}
+                                                    onChange={(v) => setRoadModuleStyle(key, 'lineWidth', v)}
+                                                    min={0.5}
+                                                    max={5}
+                                                    step={0.5}
+                                                />
+                                            </ControlRow>
+                                            <ControlRow label="Fill Color">
+                                                <ColorPicker
+                                                    value={roadModuleStyles[key]?.fillColor ?? defaultFill}
+                                                    onChange={(c) => setRoadModuleStyle(key, 'fillColor', c)}
+                                                />
+                                            </ControlRow>
+                                            <ControlRow label="Fill Opacity">
+                                                <SliderInput
+                                                    value={roadModuleStyles[key]?.fillOpacity ?? 0.7}
+                                                    onChange={(v) => setRoadModuleStyle(key, 'fillOpacity', v)}
+                                                />
+                                            </ControlRow>
+                                        </div>
+                                    ))}
+                                </div>
                             </Section>
                         </div>
                     )}
@@ -1,16 +1,34 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { useStore } from '../store/useStore'
 import { Sun } from 'lucide-react'
+import { getSiteSunPosition } from '../utils/siteLocation'
+
+const formatClock = (hour) => {
+    const h = Math.floor(hour) % 24
+    const m = Math.round((hour - Math.floor(hour)) * 60)
+    return `${((h + 11) % 12) + 1}:${String(m).padStart(2, '0')} ${h >= 12 ? 'PM' : 'AM'}`
+}
 
 const SunControls = () => {
     const sunSettings = useStore((state) => state.sunSettings)
     const setSunSetting = useStore((state) => state.setSunSetting)
     const toggleSun = useStore((state) => state.toggleSun)
+    const setSunDate = useStore((state) => state.setSunDate)
+    const setSunTime = useStore((state) => state.setSunTime)
+    const siteLocation = useStore((state) => state.siteLocation)
 
     const [isOpen, setIsOpen] = useState(false)
     const dropdownRef = useRef(null)
 
-    const { enabled, azimuth, altitude, intensity, shadowsEnabled } = sunSettings
+    const { enabled, azimuth, altitude, intensity, shadowsEnabled, mode, date, time } = sunSettings
+    const siteMode = mode === 'site'
+
+    // Compass bearing / altitude readout for site mode
+    const sitePosition = useMemo(() => {
+        if (!siteMode || !date) return null
+        const { azimuth: az, altitude: alt } = getSiteSunPosition(siteLocation, date, time ?? 12)
+        return { bearing: ((az * 180) / Math.PI + 540) % 360, altitude: (alt * 180) / Math.PI }
+    }, [siteMode, siteLocation, date, time])
 
     // Close dropdown when clicking outside
     useEffect(() => {
@@ -61,41 +79,102 @@ const SunControls = () => {
                     </div>
 
                     <div className={`p-2.5 space-y-3 ${!enabled ? 'opacity-40 pointer-events-none' : ''}`}>
-                        {/* Rotation (Azimuth) */}
-                        <div className="space-y-1">
-                            <div className="flex justify-between items-center">
-                                <span className="text-[11px]" style={{ color: 'var(--ui-text-secondary)' }}>Rotation</span>
-                                <span className="text-[11px] font-mono" style={{ color: 'var(--ui-text-primary)' }}>{Math.round(azimuth ?? 45)}°</span>
-                            </div>
-                            <input
-                                type="range"
-                                min="0"
-                                max="360"
-                                step="1"
-                                value={azimuth ?? 45}
-                                onChange={(e) => setSunSetting('azimuth', parseFloat(e.target.value))}
-                                className="w-full h-1 rounded-lg appearance-none cursor-pointer accent-theme"
-                                style={{ backgroundColor: 'var(--ui-bg-tertiary)' }}
-                            />
+                        {/* Mode */}
+                        <div className="grid grid-cols-2 gap-1">
+                            {[['manual', 'Manual'], ['site', 'Site & Time']].map(([key, label]) => (
+                                <button
+                                    key={key}
+                                    onClick={() => setSunSetting('mode', key)}
+                                    className="py-0.5 rounded text-[10px] font-bold transition-colors"
+                                    style={{
+                                        backgroundColor: (mode ?? 'manual') === key ? 'var(--ui-accent)' : 'var(--ui-bg-tertiary)',
+                                        color: (mode ?? 'manual') === key ? '#fff' : 'var(--ui-text-muted)',
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
                         </div>
 
-                        {/* Angle (Altitude) */}
-                        <div className="space-y-1">
-                            <div className="flex justify-between items-center">
-                                <span className="text-[11px]" style={{ color: 'var(--ui-text-secondary)' }}>Angle</span>
-                                <span className="text-[11px] font-mono" style={{ color: 'var(--ui-text-primary)' }}>{Math.round(altitude ?? 45)}°</span>
-                            </div>
-                            <input
-                                type="range"
-                                min="0"
-                                max="90"
-                                step="1"
-                                value={altitude ?? 45}
-                                onChange={(e) => setSunSetting('altitude', parseFloat(e.target.value))}
-                                className="w-full h-1 rounded-lg appearance-none cursor-pointer accent-theme"
-                                style={{ backgroundColor: 'var(--ui-bg-tertiary)' }}
-                            />
-                        </div>
+                        {siteMode ? (
+                            <>
+                                {/* Date & time at the project site */}
+                                <div className="space-y-1">
+                                    <div className="flex justify-between items-center">
+                                        <span className="text-[11px]" style={{ color: 'var(--ui-text-secondary)' }}>Date</span>
+                                        <input
+                                            type="date"
+                                            value={date ?? ''}
+                                            onChange={(e) => e.target.value && setSunDate(e.target.value)}
+                                            className="text-[11px] rounded px-1 py-0.5"
+                                            style={{ backgroundColor: 'var(--ui-bg-tertiary)', color: 'var(--ui-text-primary)' }}
+                                        />
+                                    </div>
+                                </div>
+                                <div className="space-y-1">
+                                    <div className="flex justify-between items-center">
+                                        <span className="text-[11px]" style={{ color: 'var(--ui-text-secondary)' }}>Time</span>
+                                        <span className="text-[11px] font-mono" style={{ color: 'var(--ui-text-primary)' }}>{formatClock(time ?? 12)}</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="24"
+                                        step="0.25"
+                                        value={time ?? 12}
+                                        onChange={(e) => setSunTime(parseFloat(e.target.value))}
+                                        className="w-full h-1 rounded-lg appearance-none cursor-pointer accent-theme"
+                                        style={{ backgroundColor: 'var(--ui-bg-tertiary)' }}
+                                    />
+                                </div>
+                                {sitePosition && (
+                                    <p className="text-[10px]" style={{ color: 'var(--ui-text-muted)' }}>
+                                        Sun {Math.round(sitePosition.bearing)}° from N, {Math.round(sitePosition.altitude)}° up
+                                        {sitePosition.altitude <= 0 ? ' (below horizon)' : ''}
+                                        <br />
+                                        Site {siteLocation.latitude.toFixed(4)}, {siteLocation.longitude.toFixed(4)} · UTC{siteLocation.utcOffset >= 0 ? '+' : ''}{siteLocation.utcOffset}
+                                    </p>
+                                )}
+                            </>
+                        ) : (
+                            <>
+                                {/* Rotation (Azimuth) */}
+                                <div className="space-y-1">
+                                    <div className="flex justify-between items-center">
+                                        <span className="text-[11px]" style={{ color: 'var(--ui-text-secondary)' }}>Rotation</span>
+                                        <span className="text-[11px] font-mono" style={{ color: 'var(--ui-text-primary)' }}>{Math.round(azimuth ?? 45)}°</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="360"
+                                        step="1"
+                                        value={azimuth ?? 45}
+                                        onChange={(e) => setSunSetting('azimuth', parseFloat(e.target.value))}
+                                        className="w-full h-1 rounded-lg appearance-none cursor-pointer accent-theme"
+                                        style={{ backgroundColor: 'var(--ui-bg-tertiary)' }}
+                                    />
+                                </div>
+
+                                {/* Angle (Altitude) */}
+                                <div className="space-y-1">
+                                    <div className="flex justify-between items-center">
+                                        <span className="text-[11px]" style={{ color: 'var(--ui-text-secondary)' }}>Angle</span>
+                                        <span className="text-[11px] font-mono" style={{ color: 'var(--ui-text-primary)' }}>{Math.round(altitude ?? 45)}°</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="90"
+                                        step="1"
+                                        value={altitude ?? 45}
+                                        onChange={(e) => setSunSetting('altitude', parseFloat(e.target.value))}
+                                        className="w-full h-1 rounded-lg appearance-none cursor-pointer accent-theme"
+                                        style={{ backgroundColor: 'var(--ui-bg-tertiary)' }}
+                                    />
+                                </div>
+                            </>
+                        )}
 
                         {/* Intensity */}
                         <div className="space-y-1">
@@ -1,6 +1,10 @@
 import { useMemo } from 'react'
 import { useStore } from '../store/useStore'
 import { useShallow } from 'zustand/react/shallow'
+import { evaluateDistrictCompliance, evaluateLotCompliance } from '../utils/zoningCompliance'
+import { computeBlockLayout, getLotBlockFace } from '../utils/blockLayout'
+import { getLotSightTriangles } from '../utils/sightTriangles'
+import { getLotDriveways } from '../utils/driveways'
 
 // ============================================
 // Entity System Selector Hooks
@@ -50,14 +54,14 @@ export const useLotStyle = (lotId) =>
     useStore(useShallow((state) => state.entityStyles?.[lotId]))
 
 /**
- * Returns lot.buildings[buildingType] for a given lot and building type.
+ * Returns lot.buildings[buildingId] for a given lot and building.
  * @param {string} lotId
- * @param {'principal'|'accessory'} buildingType
+ * @param {string} buildingId - 'principal', 'accessory' or a generated building id
  * @returns {object|undefined}
  */
-export const useBuilding = (lotId, buildingType) =>
+export const useBuilding = (lotId, buildingId) =>
     useStore(useShallow((state) =>
-        state.entities?.lots?.[lotId]?.buildings?.[buildingType]
+        state.entities?.lots?.[lotId]?.buildings?.[buildingId]
     ))
 
 /**
@@ -131,6 +135,98 @@ export const useDistrictParameters = () =>
 export const useEntityCount = () =>
     useStore((state) => state.entityOrder?.length ?? 0)
 
+// Lot sizes and block faces are all the block layout reads from each lot,
+// flattened to [id, width, depth, face, ...] so useShallow compares primitives
+const selectBlockLots = (state) => (state.entityOrder ?? []).flatMap(id => {
+    const lot = state.entities?.lots?.[id]
+    return [id, lot?.lotWidth ?? 50, lot?.lotDepth ?? 100, getLotBlockFace(lot)]
+})
+
+/**
+ * Returns the block layout (lot placements and block extents, see blockLayout.js).
+ * Only recomputed when lot sizes, block faces, lot order or road modules change.
+ * Placements carry no `lot`; read lots from the store instead.
+ * @returns {{ placements: object[], block: object }}
+ */
+export const useBlockLayout = () => {
+    const blockLots = useStore(useShallow(selectBlockLots))
+    const roadModules = useStore((state) => state.entities?.roadModules)
+    return useMemo(() => {
+        const lots = {}
+        const entityOrder = []
+        for (let i = 0; i < blockLots.length; i += 4) {
+            const [id, lotWidth, lotDepth, blockFace] = blockLots.slice(i, i + 4)
+            lots[id] = { lotWidth, lotDepth, blockFace }
+            entityOrder.push(id)
+        }
+        const { placements, block } = computeBlockLayout(lots, entityOrder, roadModules)
+        for (const placement of placements) delete placement.lot
+        return { placements, block }
+    }, [blockLots, roadModules])
+}
+
+/**
+ * Returns the block layout placement of one lot (position, rotation, street sides).
+ * @param {string} lotId
+ * @returns {object|null}
+ */
+export const useLotPlacement = (lotId) => {
+    const { placements } = useBlockLayout()
+    return useMemo(() => placements.find(p => p.lotId === lotId) ?? null, [placements, lotId])
+}
+
+// Lot access arrow positions only matter to compliance and analytics when driveway
+// sight triangles are required or a lot generates driveways; otherwise skip
+// re-evaluating on every label drag.
+const selectAccessPositions = (state) =>
+    (state.districtParameters?.sightTriangles?.driveway > 0
+        || Object.values(state.entities?.lots ?? {}).some(lot => lot?.driveways?.enabled)
+        ? state.annotationPositions
+        : null)
+
+/**
+ * Returns annotationPositions when lot access arrow positions affect
+ * geometry (driveway sight triangles, generated driveways), else null.
+ * @returns {object|null}
+ */
+export const useAccessPositions = () => useStore(selectAccessPositions)
+
+/**
+ * Returns zoning compliance results for every lot, keyed by lotId.
+ * Re-evaluates whenever lots, road modules, or district parameters change.
+ * @returns {Object<string, object>} See evaluateLotCompliance for the result shape
+ */
+export const useDistrictCompliance = () => {
+    const entities = useStore((state) => state.entities)
+    const entityOrder = useStore((state) => state.entityOrder)
+    const districtParameters = useStore((state) => state.districtParameters)
+    const annotationPositions = useAccessPositions()
+    return useMemo(
+        () => evaluateDistrictCompliance({ entities, entityOrder, districtParameters, annotationPositions }),
+        [entities, entityOrder, districtParameters, annotationPositions]
+    )
+}
+
+/**
+ * Returns the zoning compliance result for a single lot.
+ * @param {string} lotId
+ * @returns {object|null}
+ */
+export const useLotCompliance = (lotId) => {
+    const lot = useStore((state) => state.entities?.lots?.[lotId])
+    const roadModules = useStore((state) => state.entities?.roadModules)
+    const placement = useLotPlacement(lotId)
+    const districtParameters = useStore((state) => state.districtParameters)
+    const annotationPositions = useAccessPositions()
+    return useMemo(() => {
+        if (!lot || !placement) return null
+        const { streetSides, roadDirs, streetRoads } = placement
+        const sightTriangles = getLotSightTriangles(lot, lotId, { districtParameters, streetSides, roadDirs, annotationPositions })
+        const driveways = getLotDriveways(lot, lotId, { streetSides, roadModules, streetRoads, annotationPositions })
+        return evaluateLotCompliance(lot, districtParameters, streetSides, { sightTriangles, driveways })
+    }, [lot, lotId, roadModules, placement, districtParameters, annotationPositions])
+}
+
 // ============================================
 // Non-Hook Accessors (for use outside React)
 // ============================================
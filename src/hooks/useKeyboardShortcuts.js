@@ -1,6 +1,7 @@
 import { useEffect } from 'react'
 import { useStore } from '../store/useStore'
 import * as api from '../services/api'
+import { getBuildingLabel } from '../utils/lotGeometry'
 
 /**
  * Global keyboard shortcuts
@@ -69,11 +70,12 @@ export function useKeyboardShortcuts() {
           showToast?.(`${selectedDrawingIds.length} drawing object(s) deleted`, 'info')
           return
         }
-        const { selectedBuildingType, activeEntityId, activeModule, deleteEntityBuilding } = useStore.getState()
-        if (activeModule === 'district' && selectedBuildingType && activeEntityId) {
+        const { selectedBuildingId, activeEntityId, activeModule, entities, deleteEntityBuilding } = useStore.getState()
+        if (activeModule === 'district' && selectedBuildingId && activeEntityId) {
           e.preventDefault()
-          deleteEntityBuilding(activeEntityId, selectedBuildingType)
-          showToast?.(`${selectedBuildingType === 'principal' ? 'Principal' : 'Accessory'} building deleted`, 'info')
+          const label = getBuildingLabel(entities.lots[activeEntityId], selectedBuildingId) || 'Building'
+          deleteEntityBuilding(activeEntityId, selectedBuildingId)
+          showToast?.(`${label} building deleted`, 'info')
         }
         return
       }
@@ -126,7 +128,7 @@ export function useKeyboardShortcuts() {
           if (moveMode.phase === 'moving' && moveMode.originalPosition) {
             if (moveMode.targetType === 'building') {
               setEntityBuildingPosition(
-                moveMode.targetLotId, moveMode.targetBuildingType,
+                moveMode.targetLotId, moveMode.targetBuildingId,
                 moveMode.originalPosition[0], moveMode.originalPosition[1]
               )
             } else if (moveMode.targetType === 'lotAccessArrow') {
@@ -101,21 +101,21 @@ function formatTime(date) {
 }
 
 /**
- * Get preset locations for common cities
+ * Get preset locations for common cities (utcOffset is standard time, in hours)
  */
 export const presetLocations = [
-    { name: 'San Francisco, CA', latitude: 37.7749, longitude: -122.4194 },
-    { name: 'New York, NY', latitude: 40.7128, longitude: -74.0060 },
-    { name: 'Los Angeles, CA', latitude: 34.0522, longitude: -118.2437 },
-    { name: 'Chicago, IL', latitude: 41.8781, longitude: -87.6298 },
-    { name: 'Miami, FL', latitude: 25.7617, longitude: -80.1918 },
-    { name: 'Seattle, WA', latitude: 47.6062, longitude: -122.3321 },
-    { name: 'Denver, CO', latitude: 39.7392, longitude: -104.9903 },
-    { name: 'Phoenix, AZ', latitude: 33.4484, longitude: -112.0740 },
-    { name: 'London, UK', latitude: 51.5074, longitude: -0.1278 },
-    { name: 'Tokyo, Japan', latitude: 35.6762, longitude: 139.6503 },
-    { name: 'Sydney, Australia', latitude: -33.8688, longitude: 151.2093 },
-    { name: 'Dubai, UAE', latitude: 25.2048, longitude: 55.2708 },
+    { name: 'San Francisco, CA', latitude: 37.7749, longitude: -122.4194, utcOffset: -8 },
+    { name: 'New York, NY', latitude: 40.7128, longitude: -74.0060, utcOffset: -5 },
+    { name: 'Los Angeles, CA', latitude: 34.0522, longitude: -118.2437, utcOffset: -8 },
+    { name: 'Chicago, IL', latitude: 41.8781, longitude: -87.6298, utcOffset: -6 },
+    { name: 'Miami, FL', latitude: 25.7617, longitude: -80.1918, utcOffset: -5 },
+    { name: 'Seattle, WA', latitude: 47.6062, longitude: -122.3321, utcOffset: -8 },
+    { name: 'Denver, CO', latitude: 39.7392, longitude: -104.9903, utcOffset: -7 },
+    { name: 'Phoenix, AZ', latitude: 33.4484, longitude: -112.0740, utcOffset: -7 },
+    { name: 'London, UK', latitude: 51.5074, longitude: -0.1278, utcOffset: 0 },
+    { name: 'Tokyo, Japan', latitude: 35.6762, longitude: 139.6503, utcOffset: 9 },
+    { name: 'Sydney, Australia', latitude: -33.8688, longitude: 151.2093, utcOffset: 10 },
+    { name: 'Dubai, UAE', latitude: 25.2048, longitude: 55.2708, utcOffset: 4 },
 ]
 
 export default useSunPosition
@@ -235,6 +235,29 @@ export async function deleteAnnotationPreset(name) {
   })
 }
 
+// ============ Street Type Library ============
+
+export async function listStreetTypes() {
+  return fetchJSON('/street-types')
+}
+
+export async function saveStreetType(streetType) {
+  return fetchJSON('/street-types', {
+    method: 'POST',
+    body: JSON.stringify(streetType)
+  })
+}
+
+export async function loadStreetType(code) {
+  return fetchJSON(`/street-types/${encodeURIComponent(code)}`)
+}
+
+export async function deleteStreetType(code) {
+  return fetchJSON(`/street-types/${encodeURIComponent(code)}`, {
+    method: 'DELETE'
+  })
+}
+
 // ============ Drawing Layer Presets ============
 
 export async function listDrawingPresets() {
@@ -1,6 +1,12 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
 import { temporal } from 'zundo'
+import { getMergePlacements, mergeLotPolygons } from '../utils/lotSubdivision'
+import { DEFAULT_SITE_LOCATION } from '../utils/siteLocation'
+import { migrateRoadModule, ROAD_ZONE_SHARED_STYLE_TYPES } from '../utils/roadZones'
+import { getStreetType, getStreetTypeRoadFields } from '../utils/streetTypes'
+import { createDefaultStreetscape } from '../utils/streetFurniture'
+import { arrangeBlockFaces } from '../utils/blockLayout'
 
 // ============================================
 // Dimension Font Options
@@ -138,6 +144,24 @@ const getEdgePerpendicular = (v1, v2) => {
 let entityIdCounter = 0;
 const generateEntityId = (prefix = 'lot') => `${prefix}-${Date.now()}-${entityIdCounter++}`;
 
+// Default dimensions and placement by building type (new / regenerated buildings)
+const BUILDING_DEFAULTS = {
+    principal: { width: 30, depth: 40, stories: 2, firstFloorHeight: 12, upperFloorHeight: 10, x: 0, y: 0, maxHeight: 30 },
+    accessory: { width: 15, depth: 20, stories: 1, firstFloorHeight: 10, upperFloorHeight: 10, x: 0, y: 15, maxHeight: 15 },
+};
+
+export const createDefaultBuilding = (type = 'principal', overrides = {}) => ({
+    type,                      // 'principal' | 'accessory' — selects setbacks, structure limits and styles
+    ...BUILDING_DEFAULTS[type],
+    geometry: { mode: 'rectangle', vertices: null },
+    storyFootprints: [],       // [{ fromStory, width, depth }] upper floor plates (podium + tower)
+    // Dwelling unit count: units per floor x stories, or GFA / average unit size (sf)
+    dwellingUnits: { mode: 'perFloor', perFloor: null, unitSize: null },
+    selected: false,
+    roof: { type: 'flat', overrideHeight: false, ridgeHeight: null, ridgeDirection: 'x', shedDirection: '+y' },
+    ...overrides,
+});
+
 export const createDefaultLot = (overrides = {}) => ({
     lotWidth: 50,
     lotDepth: 100,
@@ -154,35 +178,50 @@ export const createDefaultLot = (overrides = {}) => ({
         },
     },
     lotGeometry: { mode: 'rectangle', editing: false, vertices: null },
+    // The first principal and accessory buildings keep the ids 'principal' / 'accessory' —
+    // those are the slots the Model Parameters table, importer and district defaults edit.
+    // Extra buildings (townhouse rows, cottage courts, ADU + garage) get generated ids.
     buildings: {
-        principal: {
-            width: 30, depth: 40, stories: 2,
-            firstFloorHeight: 12, upperFloorHeight: 10,
-            x: 0, y: 0, maxHeight: 30,
-            geometry: { mode: 'rectangle', vertices: null },
-            selected: false,
-            roof: { type: 'flat', overrideHeight: false, ridgeHeight: null, ridgeDirection: 'x', shedDirection: '+y' },
-        },
-        accessory: {
-            width: 0, depth: 0, stories: 0,
-            firstFloorHeight: 10, upperFloorHeight: 10,
-            x: 0, y: 0, maxHeight: 15,
-            geometry: { mode: 'rectangle', vertices: null },
-            selected: false,
-            roof: { type: 'flat', overrideHeight: false, ridgeHeight: null, ridgeDirection: 'x', shedDirection: '+y' },
-        },
+        principal: createDefaultBuilding('principal'),
+        accessory: createDefaultBuilding('accessory', { width: 0, depth: 0, stories: 0, y: 0 }),
     },
+    buildingOrder: ['principal', 'accessory'],    // [buildingId, ...] for display order
     // Lot access (Model Parameters)
     lotAccess: { front: false, sideInterior: false, sideStreet: false, rear: false, sharedDriveLocation: 'front' },
     // Parking locations (Model Parameters)
     parking: { front: false, sideInterior: false, sideStreet: false, rear: false },
     // Parking setbacks (Model Parameters)
     parkingSetbacks: { front: null, sideInterior: null, sideInteriorLeft: null, sideInteriorRight: null, sideStreet: null, rear: null },
+    // Paved impervious areas in sf (Model Parameters)
+    pavedAreas: { drives: null, parking: null },
+    // Generated surface parking (stalls + aisles in the permitted parking locations);
+    // when enabled its paved area replaces pavedAreas.parking. Dimensions in ft.
+    parkingLayout: { enabled: false, stallWidth: 9, stallDepth: 18, aisleWidth: 24, driveWidth: 12 },
+    // Generated driveways at each lot access (see utils/driveways.js); when enabled
+    // their on-lot area replaces pavedAreas.drives. Width and curb cut flare in ft.
+    driveways: { enabled: false, width: 12, flare: 5 },
+    // Block face the lot sits on: front | across | rear | left | right (see utils/blockLayout.js)
+    blockFace: 'front',
     importedModels: {},        // { [modelId]: { filename, name, x, y, rotation, scale, units, style } }
     importedModelOrder: [],    // [modelId, ...] for display order
     ...overrides,
 });
 
+// Copy of `lots` with every building's selected flag cleared (untouched lots keep their identity)
+const deselectLotBuildings = (lots, entityOrder) => {
+    const next = { ...lots };
+    for (const id of entityOrder) {
+        const lot = next[id];
+        if (!lot?.buildings) continue;
+        const selectedIds = Object.keys(lot.buildings).filter(bId => lot.buildings[bId]?.selected);
+        if (selectedIds.length === 0) continue;
+        const buildings = { ...lot.buildings };
+        for (const bId of selectedIds) buildings[bId] = { ...buildings[bId], selected: false };
+        next[id] = { ...lot, buildings };
+    }
+    return next;
+};
+
 export const createDefaultLotStyle = (overrides = {}) => ({
     lotLines: {
         color: '#000000', width: 1.5, dashed: false, dashSize: 3, gapSize: 2, dashScale: 1, opacity: 1.0,
@@ -243,32 +282,34 @@ export const createDefaultLotStyle = (overrides = {}) => ({
     },
     lotAccessArrows: { color: '#FF00FF', opacity: 1.0, scale: 1, heightScale: 1, positionOffsetX: 0, positionOffsetY: 0 },
     sharedDriveArrow: { color: '#FF00FF', opacity: 1.0, scale: 1, heightScale: 1, positionOffsetX: 0, positionOffsetY: 0, outlineColor: '#000000', outlineWidth: 1, outlineType: 'solid' },
+    parkingLayout: { color: '#9E9E9E', opacity: 0.35, lineColor: '#FFFFFF', lineWidth: 1, lineDashed: false, lineDashSize: 3, lineGapSize: 2 },
+    driveways: { color: '#7A7A7A', opacity: 0.6, lineColor: '#4A4A4A', lineWidth: 1, lineDashed: false, lineDashSize: 3, lineGapSize: 2 },
+    sightTriangles: { color: '#FF8C00', opacity: 0.12, lineColor: '#FF8C00', lineWidth: 1, lineDashed: false, lineDashSize: 3, lineGapSize: 2, hatchSpacing: 3 },
     placementZone: { color: '#FFD700', opacity: 0.25, lineColor: '#DAA520', lineWidth: 1, lineDashed: false, lineDashSize: 3, lineGapSize: 2 },
+    buildingEnvelope: { color: '#4A90D9', opacity: 0.15, lineColor: '#1F5FA8', lineWidth: 1, lineDashed: true, lineDashSize: 3, lineGapSize: 2, showFrontZone: true, frontZoneColor: '#AA00FF', frontZoneOpacity: 0.25 },
     importedModelFaces: { color: '#D5D5D5', opacity: 1.0, transparent: true },
     importedModelEdges: { color: '#000000', width: 1.5, visible: true, opacity: 1.0 },
     ...overrides,
 });
 
-export const createDefaultRoadModule = (direction = 'front', type = 'S1', overrides = {}) => {
-    const defaults = {
-        S1: { rightOfWay: 50, roadWidth: 24, rightVerge: 7, rightSidewalk: 6 },
-        S2: { rightOfWay: 40, roadWidth: 24, rightVerge: 5, rightSidewalk: 5 },
-        S3: { rightOfWay: 20, roadWidth: 16 },
-    };
-    const d = defaults[type] || defaults.S1;
-    return {
-        direction,
-        type,
-        enabled: true,
-        rightOfWay: d.rightOfWay,
-        roadWidth: d.roadWidth,
-        leftParking: null, rightParking: null,
-        leftVerge: null, rightVerge: d.rightVerge || null,
-        leftSidewalk: null, rightSidewalk: d.rightSidewalk || null,
-        leftTransitionZone: null, rightTransitionZone: null,
-        ...overrides,
-    };
-};
+// Dimensions and zones come from the street type template (see utils/streetTypes.js)
+export const createDefaultRoadModule = (direction = 'front', type = 'S1', overrides = {}, library = null) => ({
+    direction,
+    type,
+    enabled: true,
+    alignment: null, // Optional centerline (polyline / arc) — see utils/roadAlignment.js
+    streetscape: createDefaultStreetscape(), // Street trees, light poles, benches — see utils/streetFurniture.js
+    ...getStreetTypeRoadFields(getStreetType(type, library)),
+    ...overrides,
+});
+
+const createRoadZoneTypeStyles = () => ({
+    travelLane: { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1.0, fillColor: '#666666', fillOpacity: 1.0 },
+    transitLane: { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1.0, fillColor: '#B5483B', fillOpacity: 1.0 },
+    bikeLane: { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1.0, fillColor: '#5DAA68', fillOpacity: 1.0 },
+    median: { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1.0, fillColor: '#A8C686', fillOpacity: 1.0 },
+    treeWell: { lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1.0, fillColor: '#7A9A5C', fillOpacity: 1.0 },
+});
 
 export const createDefaultDistrictParameters = () => ({
     lotArea: { min: null, max: null },
@@ -278,6 +319,9 @@ export const createDefaultDistrictParameters = () => ({
     lotDepth: { min: null, max: null },
     widthToDepthRatio: { min: null, max: null },
     maxImperviousSurface: { min: null, max: null },
+    far: { min: null, max: null },
+    density: { min: null, max: null },          // dwelling units per acre
+    lotAreaPerUnit: { min: null, max: null },   // sf of lot area per dwelling unit
     setbacksPrincipal: {
         front: { min: null, max: null },
         btzFront: null,
@@ -310,6 +354,20 @@ export const createDefaultDistrictParameters = () => ({
             upperStoryHeight: { min: null, max: null },
         },
     },
+    // Height transitions per side: daylight plane rises from the lot line at
+    // startHeight with `angle` degrees; stepback adds `depth` to the setback above `height`
+    daylightPlanes: {
+        front: { startHeight: null, angle: null },
+        rear: { startHeight: null, angle: null },
+        sideInterior: { startHeight: null, angle: null },
+        sideStreet: { startHeight: null, angle: null },
+    },
+    stepbacks: {
+        front: { height: null, depth: null },
+        rear: { height: null, depth: null },
+        sideInterior: { height: null, depth: null },
+        sideStreet: { height: null, depth: null },
+    },
     lotAccess: {
         primaryStreet: { min: null, max: null, permitted: false },
         secondaryStreet: { min: null, max: null, permitted: false },
@@ -322,6 +380,16 @@ export const createDefaultDistrictParameters = () => ({
         sideStreet: { min: null, max: null, permitted: false },
         rear: { min: null, max: null, permitted: false },
     },
+    // Required off-street parking: stalls per dwelling unit and per 1,000 sf of GFA (summed)
+    parkingRatios: {
+        perUnit: { min: null, max: null },
+        per1000Gfa: { min: null, max: null },
+    },
+    // Clear-vision triangle leg lengths (ft) at street corners and driveways (see utils/sightTriangles.js)
+    sightTriangles: { intersection: null, driveway: null },
+    // Generated driveway width and distance from the drive edge to a street corner (ft)
+    drivewayWidth: { min: null, max: null },
+    drivewayCornerSpacing: { min: null, max: null },
 });
 
 export const createDefaultLotVisibility = () => ({
@@ -336,6 +404,8 @@ export const createDefaultLotVisibility = () => ({
     accessoryBuilding: true,
     maxSetbacks: true,
     parkingSetbacks: true,
+    parkingLayout: true,
+    driveways: true,
     setbackFill: true,
     btzPlanes: true,
     accessorySetbacks: true,
@@ -345,6 +415,7 @@ export const createDefaultLotVisibility = () => ({
     lotAccessSharedDrive: true,
     importedModel: true,
     placementZone: true,
+    buildingEnvelope: true,
     depthDimVisible: true,
 });
 
@@ -413,6 +484,24 @@ const applyDistrictDefaultsToLot = (lot, dp) => {
     }
 };
 
+// New lot from hardcoded defaults, then district parameter defaults, then explicit
+// overrides. Without overrides the dimensions follow the last lot in the row.
+const buildNewLot = (state, initialData) => {
+    const lot = createDefaultLot();
+    applyDistrictDefaultsToLot(lot, state.districtParameters);
+    if (!initialData && state.entityOrder.length > 0) {
+        const lastLot = state.entities.lots[state.entityOrder[state.entityOrder.length - 1]];
+        if (lastLot) {
+            lot.lotWidth = lastLot.lotWidth;
+            lot.lotDepth = lastLot.lotDepth;
+        }
+    }
+    if (initialData) {
+        Object.assign(lot, initialData);
+    }
+    return lot;
+};
+
 // Helper: merge per-layer defaults over global defaults (per-layer wins via ??)
 export const getEffectiveDrawingDefaults = (state, layerId) => {
     const global = state.drawingDefaults
@@ -553,14 +642,17 @@ export const useStore = create(
                 entityOrder: [],      // lot IDs in display order
                 nextEntityId: 1,
                 activeEntityId: null,
-                selectedBuildingType: null, // 'principal' | 'accessory' | null
+                selectedBuildingId: null, // lot.buildings key or null
                 selectedImportedModel: null, // { lotId, modelId } or null
+                subdivisionPreview: null, // { lotId, parcels: [{ polygon, valid }], remainder: [polygon] } — transient
+                shadowStudy: null, // runShadowStudy result (grid, hours, samples, per-lot report) — transient
+                shadowStudyFrame: null, // sample index shown instead of the cumulative heat map
                 moveMode: {
                     active: false,
                     phase: null, // 'selectObject' | 'selectBase' | 'moving'
                     targetType: null, // 'building' | 'lotAccessArrow'
                     targetLotId: null,
-                    targetBuildingType: null, // 'principal' | 'accessory'
+                    targetBuildingId: null, // lot.buildings key
                     targetDirection: null, // for lot access arrows
                     basePoint: null, // [x, y]
                     originalPosition: null, // [x, y]
@@ -569,6 +661,8 @@ export const useStore = create(
                 _cameraControlsRef: null,
                 // Scene bounds — transient, computed from DistrictSceneContent (excluded from persist/Zundo)
                 sceneBounds: null, // { minX, maxX, minY, maxY, maxZ }
+                // Imported IFC model measurements — transient, set by ImportedModelMesh (excluded from persist/Zundo)
+                importedModelMetrics: {}, // { [modelId]: { footprint, height, storeys } }
                 entityStyles: {},     // { [lotId]: styleData }
                 lotVisibility: {},    // { [lotId]: per-parameter visibility }
                 modelSetup: {
@@ -577,6 +671,9 @@ export const useStore = create(
                     streetTypes: { front: 'S1', left: 'S1', right: 'S2', rear: 'S3' },
                 },
                 stashedRoadModules: {}, // { [direction]: roadModuleData } — preserved when street edge unchecked
+                streetTypeLibrary: {}, // { [code]: streetType } — user street types, see utils/streetTypes.js
+                // Geographic site: lat/long, UTC offset (h) and true-north rotation (° clockwise from +Y)
+                siteLocation: { ...DEFAULT_SITE_LOCATION },
                 // Annotation system — shared text labels for lots, setbacks, roads, buildings
                 annotationSettings: {
                     textRotation: 'billboard',   // 'follow-line' | 'billboard' | 'fixed'
@@ -642,6 +739,9 @@ export const useStore = create(
                     intensity: 1.5,
                     ambientIntensity: 0.4,
                     shadowsEnabled: true,
+                    mode: 'manual', // 'manual' (azimuth/altitude sliders) | 'site' (site location + date/time)
+                    date: `${new Date().getFullYear()}-06-21`,
+                    time: 12, // local standard time at the site, decimal hours
                 },
                 // Render Quality Settings
                 renderSettings: {
@@ -681,6 +781,11 @@ export const useStore = create(
                         dimensionsFirstFloorHeight: true, // 1st floor height dimension
                         parkingSetbacks: true,
                         dimensionsParkingSetbacks: true,
+                        parkingLayout: true, // Generated parking stalls + aisles
+                        driveways: true, // Generated driveways + curb cuts
+                        sightTriangles: true, // Clear-vision triangles at street corners + driveways
+                        northArrow: true, // True-north arrow beside the district
+                        shadowStudy: true, // Shadow study heat map / hourly shadows
                         dimensionsMaxFrontSetback: true,
                         dimensionsMaxSideStreetSetback: true,
                         setbackFill: true,
@@ -711,11 +816,14 @@ export const useStore = create(
                         lotAccessSideStreet: true, // Lot access side street arrow
                         lotAccessSharedDrive: true, // Lot access shared drive arrow
                         roadIntersections: true, // Road intersection fillet geometry
+                        streetFurniture: true, // Street trees, light poles and benches
                         importedModels: true, // Imported IFC models
                         placementZone: true, // Building placement zone
+                        complianceHighlights: true, // Red highlights on lots failing district rules
+                        buildingEnvelope: false, // Zoning envelope solid (setbacks x max height)
                     },
                     exportRequested: false,
-                    exportFormat: 'obj', // 'obj' | 'glb' | 'dae' | 'dxf' | 'png' | 'jpg' | 'svg'
+                    exportFormat: 'obj', // 'obj' | 'glb' | 'dae' | 'dxf' | 'ifc' | 'geojson' | 'geojsonLocal' | 'png' | 'jpg' | 'svg'
                     exportSettings: { width: 1920, height: 1080, label: '1080p (1920x1080)' },
                     exportView: 'current', // 'current' | 'iso' | 'front' | 'top' | 'side' | 'left' | 'right'
                     exportLineScale: 1, // Scale factor for line widths during export (WYSIWYG)
@@ -1695,6 +1803,9 @@ export const useStore = create(
                 setModelSetup: (key, value) => set((state) => ({
                     modelSetup: { ...state.modelSetup, [key]: value }
                 })),
+                setSiteLocation: (patch) => set((state) => ({
+                    siteLocation: { ...state.siteLocation, ...patch }
+                })),
                 setStreetEdge: (edge, enabled) => set((state) => {
                     const updatedSetup = {
                         ...state.modelSetup,
@@ -1721,7 +1832,7 @@ export const useStore = create(
                         // Checking: restore from stash or create default
                         const stashed = state.stashedRoadModules[edge]
                         const roadId = `road-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`
-                        const roadData = stashed || createDefaultRoadModule(edge, state.modelSetup.streetTypes?.[edge] || 'S1')
+                        const roadData = stashed || createDefaultRoadModule(edge, state.modelSetup.streetTypes?.[edge] || 'S1', {}, state.streetTypeLibrary)
                         const { [edge]: _, ...remainingStash } = state.stashedRoadModules
                         return {
                             modelSetup: updatedSetup,
@@ -1740,6 +1851,38 @@ export const useStore = create(
                     }
                 })),
 
+                // Street type library (templates keyed by code)
+                saveStreetTypeTemplate: (streetType) => set((state) => ({
+                    streetTypeLibrary: { ...state.streetTypeLibrary, [streetType.code]: streetType }
+                })),
+                updateStreetTypeTemplate: (code, patch) => set((state) => {
+                    const existing = state.streetTypeLibrary[code];
+                    if (!existing) return state;
+                    return {
+                        streetTypeLibrary: { ...state.streetTypeLibrary, [code]: { ...existing, ...patch } }
+                    };
+                }),
+                removeStreetTypeTemplate: (code) => set((state) => {
+                    const { [code]: _, ...remaining } = state.streetTypeLibrary;
+                    return { streetTypeLibrary: remaining };
+                }),
+                importStreetTypeTemplates: (streetTypes) => set((state) => {
+                    const library = { ...state.streetTypeLibrary };
+                    for (const streetType of streetTypes) library[streetType.code] = streetType;
+                    return { streetTypeLibrary: library };
+                }),
+                // Re-applies a template's dimensions and zones to every district road of that type
+                applyStreetTypeToRoads: (code) => set((state) => {
+                    const streetType = getStreetType(code, state.streetTypeLibrary);
+                    const roadModules = { ...state.entities.roadModules };
+                    for (const [roadId, road] of Object.entries(roadModules)) {
+                        if ((road.type || 'S1') === code) {
+                            roadModules[roadId] = { ...road, ...getStreetTypeRoadFields(streetType) };
+                        }
+                    }
+                    return { entities: { ...state.entities, roadModules } };
+                }),
+
                 // District parameters (informational) — also auto-populates lots
                 setDistrictParameter: (path, value) => set((state) => {
                     // path is dot-separated, e.g. 'lotArea.min' or 'setbacksPrincipal.front.min'
@@ -1770,23 +1913,7 @@ export const useStore = create(
                 // Lot CRUD
                 addLot: (initialData) => set((state) => {
                     const lotId = generateEntityId('lot');
-                    // 1. Create lot with hardcoded defaults
-                    const lot = createDefaultLot();
-                    // 2. Apply district parameter defaults (overrides hardcoded)
-                    applyDistrictDefaultsToLot(lot, state.districtParameters);
-                    // 3. Copy dimensions from the last lot when no explicit overrides
-                    if (!initialData && state.entityOrder.length > 0) {
-                        const lastLotId = state.entityOrder[state.entityOrder.length - 1];
-                        const lastLot = state.entities.lots[lastLotId];
-                        if (lastLot) {
-                            lot.lotWidth = lastLot.lotWidth;
-                            lot.lotDepth = lastLot.lotDepth;
-                        }
-                    }
-                    // 4. Apply explicit overrides (highest priority)
-                    if (initialData) {
-                        Object.assign(lot, initialData);
-                    }
+                    const lot = buildNewLot(state, initialData);
                     const style = createDefaultLotStyle();
                     const visibility = createDefaultLotVisibility();
                     return {
@@ -1817,6 +1944,174 @@ export const useStore = create(
                     };
                 }),
 
+                // Replace a lot with subdivided parcels (lotSubdivision.getSubdivisionLots), built
+                // the same way as addLot and placed in the parent's slot in entityOrder.
+                // Parcels inherit the parent's setbacks, styles and visibility.
+                subdivideLot: (lotId, parcels) => set((state) => {
+                    const parent = state.entities.lots[lotId];
+                    const index = state.entityOrder.indexOf(lotId);
+                    if (!parent || index === -1 || !parcels?.length) return state;
+                    const { [lotId]: _, ...lots } = state.entities.lots;
+                    const { [lotId]: parentStyle, ...entityStyles } = state.entityStyles;
+                    const { [lotId]: parentVisibility, ...lotVisibility } = state.lotVisibility;
+                    const newIds = [];
+                    for (const parcel of parcels) {
+                        const newLotId = generateEntityId('lot');
+                        lots[newLotId] = buildNewLot(state, {
+                            lotWidth: parcel.lotWidth,
+                            lotDepth: parcel.lotDepth,
+                            lotGeometry: {
+                                mode: 'polygon',
+                                editing: false,
+                                vertices: parcel.vertices.map(v => ({ id: generateVertexId(), x: v.x, y: v.y })),
+                            },
+                            setbacks: JSON.parse(JSON.stringify(parent.setbacks)),
+                        });
+                        entityStyles[newLotId] = JSON.parse(JSON.stringify(parentStyle || createDefaultLotStyle()));
+                        lotVisibility[newLotId] = JSON.parse(JSON.stringify(parentVisibility || createDefaultLotVisibility()));
+                        newIds.push(newLotId);
+                    }
+                    const entityOrder = [...state.entityOrder];
+                    entityOrder.splice(index, 1, ...newIds);
+                    return {
+                        entities: { ...state.entities, lots },
+                        entityOrder,
+                        nextEntityId: state.nextEntityId + newIds.length,
+                        entityStyles,
+                        lotVisibility,
+                        activeEntityId: newIds[0],
+                        selectedBuildingId: null,
+                        subdivisionPreview: null,
+                    };
+                }),
+
+                // Consolidate adjacent lots on one block face into one polygon lot. The first lot in
+                // entityOrder survives with its id, styles, visibility, setbacks and buildings; buildings
+                // and imported models shift to stay put in the scene. Street sides follow from the
+                // lot's new place on its block face, so they update on their own.
+                mergeLots: (lotIds) => set((state) => {
+                    const { placements, error } = getMergePlacements(state.entities.lots, state.entityOrder, state.entities.roadModules, lotIds);
+                    if (placements.length < 2 || error) return state;
+                    const merged = mergeLotPolygons(placements);
+                    if (!merged) return state;
+
+                    const mergeIds = placements.map(p => p.lotId);
+                    const [keepId, ...removeIds] = mergeIds;
+                    const keep = state.entities.lots[keepId];
+                    const { dx, dy } = merged.offsets[0];
+                    const shift = (item) => ({ ...item, x: (item.x ?? 0) + dx, y: (item.y ?? 0) + dy });
+                    const buildings = {};
+                    for (const [bId, b] of Object.entries(keep.buildings || {})) {
+                        buildings[bId] = shift(b);
+                        if (b.geometry?.vertices) {
+                            buildings[bId].geometry = {
+                                ...b.geometry,
+                                vertices: b.geometry.vertices.map(v => ({ ...v, x: v.x + dx, y: v.y + dy })),
+                            };
+                        }
+                    }
+                    const importedModels = {};
+                    for (const [mId, m] of Object.entries(keep.importedModels || {})) importedModels[mId] = shift(m);
+
+                    const lots = { ...state.entities.lots };
+                    const entityStyles = { ...state.entityStyles };
+                    const lotVisibility = { ...state.lotVisibility };
+                    for (const id of removeIds) {
+                        delete lots[id];
+                        delete entityStyles[id];
+                        delete lotVisibility[id];
+                    }
+                    lots[keepId] = {
+                        ...keep,
+                        lotWidth: merged.lotWidth,
+                        lotDepth: merged.lotDepth,
+                        lotGeometry: {
+                            mode: 'polygon',
+                            editing: false,
+                            vertices: merged.vertices.map(v => ({ id: generateVertexId(), x: v.x, y: v.y })),
+                        },
+                        buildings,
+                        importedModels,
+                    };
+                    return {
+                        entities: { ...state.entities, lots },
+                        entityOrder: state.entityOrder.filter(id => !removeIds.includes(id)),
+                        entityStyles,
+                        lotVisibility,
+                        activeEntityId: keepId,
+                        selectedBuildingId: null,
+                        selectedImportedModel: null,
+                        subdivisionPreview: null,
+                    };
+                }),
+
+                // Add polygon lots from CAD linework or GeoJSON parcels (cadImport.buildCadLots),
+                // built the same way as addLot. Mapped attributes (applyMapping lot data) fill in
+                // setbacks and building parameters; the outline sets width and depth. The first
+                // footprint on a lot takes the principal building slot; further footprints become
+                // extra principal buildings.
+                importPolygonLots: (cadLots) => set((state) => {
+                    if (!cadLots?.length) return state;
+                    const lots = { ...state.entities.lots };
+                    const entityStyles = { ...state.entityStyles };
+                    const lotVisibility = { ...state.lotVisibility };
+                    const newIds = [];
+                    for (const cadLot of cadLots) {
+                        const lotId = generateEntityId('lot');
+                        const lot = buildNewLot(state, {
+                            lotWidth: cadLot.lotWidth,
+                            lotDepth: cadLot.lotDepth,
+                            lotGeometry: {
+                                mode: 'polygon',
+                                editing: false,
+                                vertices: cadLot.vertices.map(v => ({ id: generateVertexId(), x: v.x, y: v.y })),
+                            },
+                        });
+                        const attributes = cadLot.attributes ?? {};
+                        const setbacks = attributes.setbacks?.principal
+                            ? { ...lot.setbacks, principal: { ...lot.setbacks?.principal, ...attributes.setbacks.principal } }
+                            : lot.setbacks;
+                        const buildings = { ...lot.buildings };
+                        for (const [type, params] of Object.entries(attributes.buildings ?? {})) {
+                            if (buildings[type]) buildings[type] = { ...buildings[type], ...params };
+                        }
+                        const buildingOrder = [...(lot.buildingOrder ?? Object.keys(buildings))];
+                        cadLot.buildings.forEach((footprint, i) => {
+                            const buildingId = i === 0 ? 'principal' : generateEntityId('bldg');
+                            buildings[buildingId] = {
+                                ...(buildings[buildingId] ?? createDefaultBuilding('principal')),
+                                x: footprint.x,
+                                y: footprint.y,
+                                width: footprint.width,
+                                depth: footprint.depth,
+                                geometry: {
+                                    mode: 'polygon',
+                                    vertices: footprint.vertices.map(v => ({ id: generateVertexId(), x: v.x, y: v.y })),
+                                },
+                            };
+                            if (!buildingOrder.includes(buildingId)) buildingOrder.push(buildingId);
+                        });
+                        lots[lotId] = { ...lot, setbacks, buildings, buildingOrder };
+                        entityStyles[lotId] = createDefaultLotStyle();
+                        lotVisibility[lotId] = createDefaultLotVisibility();
+                        newIds.push(lotId);
+                    }
+                    return {
+                        entities: { ...state.entities, lots },
+                        entityOrder: [...state.entityOrder, ...newIds],
+                        nextEntityId: state.nextEntityId + newIds.length,
+                        entityStyles,
+                        lotVisibility,
+                    };
+                }),
+
+                // Subdivision preview overlay (transient, set by SubdivisionSection)
+                setSubdivisionPreview: (preview) => set({ subdivisionPreview: preview }),
+
+                // Shadow study result (transient, set by ShadowStudySection)
+                setShadowStudy: (result) => set({ shadowStudy: result, shadowStudyFrame: null }),
+                setShadowStudyFrame: (index) => set({ shadowStudyFrame: index }),
+
                 duplicateLot: (lotId) => set((state) => {
                     const sourceLot = state.entities.lots[lotId];
                     const sourceStyle = state.entityStyles[lotId];
@@ -1845,6 +2140,16 @@ export const useStore = create(
                     };
                 }),
 
+                // Deal every lot out to a block face: 'row' | 'faceToFace' | 'perimeter'
+                arrangeBlock: (arrangement) => set((state) => {
+                    const faces = arrangeBlockFaces(state.entityOrder, arrangement);
+                    const lots = { ...state.entities.lots };
+                    for (const [lotId, blockFace] of Object.entries(faces)) {
+                        if (lots[lotId]) lots[lotId] = { ...lots[lotId], blockFace };
+                    }
+                    return { entities: { ...state.entities, lots } };
+                }),
+
                 // Lot parameter updates
                 updateLotParam: (lotId, key, value) => set((state) => {
                     const lot = state.entities.lots[lotId];
@@ -1897,9 +2202,9 @@ export const useStore = create(
                 }),
 
                 // Building parameter updates
-                updateBuildingParam: (lotId, buildingType, key, value) => set((state) => {
+                updateBuildingParam: (lotId, buildingId, key, value) => set((state) => {
                     const lot = state.entities.lots[lotId];
-                    if (!lot || !lot.buildings[buildingType]) return state;
+                    if (!lot || !lot.buildings[buildingId]) return state;
                     return {
                         entities: {
                             ...state.entities,
@@ -1909,8 +2214,8 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: {
-                                            ...lot.buildings[buildingType],
+                                        [buildingId]: {
+                                            ...lot.buildings[buildingId],
                                             [key]: value,
                                         },
                                     },
@@ -1920,18 +2225,25 @@ export const useStore = create(
                     };
                 }),
 
-                deleteEntityBuilding: (lotId, buildingType) => set((state) => {
+                // Add a building of the given type, copying the last building of that type
+                // (offset to the side, e.g. the next unit in a townhouse row)
+                addEntityBuilding: (lotId, type = 'principal') => set((state) => {
                     const lot = state.entities.lots[lotId]
                     if (!lot) return state
-                    const resetBuilding = {
-                        width: 0, depth: 0, stories: 0, x: 0, y: 0,
-                        firstFloorHeight: buildingType === 'principal' ? 12 : 10,
-                        upperFloorHeight: 10,
-                        maxHeight: buildingType === 'principal' ? 30 : 15,
-                        geometry: { mode: 'rectangle', vertices: null },
-                        selected: false,
-                        roof: { type: 'flat', overrideHeight: false, ridgeHeight: null, ridgeDirection: 'x', shedDirection: '+y' },
-                    }
+                    const order = lot.buildingOrder ?? Object.keys(lot.buildings)
+                    const source = [...order].reverse()
+                        .map(id => lot.buildings[id])
+                        .find(b => b && (b.type ?? 'principal') === type && b.width > 0 && b.stories > 0)
+                    const buildingId = generateEntityId('bldg')
+                    const newBuilding = source
+                        ? createDefaultBuilding(type, {
+                            width: source.width, depth: source.depth, stories: source.stories,
+                            firstFloorHeight: source.firstFloorHeight, upperFloorHeight: source.upperFloorHeight,
+                            maxHeight: source.maxHeight,
+                            x: (source.x ?? 0) + source.width + 10, y: source.y ?? 0,
+                            roof: { ...source.roof },
+                        })
+                        : createDefaultBuilding(type)
                     return {
                         entities: {
                             ...state.entities,
@@ -1939,29 +2251,49 @@ export const useStore = create(
                                 ...state.entities.lots,
                                 [lotId]: {
                                     ...lot,
-                                    buildings: {
-                                        ...lot.buildings,
-                                        [buildingType]: resetBuilding,
-                                    },
+                                    buildings: { ...lot.buildings, [buildingId]: newBuilding },
+                                    buildingOrder: [...order, buildingId],
                                 },
                             },
                         },
-                        selectedBuildingType: null,
                     }
                 }),
 
-                regenerateEntityBuilding: (lotId, buildingType) => set((state) => {
+                // Extra buildings are removed; the primary principal/accessory slots are
+                // zeroed instead so they can be regenerated from the Model Parameters table
+                deleteEntityBuilding: (lotId, buildingId) => set((state) => {
                     const lot = state.entities.lots[lotId]
-                    if (!lot) return state
-                    const defaults = buildingType === 'principal'
-                        ? { width: 30, depth: 40, stories: 2, firstFloorHeight: 12, upperFloorHeight: 10, x: 0, y: 0, maxHeight: 30 }
-                        : { width: 15, depth: 20, stories: 1, firstFloorHeight: 10, upperFloorHeight: 10, x: 0, y: 15, maxHeight: 15 }
-                    const newBuilding = {
-                        ...defaults,
-                        geometry: { mode: 'rectangle', vertices: null },
-                        selected: false,
-                        roof: { type: 'flat', overrideHeight: false, ridgeHeight: null, ridgeDirection: 'x', shedDirection: '+y' },
+                    const building = lot?.buildings?.[buildingId]
+                    if (!building) return state
+                    let buildings
+                    let buildingOrder = lot.buildingOrder ?? Object.keys(lot.buildings)
+                    if (buildingId === 'principal' || buildingId === 'accessory') {
+                        const type = building.type ?? buildingId
+                        buildings = {
+                            ...lot.buildings,
+                            [buildingId]: createDefaultBuilding(type, { width: 0, depth: 0, stories: 0, x: 0, y: 0 }),
+                        }
+                    } else {
+                        buildings = { ...lot.buildings }
+                        delete buildings[buildingId]
+                        buildingOrder = buildingOrder.filter(id => id !== buildingId)
+                    }
+                    return {
+                        entities: {
+                            ...state.entities,
+                            lots: {
+                                ...state.entities.lots,
+                                [lotId]: { ...lot, buildings, buildingOrder },
+                            },
+                        },
+                        selectedBuildingId: null,
                     }
+                }),
+
+                regenerateEntityBuilding: (lotId, buildingId) => set((state) => {
+                    const lot = state.entities.lots[lotId]
+                    if (!lot) return state
+                    const type = lot.buildings?.[buildingId]?.type ?? buildingId
                     return {
                         entities: {
                             ...state.entities,
@@ -1971,7 +2303,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: newBuilding,
+                                        [buildingId]: createDefaultBuilding(type),
                                     },
                                 },
                             },
@@ -1980,9 +2312,9 @@ export const useStore = create(
                 }),
 
                 // Building roof settings (entity version)
-                setEntityRoofSetting: (lotId, buildingType, key, value) => set((state) => {
+                setEntityRoofSetting: (lotId, buildingId, key, value) => set((state) => {
                     const lot = state.entities.lots[lotId];
-                    if (!lot || !lot.buildings[buildingType]) return state;
+                    if (!lot || !lot.buildings[buildingId]) return state;
                     return {
                         entities: {
                             ...state.entities,
@@ -1992,10 +2324,10 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: {
-                                            ...lot.buildings[buildingType],
+                                        [buildingId]: {
+                                            ...lot.buildings[buildingId],
                                             roof: {
-                                                ...lot.buildings[buildingType].roof,
+                                                ...lot.buildings[buildingId].roof,
                                                 [key]: value,
                                             },
                                         },
@@ -2007,10 +2339,10 @@ export const useStore = create(
                 }),
 
                 // Building total height (entity version)
-                setEntityBuildingTotalHeight: (lotId, buildingType, newTotalHeight) => set((state) => {
+                setEntityBuildingTotalHeight: (lotId, buildingId, newTotalHeight) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building) return state;
                     const stories = building.stories || 1;
                     const firstFloor = building.firstFloorHeight;
@@ -2029,7 +2361,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, ...updates },
+                                        [buildingId]: { ...building, ...updates },
                                     },
                                 },
                             },
@@ -2165,7 +2497,10 @@ export const useStore = create(
                     // Also deselect if this model was selected
                     const sel = state.selectedImportedModel
                     const deselect = sel?.lotId === lotId && sel?.modelId === modelId
+                    const newMetrics = { ...state.importedModelMetrics }
+                    delete newMetrics[modelId]
                     return {
+                        importedModelMetrics: newMetrics,
                         entities: {
                             ...state.entities,
                             lots: {
@@ -2184,7 +2519,7 @@ export const useStore = create(
                             newLots[lotId] = { ...newLots[lotId], importedModels: {}, importedModelOrder: [] }
                         }
                     }
-                    return { entities: { ...state.entities, lots: newLots }, selectedImportedModel: null }
+                    return { entities: { ...state.entities, lots: newLots }, selectedImportedModel: null, importedModelMetrics: {} }
                 }),
 
                 // Imported model selection
@@ -2239,7 +2574,7 @@ export const useStore = create(
 
                 // Entity selection
                 selectEntity: (lotId) => set({ activeEntityId: lotId }),
-                deselectEntity: () => set({ activeEntityId: null, selectedBuildingType: null }),
+                deselectEntity: () => set({ activeEntityId: null, selectedBuildingId: null }),
 
                 // Reset all data fields while preserving styles, annotations, drawings, etc.
                 resetDistrictAndModelParameters: () => set((state) => {
@@ -2263,79 +2598,44 @@ export const useStore = create(
                         lotVisibility: { [newLotId]: createDefaultLotVisibility() },
                         stashedRoadModules: {},
                         activeEntityId: null,
-                        selectedBuildingType: null,
+                        selectedBuildingId: null,
                     };
                 }),
 
-                selectEntityBuilding: (lotId, buildingType) => set((state) => {
+                selectEntityBuilding: (lotId, buildingId) => set((state) => {
                     // Deselect any previously selected building
-                    const lots = { ...state.entities.lots };
-                    for (const id of state.entityOrder) {
-                        if (lots[id]) {
-                            const lot = lots[id];
-                            const pSelected = lot.buildings.principal.selected;
-                            const aSelected = lot.buildings.accessory.selected;
-                            if (pSelected || aSelected) {
-                                lots[id] = {
-                                    ...lot,
-                                    buildings: {
-                                        ...lot.buildings,
-                                        principal: { ...lot.buildings.principal, selected: false },
-                                        accessory: { ...lot.buildings.accessory, selected: false },
-                                    },
-                                };
-                            }
-                        }
-                    }
+                    const lots = deselectLotBuildings(state.entities.lots, state.entityOrder);
                     // Select the target building
-                    if (lots[lotId]) {
+                    if (lots[lotId]?.buildings?.[buildingId]) {
                         lots[lotId] = {
                             ...lots[lotId],
                             buildings: {
                                 ...lots[lotId].buildings,
-                                [buildingType]: { ...lots[lotId].buildings[buildingType], selected: true },
+                                [buildingId]: { ...lots[lotId].buildings[buildingId], selected: true },
                             },
                         };
                     }
                     return {
                         entities: { ...state.entities, lots },
                         activeEntityId: lotId,
-                        selectedBuildingType: buildingType,
-                    };
-                }),
-                deselectAllEntityBuildings: () => set((state) => {
-                    const lots = { ...state.entities.lots };
-                    for (const id of state.entityOrder) {
-                        if (lots[id]) {
-                            const lot = lots[id];
-                            if (lot.buildings.principal.selected || lot.buildings.accessory.selected) {
-                                lots[id] = {
-                                    ...lot,
-                                    buildings: {
-                                        ...lot.buildings,
-                                        principal: { ...lot.buildings.principal, selected: false },
-                                        accessory: { ...lot.buildings.accessory, selected: false },
-                                    },
-                                };
-                            }
-                        }
-                    }
-                    return {
-                        entities: { ...state.entities, lots },
-                        selectedBuildingType: null,
-                        selectedImportedModel: null,
+                        selectedBuildingId: buildingId,
                     };
                 }),
+                deselectAllEntityBuildings: () => set((state) => ({
+                    entities: { ...state.entities, lots: deselectLotBuildings(state.entities.lots, state.entityOrder) },
+                    selectedBuildingId: null,
+                    selectedImportedModel: null,
+                })),
 
                 // Move mode actions
                 enterMoveMode: () => set({
-                    moveMode: { active: true, phase: 'selectObject', targetType: null, targetLotId: null, targetBuildingType: null, targetDirection: null, basePoint: null, originalPosition: null }
+                    moveMode: { active: true, phase: 'selectObject', targetType: null, targetLotId: null, targetBuildingId: null, targetDirection: null, basePoint: null, originalPosition: null }
                 }),
                 exitMoveMode: () => set({
-                    moveMode: { active: false, phase: null, targetType: null, targetLotId: null, targetBuildingType: null, targetDirection: null, basePoint: null, originalPosition: null }
+                    moveMode: { active: false, phase: null, targetType: null, targetLotId: null, targetBuildingId: null, targetDirection: null, basePoint: null, originalPosition: null }
                 }),
-                setMoveTarget: (targetType, lotId, buildingType, direction) => set((state) => ({
-                    moveMode: { ...state.moveMode, phase: 'selectBase', targetType, targetLotId: lotId, targetBuildingType: buildingType, targetDirection: direction }
+                setMoveTarget: (targetType, lotId, buildingId, direction) => set((state) => ({
+                    moveMode: { ...state.moveMode, phase: 'selectBase', targetType, targetLotId: lotId, targetBuildingId: buildingId, targetDirection: direction }
                 })),
                 setMoveBasePoint: (point, originalPosition) => set((state) => ({
                     moveMode: { ...state.moveMode, phase: 'moving', basePoint: point, originalPosition }
@@ -2344,11 +2644,16 @@ export const useStore = create(
                 // Scene bounds (transient, computed by DistrictSceneContent)
                 setSceneBounds: (bounds) => set({ sceneBounds: bounds }),
 
+                // Imported model measurements (transient, computed by ImportedModelMesh)
+                setImportedModelMetrics: (modelId, metrics) => set((state) => ({
+                    importedModelMetrics: { ...state.importedModelMetrics, [modelId]: metrics }
+                })),
+
                 // Entity building position
-                setEntityBuildingPosition: (lotId, buildingType, newX, newY) => set((state) => {
+                setEntityBuildingPosition: (lotId, buildingId, newX, newY) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building) return state;
                     const dx = newX - building.x;
                     const dy = newY - building.y;
@@ -2369,7 +2674,7 @@ export const useStore = create(
                                 ...state.entities.lots,
                                 [lotId]: {
                                     ...lot,
-                                    buildings: { ...lot.buildings, [buildingType]: updatedBuilding },
+                                    buildings: { ...lot.buildings, [buildingId]: updatedBuilding },
                                 },
                             },
                         },
@@ -2420,6 +2725,24 @@ export const useStore = create(
                     };
                 }),
 
+                // Polygon edge the lot fronts onto (angled streets); null = the -Y facing side
+                setEntityLotFrontEdge: (lotId, edgeIndex) => set((state) => {
+                    const lot = state.entities.lots[lotId];
+                    if (!lot || lot.lotGeometry?.mode !== 'polygon') return state;
+                    return {
+                        entities: {
+                            ...state.entities,
+                            lots: {
+                                ...state.entities.lots,
+                                [lotId]: {
+                                    ...lot,
+                                    lotGeometry: { ...lot.lotGeometry, frontEdge: edgeIndex },
+                                },
+                            },
+                        },
+                    };
+                }),
+
                 updateEntityVertex: (lotId, vertexIndex, newX, newY) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot || !lot.lotGeometry?.vertices) return state;
@@ -2455,12 +2778,15 @@ export const useStore = create(
                     const v2 = vertices[(edgeIndex + 1) % n];
                     const newVertex = { id: generateVertexId(), x: snapToGrid((v1.x + v2.x) / 2), y: snapToGrid((v1.y + v2.y) / 2) };
                     const newVertices = [...vertices.slice(0, edgeIndex + 1), newVertex, ...vertices.slice(edgeIndex + 1)];
+                    // Edges after the split move up one index
+                    const frontEdge = lot.lotGeometry.frontEdge;
+                    const newFrontEdge = frontEdge != null && frontEdge > edgeIndex ? frontEdge + 1 : frontEdge;
                     return {
                         entities: {
                             ...state.entities,
                             lots: {
                                 ...state.entities.lots,
-                                [lotId]: { ...lot, lotGeometry: { ...lot.lotGeometry, vertices: newVertices } },
+                                [lotId]: { ...lot, lotGeometry: { ...lot.lotGeometry, vertices: newVertices, frontEdge: newFrontEdge } },
                             },
                         },
                     };
@@ -2499,12 +2825,16 @@ export const useStore = create(
                     if (!lot || !lot.lotGeometry?.vertices || lot.lotGeometry.vertices.length <= 4) return state;
                     const newVertices = lot.lotGeometry.vertices.filter((_, i) => i !== vertexIndex);
                     const bounds = verticesToBoundingRect(newVertices);
+                    // The two edges at the removed vertex merge into the earlier one
+                    const frontEdge = lot.lotGeometry.frontEdge;
+                    const newFrontEdge = frontEdge == null || frontEdge < vertexIndex ? frontEdge
+                        : (frontEdge - 1 + newVertices.length) % newVertices.length;
                     return {
                         entities: {
                             ...state.entities,
                             lots: {
                                 ...state.entities.lots,
-                                [lotId]: { ...lot, lotWidth: bounds.width, lotDepth: bounds.depth, lotGeometry: { ...lot.lotGeometry, vertices: newVertices } },
+                                [lotId]: { ...lot, lotWidth: bounds.width, lotDepth: bounds.depth, lotGeometry: { ...lot.lotGeometry, vertices: newVertices, frontEdge: newFrontEdge } },
                             },
                         },
                     };
@@ -2541,10 +2871,10 @@ export const useStore = create(
                 }),
 
                 // Entity building polygon editing
-                enableEntityBuildingPolygonMode: (lotId, buildingType) => set((state) => {
+                enableEntityBuildingPolygonMode: (lotId, buildingId) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building) return state;
                     const bx = building.x;
                     const by = building.y;
@@ -2565,7 +2895,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, geometry: { mode: 'polygon', vertices } },
+                                        [buildingId]: { ...building, geometry: { mode: 'polygon', vertices } },
                                     },
                                 },
                             },
@@ -2573,10 +2903,10 @@ export const useStore = create(
                     };
                 }),
 
-                updateEntityBuildingVertex: (lotId, buildingType, vertexIndex, newX, newY) => set((state) => {
+                updateEntityBuildingVertex: (lotId, buildingId, vertexIndex, newX, newY) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building || !building.geometry?.vertices) return state;
                     const snappedX = snapToGrid(newX);
                     const snappedY = snapToGrid(newY);
@@ -2593,7 +2923,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: {
+                                        [buildingId]: {
                                             ...building,
                                             width: bounds.width, depth: bounds.depth,
                                             x: bounds.centerX, y: bounds.centerY,
@@ -2606,10 +2936,10 @@ export const useStore = create(
                     };
                 }),
 
-                splitEntityBuildingEdge: (lotId, buildingType, edgeIndex) => set((state) => {
+                splitEntityBuildingEdge: (lotId, buildingId, edgeIndex) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building || !building.geometry?.vertices) return state;
                     const vertices = building.geometry.vertices;
                     const n = vertices.length;
@@ -2626,7 +2956,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, geometry: { ...building.geometry, vertices: newVertices } },
+                                        [buildingId]: { ...building, geometry: { ...building.geometry, vertices: newVertices } },
                                     },
                                 },
                             },
@@ -2634,10 +2964,10 @@ export const useStore = create(
                     };
                 }),
 
-                extrudeEntityBuildingEdge: (lotId, buildingType, edgeIndex, distance) => set((state) => {
+                extrudeEntityBuildingEdge: (lotId, buildingId, edgeIndex, distance) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building || !building.geometry?.vertices) return state;
                     const vertices = building.geometry.vertices;
                     const n = vertices.length;
@@ -2662,7 +2992,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, width: bounds.width, depth: bounds.depth, x: bounds.centerX, y: bounds.centerY, geometry: { ...building.geometry, vertices: newVertices } },
+                                        [buildingId]: { ...building, width: bounds.width, depth: bounds.depth, x: bounds.centerX, y: bounds.centerY, geometry: { ...building.geometry, vertices: newVertices } },
                                     },
                                 },
                             },
@@ -2670,10 +3000,10 @@ export const useStore = create(
                     };
                 }),
 
-                deleteEntityBuildingVertex: (lotId, buildingType, vertexIndex) => set((state) => {
+                deleteEntityBuildingVertex: (lotId, buildingId, vertexIndex) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building || !building.geometry?.vertices || building.geometry.vertices.length <= 4) return state;
                     const newVertices = building.geometry.vertices.filter((_, i) => i !== vertexIndex);
                     const bounds = verticesToBoundingRect(newVertices);
@@ -2686,7 +3016,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, width: bounds.width, depth: bounds.depth, x: bounds.centerX, y: bounds.centerY, geometry: { ...building.geometry, vertices: newVertices } },
+                                        [buildingId]: { ...building, width: bounds.width, depth: bounds.depth, x: bounds.centerX, y: bounds.centerY, geometry: { ...building.geometry, vertices: newVertices } },
                                     },
                                 },
                             },
@@ -2694,10 +3024,10 @@ export const useStore = create(
                     };
                 }),
 
-                resetEntityBuildingToRectangle: (lotId, buildingType) => set((state) => {
+                resetEntityBuildingToRectangle: (lotId, buildingId) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building || building.geometry?.mode !== 'polygon') return state;
                     const bounds = building.geometry.vertices ? verticesToBoundingRect(building.geometry.vertices) : { width: building.width, depth: building.depth, centerX: building.x, centerY: building.y };
                     return {
@@ -2709,7 +3039,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, width: bounds.width, depth: bounds.depth, x: bounds.centerX, y: bounds.centerY, geometry: { mode: 'rectangle', vertices: null } },
+                                        [buildingId]: { ...building, width: bounds.width, depth: bounds.depth, x: bounds.centerX, y: bounds.centerY, geometry: { mode: 'rectangle', vertices: null } },
                                     },
                                 },
                             },
@@ -2717,12 +3047,13 @@ export const useStore = create(
                     };
                 }),
 
-                resetEntityBuildingGeometryAndPosition: (lotId, buildingType) => set((state) => {
+                resetEntityBuildingGeometryAndPosition: (lotId, buildingId) => set((state) => {
                     const lot = state.entities.lots[lotId];
                     if (!lot) return state;
-                    const building = lot.buildings[buildingType];
+                    const building = lot.buildings[buildingId];
                     if (!building) return state;
-                    const defaultPos = buildingType === 'principal' ? { x: 0, y: 0 } : { x: 0, y: 15 };
+                    const defaults = createDefaultBuilding(building.type ?? buildingId);
+                    const defaultPos = { x: defaults.x, y: defaults.y };
                     return {
                         entities: {
                             ...state.entities,
@@ -2732,7 +3063,7 @@ export const useStore = create(
                                     ...lot,
                                     buildings: {
                                         ...lot.buildings,
-                                        [buildingType]: { ...building, ...defaultPos, geometry: { mode: 'rectangle', vertices: null }, selected: false },
+                                        [buildingId]: { ...building, ...defaultPos, geometry: { mode: 'rectangle', vertices: null }, selected: false },
                                     },
                                 },
                             },
@@ -2743,7 +3074,7 @@ export const useStore = create(
                 // Road module CRUD (entity system)
                 addEntityRoadModule: (direction, type) => set((state) => {
                     const roadId = generateEntityId('road');
-                    const road = createDefaultRoadModule(direction, type);
+                    const road = createDefaultRoadModule(direction, type, {}, state.streetTypeLibrary);
                     return {
                         entities: {
                             ...state.entities,
@@ -2776,7 +3107,6 @@ export const useStore = create(
                 changeEntityRoadModuleType: (roadId, newType) => set((state) => {
                     const road = state.entities.roadModules[roadId];
                     if (!road) return state;
-                    const defaults = createDefaultRoadModule(road.direction, newType);
                     return {
                         entities: {
                             ...state.entities,
@@ -2785,10 +3115,7 @@ export const useStore = create(
                                 [roadId]: {
                                     ...road,
                                     type: newType,
-                                    rightOfWay: defaults.rightOfWay,
-                                    roadWidth: defaults.roadWidth,
-                                    rightVerge: defaults.rightVerge,
-                                    rightSidewalk: defaults.rightSidewalk,
+                                    ...getStreetTypeRoadFields(getStreetType(newType, state.streetTypeLibrary)),
                                 },
                             },
                         },
@@ -3418,15 +3745,10 @@ export const useStore = create(
                     enabled: true,
                     rightOfWay: 50, // Total depth of road module
                     roadWidth: 24, // Width of the road surface
-                    // Optional elements - null means not included
-                    leftParking: null,      // e.g., 8 for 8' parking lane
-                    rightParking: null,
-                    leftVerge: null,        // e.g., 6 for 6' verge/planting strip
-                    rightVerge: null,
-                    leftSidewalk: null,     // e.g., 5 for 5' sidewalk
-                    rightSidewalk: null,
-                    leftTransitionZone: null, // e.g., 4 for 4' transition zone
-                    rightTransitionZone: null,
+                    // Ordered cross-section zones per side, from the road edge outward
+                    // e.g. [{ id, type: 'parking', width: 8, style: null }, { type: 'sidewalk', ... }]
+                    leftZones: [],
+                    rightZones: [],
                 },
                 // Road Module Styles
                 roadModuleStyles: {
@@ -3512,6 +3834,8 @@ export const useStore = create(
                         fillColor: '#98D8AA',
                         fillOpacity: 1.0,
                     },
+                    // Zone types without side-specific styles (travel/transit/bike lanes, medians, tree wells)
+                    ...createRoadZoneTypeStyles(),
                     // Intersection fill style (where perpendicular roads overlap)
                     intersectionFill: {
                         fillColor: '#666666',
@@ -3537,24 +3861,15 @@ export const useStore = create(
                 comparisonRoads: {
                     left: {
                         enabled: false, type: 'S2', rightOfWay: 40, roadWidth: 24,
-                        leftParking: null, rightParking: null,
-                        leftVerge: null, rightVerge: null,
-                        leftSidewalk: null, rightSidewalk: null,
-                        leftTransitionZone: null, rightTransitionZone: null,
+                        leftZones: [], rightZones: [],
                     },
                     right: {
                         enabled: false, type: 'S2', rightOfWay: 40, roadWidth: 24,
-                        leftParking: null, rightParking: null,
-                        leftVerge: null, rightVerge: null,
-                        leftSidewalk: null, rightSidewalk: null,
-                        leftTransitionZone: null, rightTransitionZone: null,
+                        leftZones: [], rightZones: [],
                     },
                     rear: {
                         enabled: false, type: 'S3', rightOfWay: 20, roadWidth: 16,
-                        leftParking: null, rightParking: null,
-                        leftVerge: null, rightVerge: null,
-                        leftSidewalk: null, rightSidewalk: null,
-                        leftTransitionZone: null, rightTransitionZone: null,
+                        leftZones: [], rightZones: [],
                     },
                 },
                 setLayoutSetting: (key, value) => set((state) => ({
@@ -3578,7 +3893,7 @@ export const useStore = create(
                     // Update rightOfWay width
                     if (updated.rightOfWay) updated.rightOfWay = { ...updated.rightOfWay, width }
                     // Update all zone lineWidths
-                    const zoneKeys = ['roadWidth', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone']
+                    const zoneKeys = ['roadWidth', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone', ...ROAD_ZONE_SHARED_STYLE_TYPES]
                     for (const key of zoneKeys) {
                         if (updated[key]) updated[key] = { ...updated[key], lineWidth: width }
                     }
@@ -3593,7 +3908,7 @@ export const useStore = create(
                 setAllRoadZoneColor: (color) => set((state) => {
                     const updated = { ...state.roadModuleStyles }
                     if (updated.rightOfWay) updated.rightOfWay = { ...updated.rightOfWay, color }
-                    const zoneKeys = ['roadWidth', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone']
+                    const zoneKeys = ['roadWidth', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone', ...ROAD_ZONE_SHARED_STYLE_TYPES]
                     for (const key of zoneKeys) {
                         if (updated[key]) updated[key] = { ...updated[key], fillColor: color, lineColor: color }
                     }
@@ -3611,7 +3926,7 @@ export const useStore = create(
                 setAllRoadZoneOpacity: (opacity) => set((state) => {
                     const updated = { ...state.roadModuleStyles }
                     if (updated.rightOfWay) updated.rightOfWay = { ...updated.rightOfWay, opacity }
-                    const zoneKeys = ['roadWidth', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone']
+                    const zoneKeys = ['roadWidth', 'leftParking', 'leftVerge', 'leftSidewalk', 'leftTransitionZone', 'rightParking', 'rightVerge', 'rightSidewalk', 'rightTransitionZone', ...ROAD_ZONE_SHARED_STYLE_TYPES]
                     for (const key of zoneKeys) {
                         if (updated[key]) updated[key] = { ...updated[key], fillOpacity: opacity }
                     }
@@ -3943,6 +4258,8 @@ export const useStore = create(
                         lotVisibility: state.lotVisibility,
                         activeModule: state.activeModule,
                         modelSetup: state.modelSetup,
+                        siteLocation: state.siteLocation,
+                        streetTypeLibrary: state.streetTypeLibrary,
                         districtParameters: state.districtParameters,
                         // Drawing editor
                         drawingLayers: state.drawingLayers,
@@ -3976,6 +4293,9 @@ export const useStore = create(
                     lotVisibility: projectState.lotVisibility !== undefined ? projectState.lotVisibility : state.lotVisibility,
                     activeModule: projectState.activeModule !== undefined ? projectState.activeModule : state.activeModule,
                     modelSetup: projectState.modelSetup !== undefined ? projectState.modelSetup : state.modelSetup,
+                    siteLocation: projectState.siteLocation !== undefined ? { ...DEFAULT_SITE_LOCATION, ...projectState.siteLocation } : state.siteLocation,
+                    // Project street types join the local library so its roads resolve on any machine
+                    streetTypeLibrary: { ...state.streetTypeLibrary, ...(projectState.streetTypeLibrary ?? {}) },
                     districtParameters: projectState.districtParameters !== undefined ? projectState.districtParameters : state.districtParameters,
                     // Reset scenario state to prevent stale cross-project phantom saves
                     activeScenario: projectState.activeScenario ?? null,
@@ -3993,7 +4313,7 @@ export const useStore = create(
             }),
             {
                 name: 'zoning-app-storage',
-                version: 34, // v34: model lock, dashScale fixes, z-ordering
+                version: 35, // v35: road cross-section zone lists
                 migrate: (persistedState, version) => {
                     // Split dimensionsLot into dimensionsLotWidth and dimensionsLotDepth
                     if (persistedState.viewSettings && persistedState.viewSettings.layers && persistedState.viewSettings.layers.dimensionsLot !== undefined) {
@@ -4285,8 +4605,8 @@ export const useStore = create(
                         if (persistedState.activeEntityId === undefined) {
                             persistedState.activeEntityId = null;
                         }
-                        if (persistedState.selectedBuildingType === undefined) {
-                            persistedState.selectedBuildingType = null;
+                        if (persistedState.selectedBuildingId === undefined) {
+                            persistedState.selectedBuildingId = null;
                         }
                         if (!persistedState.entityStyles) {
                             persistedState.entityStyles = {};
@@ -4853,9 +5173,25 @@ export const useStore = create(
                         }
                     }
 
+                    if (version < 35) {
+                        // v35: road cross-sections as ordered zone lists per side; styles for the new zone types
+                        if (persistedState.roadModule) persistedState.roadModule = migrateRoadModule(persistedState.roadModule)
+                        const sideRoads35 = persistedState.comparisonRoads
+                        if (sideRoads35) {
+                            for (const dir of Object.keys(sideRoads35)) sideRoads35[dir] = migrateRoadModule(sideRoads35[dir])
+                        }
+                        const roads35 = persistedState.entities?.roadModules
+                        if (roads35) {
+                            for (const roadId of Object.keys(roads35)) roads35[roadId] = migrateRoadModule(roads35[roadId])
+                        }
+                        if (persistedState.roadModuleStyles) {
+                            persistedState.roadModuleStyles = { ...createRoadZoneTypeStyles(), ...persistedState.roadModuleStyles }
+                        }
+                    }
+
                     return {
                         ...persistedState,
-                        version: 34
+                        version: 35
                     };
                 },
                 partialize: (state) => ({
@@ -4882,6 +5218,8 @@ export const useStore = create(
                     entityStyles: state.entityStyles,
                     lotVisibility: state.lotVisibility,
                     modelSetup: state.modelSetup,
+                    siteLocation: state.siteLocation,
+                    streetTypeLibrary: state.streetTypeLibrary,
                     districtParameters: state.districtParameters,
                     annotationSettings: state.annotationSettings,
                     annotationCustomLabels: state.annotationCustomLabels,
@@ -4993,10 +5331,25 @@ export const useStore = create(
                             }
                         }
                     }
+                    merged.siteLocation = { ...DEFAULT_SITE_LOCATION, ...merged.siteLocation };
+                    if (merged.sunSettings) {
+                        if (merged.sunSettings.mode === undefined) merged.sunSettings.mode = 'manual';
+                        if (merged.sunSettings.date === undefined) merged.sunSettings.date = currentState.sunSettings.date;
+                        if (merged.sunSettings.time === undefined) merged.sunSettings.time = currentState.sunSettings.time;
+                    }
                     // Patch missing district parameter keys (v31)
                     if (merged.districtParameters) {
                         if (merged.districtParameters.widthToDepthRatio === undefined) merged.districtParameters.widthToDepthRatio = { min: null, max: null };
                         if (merged.districtParameters.maxImperviousSurface === undefined) merged.districtParameters.maxImperviousSurface = { min: null, max: null };
+                        if (merged.districtParameters.far === undefined) merged.districtParameters.far = { min: null, max: null };
+                        if (merged.districtParameters.density === undefined) merged.districtParameters.density = { min: null, max: null };
+                        if (merged.districtParameters.lotAreaPerUnit === undefined) merged.districtParameters.lotAreaPerUnit = { min: null, max: null };
+                        if (merged.districtParameters.parkingRatios === undefined) merged.districtParameters.parkingRatios = createDefaultDistrictParameters().parkingRatios;
+                        if (merged.districtParameters.sightTriangles === undefined) merged.districtParameters.sightTriangles = createDefaultDistrictParameters().sightTriangles;
+                        if (merged.districtParameters.drivewayWidth === undefined) merged.districtParameters.drivewayWidth = { min: null, max: null };
+                        if (merged.districtParameters.drivewayCornerSpacing === undefined) merged.districtParameters.drivewayCornerSpacing = { min: null, max: null };
+                        if (merged.districtParameters.daylightPlanes === undefined) merged.districtParameters.daylightPlanes = createDefaultDistrictParameters().daylightPlanes;
+                        if (merged.districtParameters.stepbacks === undefined) merged.districtParameters.stepbacks = createDefaultDistrictParameters().stepbacks;
                         if (merged.districtParameters.setbacksAccessory) {
                             if (merged.districtParameters.setbacksAccessory.btzFront === undefined) merged.districtParameters.setbacksAccessory.btzFront = null;
                             if (merged.districtParameters.setbacksAccessory.btzSideStreet === undefined) merged.districtParameters.setbacksAccessory.btzSideStreet = null;
@@ -5051,6 +5404,19 @@ export const useStore = create(
                             if (!lot.parkingSetbacks) {
                                 lot.parkingSetbacks = { front: null, sideInterior: null, sideStreet: null, rear: null };
                             }
+                            // Patch missing paved areas (impervious surface accounting)
+                            if (!lot.pavedAreas) lot.pavedAreas = { drives: null, parking: null };
+                            if (!lot.parkingLayout) lot.parkingLayout = createDefaultLot().parkingLayout;
+                            if (!lot.driveways) lot.driveways = createDefaultLot().driveways;
+                            if (!lot.blockFace) lot.blockFace = 'front';
+                            // Patch building collection (multi-building lots): type tags + display order
+                            if (lot.buildings) {
+                                for (const bId of Object.keys(lot.buildings)) {
+                                    if (lot.buildings[bId] && lot.buildings[bId].type === undefined) lot.buildings[bId].type = bId;
+                                    if (lot.buildings[bId] && lot.buildings[bId].dwellingUnits === undefined) lot.buildings[bId].dwellingUnits = createDefaultBuilding().dwellingUnits;
+                                }
+                                if (!lot.buildingOrder) lot.buildingOrder = Object.keys(lot.buildings);
+                            }
                             // Reconcile: apply district param parking values to lots that still have null
                             // Only applies when lot value is null AND district value exists
                             // Does NOT overwrite user-set values (non-null lot values are preserved)
@@ -5217,7 +5583,7 @@ export const useStore = create(
                     }
                     // Patch missing viewSettings.layers keys
                     if (merged.viewSettings?.layers) {
-                        const layerDefaults = { maxSetbacks: true, btzPlanes: true, accessorySetbacks: true, lotAccessArrows: true, lotAccessFront: true, lotAccessRear: true, lotAccessSideStreet: true, lotAccessSharedDrive: true, maxHeightPlanePrincipal: true, maxHeightPlaneAccessory: true, parkingSetbacks: true, dimensionsParkingSetbacks: true, dimensionsMaxFrontSetback: true, dimensionsMaxSideStreetSetback: true, setbackFill: true, drawingEditor: true, dimensionsFirstFloorHeight: true, placementZone: true };
+                        const layerDefaults = { maxSetbacks: true, btzPlanes: true, accessorySetbacks: true, lotAccessArrows: true, lotAccessFront: true, lotAccessRear: true, lotAccessSideStreet: true, lotAccessSharedDrive: true, maxHeightPlanePrincipal: true, maxHeightPlaneAccessory: true, parkingSetbacks: true, dimensionsParkingSetbacks: true, parkingLayout: true, driveways: true, sightTriangles: true, shadowStudy: true, northArrow: true, dimensionsMaxFrontSetback: true, dimensionsMaxSideStreetSetback: true, setbackFill: true, drawingEditor: true, dimensionsFirstFloorHeight: true, placementZone: true, complianceHighlights: true, buildingEnvelope: false, streetFurniture: true };
                         for (const [key, val] of Object.entries(layerDefaults)) {
                             if (merged.viewSettings.layers[key] === undefined) {
                                 merged.viewSettings.layers[key] = val;
@@ -5256,10 +5622,10 @@ export const useStore = create(
         {
             limit: 50,
             partialize: (state) => {
-                const { existing, proposed, viewSettings, layoutSettings, sunSettings, renderSettings, roadModule, roadModuleStyles, comparisonRoads, entities, entityOrder, entityStyles, lotVisibility, modelSetup, annotationSettings, annotationCustomLabels, annotationPositions, drawingLayers, drawingLayerOrder, drawingObjects } = state
+                const { existing, proposed, viewSettings, layoutSettings, sunSettings, renderSettings, roadModule, roadModuleStyles, comparisonRoads, entities, entityOrder, entityStyles, lotVisibility, modelSetup, siteLocation, streetTypeLibrary, annotationSettings, annotationCustomLabels, annotationPositions, drawingLayers, drawingLayerOrder, drawingObjects } = state
                 // Exclude export triggers from undo history
                 const { exportRequested: _exportRequested, exportQueue: _exportQueue, isBatchExporting: _isBatchExporting, ...trackedViewSettings } = viewSettings
-                return { existing, proposed, viewSettings: trackedViewSettings, layoutSettings, sunSettings, renderSettings, roadModule, roadModuleStyles, comparisonRoads, entities, entityOrder, entityStyles, lotVisibility, modelSetup, annotationSettings, annotationCustomLabels, annotationPositions, drawingLayers, drawingLayerOrder, drawingObjects }
+                return { existing, proposed, viewSettings: trackedViewSettings, layoutSettings, sunSettings, renderSettings, roadModule, roadModuleStyles, comparisonRoads, entities, entityOrder, entityStyles, lotVisibility, modelSetup, siteLocation, streetTypeLibrary, annotationSettings, annotationCustomLabels, annotationPositions, drawingLayers, drawingLayerOrder, drawingObjects }
             }
         }
     )
@@ -0,0 +1,208 @@
+import { getRoadZoneLayout, ROAD_ZONE_TYPES } from './roadZones'
+import { BUILT_IN_STREET_TYPES } from './streetTypes'
+
+/**
+ * Annotation Labels
+ *
+ * Text, default position and layer toggle of the labels LotAnnotations and
+ * RoadAnnotations draw, shared with the DXF export. Positions are in the
+ * frame the components draw in:
+ * - Lot labels: lot front-left corner at (0, 0), rear lot line at y = lotDepth
+ * - Road labels: canonical front orientation (road along +X from x = 0, zones
+ *   stacking toward -Y from the lot line at y = 0)
+ *
+ * Dragged positions are stored in annotationPositions under each label's id.
+ */
+
+// Building label toggles fall back to the older combined toggle, then on
+const LABEL_LAYER_FALLBACKS = {
+    labelPrincipalBuildings: 'labelBuildings',
+    labelAccessoryBuildings: 'labelBuildings',
+}
+
+/**
+ * Whether a label category is shown (master annotationLabels toggle plus the
+ * category's own layer).
+ * @param {object} layers - viewSettings.layers
+ * @param {string} layerKey - Label's layerKey
+ * @returns {boolean}
+ */
+export const isLabelLayerOn = (layers, layerKey) => {
+    if (!layers?.annotationLabels) return false
+    const fallback = LABEL_LAYER_FALLBACKS[layerKey]
+    return fallback ? (layers[layerKey] ?? layers[fallback] ?? true) : !!layers[layerKey]
+}
+
+/**
+ * Every annotation label of a lot.
+ * @param {object} params
+ * @param {string} params.lotId
+ * @param {number} params.lotWidth
+ * @param {number} params.lotDepth
+ * @param {{ front?: number, rear?: number, left?: number, right?: number }} [params.setbacks] - Resolved min setbacks
+ * @param {{ front?: number, sideStreet?: number, streetSides?: object }} [params.maxSetbacks]
+ * @param {Array<{ id: string, type: string, label: string, x: number, y: number, width: number, depth: number, totalHeight: number }>} [params.buildings]
+ *   Building boxes with x / y at their front-left corner
+ * @param {number} [params.lotIndex]
+ * @param {object} [params.customLabels] - annotationCustomLabels
+ * @returns {Array<{ id: string, layerKey: string, text: string, fontScale: number,
+ *   defaultPosition: number[], anchorPoint: number[], fixedRotation?: number[] }>}
+ */
+export const getLotAnnotationLabels = ({
+    lotId,
+    lotWidth,
+    lotDepth,
+    setbacks = {},
+    maxSetbacks = {},
+    buildings = [],
+    lotIndex = 1,
+    customLabels = {},
+}) => {
+    const labels = []
+    const add = (layerKey, label) => labels.push({ layerKey, fontScale: 1, anchorPoint: label.defaultPosition, ...label })
+
+    // ---------- Lot Name ----------
+    const nameLabel = customLabels?.[`lot-${lotId}-name`]
+    add('labelLotNames', {
+        id: `lot-${lotId}-name`,
+        text: (nameLabel?.mode === 'custom' && nameLabel.text) ? nameLabel.text : `Lot ${lotIndex}`,
+        fontScale: 1.3,
+        defaultPosition: [lotWidth / 2, lotDepth / 2, 0.2],
+        anchorPoint: [lotWidth / 2, lotDepth / 2, 0],
+    })
+
+    // ---------- Lot Edge Labels ----------
+    add('labelLotEdges', {
+        id: `lot-${lotId}-edge-front`,
+        text: 'Front',
+        defaultPosition: [lotWidth / 2, -3, 0.15],
+        anchorPoint: [lotWidth / 2, 0, 0],
+    })
+    add('labelLotEdges', {
+        id: `lot-${lotId}-edge-rear`,
+        text: 'Rear',
+        defaultPosition: [lotWidth / 2, lotDepth + 3, 0.15],
+        anchorPoint: [lotWidth / 2, lotDepth, 0],
+    })
+    add('labelLotEdges', {
+        id: `lot-${lotId}-edge-interior`,
+        text: 'Side (Interior)',
+        defaultPosition: [-3, lotDepth / 2, 0.15],
+        anchorPoint: [0, lotDepth / 2, 0],
+    })
+    add('labelLotEdges', {
+        id: `lot-${lotId}-edge-street`,
+        text: 'Side (Street)',
+        defaultPosition: [lotWidth + 3, lotDepth / 2, 0.15],
+        anchorPoint: [lotWidth, lotDepth / 2, 0],
+    })
+
+    // ---------- Setback Labels ----------
+    const { front: sbFront = 0, rear: sbRear = 0, left: sbLeft = 0, right: sbRight = 0 } = setbacks
+    if (sbFront > 0) {
+        add('labelSetbacks', { id: `lot-${lotId}-setback-front`, text: 'Front Setback', defaultPosition: [lotWidth / 2, sbFront / 2, 0.15] })
+    }
+    if (sbRear > 0) {
+        add('labelSetbacks', { id: `lot-${lotId}-setback-rear`, text: 'Rear Setback', defaultPosition: [lotWidth / 2, lotDepth - sbRear / 2, 0.15] })
+    }
+    if (sbLeft > 0) {
+        add('labelSetbacks', { id: `lot-${lotId}-setback-left`, text: 'Left Setback', defaultPosition: [sbLeft / 2, lotDepth / 2, 0.15] })
+    }
+    if (sbRight > 0) {
+        add('labelSetbacks', {
+            id: `lot-${lotId}-setback-right`,
+            text: 'Right Setback',
+            defaultPosition: [lotWidth - sbRight / 2, lotDepth / 2, 0.15],
+            fixedRotation: [0, 0, Math.PI / 2],
+        })
+    }
+
+    // ---------- Max Setback Labels ----------
+    const { front: maxFront = 0, sideStreet: maxSideStreet = 0, streetSides = {} } = maxSetbacks
+    if (maxFront > 0) {
+        add('labelMaxSetbacks', { id: `lot-${lotId}-maxsetback-front`, text: 'Max. Front Setback', defaultPosition: [lotWidth / 2, maxFront / 2, 0.17] })
+    }
+    if (maxSideStreet > 0 && streetSides.left) {
+        add('labelMaxSetbacks', { id: `lot-${lotId}-maxsetback-left`, text: 'Max. Side Setback', defaultPosition: [maxSideStreet / 2, lotDepth / 2, 0.17] })
+    }
+    if (maxSideStreet > 0 && streetSides.right) {
+        add('labelMaxSetbacks', { id: `lot-${lotId}-maxsetback-right`, text: 'Max. Side Setback', defaultPosition: [lotWidth - maxSideStreet / 2, lotDepth / 2, 0.17] })
+    }
+
+    // ---------- Building Labels ----------
+    for (const b of buildings) {
+        if (!(b.width > 0 && b.depth > 0)) continue
+        const bx = (b.x ?? 0) + b.width / 2
+        const by = (b.y ?? 0) + b.depth / 2
+        const bz = (b.totalHeight ?? 0) + 2
+        add(b.type === 'principal' ? 'labelPrincipalBuildings' : 'labelAccessoryBuildings', {
+            id: `lot-${lotId}-bldg-${b.id}`,
+            text: `${b.label} Building`,
+            anchorPoint: [bx, by, bz],
+            defaultPosition: [bx + b.width * 0.5 + 5, by, bz + 3],
+        })
+    }
+
+    return labels
+}
+
+/**
+ * Display name of a road: the custom label for its direction, or
+ * "<type> - <street type name>".
+ * @param {object} road
+ * @param {string} direction
+ * @param {object} [customLabels] - annotationCustomLabels (roadFront, roadRear, ...)
+ * @param {object} [library] - streetTypeLibrary
+ * @returns {string}
+ */
+export const getRoadDisplayName = (road, direction, customLabels = {}, library = null) => {
+    const type = road?.type ?? 'S1'
+    const custom = customLabels?.[`road${direction.charAt(0).toUpperCase()}${direction.slice(1)}`]
+    if (custom?.mode === 'custom' && custom.text) return custom.text
+    const typeName = (library?.[type] ?? BUILT_IN_STREET_TYPES[type])?.name || type
+    return `${type} - ${typeName}`
+}
+
+/**
+ * Every annotation label of a road module: its name, the road surface,
+ * R.O.W. and one per cross-section zone.
+ * @param {object} params
+ * @param {string} params.roadId
+ * @param {object} params.road
+ * @param {number} params.spanWidth - Length of road the labels are centered on
+ * @param {string} [params.direction]
+ * @param {object} [params.customLabels] - annotationCustomLabels
+ * @param {object} [params.library] - streetTypeLibrary
+ * @returns {Array<{ id: string, layerKey: string, text: string, fontScale: number,
+ *   defaultPosition: number[], anchorPoint: number[] }>}
+ */
+export const getRoadAnnotationLabels = ({ roadId, road, spanWidth, direction = 'front', customLabels = {}, library = null }) => {
+    const rightOfWay = road?.rightOfWay ?? 50
+    const midX = spanWidth / 2
+    const layout = getRoadZoneLayout(road)
+    const { centerlineY } = layout
+    const labels = [{
+        id: `road-${roadId}-name`,
+        layerKey: 'labelRoadNames',
+        text: getRoadDisplayName(road, direction, customLabels, library),
+        fontScale: 1.2,
+        defaultPosition: [midX, centerlineY, 0.2],
+        anchorPoint: [midX, centerlineY, 0],
+    }]
+    const addZone = (id, text, y) => {
+        const position = [midX, y, 0.15]
+        labels.push({ id: `road-${roadId}-zone-${id}`, layerKey: 'labelRoadZones', text, fontScale: 0.8, defaultPosition: position, anchorPoint: position })
+    }
+
+    // Road Surface at the centerline, R.O.W. near the outer boundary
+    if (layout.roadTopY > layout.roadBottomY) addZone('surface', 'Road Surface', centerlineY)
+    addZone('row', 'R.O.W.', -rightOfWay + 1)
+
+    // Right-side zones from the road toward the lot, then left-side zones toward the outer ROW
+    for (const side of ['right', 'left']) {
+        for (const { zone, topY, bottomY } of layout[side]) {
+            addZone(`${side}-${zone.id}`, ROAD_ZONE_TYPES[zone.type]?.label ?? zone.type, (topY + bottomY) / 2)
+        }
+    }
+    return labels
+}
@@ -0,0 +1,236 @@
+import { getActiveRoadDirections } from './lotGeometry'
+
+/**
+ * Block Layout
+ *
+ * Places district lots around a block. Each lot names the block face it sits
+ * on (lot.blockFace); lots on the same face keep their entityOrder order:
+ *
+ * - front:  along the front street. Lot 1 spans x = [0, width] and later lots
+ *           extend in -X with fronts on y = 0 (the original single row).
+ * - across: facing the front lots from the other side of the front street,
+ *           lined up with them from the right end of the block.
+ * - rear:   along the rear street, backing onto the front lots.
+ * - left / right: along the side streets, between the front and rear lots.
+ *
+ * Going round the block (front right to left, left face front to rear, rear
+ * left to right, right face rear to front) each lot's own right side points
+ * back along the way it came, so the first and last lots of the front and
+ * rear faces are the corner lots.
+ *
+ * Street sides are worked out geometrically: a lot line faces a street when
+ * it lies on the block edge of an enabled road. Across lots face the front
+ * street, and their side lot lines face the left / right streets, which run
+ * on past the front street alongside them.
+ *
+ * Placements give the world position of each lot's local origin (its center,
+ * see lotGeometry.js) and the rotation of its local frame about +Z.
+ */
+
+export const BLOCK_FACES = {
+    front: { label: 'Front Street', rotation: 0 },
+    across: { label: 'Across Front Street', rotation: Math.PI },
+    rear: { label: 'Rear Street', rotation: Math.PI },
+    left: { label: 'Left Street', rotation: -Math.PI / 2 },
+    right: { label: 'Right Street', rotation: Math.PI / 2 },
+}
+
+// Preset arrangements for arrangeBlockFaces
+export const BLOCK_ARRANGEMENTS = {
+    row: 'Single Row',
+    faceToFace: 'Both Sides of Street',
+    perimeter: 'Full Block',
+}
+
+// Lot lines this close to a block edge (ft) are on it
+const EDGE_TOLERANCE = 0.5
+
+const LOT_SIDES = {
+    front: { normal: { x: 0, y: -1 }, mid: (w, d) => ({ x: 0, y: -d / 2 }) },
+    rear: { normal: { x: 0, y: 1 }, mid: (w, d) => ({ x: 0, y: d / 2 }) },
+    left: { normal: { x: -1, y: 0 }, mid: (w) => ({ x: -w / 2, y: 0 }) },
+    right: { normal: { x: 1, y: 0 }, mid: (w) => ({ x: w / 2, y: 0 }) },
+}
+
+/**
+ * The block face a lot sits on ('front' when unset or unknown).
+ * @param {object} lot
+ * @returns {string}
+ */
+export const getLotBlockFace = (lot) => (BLOCK_FACES[lot?.blockFace] ? lot.blockFace : 'front')
+
+/**
+ * Rotate a lot-local point into world coordinates.
+ * @param {{ x: number, y: number }} point - Lot-local point
+ * @param {{ x: number, y: number, rotation: number }} placement
+ * @returns {{ x: number, y: number }}
+ */
+export const lotToWorld = (point, { x, y, rotation = 0 }) => {
+    const cos = Math.cos(rotation), sin = Math.sin(rotation)
+    return { x: x + point.x * cos - point.y * sin, y: y + point.x * sin + point.y * cos }
+}
+
+/**
+ * Inverse of lotToWorld, for pointer handlers working on the ground plane.
+ * @param {number} worldX
+ * @param {number} worldY
+ * @param {number} originX - World X of the lot's local origin
+ * @param {number} originY - World Y of the lot's local origin
+ * @param {number} [rotation] - Lot rotation about +Z (radians)
+ * @returns {{ x: number, y: number }}
+ */
+export const worldToLot = (worldX, worldY, originX, originY, rotation = 0) => {
+    const dx = worldX - originX, dy = worldY - originY
+    if (!rotation) return { x: dx, y: dy }
+    const cos = Math.cos(rotation), sin = Math.sin(rotation)
+    return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos }
+}
+
+/**
+ * Block faces for a preset arrangement, keyed by lotId. Lots are dealt out
+ * round the block in entityOrder: all front (row); the first half front and
+ * the rest across (faceToFace); or front, left, rear, right in turn with any
+ * remainder going to the front and rear faces first (perimeter).
+ * @param {string[]} entityOrder
+ * @param {'row'|'faceToFace'|'perimeter'} arrangement
+ * @returns {Object<string, string>}
+ */
+export const arrangeBlockFaces = (entityOrder, arrangement) => {
+    const order = entityOrder ?? []
+    const n = order.length
+    let counts
+    if (arrangement === 'faceToFace') {
+        counts = [['front', Math.ceil(n / 2)], ['across', Math.floor(n / 2)]]
+    } else if (arrangement === 'perimeter') {
+        const base = Math.floor(n / 4)
+        const extra = n % 4
+        // Extras go to front, rear, left in that order
+        counts = [
+            ['front', base + (extra > 0 ? 1 : 0)],
+            ['left', base + (extra > 2 ? 1 : 0)],
+            ['rear', base + (extra > 1 ? 1 : 0)],
+            ['right', base],
+        ]
+    } else {
+        counts = [['front', n]]
+    }
+    const faces = {}
+    let i = 0
+    for (const [face, count] of counts) {
+        for (let k = 0; k < count; k++) faces[order[i++]] = face
+    }
+    return faces
+}
+
+const sumWidths = (lots) => lots.reduce((sum, l) => sum + l.width, 0)
+const maxDepth = (lots) => lots.reduce((max, l) => Math.max(max, l.depth), 0)
+
+/**
+ * Place every lot in entityOrder around the block.
+ * @param {object} lots - entities.lots
+ * @param {string[]} entityOrder
+ * @param {object} [roadModules] - entities.roadModules (street sides, front street width)
+ * @returns {{
+ *   placements: Array<{ lotId: string, lot: object, index: number, face: string, x: number, y: number, rotation: number,
+ *     streetRoads: { front: string|null, rear: string|null, left: string|null, right: string|null },
+ *     streetSides: { left: boolean, right: boolean },
+ *     roadDirs: { front: boolean, rear: boolean, left: boolean, right: boolean } }>,
+ *   block: { left: number, right: number, depth: number, acrossDepth: number, frontROW: number }
+ * }}
+ */
+export const computeBlockLayout = (lots, entityOrder, roadModules = {}) => {
+    const order = entityOrder ?? []
+    const entries = order.map((lotId, index) => {
+        const lot = lots?.[lotId]
+        return { lotId, lot, index, face: getLotBlockFace(lot), width: lot?.lotWidth ?? 50, depth: lot?.lotDepth ?? 100 }
+    })
+    const byFace = Object.fromEntries(Object.keys(BLOCK_FACES).map(face => [face, entries.filter(e => e.face === face)]))
+
+    const active = getActiveRoadDirections(roadModules)
+    const frontROW = Object.values(roadModules ?? {})
+        .filter(r => r.enabled && r.direction === 'front')
+        .reduce((max, r) => Math.max(max, r.rightOfWay || 0), 0)
+
+    // Block extents: the right edge stays where lot 1 ends, as in the single row
+    const right = entries[0]?.width ?? 0
+    const width = Math.max(
+        sumWidths(byFace.front),
+        sumWidths(byFace.across),
+        sumWidths(byFace.rear),
+        maxDepth(byFace.left) + maxDepth(byFace.right),
+    )
+    const left = right - width
+    const frontDepth = maxDepth(byFace.front)
+    const rearDepth = maxDepth(byFace.rear)
+    const depth = frontDepth + Math.max(sumWidths(byFace.left), sumWidths(byFace.right)) + rearDepth
+    const acrossDepth = maxDepth(byFace.across)
+
+    // World position of each lot's center
+    const centers = {}
+    let cursor = right
+    for (const e of byFace.front) {
+        centers[e.lotId] = { x: cursor - e.width / 2, y: e.depth / 2 }
+        cursor -= e.width
+    }
+    cursor = right
+    for (const e of byFace.across) {
+        centers[e.lotId] = { x: cursor - e.width / 2, y: -frontROW - e.depth / 2 }
+        cursor -= e.width
+    }
+    cursor = left
+    for (const e of byFace.rear) {
+        centers[e.lotId] = { x: cursor + e.width / 2, y: depth - e.depth / 2 }
+        cursor += e.width
+    }
+    cursor = frontDepth
+    for (const e of byFace.left) {
+        centers[e.lotId] = { x: left + e.depth / 2, y: cursor + e.width / 2 }
+        cursor += e.width
+    }
+    cursor = depth - rearDepth
+    for (const e of byFace.right) {
+        centers[e.lotId] = { x: right - e.depth / 2, y: cursor - e.width / 2 }
+        cursor -= e.width
+    }
+
+    // Block edges a lot line can face a street across: outward normal and offset along it
+    const edges = [
+        { road: 'front', normal: { x: 0, y: -1 }, offset: 0 },
+        { road: 'rear', normal: { x: 0, y: 1 }, offset: depth },
+        { road: 'left', normal: { x: -1, y: 0 }, offset: -left },
+        { road: 'right', normal: { x: 1, y: 0 }, offset: right },
+    ]
+    if (byFace.across.length > 0) edges.push({ road: 'front', normal: { x: 0, y: 1 }, offset: -frontROW })
+
+    const placements = entries.map(e => {
+        const rotation = BLOCK_FACES[e.face].rotation
+        const placement = { lotId: e.lotId, lot: e.lot, index: e.index, face: e.face, ...centers[e.lotId], rotation }
+        const streetRoads = {}
+        for (const [side, { normal, mid }] of Object.entries(LOT_SIDES)) {
+            const n = lotToWorld(normal, { x: 0, y: 0, rotation })
+            const m = lotToWorld(mid(e.width, e.depth), placement)
+            const edge = edges.find(b =>
+                n.x * b.normal.x + n.y * b.normal.y > 0.99 &&
+                Math.abs(m.x * b.normal.x + m.y * b.normal.y - b.offset) < EDGE_TOLERANCE)
+            streetRoads[side] = edge && active[edge.road] ? edge.road : null
+        }
+        return {
+            ...placement,
+            streetRoads,
+            streetSides: { left: !!streetRoads.left, right: !!streetRoads.right },
+            roadDirs: Object.fromEntries(Object.entries(streetRoads).map(([side, road]) => [side, !!road])),
+        }
+    })
+
+    return { placements, block: { left, right, depth, acrossDepth, frontROW } }
+}
+
+/**
+ * World position and rotation of each lot's local origin, in entityOrder.
+ * @param {object} lots - entities.lots
+ * @param {string[]} entityOrder
+ * @param {object} [roadModules] - entities.roadModules (front street width for across lots)
+ * @returns {Array<{ lotId: string, lot: object, x: number, y: number, rotation: number }>}
+ */
+export const getDistrictLotOrigins = (lots, entityOrder, roadModules) =>
+    computeBlockLayout(lots, entityOrder, roadModules).placements.map(({ lotId, lot, x, y, rotation }) => ({ lotId, lot, x, y, rotation }))
@@ -0,0 +1,338 @@
+import { signedArea, isPointInPolygon } from './lotGeometry'
+
+/**
+ * CAD Import (DXF linework)
+ *
+ * Reads parcel boundaries and building footprints from a surveyor's ASCII DXF
+ * without a CAD library. Only the ENTITIES section is read:
+ * - LWPOLYLINE and POLYLINE (2D / 3D; meshes and polyface meshes are skipped).
+ *   Arc segments (bulges) are flattened into short chords.
+ * - LINE, chained end to end per layer into polylines.
+ *
+ * Block inserts, arcs, circles and splines are not read; explode them in CAD
+ * first. Binary DXF and DWG are not supported.
+ *
+ * Closed outlines on the chosen parcel layer become polygon lots; closed
+ * outlines on the building layer become polygon buildings on the lot that
+ * contains their centroid. Lots are centered on their bounding box (the
+ * lot-local origin, see lotGeometry.js) and keep the drawing's orientation;
+ * their positions come from the district row, not the drawing, so they are
+ * ordered right to left as drawn to line up with lot 1 at the right.
+ */
+
+// Drawing units → feet. `insunits` is the DXF $INSUNITS code.
+export const CAD_UNITS = {
+    feet: { label: 'Feet', toFeet: 1, insunits: [2] },
+    usSurveyFeet: { label: 'US Survey Feet', toFeet: 1200 / 3937 * 3.28084, insunits: [21] },
+    inches: { label: 'Inches', toFeet: 1 / 12, insunits: [1] },
+    meters: { label: 'Meters', toFeet: 3.28084, insunits: [6] },
+    centimeters: { label: 'Centimeters', toFeet: 0.0328084, insunits: [5] },
+    millimeters: { label: 'Millimeters', toFeet: 0.00328084, insunits: [4] },
+}
+
+// Chord length limit when flattening arcs, as a fraction of a full turn
+const ARC_SEGMENTS_PER_TURN = 32
+// End points closer than this (drawing units) are the same point
+const POINT_TOLERANCE = 1e-3
+// Outlines smaller than this (sf) are drafting noise, not parcels or buildings
+const MIN_AREA = 1
+
+const round = (v) => Math.round(v * 100) / 100
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) < POINT_TOLERANCE && Math.abs(a.y - b.y) < POINT_TOLERANCE
+
+/**
+ * Points of the arc a bulge describes from a to b, excluding a and including b.
+ * Bulge = tan(included angle / 4); positive bulges turn counterclockwise.
+ */
+const flattenBulge = (a, b, bulge) => {
+    if (!bulge) return [b]
+    const angle = 4 * Math.atan(bulge)
+    const chord = Math.hypot(b.x - a.x, b.y - a.y)
+    if (chord < POINT_TOLERANCE) return [b]
+    const radius = chord / (2 * Math.sin(Math.abs(angle) / 2))
+    // Center sits off the chord midpoint, to the left for counterclockwise arcs
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+    const toCenter = Math.sqrt(Math.max(radius * radius - (chord / 2) ** 2, 0)) * Math.sign(bulge) * (Math.abs(angle) > Math.PI ? -1 : 1)
+    const center = { x: mid.x - (b.y - a.y) / chord * toCenter, y: mid.y + (b.x - a.x) / chord * toCenter }
+    const start = Math.atan2(a.y - center.y, a.x - center.x)
+    const steps = Math.max(1, Math.ceil(Math.abs(angle) / (2 * Math.PI) * ARC_SEGMENTS_PER_TURN))
+    const points = []
+    for (let i = 1; i < steps; i++) {
+        const t = start + angle * i / steps
+        points.push({ x: center.x + radius * Math.cos(t), y: center.y + radius * Math.sin(t) })
+    }
+    points.push(b)
+    return points
+}
+
+/**
+ * Outline points from vertices with bulges; a closed outline also flattens the
+ * bulge on its last vertex back to the first.
+ */
+const flattenVertices = (vertices, closed) => {
+    if (vertices.length === 0) return []
+    const points = [{ x: vertices[0].x, y: vertices[0].y }]
+    const count = closed ? vertices.length : vertices.length - 1
+    for (let i = 0; i < count; i++) {
+        const a = vertices[i]
+        const b = vertices[(i + 1) % vertices.length]
+        points.push(...flattenBulge(a, b, a.bulge))
+    }
+    // Closed outlines end back on the first point; drop the repeat
+    if (closed) points.pop()
+    return points.filter((p, i) => i === 0 || !samePoint(p, points[i - 1]))
+}
+
+/**
+ * Group code / value pairs of an ASCII DXF.
+ */
+const readPairs = (text) => {
+    const lines = text.split(/\r?\n/)
+    const pairs = []
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        const code = parseInt(lines[i].trim(), 10)
+        if (Number.isNaN(code)) throw new Error(`Unexpected group code "${lines[i].trim()}" on line ${i + 1}`)
+        pairs.push([code, lines[i + 1].trim()])
+    }
+    return pairs
+}
+
+/**
+ * Split pairs into records, each starting at a group code 0.
+ */
+const readRecords = (pairs) => {
+    const records = []
+    for (const [code, value] of pairs) {
+        if (code === 0) records.push({ type: value, groups: [] })
+        else records.at(-1)?.groups.push([code, value])
+    }
+    return records
+}
+
+const groupValue = (record, code, fallback = null) => {
+    const found = record.groups.find(([c]) => c === code)
+    return found ? found[1] : fallback
+}
+
+/**
+ * Vertices of an LWPOLYLINE: each 10 starts a vertex, later 20 / 42 fill it in.
+ */
+const readLwVertices = (record) => {
+    const vertices = []
+    for (const [code, value] of record.groups) {
+        if (code === 10) vertices.push({ x: parseFloat(value), y: 0, bulge: 0 })
+        else if (code === 20 && vertices.length) vertices.at(-1).y = parseFloat(value)
+        else if (code === 42 && vertices.length) vertices.at(-1).bulge = parseFloat(value)
+    }
+    return vertices
+}
+
+// LWPOLYLINE and 2D POLYLINE coordinates are in the object coordinate system (OCS),
+// which a -Z extrusion mirrors in X. LINE and 3D POLYLINE coordinates are already world (WCS).
+const isMirrored = (record) => parseFloat(groupValue(record, 230, '1')) < 0
+
+/**
+ * Join LINE segments that share end points into polylines.
+ */
+const chainSegments = (segments) => {
+    const unused = [...segments]
+    const chains = []
+    while (unused.length) {
+        const [first] = unused.splice(0, 1)
+        const points = [first.a, first.b]
+        let extended = true
+        while (extended && !samePoint(points[0], points.at(-1))) {
+            extended = false
+            for (let i = 0; i < unused.length; i++) {
+                const { a, b } = unused[i]
+                const end = points.at(-1)
+                if (samePoint(a, end)) points.push(b)
+                else if (samePoint(b, end)) points.push(a)
+                else if (samePoint(b, points[0])) points.unshift(a)
+                else if (samePoint(a, points[0])) points.unshift(b)
+                else continue
+                unused.splice(i, 1)
+                extended = true
+                break
+            }
+        }
+        const closed = points.length > 3 && samePoint(points[0], points.at(-1))
+        if (closed) points.pop()
+        chains.push({ points, closed })
+    }
+    return chains
+}
+
+/**
+ * Read the polylines and lines of an ASCII DXF.
+ * @param {string} text - DXF file content
+ * @returns {{
+ *   units: string|null,
+ *   layers: Array<{ name: string, closed: number, open: number }>,
+ *   shapes: Array<{ layer: string, points: Array<{x: number, y: number}>, closed: boolean }>,
+ * }} Shapes in drawing units; `units` is the CAD_UNITS key named by $INSUNITS, if any
+ */
+export const parseDxfLinework = (text) => {
+    if (/^AutoCAD Binary DXF/.test(text)) throw new Error('Binary DXF is not supported. Save the drawing as ASCII DXF.')
+    const pairs = readPairs(text)
+
+    // Header units
+    let units = null
+    const insunitsIndex = pairs.findIndex(([code, value]) => code === 9 && value === '$INSUNITS')
+    if (insunitsIndex >= 0) {
+        const code = parseInt(pairs[insunitsIndex + 1]?.[1], 10)
+        units = Object.keys(CAD_UNITS).find(key => CAD_UNITS[key].insunits.includes(code)) ?? null
+    }
+
+    // Records of the ENTITIES section
+    const start = pairs.findIndex(([code, value], i) => code === 0 && value === 'SECTION' && pairs[i + 1]?.[1] === 'ENTITIES')
+    if (start < 0) throw new Error('No ENTITIES section found. Is this a DXF file?')
+    const end = pairs.findIndex(([code, value], i) => i > start && code === 0 && value === 'ENDSEC')
+    const records = readRecords(pairs.slice(start + 2, end < 0 ? undefined : end))
+
+    const shapes = []
+    const segments = {}
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i]
+        const layer = groupValue(record, 8, '0')
+        if (record.type === 'LWPOLYLINE') {
+            const mirror = isMirrored(record) ? -1 : 1
+            const closed = (parseInt(groupValue(record, 70, '0'), 10) & 1) === 1
+            const vertices = readLwVertices(record).map(v => ({ ...v, x: v.x * mirror, bulge: v.bulge * mirror }))
+            shapes.push({ layer, points: flattenVertices(vertices, closed), closed })
+        } else if (record.type === 'POLYLINE') {
+            const flags = parseInt(groupValue(record, 70, '0'), 10)
+            // 3D polylines (8) are in WCS
+            const mirror = !(flags & 8) && isMirrored(record) ? -1 : 1
+            const vertices = []
+            while (records[i + 1]?.type === 'VERTEX') {
+                const vertex = records[++i]
+                // Polyface face records carry no position of their own
+                if (parseInt(groupValue(vertex, 70, '0'), 10) & 128) continue
+                vertices.push({
+                    x: parseFloat(groupValue(vertex, 10, '0')) * mirror,
+                    y: parseFloat(groupValue(vertex, 20, '0')),
+                    bulge: parseFloat(groupValue(vertex, 42, '0')) * mirror,
+                })
+            }
+            if (records[i + 1]?.type === 'SEQEND') i++
+            // Polygon meshes (16) and polyface meshes (64) are surfaces, not outlines
+            if (flags & (16 | 64)) continue
+            const closed = (flags & 1) === 1
+            shapes.push({ layer, points: flattenVertices(vertices, closed), closed })
+        } else if (record.type === 'LINE') {
+            const a = { x: parseFloat(groupValue(record, 10, '0')), y: parseFloat(groupValue(record, 20, '0')) }
+            const b = { x: parseFloat(groupValue(record, 11, '0')), y: parseFloat(groupValue(record, 21, '0')) }
+            if (!samePoint(a, b)) (segments[layer] ??= []).push({ a, b })
+        }
+    }
+    for (const [layer, layerSegments] of Object.entries(segments)) {
+        for (const chain of chainSegments(layerSegments)) shapes.push({ layer, ...chain })
+    }
+
+    // Polylines drawn back onto their start point count as closed
+    for (const shape of shapes) {
+        if (!shape.closed && shape.points.length > 3 && samePoint(shape.points[0], shape.points.at(-1))) {
+            shape.points.pop()
+            shape.closed = true
+        }
+    }
+    const valid = shapes.filter(s => s.points.length >= 2 && s.points.every(p => Number.isFinite(p.x) && Number.isFinite(p.y)))
+
+    const layers = {}
+    for (const { layer, closed } of valid) {
+        layers[layer] ??= { name: layer, closed: 0, open: 0 }
+        layers[layer][closed ? 'closed' : 'open']++
+    }
+    return {
+        units,
+        layers: Object.values(layers).sort((a, b) => a.name.localeCompare(b.name)),
+        shapes: valid,
+    }
+}
+
+const getBounds = (points) => {
+    const xs = points.map(p => p.x)
+    const ys = points.map(p => p.y)
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) }
+}
+
+// Area centroid of a simple polygon
+const getCentroid = (points) => {
+    const area = signedArea(points)
+    let cx = 0, cy = 0
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length]
+        const cross = a.x * b.y - b.x * a.y
+        cx += (a.x + b.x) * cross
+        cy += (a.y + b.y) * cross
+    })
+    return { x: cx / (6 * area), y: cy / (6 * area) }
+}
+
+/**
+ * Closed outlines on a layer, scaled to feet and wound counterclockwise, with
+ * the attributes their shape carries.
+ */
+const getOutlines = (shapes, layer, toFeet) => shapes
+    .filter(s => s.layer === layer && s.closed && s.points.length >= 3)
+    .map(s => ({ points: s.points.map(p => ({ x: p.x * toFeet, y: p.y * toFeet })), attributes: s.attributes ?? null }))
+    .map(o => (signedArea(o.points) < 0 ? { ...o, points: [...o.points].reverse() } : o))
+    .filter(o => signedArea(o.points) >= MIN_AREA)
+
+/**
+ * Lots to create from parsed DXF linework.
+ * @param {Array<{ layer: string, points: Array<{x: number, y: number}>, closed: boolean, attributes?: object }>} shapes
+ *   parseDxfLinework shapes; parcel attributes (partial lot data) pass through to their lot
+ * @param {object} options
+ * @param {string} options.parcelLayer - Layer holding parcel boundaries
+ * @param {string|null} [options.buildingLayer] - Layer holding building footprints
+ * @param {string} [options.units] - CAD_UNITS key of the drawing
+ * @returns {{
+ *   lots: Array<{ lotWidth: number, lotDepth: number, area: number, vertices: Array<{x: number, y: number}>, attributes: object|null,
+ *     buildings: Array<{ x: number, y: number, width: number, depth: number, vertices: Array<{x: number, y: number}> }> }>,
+ *   unassignedBuildings: number,
+ * }} Lot vertices relative to the lot center, building vertices in the same lot-local frame (ft)
+ */
+export const buildCadLots = (shapes, { parcelLayer, buildingLayer = null, units = 'feet' }) => {
+    const toFeet = CAD_UNITS[units]?.toFeet ?? 1
+    const parcels = getOutlines(shapes, parcelLayer, toFeet)
+        .map(({ points, attributes }) => ({ points, attributes, bounds: getBounds(points), buildings: [] }))
+        // Right to left, so lot 1 is the rightmost parcel as in the district row
+        .sort((a, b) => (b.bounds.minX + b.bounds.maxX) - (a.bounds.minX + a.bounds.maxX))
+
+    let unassignedBuildings = 0
+    if (buildingLayer && buildingLayer !== parcelLayer) {
+        for (const { points: footprint } of getOutlines(shapes, buildingLayer, toFeet)) {
+            const centroid = getCentroid(footprint)
+            const parcel = parcels.find(p => isPointInPolygon(centroid, p.points))
+            if (parcel) parcel.buildings.push(footprint)
+            else unassignedBuildings++
+        }
+    }
+
+    const lots = parcels.map(({ points, attributes, bounds, buildings }) => {
+        const cx = (bounds.minX + bounds.maxX) / 2
+        const cy = (bounds.minY + bounds.maxY) / 2
+        const toLocal = (p) => ({ x: round(p.x - cx), y: round(p.y - cy) })
+        return {
+            lotWidth: round(bounds.maxX - bounds.minX),
+            lotDepth: round(bounds.maxY - bounds.minY),
+            area: round(signedArea(points)),
+            vertices: points.map(toLocal),
+            attributes,
+            buildings: buildings.map(footprint => {
+                const b = getBounds(footprint)
+                return {
+                    x: round((b.minX + b.maxX) / 2 - cx),
+                    y: round((b.minY + b.maxY) / 2 - cy),
+                    width: round(b.maxX - b.minX),
+                    depth: round(b.maxY - b.minY),
+                    vertices: footprint.map(toLocal),
+                }
+            }),
+        }
+    })
+    return { lots, unassignedBuildings }
+}
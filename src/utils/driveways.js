@@ -0,0 +1,182 @@
+import { getLotPolygon, getLotFrontEdge, classifyLotEdges, getLotBuildings, buildingExists, getBuildingFootprint, getActiveRoadDirections, isPointInPolygon, signedArea } from './lotGeometry'
+import { getLotAccessPoints, getStreetLotLines, getAccessSpan, getSharedDriveDirection } from './lotAccess'
+import { generateParkingLayout } from './parkingLayout'
+import { getCurbOffset } from './roadZones'
+
+/**
+ * Driveways
+ *
+ * Paved drives generated at each enabled lot access (lot.lotAccess) when
+ * lot.driveways.enabled is set:
+ *   lot.driveways = { enabled, width, flare }   (ft)
+ *
+ * - Path: a strip `width` wide running from the lot line into the lot until it
+ *   reaches a building (garage) or the generated parking layout. With neither
+ *   in the way it stops after one stall depth, as a parking pad.
+ * - Curb cut: the strip continued out across the right-of-way to the curb of
+ *   the road on that side, widened by `flare` ft each side at the curb.
+ *   Lot lines without an enabled road get no curb cut.
+ * - Shared drives are centered on the interior lot line, so each lot draws
+ *   the half on its side (one flare, on the outer edge).
+ *
+ * Only the on-lot path counts toward impervious surface. Corner spacing is
+ * the distance along the lot line from the drive edge to the nearest lot
+ * corner shared with another street lot line (null when there is none).
+ *
+ * All coordinates are lot-local (see lotGeometry.js).
+ */
+
+export const DRIVEWAY_DEFAULTS = { width: 12, flare: 5 }
+
+// Rays start this far inside the strip so they don't hit the lot line they leave from
+const RAY_INSET = 0.01
+
+const offsetPoint = (p, dir, t) => ({ x: p.x + dir.x * t, y: p.y + dir.y * t })
+
+const samePoint = (p, q) => Math.abs(p.x - q.x) < 1e-6 && Math.abs(p.y - q.y) < 1e-6
+
+/**
+ * Distance along a ray to the first crossing with a polygon's edges
+ * (Infinity when the ray misses).
+ */
+const rayDistance = (origin, dir, polygon) => {
+    let best = Infinity
+    polygon.forEach((a, i) => {
+        const b = polygon[(i + 1) % polygon.length]
+        const ex = b.x - a.x, ey = b.y - a.y
+        const denom = dir.x * ey - dir.y * ex
+        if (Math.abs(denom) < 1e-12) return
+        const wx = a.x - origin.x, wy = a.y - origin.y
+        const t = (wx * ey - wy * ex) / denom
+        const u = (wx * dir.y - wy * dir.x) / denom
+        if (t > 0 && u >= 0 && u <= 1) best = Math.min(best, t)
+    })
+    return best
+}
+
+const rectPolygon = (r) => [{ x: r.x0, y: r.y0 }, { x: r.x1, y: r.y0 }, { x: r.x1, y: r.y1 }, { x: r.x0, y: r.y1 }]
+
+/**
+ * Distance from the lot line to the curb of a road, or 0 when no enabled road
+ * runs in that direction.
+ */
+const getCurbDepth = (roadModules, direction) => {
+    if (!direction) return 0
+    const road = Object.values(roadModules ?? {}).find(r => r.enabled && r.direction === direction)
+    if (!road) return 0
+    return Math.max(0, (road.rightOfWay ?? 50) / 2 - getCurbOffset(road, 'right'))
+}
+
+/**
+ * Distance along the lot line from each drive edge to a street corner at the
+ * end of the drive's lot line; the smaller of the two ends.
+ */
+const getCornerSpacing = (access, span, edges, streets) => {
+    const { index, a, b } = access.edge
+    const prev = edges[(index - 1 + edges.length) % edges.length]
+    const next = edges[(index + 1) % edges.length]
+    const { point, along } = access
+    const offsetOf = (p) => (p.x - point.x) * along.x + (p.y - point.y) * along.y
+    const spacings = []
+    if (prev.side !== access.side && streets[prev.side] && samePoint(prev.b, a)) spacings.push(span[0] - offsetOf(a))
+    if (next.side !== access.side && streets[next.side] && samePoint(next.a, b)) spacings.push(offsetOf(b) - span[1])
+    return spacings.length > 0 ? Math.max(0, Math.min(...spacings)) : null
+}
+
+/**
+ * Every generated driveway on a lot.
+ * @param {object} lot
+ * @param {string} lotId
+ * @param {object} [options]
+ * @param {{ left: boolean, right: boolean }} [options.streetSides]
+ * @param {object} [options.roadModules] - entities.roadModules, for curb cuts and street corners
+ * @param {object} [options.streetRoads] - Road direction each lot line faces (blockLayout placement);
+ *   defaults to the road of the same name
+ * @param {object} [options.annotationPositions] - Lot access arrow positions
+ * @returns {Array<{ key: string, side: string, width: number, length: number, area: number,
+ *   cornerSpacing: number|null, path: Array<{x: number, y: number}>|null, apron: Array<{x: number, y: number}>|null }>}
+ */
+export const getLotDriveways = (lot, lotId, { streetSides = {}, roadModules = {}, streetRoads = null, annotationPositions = {} } = {}) => {
+    const settings = { ...DRIVEWAY_DEFAULTS, ...lot?.driveways }
+    if (!lot?.driveways?.enabled || !(settings.width > 0)) return []
+    const accessPoints = getLotAccessPoints(lot, lotId, annotationPositions, streetSides)
+    if (accessPoints.length === 0) return []
+
+    const polygon = getLotPolygon(lot)
+    const edges = classifyLotEdges(polygon, getLotFrontEdge(lot))
+    const roadDirs = streetRoads
+        ? { front: !!streetRoads.front, rear: !!streetRoads.rear }
+        : getActiveRoadDirections(roadModules)
+    const streets = getStreetLotLines(streetSides, roadDirs)
+
+    // What a drive runs to: buildings (garage) and generated parking
+    const targets = getLotBuildings(lot).filter(buildingExists).map(getBuildingFootprint)
+    if (lot.parkingLayout?.enabled) {
+        const layout = generateParkingLayout(lot, streetSides)
+        targets.push(...[...layout.stalls, ...layout.aisles, ...(layout.drive ? [layout.drive] : [])].map(rectPolygon))
+    }
+    const padDepth = lot.parkingLayout?.stallDepth ?? 18
+    const flare = Math.max(settings.flare ?? 0, 0)
+
+    return accessPoints.map(access => {
+        const { point, along, inward } = access
+        const [lo, hi] = getAccessSpan(access, settings.width)
+
+        // Shortest run inward across the strip (edges and centerline)
+        let toTarget = Infinity
+        let toLotLine = Infinity
+        for (const u of [lo + RAY_INSET, (lo + hi) / 2, hi - RAY_INSET]) {
+            const origin = offsetPoint(offsetPoint(point, along, u), inward, RAY_INSET)
+            for (const target of targets) {
+                toTarget = Math.min(toTarget, isPointInPolygon(origin, target) ? 0 : rayDistance(origin, inward, target))
+            }
+            toLotLine = Math.min(toLotLine, rayDistance(origin, inward, polygon))
+        }
+        let length = Math.min(Number.isFinite(toTarget) ? toTarget : padDepth, Number.isFinite(toLotLine) ? toLotLine : 0)
+        length = length > RAY_INSET ? length + RAY_INSET : 0
+
+        const start = offsetPoint(point, along, lo)
+        const end = offsetPoint(point, along, hi)
+        const path = length > 0
+            ? [start, end, offsetPoint(end, inward, length), offsetPoint(start, inward, length)]
+            : null
+
+        // Curb cut across the right-of-way, flared at the curb
+        const depth = getCurbDepth(roadModules, streetRoads ? streetRoads[access.side] : access.side)
+        let apron = null
+        if (depth > 0) {
+            const outward = { x: -inward.x, y: -inward.y }
+            const flareLength = Math.min(flare, depth)
+            const sharedDir = access.sharedSide ? getSharedDriveDirection(access) : 0
+            const flareLo = sharedDir > 0 ? 0 : flare
+            const flareHi = sharedDir < 0 ? 0 : flare
+            apron = [
+                start,
+                end,
+                offsetPoint(end, outward, depth - flareLength),
+                offsetPoint(offsetPoint(point, along, hi + flareHi), outward, depth),
+                offsetPoint(offsetPoint(point, along, lo - flareLo), outward, depth),
+                offsetPoint(start, outward, depth - flareLength),
+            ].filter((p, i, pts) => i === 0 || !samePoint(p, pts[i - 1]))
+            if (signedArea(apron) === 0) apron = null
+        }
+
+        return {
+            key: access.key,
+            side: access.side,
+            width: settings.width,
+            length,
+            area: (hi - lo) * length,
+            cornerSpacing: getCornerSpacing(access, [lo, hi], edges, streets),
+            path,
+            apron,
+        }
+    })
+}
+
+/**
+ * Total on-lot paved area of a lot's driveways (sf).
+ * @param {Array<{ area: number }>} driveways - getLotDriveways result
+ * @returns {number}
+ */
+export const getDrivewayArea = (driveways) => driveways.reduce((sum, d) => sum + d.area, 0)
@@ -0,0 +1,744 @@
+import {
+    getLotPolygon,
+    getLotFrontEdge,
+    classifyLotEdges,
+    getLotBuildings,
+    buildingExists,
+    getBuildingFootprint,
+    getBuildingLabel,
+    getSetbackPolygon,
+    insetPolygon,
+    resolveSideSetbacks,
+    signedArea,
+} from './lotGeometry'
+import { computeBlockLayout, lotToWorld } from './blockLayout'
+import { getRoadZoneStyle } from './roadZones'
+import { getRoadPlanGeometry } from './roadAlignment'
+import { isAlleyRoad } from './streetTypes'
+import { getLotAnnotationLabels, getRoadAnnotationLabels, isLabelLayerOn } from './annotationLabels'
+import { formatDimension } from './formatUnits'
+import {
+    generateStarPoints,
+    generateRegularPolygonPoints,
+    generateRoundedRectPoints,
+} from './drawingGeometry'
+
+/**
+ * DXF Generator (plan view)
+ *
+ * Writes the model as a 2D AutoCAD DXF drawing in feet:
+ * - Lot lines, setback lines and building footprints as closed LWPOLYLINEs,
+ *   max setback lines and right-of-way lines as open ones
+ * - Road cross-section zones as closed LWPOLYLINEs, one per zone band
+ * - Lot and setback dimensions as aligned DIMENSION entities, each with the
+ *   anonymous block (*D<n>) holding its lines, ticks and text
+ * - Annotation labels as TEXT, multi-line drawing text as MTEXT
+ * - Drawing editor objects on their drawing layer names
+ *
+ * Each category has its own layer (DXF_LAYERS). A layer takes its color and
+ * linetype from the style of the first lot drawn on it; lots whose style
+ * differs carry their own color / linetype on the entity. Per-side style
+ * overrides are not carried over: each outline is one polyline in the base
+ * style. Dashed styles become linetypes named after their dash and gap
+ * lengths (DASH_3_2). Entities carry no handles; CAD packages assign them on
+ * import.
+ *
+ * Categories and labels follow the viewSettings.layers toggles and per-lot
+ * visibility, as in the 3D view.
+ */
+
+export const DXF_LAYERS = {
+    lotLines: 'LOT_LINES',
+    setbacks: 'SETBACKS',
+    maxSetbacks: 'MAX_SETBACKS',
+    principalBuildings: 'BUILDINGS_PRINCIPAL',
+    accessoryBuildings: 'BUILDINGS_ACCESSORY',
+    roadZones: 'ROAD_ZONES',
+    rightOfWay: 'ROAD_ROW',
+    dimensions: 'DIMENSIONS',
+    annotations: 'ANNOTATIONS',
+}
+
+// Nearest AutoCAD Color Index for layer tables (true color is written alongside)
+const ACI_COLORS = [
+    [1, 255, 0, 0], [2, 255, 255, 0], [3, 0, 255, 0], [4, 0, 255, 255], [5, 0, 0, 255],
+    [6, 255, 0, 255], [7, 0, 0, 0], [7, 255, 255, 255], [8, 128, 128, 128], [9, 192, 192, 192],
+    [30, 255, 127, 0],
+]
+
+const fmt = (n) => {
+    const v = Math.round(Number(n) * 1e6) / 1e6
+    return Object.is(v, -0) ? '0' : String(v)
+}
+
+const parseColor = (hex) => {
+    const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex ?? '')
+    if (!m) return null
+    const digits = m[1].length === 3 ? m[1].split('').map(c => c + c).join('') : m[1]
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16))
+}
+
+const toAci = ([r, g, b]) => ACI_COLORS.reduce((best, [aci, cr, cg, cb]) => {
+    const dist = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2
+    return dist < best.dist ? { aci, dist } : best
+}, { aci: 7, dist: Infinity }).aci
+
+const toTrueColor = ([r, g, b]) => (r << 16) | (g << 8) | b
+
+// DXF strings are single-line; MTEXT uses \P for line breaks
+const singleLine = (text) => String(text ?? '').replace(/\r?\n/g, ' ')
+
+const sanitizeLayerName = (name) => String(name).replace(/[^a-zA-Z0-9_-]/g, '_')
+
+/**
+ * Line style of a lot style entry ({ color, dashed, dashSize, gapSize, dashScale }).
+ */
+const lotLineStyle = (style) => style && {
+    color: style.color,
+    dashed: !!style.dashed,
+    dashSize: (style.dashSize ?? 3) / (style.dashScale || 1),
+    gapSize: (style.gapSize ?? 2) / (style.dashScale || 1),
+}
+
+/**
+ * Line style of a fill-style entry ({ lineColor, lineDashed, lineDashSize, lineGapSize }).
+ */
+const outlineStyle = (style) => style && {
+    color: style.lineColor,
+    dashed: !!style.lineDashed,
+    dashSize: style.lineDashSize ?? 3,
+    gapSize: style.lineGapSize ?? 2,
+}
+
+const linetypeName = (line) =>
+    line?.dashed && line.dashSize > 0 ? `DASH_${fmt(line.dashSize)}_${fmt(line.gapSize)}`.replace(/\./g, 'p') : 'CONTINUOUS'
+
+/**
+ * Collects layers, linetypes, dimension blocks and entities, then writes the
+ * HEADER, TABLES, BLOCKS and ENTITIES sections.
+ */
+const createDxfWriter = () => {
+    const layers = new Map([['0', { aci: 7, trueColor: null, linetype: 'CONTINUOUS' }]])
+    const linetypes = new Map([['CONTINUOUS', null]])
+    const blocks = []
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+    let entities = ''
+
+    const track = (p) => {
+        bounds.minX = Math.min(bounds.minX, p.x)
+        bounds.minY = Math.min(bounds.minY, p.y)
+        bounds.maxX = Math.max(bounds.maxX, p.x)
+        bounds.maxY = Math.max(bounds.maxY, p.y)
+    }
+
+    const registerLinetype = (line) => {
+        const name = linetypeName(line)
+        if (!linetypes.has(name)) linetypes.set(name, [line.dashSize, line.gapSize])
+        return name
+    }
+
+    const resolveLine = (line) => {
+        const rgb = parseColor(line?.color)
+        return {
+            aci: rgb ? toAci(rgb) : 7,
+            trueColor: rgb ? toTrueColor(rgb) : null,
+            linetype: line ? registerLinetype(line) : 'CONTINUOUS',
+        }
+    }
+
+    /**
+     * Declare a layer; the first style given for it becomes the layer's.
+     */
+    const layer = (name, line) => {
+        if (!layers.has(name)) layers.set(name, resolveLine(line))
+        return name
+    }
+
+    // Entity color / linetype groups, only where they differ from the layer
+    const entityProps = (layerName, line) => {
+        let s = `8\n${layerName}\n`
+        if (!line) return s
+        const base = layers.get(layerName)
+        const own = resolveLine(line)
+        if (own.linetype !== base.linetype) s += `6\n${own.linetype}\n`
+        if (own.trueColor != null && own.trueColor !== base.trueColor) s += `62\n${own.aci}\n420\n${own.trueColor}\n`
+        return s
+    }
+
+    const lineEntity = (layerName, a, b, line) => {
+        track(a)
+        track(b)
+        return `0\nLINE\n${entityProps(layerName, line)}10\n${fmt(a.x)}\n20\n${fmt(a.y)}\n30\n0\n11\n${fmt(b.x)}\n21\n${fmt(b.y)}\n31\n0\n`
+    }
+
+    const textEntity = (layerName, point, height, text, { rotation = 0, align = 'left', color = null } = {}) => {
+        track(point)
+        const props = entityProps(layerName, color ? { color } : null)
+        const xy = `${fmt(point.x)}\n20\n${fmt(point.y)}\n30\n0\n`
+        let s = `0\nTEXT\n${props}10\n${xy}40\n${fmt(height)}\n1\n${singleLine(text)}\n`
+        if (rotation) s += `50\n${fmt(rotation * 180 / Math.PI)}\n`
+        // Centered text is placed by its second alignment point
+        if (align === 'center') s += `72\n1\n11\n${xy}`
+        return s
+    }
+
+    return {
+        layer,
+
+        polyline(layerName, points, closed, line = null) {
+            if (points.length < 2) return
+            points.forEach(track)
+            entities += `0\nLWPOLYLINE\n${entityProps(layerName, line)}90\n${points.length}\n70\n${closed ? 1 : 0}\n`
+            for (const p of points) entities += `10\n${fmt(p.x)}\n20\n${fmt(p.y)}\n`
+        },
+
+        line(layerName, a, b, line = null) {
+            entities += lineEntity(layerName, a, b, line)
+        },
+
+        circle(layerName, center, radius, line = null) {
+            track({ x: center.x - radius, y: center.y - radius })
+            track({ x: center.x + radius, y: center.y + radius })
+            entities += `0\nCIRCLE\n${entityProps(layerName, line)}10\n${fmt(center.x)}\n20\n${fmt(center.y)}\n30\n0\n40\n${fmt(radius)}\n`
+        },
+
+        ellipse(layerName, center, rx, ry, line = null) {
+            // Center, major axis endpoint (relative) and minor / major ratio
+            const major = rx >= ry
+            const majorLen = major ? rx : ry
+            const ratio = (major ? ry : rx) / majorLen
+            track({ x: center.x - rx, y: center.y - ry })
+            track({ x: center.x + rx, y: center.y + ry })
+            entities += `0\nELLIPSE\n${entityProps(layerName, line)}10\n${fmt(center.x)}\n20\n${fmt(center.y)}\n30\n0\n` +
+                `11\n${major ? fmt(majorLen) : 0}\n21\n${major ? 0 : fmt(majorLen)}\n31\n0\n40\n${fmt(ratio)}\n41\n0\n42\n${fmt(Math.PI * 2)}\n`
+        },
+
+        text(layerName, point, height, text, options) {
+            entities += textEntity(layerName, point, height, text, options)
+        },
+
+        mtext(layerName, point, height, text, { color = null } = {}) {
+            track(point)
+            // Text over 250 characters continues in group 3 chunks before the final group 1
+            const value = String(text ?? '').replace(/\r?\n/g, '\\P')
+            let chunks = ''
+            let rest = value
+            while (rest.length > 250) {
+                chunks += `3\n${rest.slice(0, 250)}\n`
+                rest = rest.slice(250)
+            }
+            entities += `0\nMTEXT\n${entityProps(layerName, color ? { color } : null)}10\n${fmt(point.x)}\n20\n${fmt(point.y)}\n30\n0\n` +
+                `40\n${fmt(height)}\n41\n0\n71\n1\n${chunks}1\n${rest}\n`
+        },
+
+        /**
+         * Aligned dimension between two points. `offset` moves the dimension
+         * line off a→b along its left-hand normal.
+         */
+        dimension(layerName, a, b, offset, text, { textHeight = 2, markerSize = 1, marker = 'tick', line = null } = {}) {
+            const dx = b.x - a.x, dy = b.y - a.y
+            const len = Math.hypot(dx, dy)
+            if (len < 1e-9) return
+            const t = { x: dx / len, y: dy / len }
+            const n = { x: -t.y, y: t.x }
+            const shift = (p, v, d) => ({ x: p.x + v.x * d, y: p.y + v.y * d })
+            const c = shift(a, n, offset)
+            const d = shift(b, n, offset)
+            const side = offset < 0 ? -1 : 1
+            // Readable text angle (never upside down)
+            let angle = Math.atan2(t.y, t.x)
+            if (angle > Math.PI / 2 + 1e-9) angle -= Math.PI
+            if (angle <= -Math.PI / 2 + 1e-9) angle += Math.PI
+            const textPoint = shift({ x: (c.x + d.x) / 2, y: (c.y + d.y) / 2 }, n, side * textHeight * 0.5)
+
+            // Block geometry: layer 0, color and linetype BYBLOCK so the DIMENSION governs
+            const byBlock = '0\n6\nBYBLOCK\n62\n0\n'
+            const blockLine = (p, q) =>
+                `0\nLINE\n8\n${byBlock}10\n${fmt(p.x)}\n20\n${fmt(p.y)}\n30\n0\n11\n${fmt(q.x)}\n21\n${fmt(q.y)}\n31\n0\n`
+            let geometry = blockLine(c, d)
+            if (Math.abs(offset) > 1e-9) {
+                geometry += blockLine(a, shift(c, n, side * markerSize))
+                geometry += blockLine(b, shift(d, n, side * markerSize))
+            }
+            for (const [p, dir] of [[c, 1], [d, -1]]) {
+                if (marker === 'arrow') {
+                    const tip = p
+                    const back = shift(p, t, dir * markerSize)
+                    const l = shift(back, n, markerSize / 3)
+                    const r = shift(back, n, -markerSize / 3)
+                    geometry += `0\nSOLID\n8\n${byBlock}10\n${fmt(tip.x)}\n20\n${fmt(tip.y)}\n30\n0\n11\n${fmt(l.x)}\n21\n${fmt(l.y)}\n31\n0\n` +
+                        `12\n${fmt(r.x)}\n22\n${fmt(r.y)}\n32\n0\n13\n${fmt(r.x)}\n23\n${fmt(r.y)}\n33\n0\n`
+                } else if (marker === 'dot') {
+                    geometry += `0\nCIRCLE\n8\n${byBlock}10\n${fmt(p.x)}\n20\n${fmt(p.y)}\n30\n0\n40\n${fmt(markerSize / 4)}\n`
+                } else {
+                    // Oblique tick across the end of the dimension line
+                    const h = markerSize / 2
+                    const v = { x: (t.x + n.x) * Math.SQRT1_2, y: (t.y + n.y) * Math.SQRT1_2 }
+                    geometry += blockLine(shift(p, v, -h), shift(p, v, h))
+                }
+            }
+            const xy = `${fmt(textPoint.x)}\n20\n${fmt(textPoint.y)}\n30\n0\n`
+            geometry += `0\nTEXT\n8\n${byBlock}10\n${xy}40\n${fmt(textHeight)}\n1\n${singleLine(text)}\n50\n${fmt(angle * 180 / Math.PI)}\n72\n1\n11\n${xy}`
+
+            const blockName = `*D${blocks.length + 1}`
+            blocks.push(`0\nBLOCK\n8\n0\n2\n${blockName}\n70\n1\n10\n0\n20\n0\n30\n0\n3\n${blockName}\n1\n\n${geometry}0\nENDBLK\n8\n0\n`)
+            ;[a, b, c, d].forEach(track)
+
+            // Aligned dimension (1), block used by this dimension only (32)
+            entities += `0\nDIMENSION\n${entityProps(layerName, line)}2\n${blockName}\n` +
+                `10\n${fmt(d.x)}\n20\n${fmt(d.y)}\n30\n0\n11\n${xy}70\n33\n1\n${singleLine(text)}\n3\nSTANDARD\n` +
+                `13\n${fmt(a.x)}\n23\n${fmt(a.y)}\n33\n0\n14\n${fmt(b.x)}\n24\n${fmt(b.y)}\n34\n0\n`
+        },
+
+        toString({ textHeight = 2 } = {}) {
+            const hasBounds = bounds.minX <= bounds.maxX
+            const header = `0\nSECTION\n2\nHEADER\n9\n$INSUNITS\n70\n2\n9\n$MEASUREMENT\n70\n0\n` +
+                (hasBounds
+                    ? `9\n$EXTMIN\n10\n${fmt(bounds.minX)}\n20\n${fmt(bounds.minY)}\n30\n0\n9\n$EXTMAX\n10\n${fmt(bounds.maxX)}\n20\n${fmt(bounds.maxY)}\n30\n0\n`
+                    : '') +
+                `0\nENDSEC\n`
+
+            const table = (name, records) => `0\nTABLE\n2\n${name}\n70\n${records.length}\n${records.join('')}0\nENDTAB\n`
+            const ltypeRecords = [...linetypes].map(([name, pattern]) => pattern
+                ? `0\nLTYPE\n2\n${name}\n70\n0\n3\nDashed ${fmt(pattern[0])} / ${fmt(pattern[1])}\n72\n65\n73\n2\n40\n${fmt(pattern[0] + pattern[1])}\n49\n${fmt(pattern[0])}\n49\n${fmt(-pattern[1])}\n`
+                : `0\nLTYPE\n2\n${name}\n70\n0\n3\nSolid line\n72\n65\n73\n0\n40\n0\n`)
+            const layerRecords = [...layers].map(([name, { aci, trueColor, linetype }]) =>
+                `0\nLAYER\n2\n${name}\n70\n0\n62\n${aci}\n6\n${linetype}\n${trueColor != null ? `420\n${trueColor}\n` : ''}`)
+            const styleRecords = [`0\nSTYLE\n2\nSTANDARD\n70\n0\n40\n0\n41\n1\n50\n0\n71\n0\n42\n${fmt(textHeight)}\n3\ntxt\n4\n\n`]
+            const dimstyleRecords = [`0\nDIMSTYLE\n2\nSTANDARD\n70\n0\n40\n1\n41\n${fmt(textHeight * 0.5)}\n140\n${fmt(textHeight)}\n77\n1\n`]
+            const tables = `0\nSECTION\n2\nTABLES\n${table('LTYPE', ltypeRecords)}${table('LAYER', layerRecords)}${table('STYLE', styleRecords)}${table('DIMSTYLE', dimstyleRecords)}0\nENDSEC\n`
+
+            return `${header}${tables}0\nSECTION\n2\nBLOCKS\n${blocks.join('')}0\nENDSEC\n0\nSECTION\n2\nENTITIES\n${entities}0\nENDSEC\n0\nEOF\n`
+        },
+    }
+}
+
+// ============================================
+// Lots
+// ============================================
+
+const positive = (v) => (v != null && v > 0 ? v : 0)
+
+/**
+ * Dimension text: the custom label when one is set, else the formatted value.
+ */
+const resolveDimensionText = (value, dimensionKey, dimensionSettings) => {
+    const labelConfig = dimensionSettings?.customLabels?.[dimensionKey]
+    if (labelConfig?.mode === 'custom') return labelConfig.text || ''
+    return formatDimension(Math.round(value * 100) / 100, dimensionSettings?.unitFormat || 'feet')
+}
+
+/**
+ * Max setback lines (lot-local) as open chains: the setback outline inset by
+ * maxFront on the front and maxSideStreet on street sides, keeping only those
+ * sides. Other sides stay at their min setbacks, which clip the max lines as
+ * in the 3D view.
+ */
+const getMaxSetbackLines = (lot, setbacks, streetSides) => {
+    const maxFront = positive(setbacks?.maxFront)
+    const maxSideStreet = positive(setbacks?.maxSideStreet)
+    if (!maxFront && !maxSideStreet) return []
+    const isMax = (side) => (side === 'front' && maxFront > 0) ||
+        ((side === 'left' || side === 'right') && !!streetSides[side] && maxSideStreet > 0)
+    const min = resolveSideSetbacks(setbacks, streetSides)
+    const distance = (side) => (isMax(side) ? (side === 'front' ? maxFront : maxSideStreet) : min[side])
+
+    const polygon = getLotPolygon(lot)
+    const frontEdge = getLotFrontEdge(lot)
+    const inset = insetPolygon(polygon, (edge) => distance(edge.side), frontEdge)
+    if (!inset) return []
+    const edges = classifyLotEdges(polygon, frontEdge)
+    const n = edges.length
+    const start = edges.findIndex(e => !isMax(e.side))
+    if (start < 0) return [[...inset, inset[0]]]
+
+    // Walk from a non-max edge so no chain wraps round the start
+    const lines = []
+    let chain = null
+    for (let k = 1; k <= n; k++) {
+        const i = (start + k) % n
+        if (!isMax(edges[i].side)) {
+            chain = null
+            continue
+        }
+        if (!chain) {
+            chain = [inset[i]]
+            lines.push(chain)
+        }
+        chain.push(inset[(i + 1) % n])
+    }
+    return lines
+}
+
+/**
+ * Point a fraction of the way along a lot line, measured from its front (for
+ * side lot lines) or left (for front / rear lot lines) end.
+ */
+const pointAlongEdge = (edge, fraction) => {
+    const key = edge.side === 'front' || edge.side === 'rear' ? 'x' : 'y'
+    const [lo, hi] = edge.a[key] <= edge.b[key] ? [edge.a, edge.b] : [edge.b, edge.a]
+    return { x: lo.x + (hi.x - lo.x) * fraction, y: lo.y + (hi.y - lo.y) * fraction }
+}
+
+const edgeLength = (edge) => Math.hypot(edge.b.x - edge.a.x, edge.b.y - edge.a.y)
+
+/**
+ * Write one lot: outline, setbacks, buildings, dimensions and labels.
+ * @param {object} dxf - createDxfWriter result
+ * @param {object} entry
+ * @param {string} entry.lotId
+ * @param {object} entry.lot - Entity-shaped lot (lotWidth, lotDepth, lotGeometry, setbacks, buildings)
+ * @param {{ x: number, y: number, rotation: number }} entry.placement - World position of the lot center
+ * @param {object} entry.style - Lot style (createDefaultLotStyle shape)
+ * @param {{ left: boolean, right: boolean }} [entry.streetSides]
+ * @param {object} [entry.visibility] - Per-lot visibility
+ * @param {number} [entry.lotIndex]
+ * @param {object} settings - Shared export options
+ */
+const writeLot = (dxf, { lotId, lot, placement, style = {}, streetSides = {}, visibility = {}, lotIndex = 1 }, settings) => {
+    const { layers = {}, dimensionSettings = {} } = settings
+    const toWorld = (p) => lotToWorld(p, placement)
+    const shown = (layerKey, visKey) => layers[layerKey] !== false && visibility[visKey] !== false
+    const polygon = getLotPolygon(lot)
+    const edges = classifyLotEdges(polygon, getLotFrontEdge(lot))
+    const ccw = signedArea(polygon) > 0
+    const principal = lot.setbacks?.principal
+
+    if (shown('lotLines', 'lotLines')) {
+        const line = lotLineStyle(style.lotLines)
+        dxf.polyline(dxf.layer(DXF_LAYERS.lotLines, line), polygon.map(toWorld), true, line)
+    }
+
+    if (principal && shown('setbacks', 'setbacks')) {
+        const inner = getSetbackPolygon(lot, principal, streetSides)
+        const line = lotLineStyle(style.setbacks)
+        if (inner) dxf.polyline(dxf.layer(DXF_LAYERS.setbacks, line), inner.map(toWorld), true, line)
+    }
+
+    if (principal && shown('maxSetbacks', 'maxSetbacks')) {
+        const line = lotLineStyle(style.maxSetbacks)
+        for (const points of getMaxSetbackLines(lot, principal, streetSides)) {
+            dxf.polyline(dxf.layer(DXF_LAYERS.maxSetbacks, line), points.map(toWorld), false, line)
+        }
+    }
+
+    for (const building of getLotBuildings(lot).filter(buildingExists)) {
+        const accessory = building.type === 'accessory'
+        if (!shown(accessory ? 'accessoryBuildings' : 'principalBuildings', accessory ? 'accessoryBuilding' : 'buildings')) continue
+        const line = lotLineStyle(accessory ? style.accessoryBuildingEdges : (style.principalBuildingEdges ?? style.buildingEdges))
+        const layerName = dxf.layer(accessory ? DXF_LAYERS.accessoryBuildings : DXF_LAYERS.principalBuildings, line)
+        dxf.polyline(layerName, getBuildingFootprint(building).map(toWorld), true, line)
+    }
+
+    // ---------- Dimensions ----------
+    const dimLine = { color: dimensionSettings.lineColor ?? '#000000', dashed: false }
+    const dimLayer = dxf.layer(DXF_LAYERS.dimensions, dimLine)
+    const textHeight = dimensionSettings.fontSize ?? 2
+    const dimOptions = { textHeight, markerSize: textHeight * 0.75 * (dimensionSettings.markerScale ?? 1), marker: dimensionSettings.endMarker ?? 'tick' }
+    const dimension = (a, b, offset, text) => dxf.dimension(dimLayer, toWorld(a), toWorld(b), offset, text, dimOptions)
+    // Offset that puts a dimension outside the lot line a→b
+    const outward = (distance) => (ccw ? -distance : distance)
+
+    if (layers.dimensionsLotWidth) {
+        for (const edge of edges.filter(e => e.side === 'front')) {
+            dimension(edge.a, edge.b, outward(dimensionSettings.lotDimOffset ?? 15),
+                resolveDimensionText(edgeLength(edge), 'lotWidth', dimensionSettings))
+        }
+    }
+    if (layers.dimensionsLotDepth && visibility.depthDimVisible !== false) {
+        const depthSide = lotIndex === 1 ? (dimensionSettings.lotDepthDimSide ?? 'right') : 'left'
+        for (const edge of edges.filter(e => e.side === depthSide)) {
+            dimension(edge.a, edge.b, outward(dimensionSettings.lotDepthDimOffset ?? dimensionSettings.lotDimOffset ?? 15),
+                resolveDimensionText(edgeLength(edge), 'lotDepth', dimensionSettings))
+        }
+    }
+
+    // Setback dimensions run in from the longest lot line on each side
+    const setbackDimension = (side, distance, dimensionKey, offset) => {
+        const sideEdges = edges.filter(e => e.side === side)
+        if (!(distance > 0) || sideEdges.length === 0) return
+        const edge = sideEdges.reduce((best, e) => (edgeLength(e) > edgeLength(best) ? e : best))
+        const fraction = dimensionSettings[`${side}SetbackDimPosition`] ?? 0.5
+        const start = pointAlongEdge(edge, fraction)
+        const len = edgeLength(edge)
+        const along = { x: (edge.b.x - edge.a.x) / len, y: (edge.b.y - edge.a.y) / len }
+        const inward = ccw ? { x: -along.y, y: along.x } : { x: along.y, y: -along.x }
+        dimension(start, { x: start.x + inward.x * distance, y: start.y + inward.y * distance }, offset,
+            resolveDimensionText(distance, dimensionKey, dimensionSettings))
+    }
+    if (principal && layers.dimensionsSetbacks) {
+        const min = resolveSideSetbacks(principal, streetSides)
+        const offset = dimensionSettings.setbackDimOffset ?? 5
+        setbackDimension('front', min.front, 'setbackFront', offset)
+        setbackDimension('rear', min.rear, 'setbackRear', offset)
+        for (const side of ['left', 'right']) {
+            setbackDimension(side, min[side], streetSides[side] ? 'setbackSideStreet' : 'setbackSideInterior', offset)
+        }
+    }
+    if (principal && layers.dimensionsMaxFrontSetback) {
+        setbackDimension('front', positive(principal.maxFront), 'setbackMaxFront', dimensionSettings.maxFrontSetbackDimOffset ?? 5)
+    }
+    if (principal && layers.dimensionsMaxSideStreetSetback) {
+        for (const side of ['left', 'right'].filter(s => streetSides[s])) {
+            setbackDimension(side, positive(principal.maxSideStreet), 'setbackMaxSideStreet', dimensionSettings.maxSideStreetSetbackDimOffset ?? 5)
+        }
+    }
+
+    // ---------- Annotation Labels ----------
+    if (!settings.annotate || !layers.annotationLabels) return
+    const { annotationSettings = {}, annotationPositions = {}, annotationCustomLabels = {} } = settings
+    const lotWidth = lot.lotWidth ?? 50
+    const lotDepth = lot.lotDepth ?? 100
+    const min = resolveSideSetbacks(principal, streetSides)
+    const labels = getLotAnnotationLabels({
+        lotId,
+        lotWidth,
+        lotDepth,
+        setbacks: min,
+        maxSetbacks: { front: positive(principal?.maxFront), sideStreet: positive(principal?.maxSideStreet), streetSides },
+        buildings: getLotBuildings(lot).filter(b => b.width > 0).map(b => ({
+            id: b.id,
+            type: b.type,
+            label: getBuildingLabel(lot, b.id),
+            x: (b.x || 0) + lotWidth / 2 - b.width / 2,
+            y: (b.y || 0) + lotDepth / 2 - b.depth / 2,
+            width: b.width,
+            depth: b.depth,
+            totalHeight: 0,
+        })),
+        lotIndex,
+        customLabels: annotationCustomLabels,
+    })
+    const layerName = dxf.layer(DXF_LAYERS.annotations, { color: annotationSettings.textColor })
+    for (const label of labels) {
+        if (!isLabelLayerOn(layers, label.layerKey)) continue
+        // Label positions are measured from the lot's front-left corner
+        const [x, y] = annotationPositions[label.id] ?? label.defaultPosition
+        const point = toWorld({ x: x - lotWidth / 2, y: y - lotDepth / 2 })
+        dxf.text(layerName, point, (annotationSettings.fontSize ?? 1.5) * label.fontScale, label.text, { align: 'center' })
+    }
+}
+
+// ============================================
+// Roads
+// ============================================
+
+/**
+ * Write every enabled road's zone bands, right-of-way lines and labels.
+ */
+const writeRoads = (dxf, roadModules, block, settings) => {
+    const { layers = {}, roadModuleStyles = {}, streetTypeLibrary = null } = settings
+    if (layers.roadModule === false) return
+    const zoneLayer = dxf.layer(DXF_LAYERS.roadZones, outlineStyle(roadModuleStyles.roadWidth))
+    const rowLine = lotLineStyle(roadModuleStyles.rightOfWay)
+    const rowLayer = dxf.layer(DXF_LAYERS.rightOfWay, rowLine)
+
+    for (const { roadId, road, bands, rowLines, labelFrame } of getRoadPlanGeometry(roadModules, block, streetTypeLibrary)) {
+        const alley = isAlleyRoad(road, streetTypeLibrary)
+        for (const { zone, side, outline } of bands) {
+            const style = zone ? getRoadZoneStyle(roadModuleStyles, zone, side, alley) : roadModuleStyles.roadWidth
+            dxf.polyline(zoneLayer, outline, true, outlineStyle(style))
+        }
+        for (const points of rowLines) dxf.polyline(rowLayer, points, false, rowLine)
+
+        if (!labelFrame || !settings.annotate || !layers.annotationLabels) continue
+        const { annotationSettings = {}, annotationPositions = {}, annotationCustomLabels = {} } = settings
+        const labels = getRoadAnnotationLabels({
+            roadId,
+            road,
+            spanWidth: labelFrame.spanWidth,
+            direction: road.direction || 'front',
+            customLabels: annotationCustomLabels,
+            library: streetTypeLibrary,
+        })
+        const layerName = dxf.layer(DXF_LAYERS.annotations, { color: annotationSettings.textColor })
+        for (const label of labels) {
+            if (!isLabelLayerOn(layers, label.layerKey)) continue
+            // Canonical road frame: +X along the road, +Y toward the lots
+            const [x, y] = annotationPositions[label.id] ?? label.defaultPosition
+            dxf.text(layerName, lotToWorld({ x, y }, labelFrame), (annotationSettings.fontSize ?? 1.5) * label.fontScale, label.text, { align: 'center' })
+        }
+    }
+}
+
+// ============================================
+// Drawing objects
+// ============================================
+
+/**
+ * Write drawing editor objects on their drawing layer names.
+ */
+const writeDrawingObjects = (dxf, drawingObjects, drawingLayers) => {
+    const pt = ([x, y]) => ({ x, y })
+    for (const obj of Object.values(drawingObjects)) {
+        const layer = drawingLayers[obj.layerId]
+        if (!layer || !layer.visible) continue
+        const layerName = dxf.layer(sanitizeLayerName(layer.name), null)
+        const line = obj.strokeColor ? { color: obj.strokeColor, dashed: obj.lineType === 'dashed', dashSize: 3, gapSize: 2 } : null
+        const textColor = obj.textColor ?? obj.strokeColor ?? null
+        const closedPoints = (verts) => verts.slice(0, -1).map(pt) // remove closing duplicate
+
+        switch (obj.type) {
+            case 'freehand':
+                dxf.polyline(layerName, obj.points.map(pt), false, line)
+                break
+            case 'line':
+            case 'arrow':
+                dxf.line(layerName, pt(obj.start), pt(obj.end), line)
+                break
+            case 'rectangle': {
+                const [ox, oy] = obj.origin
+                dxf.polyline(layerName, [[ox, oy], [ox + obj.width, oy], [ox + obj.width, oy + obj.height], [ox, oy + obj.height]].map(pt), true, line)
+                break
+            }
+            case 'roundedRect':
+                dxf.polyline(layerName, closedPoints(generateRoundedRectPoints(obj.origin[0], obj.origin[1], obj.width, obj.height, obj.cornerRadius ?? 0)), true, line)
+                break
+            case 'polygon':
+                dxf.polyline(layerName, obj.points.map(pt), true, line)
+                break
+            case 'circle':
+                dxf.circle(layerName, pt(obj.center), obj.radius, line)
+                break
+            case 'ellipse':
+                dxf.ellipse(layerName, pt(obj.center), obj.radiusX, obj.radiusY, line)
+                break
+            case 'star':
+                dxf.polyline(layerName, closedPoints(generateStarPoints(obj.center[0], obj.center[1], obj.outerRadius, obj.innerRadius, obj.numPoints ?? 5)), true, line)
+                break
+            case 'octagon':
+                dxf.polyline(layerName, closedPoints(generateRegularPolygonPoints(obj.center[0], obj.center[1], obj.radius, 8)), true, line)
+                break
+            case 'leader':
+                dxf.line(layerName, pt(obj.targetPoint), pt(obj.textPosition), line)
+            // falls through
+            case 'text': {
+                const position = pt(obj.type === 'leader' ? obj.textPosition : obj.position)
+                const text = obj.text ?? ''
+                // Multi-line text keeps its line breaks as MTEXT
+                if (text.includes('\n')) dxf.mtext(layerName, position, obj.fontSize ?? 3, text, { color: textColor })
+                else dxf.text(layerName, position, obj.fontSize ?? 3, text, { color: textColor })
+                break
+            }
+        }
+    }
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Plan-view DXF of the district module: every lot at its block layout
+ * position, the road network, labels and drawing objects.
+ * @param {Object} lotsMap - entities.lots
+ * @param {string[]} entityOrder
+ * @param {Object} [options]
+ * @param {Object} [options.entityStyles] - Lot styles by lotId
+ * @param {Object} [options.lotVisibility] - Per-lot visibility by lotId
+ * @param {Object} [options.roadModules] - entities.roadModules
+ * @param {Object} [options.roadModuleStyles]
+ * @param {Object} [options.streetTypeLibrary]
+ * @param {Object} [options.layers] - viewSettings.layers
+ * @param {Object} [options.dimensionSettings] - styleSettings.dimensionSettings
+ * @param {Object} [options.annotationSettings]
+ * @param {Object} [options.annotationPositions]
+ * @param {Object} [options.annotationCustomLabels]
+ * @param {Object} [options.drawingObjects]
+ * @param {Object} [options.drawingLayers]
+ * @returns {string} DXF file content
+ */
+export const generateDistrictDXF = (lotsMap, entityOrder, options = {}) => {
+    const dxf = createDxfWriter()
+    const settings = { ...options, annotate: true }
+    const { placements, block } = computeBlockLayout(lotsMap, entityOrder, options.roadModules)
+    for (const { lotId, lot, index, x, y, rotation, streetSides } of placements) {
+        if (!lot) continue
+        writeLot(dxf, {
+            lotId,
+            lot,
+            placement: { x, y, rotation },
+            style: options.entityStyles?.[lotId],
+            streetSides,
+            visibility: options.lotVisibility?.[lotId],
+            lotIndex: index + 1,
+        }, settings)
+    }
+    writeRoads(dxf, options.roadModules, block, settings)
+    if (options.drawingObjects && options.drawingLayers) writeDrawingObjects(dxf, options.drawingObjects, options.drawingLayers)
+    return dxf.toString({ textHeight: options.dimensionSettings?.fontSize })
+}
+
+/**
+ * Entity-shaped lot from a comparison model (existing / proposed).
+ */
+const comparisonModelToLot = (model) => ({
+    lotWidth: model.lotWidth,
+    lotDepth: model.lotDepth,
+    lotGeometry: model.lotGeometry,
+    setbacks: {
+        principal: {
+            front: model.setbackFront,
+            rear: model.setbackRear,
+            sideInteriorLeft: model.setbackSideLeft,
+            sideInteriorRight: model.setbackSideRight,
+        },
+    },
+    buildingOrder: ['principal', 'accessory'],
+    buildings: {
+        principal: {
+            type: 'principal',
+            x: model.buildingX,
+            y: model.buildingY,
+            width: model.buildingWidth,
+            depth: model.buildingDepth,
+            stories: model.buildingStories ?? 1,
+            geometry: model.buildingGeometry,
+        },
+        accessory: {
+            type: 'accessory',
+            x: model.accessoryX,
+            y: model.accessoryY,
+            width: model.accessoryWidth,
+            depth: model.accessoryDepth,
+            stories: model.accessoryStories ?? 1,
+            geometry: model.accessoryBuildingGeometry,
+        },
+    },
+})
+
+/**
+ * Plan-view DXF of the comparison module: the existing lot left of the
+ * origin, the proposed lot right of it, and drawing objects.
+ * @param {Object} existingModel
+ * @param {Object} proposedModel
+ * @param {Object} [options]
+ * @param {Object} [options.styleSettings] - viewSettings.styleSettings (existing / proposed styles)
+ * @param {number} [options.lotSpacing] - Gap between the two lots
+ * @param {Object} [options.layers] - viewSettings.layers
+ * @param {Object} [options.dimensionSettings]
+ * @param {Object} [options.drawingObjects]
+ * @param {Object} [options.drawingLayers]
+ * @returns {string} DXF file content
+ */
+export const generateDXF = (existingModel, proposedModel, options = {}) => {
+    const dxf = createDxfWriter()
+    const spacing = options.lotSpacing ?? 0
+    const settings = { ...options, annotate: false }
+    const models = [
+        ['existing', existingModel, -(spacing / 2) - existingModel.lotWidth / 2],
+        ['proposed', proposedModel, spacing / 2 + proposedModel.lotWidth / 2],
+    ]
+    for (const [lotId, model, centerX] of models) {
+        writeLot(dxf, {
+            lotId,
+            lot: comparisonModelToLot(model),
+            placement: { x: centerX, y: model.lotDepth / 2, rotation: 0 },
+            style: options.styleSettings?.[lotId],
+        }, settings)
+    }
+    if (options.drawingObjects && options.drawingLayers) writeDrawingObjects(dxf, options.drawingObjects, options.drawingLayers)
+    return dxf.toString({ textHeight: options.dimensionSettings?.fontSize })
+}
+
+export default generateDXF
@@ -0,0 +1,228 @@
+import {
+    getLotPolygon,
+    getLotBuildings,
+    buildingExists,
+    getBuildingFootprint,
+    getBuildingLabel,
+    getSetbackPolygon,
+    signedArea,
+} from './lotGeometry'
+import { computeBlockLayout, lotToWorld } from './blockLayout'
+import { getRoadPlanGeometry } from './roadAlignment'
+import { projectToLonLat, lonLatToProject } from './siteLocation'
+
+/**
+ * GeoJSON Interchange
+ *
+ * Export writes the district as one FeatureCollection of Polygon features,
+ * told apart by properties.featureType:
+ * - 'lot':      parcel outline with its zoning values, keyed like APP_FIELDS
+ *               so a re-import auto-matches them
+ * - 'setback':  buildable area inside the principal min setback lines
+ * - 'building': footprint with stories and wall-top height (ft)
+ * - 'roadZone': one cross-section band of a road (surface or zone)
+ *
+ * Coordinates are either WGS84 longitude / latitude, placed with the site
+ * location and true north (siteLocation.js), or local project feet. Local
+ * files carry the foreign member `coordinateUnits: 'ft'`, since RFC 7946
+ * assumes WGS84.
+ *
+ * Import reads Polygon / MultiPolygon parcel features (any featureType other
+ * than 'building', 'setback' and 'roadZone') and 'building' footprints as
+ * shapes for cadImport.buildCadLots; parcel properties come back as header /
+ * row tables for the CSV field mapping.
+ */
+
+// Features of these types are never parcels
+const NON_PARCEL_TYPES = ['setback', 'roadZone']
+
+const round = (v, places) => {
+    const f = 10 ** places
+    return Math.round(v * f) / f
+}
+
+const wallHeight = (building) => {
+    const stories = building.stories ?? 1
+    if (stories <= 0) return 0
+    return (building.firstFloorHeight ?? 12) + Math.max(0, stories - 1) * (building.upperFloorHeight ?? 10)
+}
+
+/**
+ * Export
+ * @param {Object} lotsMap - entities.lots
+ * @param {string[]} entityOrder
+ * @param {Object} [options]
+ * @param {Object} [options.roadModules] - entities.roadModules
+ * @param {Object} [options.streetTypeLibrary]
+ * @param {Object} [options.siteLocation] - { latitude, longitude, trueNorth }
+ * @param {'geographic'|'local'} [options.coordinates] - WGS84 via the site, or local feet
+ * @param {string} [options.name] - FeatureCollection name
+ * @returns {string} GeoJSON text
+ */
+export const generateDistrictGeoJSON = (lotsMap, entityOrder, options = {}) => {
+    const local = options.coordinates === 'local'
+    const toCoordinate = (p) => (local
+        ? [round(p.x, 2), round(p.y, 2)]
+        : projectToLonLat(p, options.siteLocation).map(v => round(v, 8)))
+    // RFC 7946 rings: closed, exterior counterclockwise
+    const ring = (points) => {
+        const ccw = signedArea(points) < 0 ? [...points].reverse() : points
+        return [...ccw, ccw[0]].map(toCoordinate)
+    }
+    const feature = (points, properties) => ({
+        type: 'Feature',
+        properties,
+        geometry: { type: 'Polygon', coordinates: [ring(points)] },
+    })
+
+    const features = []
+    const { placements, block } = computeBlockLayout(lotsMap, entityOrder, options.roadModules)
+    for (const { lotId, lot, index, face, x, y, rotation, streetSides } of placements) {
+        if (!lot) continue
+        const toWorld = (p) => lotToWorld(p, { x, y, rotation })
+        const polygon = getLotPolygon(lot)
+        const principal = lot.setbacks?.principal ?? {}
+        const buildings = getLotBuildings(lot)
+
+        // Side setbacks follow the importer's APP_FIELDS routing: left = interior, right = side street
+        features.push(feature(polygon.map(toWorld), {
+            featureType: 'lot',
+            lotId,
+            name: `Lot ${index + 1}`,
+            blockFace: face,
+            lotWidth: lot.lotWidth,
+            lotDepth: lot.lotDepth,
+            lotArea: round(Math.abs(signedArea(polygon)), 2),
+            setbackFront: principal.front ?? null,
+            setbackRear: principal.rear ?? null,
+            setbackSideLeft: principal.sideInterior ?? null,
+            setbackSideRight: principal.minSideStreet ?? null,
+            maxHeight: lot.buildings?.principal?.maxHeight ?? null,
+            accessoryMaxHeight: lot.buildings?.accessory?.maxHeight ?? null,
+        }))
+
+        const setbackPolygon = getSetbackPolygon(lot, principal, streetSides)
+        if (setbackPolygon) {
+            features.push(feature(setbackPolygon.map(toWorld), {
+                featureType: 'setback',
+                lotId,
+                buildingType: 'principal',
+                area: round(Math.abs(signedArea(setbackPolygon)), 2),
+            }))
+        }
+
+        for (const building of buildings.filter(buildingExists)) {
+            const footprint = getBuildingFootprint(building)
+            features.push(feature(footprint.map(toWorld), {
+                featureType: 'building',
+                lotId,
+                buildingId: building.id,
+                buildingType: building.type,
+                name: getBuildingLabel(lot, building.id),
+                stories: building.stories,
+                height: wallHeight(building),
+                firstFloorHeight: building.firstFloorHeight ?? null,
+                upperFloorHeight: building.upperFloorHeight ?? null,
+                roofType: building.roof?.type ?? 'flat',
+                footprintArea: round(Math.abs(signedArea(footprint)), 2),
+            }))
+        }
+    }
+
+    for (const { roadId, road, bands } of getRoadPlanGeometry(options.roadModules, block, options.streetTypeLibrary)) {
+        for (const { zone, side, outline } of bands) {
+            features.push(feature(outline, {
+                featureType: 'roadZone',
+                roadId,
+                roadType: road.type ?? null,
+                direction: road.direction ?? null,
+                zoneType: zone?.type ?? 'roadSurface',
+                side,
+                width: zone ? zone.width : (road.roadWidth ?? 24),
+            }))
+        }
+    }
+
+    const collection = {
+        type: 'FeatureCollection',
+        name: options.name ?? 'zoning-district',
+        ...(local ? { coordinateUnits: 'ft' } : {}),
+        features,
+    }
+    return JSON.stringify(collection, null, 2)
+}
+
+// ============================================
+// Import
+// ============================================
+
+// Outer ring of each polygon in a Polygon / MultiPolygon geometry
+const getOuterRings = (geometry) => {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates?.[0]]
+    if (geometry?.type === 'MultiPolygon') return (geometry.coordinates ?? []).map(polygon => polygon?.[0])
+    return []
+}
+
+const isLonLat = ([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90
+
+const cellValue = (value) => (value == null || typeof value === 'object' ? '' : String(value))
+
+/**
+ * Parcels and building footprints of a GeoJSON document.
+ * @param {Object} geojson - Parsed FeatureCollection, Feature or geometry
+ * @param {Object} [siteLocation] - { trueNorth } turns geographic data into project axes
+ * @returns {{
+ *   geographic: boolean,
+ *   units: string|null,
+ *   headers: string[],
+ *   rows: string[][],
+ *   shapes: Array<{ layer: 'parcel'|'building', points: Array<{x: number, y: number}>, closed: boolean, rowIndex?: number }>,
+ * }} Geographic coordinates come back in feet (units 'feet'); projected ones in
+ *   their own units, which are 'feet' only when the file says so. One row per
+ *   parcel feature; each parcel shape carries the index of its row.
+ */
+export const parseGeoJSONParcels = (geojson, siteLocation = {}) => {
+    const features = geojson?.type === 'FeatureCollection'
+        ? geojson.features ?? []
+        : geojson?.type === 'Feature' ? [geojson] : [{ type: 'Feature', properties: {}, geometry: geojson }]
+    const entries = features
+        .map(f => ({ properties: f?.properties ?? {}, rings: getOuterRings(f?.geometry).filter(r => Array.isArray(r) && r.length >= 4) }))
+        .filter(e => e.rings.length > 0 && !NON_PARCEL_TYPES.includes(e.properties.featureType))
+    if (entries.length === 0) throw new Error('No Polygon or MultiPolygon features found.')
+
+    // WGS84 data goes through a tangent plane at its own center, turned by the site's true north
+    const allPoints = entries.flatMap(e => e.rings.flat())
+    const geographic = geojson?.coordinateUnits !== 'ft' && allPoints.every(isLonLat)
+    let toPoint = ([x, y]) => ({ x, y })
+    if (geographic) {
+        const lons = allPoints.map(p => p[0])
+        const lats = allPoints.map(p => p[1])
+        const origin = {
+            longitude: (Math.min(...lons) + Math.max(...lons)) / 2,
+            latitude: (Math.min(...lats) + Math.max(...lats)) / 2,
+            trueNorth: siteLocation?.trueNorth ?? 0,
+        }
+        toPoint = (p) => lonLatToProject(p, origin)
+    }
+
+    const parcels = entries.filter(e => e.properties.featureType !== 'building')
+    const headers = [...new Set(parcels.flatMap(e => Object.keys(e.properties)))].filter(h => h !== 'featureType')
+    const rows = parcels.map(e => headers.map(h => cellValue(e.properties[h])))
+
+    const shapes = []
+    for (const e of entries) {
+        const building = e.properties.featureType === 'building'
+        // MultiPolygon parcels become one lot: their largest part
+        const rings = e.rings.map(r => r.slice(0, -1).map(toPoint))
+        const parts = building ? rings : [rings.reduce((best, r) => (Math.abs(signedArea(r)) > Math.abs(signedArea(best)) ? r : best))]
+        for (const points of parts) {
+            shapes.push({
+                layer: building ? 'building' : 'parcel',
+                points,
+                closed: true,
+                ...(building ? {} : { rowIndex: parcels.indexOf(e) }),
+            })
+        }
+    }
+    return { geographic, units: geographic || geojson?.coordinateUnits === 'ft' ? 'feet' : null, headers, rows, shapes }
+}
@@ -0,0 +1,228 @@
+/**
+ * Animated GIF Encoder
+ *
+ * Minimal GIF89a writer for exporting frame sequences in the browser:
+ * - one global 256-color palette, built by median cut over a 15-bit color
+ *   histogram of every frame (shadow studies change little between frames)
+ * - LZW-compressed frames with a fixed delay and a NETSCAPE2.0 loop block
+ *
+ * Frames are RGBA pixel arrays (ImageData.data); partly transparent pixels
+ * are composited on white.
+ */
+
+const MAX_COLORS = 256
+const MAX_CODE = 4096
+const BUCKETS = 1 << 15
+
+// Growable byte buffer
+const createWriter = () => {
+    let bytes = new Uint8Array(1 << 16)
+    let length = 0
+    const ensure = (n) => {
+        if (length + n <= bytes.length) return
+        const next = new Uint8Array(Math.max(bytes.length * 2, length + n))
+        next.set(bytes.subarray(0, length))
+        bytes = next
+    }
+    return {
+        byte: (b) => { ensure(1); bytes[length++] = b },
+        word: (w) => { ensure(2); bytes[length++] = w & 0xff; bytes[length++] = (w >> 8) & 0xff },
+        string: (s) => { ensure(s.length); for (let i = 0; i < s.length; i++) bytes[length++] = s.charCodeAt(i) },
+        array: (a) => { ensure(a.length); bytes.set(a, length); length += a.length },
+        result: () => bytes.slice(0, length),
+    }
+}
+
+// 5-5-5 bucket of a pixel composited on white
+const bucketOf = (data, i) => {
+    const a = data[i + 3]
+    const r = a === 255 ? data[i] : Math.round((data[i] * a + 255 * (255 - a)) / 255)
+    const g = a === 255 ? data[i + 1] : Math.round((data[i + 1] * a + 255 * (255 - a)) / 255)
+    const b = a === 255 ? data[i + 2] : Math.round((data[i + 2] * a + 255 * (255 - a)) / 255)
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3)
+}
+
+const channelOf = (bucket, c) => (bucket >> (10 - 5 * c)) & 31
+
+// Median cut: split the box with the widest channel range at its weighted median
+const buildPalette = (histogram) => {
+    const used = []
+    for (let k = 0; k < BUCKETS; k++) if (histogram[k]) used.push(k)
+    const boxes = [used]
+    while (boxes.length < MAX_COLORS) {
+        let best = -1, bestRange = 0, bestChannel = 0
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return
+            for (let c = 0; c < 3; c++) {
+                let min = 31, max = 0
+                for (const k of box) {
+                    const v = channelOf(k, c)
+                    if (v < min) min = v
+                    if (v > max) max = v
+                }
+                if (max - min > bestRange) {
+                    best = index
+                    bestRange = max - min
+                    bestChannel = c
+                }
+            }
+        })
+        if (best < 0) break
+        const box = boxes[best].sort((a, b) => channelOf(a, bestChannel) - channelOf(b, bestChannel))
+        const total = box.reduce((sum, k) => sum + histogram[k], 0)
+        let acc = 0, split = 1
+        for (let i = 0; i < box.length - 1; i++) {
+            acc += histogram[box[i]]
+            split = i + 1
+            if (acc >= total / 2) break
+        }
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split))
+    }
+    return boxes.map((box) => {
+        const sum = [0, 0, 0]
+        let count = 0
+        for (const k of box) {
+            const n = histogram[k]
+            for (let c = 0; c < 3; c++) sum[c] += (channelOf(k, c) * 8 + 4) * n
+            count += n
+        }
+        return sum.map(v => Math.round(v / Math.max(1, count)))
+    })
+}
+
+// Nearest palette entry per bucket, filled lazily
+const createColorMap = (palette) => {
+    const cache = new Int16Array(BUCKETS).fill(-1)
+    return (bucket) => {
+        if (cache[bucket] >= 0) return cache[bucket]
+        const r = channelOf(bucket, 0) * 8 + 4
+        const g = channelOf(bucket, 1) * 8 + 4
+        const b = channelOf(bucket, 2) * 8 + 4
+        let best = 0, bestDist = Infinity
+        palette.forEach(([pr, pg, pb], i) => {
+            const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2
+            if (d < bestDist) { best = i; bestDist = d }
+        })
+        cache[bucket] = best
+        return best
+    }
+}
+
+// Variable-width LZW (GIF flavor), packed LSB first into 255-byte sub-blocks
+const writeLzw = (writer, indices, minCodeSize = 8) => {
+    const clearCode = 1 << minCodeSize
+    const endCode = clearCode + 1
+    const block = []
+    let bitBuffer = 0, bitCount = 0
+    let codeSize = minCodeSize + 1
+    let next = endCode + 1
+    let dict = new Map()
+
+    const flushBlock = () => {
+        writer.byte(block.length)
+        writer.array(block)
+        block.length = 0
+    }
+    const emit = (code) => {
+        bitBuffer |= code << bitCount
+        bitCount += codeSize
+        while (bitCount >= 8) {
+            block.push(bitBuffer & 0xff)
+            bitBuffer >>= 8
+            bitCount -= 8
+            if (block.length === 255) flushBlock()
+        }
+    }
+    // Widen codes once the table outgrows them (after writing, as the decoder lags one entry)
+    const grow = () => {
+        if (next >= (1 << codeSize) && codeSize < 12) codeSize++
+    }
+
+    writer.byte(minCodeSize)
+    emit(clearCode)
+    let prefix = indices[0]
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i]
+        const key = (prefix << 8) | k
+        const code = dict.get(key)
+        if (code !== undefined) {
+            prefix = code
+            continue
+        }
+        emit(prefix)
+        grow()
+        if (next < MAX_CODE) {
+            dict.set(key, next++)
+        } else {
+            emit(clearCode)
+            dict = new Map()
+            codeSize = minCodeSize + 1
+            next = endCode + 1
+        }
+        prefix = k
+    }
+    emit(prefix)
+    grow()
+    emit(endCode)
+    if (bitCount > 0) block.push(bitBuffer & 0xff)
+    if (block.length > 0) flushBlock()
+    writer.byte(0)
+}
+
+/**
+ * Encodes RGBA frames as a looping animated GIF.
+ * @param {Uint8ClampedArray[]} frames - RGBA pixels, width * height * 4 each
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.delay] - Milliseconds per frame (GIF stores hundredths)
+ * @param {number} [options.loop] - Repeat count, 0 = forever
+ * @returns {Uint8Array} GIF file bytes
+ */
+export const encodeGif = (frames, width, height, { delay = 500, loop = 0 } = {}) => {
+    const histogram = new Uint32Array(BUCKETS)
+    for (const data of frames) {
+        for (let i = 0; i < data.length; i += 4) histogram[bucketOf(data, i)]++
+    }
+    const palette = buildPalette(histogram)
+    const mapColor = createColorMap(palette)
+
+    const w = createWriter()
+    w.string('GIF89a')
+    w.word(width)
+    w.word(height)
+    w.byte(0xf7) // global color table, 8 bits per channel, 256 entries
+    w.byte(0)
+    w.byte(0)
+    for (let i = 0; i < MAX_COLORS; i++) {
+        const [r, g, b] = palette[i] ?? [0, 0, 0]
+        w.byte(r)
+        w.byte(g)
+        w.byte(b)
+    }
+
+    w.byte(0x21); w.byte(0xff); w.byte(11)
+    w.string('NETSCAPE2.0')
+    w.byte(3); w.byte(1)
+    w.word(loop)
+    w.byte(0)
+
+    const indices = new Uint8Array(width * height)
+    for (const data of frames) {
+        // Graphic control extension: no disposal, no transparency
+        w.byte(0x21); w.byte(0xf9); w.byte(4)
+        w.byte(0x04)
+        w.word(Math.round(delay / 10))
+        w.byte(0)
+        w.byte(0)
+        // Image descriptor covering the full canvas
+        w.byte(0x2c)
+        w.word(0); w.word(0)
+        w.word(width); w.word(height)
+        w.byte(0)
+        for (let p = 0; p < indices.length; p++) indices[p] = mapColor(bucketOf(data, p * 4))
+        writeLzw(w, indices)
+    }
+    w.byte(0x3b)
+    return w.result()
+}
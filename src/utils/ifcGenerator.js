@@ -1,20 +1,43 @@
+import { getLotBuildings, getBuildingLabel, getLotPolygon, getSetbackPolygon, getFrontZonePolygon, getBuildingFootprint, buildingExists, signedArea } from './lotGeometry'
+import { getImportedModelFootprint } from './importedModelCompliance'
+import { computeBlockLayout, lotToWorld } from './blockLayout'
+import { computeEnvelopeLevels } from './zoningEnvelope'
+import { generateRoofGeometry } from './roofGeometry'
+import { getRoadPlanGeometry } from './roadAlignment'
+import { ROAD_ZONE_TYPES } from './roadZones'
+
 /**
  * IFC-SPF Generator for Zoning Comparison App
  * Generates IFC4 compliant STEP Physical Format files
  *
- * Spatial hierarchy:
+ * Comparison spatial hierarchy:
  * IfcProject
  *   └── IfcSite (one per model - existing/proposed)
  *         └── IfcBuilding
  *               └── IfcBuildingStorey
  *                     ├── IfcSlab (lot surface)
  *                     ├── IfcBuildingElementProxy (building mass)
- *                     └── IfcAnnotation (setback lines)
+ *                     └── IfcBuildingElementProxy (setback lines)
+ *
+ * District spatial hierarchy (lots placed by computeBlockLayout):
+ * IfcProject
+ *   ├── IfcSite (one per lot, 'ZoningParameters' property set)
+ *   │     ├── IfcSlab (lot surface), setback lines, zoning envelope
+ *   │     ├── IfcBuildingElementProxy (build-to zone, imported model masses)
+ *   │     └── IfcBuilding (one per building on the lot)
+ *   │           └── IfcBuildingStorey (one per story, at its floor elevation)
+ *   │                 ├── IfcBuildingElementProxy (story mass)
+ *   │                 └── IfcRoof → IfcSlab .ROOF. (pitched roof, top story)
+ *   └── IfcSite 'Streets'
+ *         └── IfcCivilElement (one per road surface / cross-section zone)
  */
 
 // Entity ID counter for #n= syntax
 let entityId = 0
 
+// IfcLocalPlacement of each spatial element, so its contents can be placed relative to it
+let productPlacements = {}
+
 /**
  * Generate a unique entity ID
  */
@@ -41,6 +64,37 @@ const fmt = (n) => {
     return val.toFixed(6).replace(/\.?0+$/, '')
 }
 
+/**
+ * Generate IfcLocalPlacement relative to a spatial element (world when none), raised by z
+ */
+const generatePlacement = (entities, contextIds, relativeTo = null, z = 0) => {
+    let axisId = contextIds.worldPlacement
+    if (z) {
+        const pointId = nextId()
+        entities.push(`#${pointId}=IFCCARTESIANPOINT((0.,0.,${fmt(z)}));`)
+        axisId = nextId()
+        entities.push(`#${axisId}=IFCAXIS2PLACEMENT3D(#${pointId},$,$);`)
+    }
+    const relativeRef = relativeTo != null && productPlacements[relativeTo] ? `#${productPlacements[relativeTo]}` : '$'
+    const placementId = nextId()
+    entities.push(`#${placementId}=IFCLOCALPLACEMENT(${relativeRef},#${axisId});`)
+    return placementId
+}
+
+/**
+ * Decimal degrees as an IfcCompoundPlaneAngleMeasure (degrees, minutes,
+ * seconds, millionths of a second; every part carries the sign)
+ */
+const toCompoundAngle = (decimal) => {
+    const sign = decimal < 0 ? -1 : 1
+    const totalMicro = Math.round(Math.abs(decimal) * 3600 * 1e6)
+    const degrees = Math.floor(totalMicro / 3.6e9)
+    const minutes = Math.floor((totalMicro % 3.6e9) / 6e7)
+    const seconds = Math.floor((totalMicro % 6e7) / 1e6)
+    const micro = totalMicro % 1e6
+    return `(${[degrees, minutes, seconds, micro].map(v => sign * v).join(',')})`
+}
+
 /**
  * Generate IFC header section
  */
@@ -65,8 +119,9 @@ END-ISO-10303-21;
 
 /**
  * Generate shared context entities (coordinate system, units, etc.)
+ * @param {number} [trueNorth] - Site true-north rotation (degrees clockwise from +Y)
  */
-const generateContext = (entities) => {
+const generateContext = (entities, trueNorth = 0) => {
     const ids = {}
 
     // Origin point (0,0,0)
@@ -115,21 +170,39 @@ const generateContext = (entities) => {
     ids.footUnit = nextId()
     entities.push(`#${ids.footUnit}=IFCCONVERSIONBASEDUNIT(#${ids.dimExp},.LENGTHUNIT.,'FOOT',#${ids.convFactor});`)
 
-    // Area unit (square foot)
+    // Area unit (square foot = 0.09290304 square metres)
     ids.siArea = nextId()
     entities.push(`#${ids.siArea}=IFCSIUNIT(*,.AREAUNIT.,$,.SQUARE_METRE.);`)
 
+    ids.areaDimExp = nextId()
+    entities.push(`#${ids.areaDimExp}=IFCDIMENSIONALEXPONENTS(2,0,0,0,0,0,0);`)
+
+    ids.areaConvFactor = nextId()
+    entities.push(`#${ids.areaConvFactor}=IFCMEASUREWITHUNIT(IFCAREAMEASURE(0.09290304),#${ids.siArea});`)
+
+    ids.squareFootUnit = nextId()
+    entities.push(`#${ids.squareFootUnit}=IFCCONVERSIONBASEDUNIT(#${ids.areaDimExp},.AREAUNIT.,'SQUARE FOOT',#${ids.areaConvFactor});`)
+
     // Plane angle unit (degree)
     ids.siAngle = nextId()
     entities.push(`#${ids.siAngle}=IFCSIUNIT(*,.PLANEANGLEUNIT.,$,.RADIAN.);`)
 
     // Unit assignment
     ids.unitAssignment = nextId()
-    entities.push(`#${ids.unitAssignment}=IFCUNITASSIGNMENT((#${ids.footUnit},#${ids.siArea},#${ids.siAngle}));`)
+    entities.push(`#${ids.unitAssignment}=IFCUNITASSIGNMENT((#${ids.footUnit},#${ids.squareFootUnit},#${ids.siAngle}));`)
+
+    // True north in project coordinates (omitted when +Y is north)
+    let trueNorthRef = '$'
+    if (trueNorth) {
+        const angle = (trueNorth * Math.PI) / 180
+        ids.trueNorth = nextId()
+        entities.push(`#${ids.trueNorth}=IFCDIRECTION((${fmt(Math.sin(angle))},${fmt(Math.cos(angle))}));`)
+        trueNorthRef = `#${ids.trueNorth}`
+    }
 
     // Geometric representation context (3D)
     ids.context3D = nextId()
-    entities.push(`#${ids.context3D}=IFCGEOMETRICREPRESENTATIONCONTEXT($,'Model',3,1.E-05,#${ids.worldPlacement},$);`)
+    entities.push(`#${ids.context3D}=IFCGEOMETRICREPRESENTATIONCONTEXT($,'Model',3,1.E-05,#${ids.worldPlacement},${trueNorthRef});`)
 
     // Sub-context for body geometry
     ids.contextBody = nextId()
@@ -208,28 +281,35 @@ const generateLotBoundary = (entities, model, contextIds, offsetX, offsetY) => {
 }
 
 /**
- * Generate IfcSite entity with lot boundary
+ * Generate IfcSite entity with lot boundary (none without a model), geo-referenced
+ * when a site location is given
  */
-const generateSite = (entities, model, contextIds, ownerHistory, name, offsetX, offsetY) => {
+const generateSite = (entities, model, contextIds, ownerHistory, name, offsetX, offsetY, siteLocation = null) => {
     const guid = generateGUID()
 
     // Local placement at world origin
-    const placementId = nextId()
-    entities.push(`#${placementId}=IFCLOCALPLACEMENT($,#${contextIds.worldPlacement});`)
+    const placementId = generatePlacement(entities, contextIds)
 
-    // Generate lot boundary
-    const boundaryId = generateLotBoundary(entities, model, contextIds, offsetX, offsetY)
+    let productShapeRef = '$'
+    if (model) {
+        // Generate lot boundary
+        const boundaryId = generateLotBoundary(entities, model, contextIds, offsetX, offsetY)
 
-    // Shape representation for site footprint
-    const shapeRepId = nextId()
-    entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextFootprint},'FootPrint','Curve2D',(#${boundaryId}));`)
+        // Shape representation for site footprint
+        const shapeRepId = nextId()
+        entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextFootprint},'FootPrint','Curve2D',(#${boundaryId}));`)
 
-    const productShapeId = nextId()
-    entities.push(`#${productShapeId}=IFCPRODUCTDEFINITIONSHAPE($,$,(#${shapeRepId}));`)
+        const productShapeId = nextId()
+        entities.push(`#${productShapeId}=IFCPRODUCTDEFINITIONSHAPE($,$,(#${shapeRepId}));`)
+        productShapeRef = `#${productShapeId}`
+    }
 
     // Create site entity
     const siteId = nextId()
-    entities.push(`#${siteId}=IFCSITE('${guid}',#${ownerHistory},'${name} Site',$,$,#${placementId},#${productShapeId},$,.ELEMENT.,$,$,$,$,$);`)
+    const refLatitude = siteLocation?.latitude != null ? toCompoundAngle(siteLocation.latitude) : '$'
+    const refLongitude = siteLocation?.longitude != null ? toCompoundAngle(siteLocation.longitude) : '$'
+    entities.push(`#${siteId}=IFCSITE('${guid}',#${ownerHistory},'${name} Site',$,$,#${placementId},${productShapeRef},$,.ELEMENT.,${refLatitude},${refLongitude},$,$,$);`)
+    productPlacements[siteId] = placementId
 
     return siteId
 }
@@ -241,35 +321,27 @@ const generateBuilding = (entities, contextIds, ownerHistory, siteId, name) => {
     const guid = generateGUID()
 
     // Local placement relative to site
-    const placementId = nextId()
-    entities.push(`#${placementId}=IFCLOCALPLACEMENT(#${siteId},$);`)
+    const placementId = generatePlacement(entities, contextIds, siteId)
 
     const buildingId = nextId()
     entities.push(`#${buildingId}=IFCBUILDING('${guid}',#${ownerHistory},'${name}',$,$,#${placementId},$,$,.ELEMENT.,$,$,$);`)
+    productPlacements[buildingId] = placementId
 
     return buildingId
 }
 
 /**
- * Generate IfcBuildingStorey entity
+ * Generate IfcBuildingStorey entity, placed at its elevation above the building
  */
-const generateStorey = (entities, contextIds, ownerHistory, buildingId, elevation = 0) => {
+const generateStorey = (entities, contextIds, ownerHistory, buildingId, elevation = 0, name = 'Ground Floor') => {
     const guid = generateGUID()
 
-    // Create elevation point
-    const elevPoint = nextId()
-    entities.push(`#${elevPoint}=IFCCARTESIANPOINT((0.,0.,${fmt(elevation)}));`)
-
-    // Axis placement at elevation
-    const axisPlacement = nextId()
-    entities.push(`#${axisPlacement}=IFCAXIS2PLACEMENT3D(#${elevPoint},$,$);`)
-
-    // Local placement relative to building
-    const placementId = nextId()
-    entities.push(`#${placementId}=IFCLOCALPLACEMENT(#${buildingId},#${axisPlacement});`)
+    // Local placement relative to building, raised to the floor elevation
+    const placementId = generatePlacement(entities, contextIds, buildingId, elevation)
 
     const storeyId = nextId()
-    entities.push(`#${storeyId}=IFCBUILDINGSTOREY('${guid}',#${ownerHistory},'Ground Floor',$,$,#${placementId},$,$,.ELEMENT.,${fmt(elevation)});`)
+    entities.push(`#${storeyId}=IFCBUILDINGSTOREY('${guid}',#${ownerHistory},'${name}',$,$,#${placementId},$,$,.ELEMENT.,${fmt(elevation)});`)
+    productPlacements[storeyId] = placementId
 
     return storeyId
 }
@@ -322,8 +394,7 @@ const generateLotSurface = (entities, model, contextIds, ownerHistory, storeyId,
     const vertices = getLotVertices(model, offsetX, offsetY)
 
     // Local placement relative to storey
-    const placementId = nextId()
-    entities.push(`#${placementId}=IFCLOCALPLACEMENT(#${storeyId},$);`)
+    const placementId = generatePlacement(entities, contextIds, storeyId)
 
     // Generate thin slab (0.1 feet thick, slightly below ground)
     const solidId = generateExtrudedSolidFromVertices(entities, vertices, 0.1, contextIds, -0.1)
@@ -393,10 +464,10 @@ const generateLineStrip = (entities, start, end, width, height, contextIds, zOff
 
 /**
  * Generate setback lines as thin extruded solids (visible in SketchUp)
+ * @param {Array<{x: number, y: number}>} vertices - Setback boundary in world coordinates
  */
-const generateSetbackLines = (entities, model, contextIds, ownerHistory, storeyId, name, offsetX, offsetY) => {
+const generateSetbackLines = (entities, vertices, contextIds, ownerHistory, storeyId, name) => {
     const guid = generateGUID()
-    const vertices = getSetbackVertices(model, offsetX, offsetY)
 
     // Line strip dimensions
     const lineWidth = 0.5  // 6 inches wide
@@ -404,10 +475,9 @@ const generateSetbackLines = (entities, model, contextIds, ownerHistory, storeyI
     const zOffset = 0.05   // Slightly above ground
 
     // Local placement relative to storey
-    const placementId = nextId()
-    entities.push(`#${placementId}=IFCLOCALPLACEMENT(#${storeyId},$);`)
+    const placementId = generatePlacement(entities, contextIds, storeyId)
 
-    // Generate 4 line strips for the setback rectangle
+    // Generate one line strip per setback boundary edge
     const solidIds = []
     for (let i = 0; i < vertices.length; i++) {
         const start = vertices[i]
@@ -416,7 +486,7 @@ const generateSetbackLines = (entities, model, contextIds, ownerHistory, storeyI
         if (solidId) solidIds.push(solidId)
     }
 
-    // Shape representation with all 4 strips
+    // Shape representation with all strips
     const shapeRepId = nextId()
     const solidRefs = solidIds.map(id => `#${id}`).join(',')
     entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextBody},'Body','SweptSolid',(${solidRefs}));`)
@@ -435,7 +505,6 @@ const generateSetbackLines = (entities, model, contextIds, ownerHistory, storeyI
  * Generate IfcBuildingElementProxy for building mass
  */
 const generateBuildingMass = (entities, model, contextIds, ownerHistory, storeyId, name, offsetX, offsetY) => {
-    const guid = generateGUID()
     const { buildingWidth, buildingDepth, buildingHeight, buildingX, buildingY } = model
 
     // Building center position (with model offset)
@@ -452,12 +521,20 @@ const generateBuildingMass = (entities, model, contextIds, ownerHistory, storeyI
         { x: cx - w2, y: cy + d2 }
     ]
 
+    return generateFootprintMass(entities, vertices, buildingHeight, contextIds, ownerHistory, storeyId, name)
+}
+
+/**
+ * Generate IfcBuildingElementProxy extruding a footprint (world coordinates) from the storey floor
+ */
+const generateFootprintMass = (entities, vertices, height, contextIds, ownerHistory, storeyId, name) => {
+    const guid = generateGUID()
+
     // Local placement relative to storey
-    const placementId = nextId()
-    entities.push(`#${placementId}=IFCLOCALPLACEMENT(#${storeyId},$);`)
+    const placementId = generatePlacement(entities, contextIds, storeyId)
 
     // Generate solid geometry
-    const solidId = generateExtrudedSolidFromVertices(entities, vertices, buildingHeight, contextIds, 0)
+    const solidId = generateExtrudedSolidFromVertices(entities, vertices, height, contextIds, 0)
 
     // Shape representation
     const shapeRepId = nextId()
@@ -473,6 +550,82 @@ const generateBuildingMass = (entities, model, contextIds, ownerHistory, storeyI
     return { elementId, shapeRepId }
 }
 
+/**
+ * Generate IfcFacetedBrep lofted through stacked envelope levels
+ * (each level is a polygon with the same vertex count at height z)
+ */
+const generateLoftedBrep = (entities, levels, offsetX, offsetY) => {
+    const pointIds = levels.map(({ z, polygon }) => polygon.map(v => {
+        const id = nextId()
+        entities.push(`#${id}=IFCCARTESIANPOINT((${fmt(v.x + offsetX)},${fmt(v.y + offsetY)},${fmt(z)}));`)
+        return id
+    }))
+
+    const faceIds = []
+    const addFace = (ids) => {
+        const loopId = nextId()
+        entities.push(`#${loopId}=IFCPOLYLOOP((${ids.map(id => `#${id}`).join(',')}));`)
+        const boundId = nextId()
+        entities.push(`#${boundId}=IFCFACEOUTERBOUND(#${loopId},.T.);`)
+        const faceId = nextId()
+        entities.push(`#${faceId}=IFCFACE((#${boundId}));`)
+        faceIds.push(faceId)
+    }
+
+    // Caps: bottom reversed so both face outward
+    addFace([...pointIds[0]].reverse())
+    addFace(pointIds[pointIds.length - 1])
+
+    for (let l = 0; l + 1 < pointIds.length; l++) {
+        const lower = pointIds[l]
+        const upper = pointIds[l + 1]
+        for (let i = 0; i < lower.length; i++) {
+            const j = (i + 1) % lower.length
+            addFace([lower[i], lower[j], upper[j], upper[i]])
+        }
+    }
+
+    const shellId = nextId()
+    entities.push(`#${shellId}=IFCCLOSEDSHELL((${faceIds.map(id => `#${id}`).join(',')}));`)
+    const brepId = nextId()
+    entities.push(`#${brepId}=IFCFACETEDBREP(#${shellId});`)
+    return brepId
+}
+
+/**
+ * Generate IfcBuildingElementProxy for the zoning envelope. A plain prism is
+ * written as an extrusion; daylight planes / stepbacks need a faceted B-rep.
+ */
+const generateEnvelopeMass = (entities, levels, contextIds, ownerHistory, storeyId, name, offsetX, offsetY) => {
+    const guid = generateGUID()
+    const placementId = generatePlacement(entities, contextIds, storeyId)
+
+    let shapeRepId
+    if (levels.length === 2) {
+        const shifted = levels[0].polygon.map(v => ({ x: v.x + offsetX, y: v.y + offsetY }))
+        const solidId = generateExtrudedSolidFromVertices(entities, shifted, levels[1].z, contextIds, 0)
+        shapeRepId = nextId()
+        entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextBody},'Body','SweptSolid',(#${solidId}));`)
+    } else {
+        const brepId = generateLoftedBrep(entities, levels, offsetX, offsetY)
+        shapeRepId = nextId()
+        entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextBody},'Body','Brep',(#${brepId}));`)
+    }
+
+    const productShapeId = nextId()
+    entities.push(`#${productShapeId}=IFCPRODUCTDEFINITIONSHAPE($,$,(#${shapeRepId}));`)
+
+    const elementId = nextId()
+    entities.push(`#${elementId}=IFCBUILDINGELEMENTPROXY('${guid}',#${ownerHistory},'${name}','Zoning building envelope',$,#${placementId},#${productShapeId},$,.NOTDEFINED.);`)
+
+    return { elementId, shapeRepId }
+}
+
+/**
+ * Escape a user-entered name for a STEP string (single quotes are doubled)
+ */
+const stepString = (text) => String(text).replace(/'/g, "''")
+
 /**
  * Generate IfcRelAggregates for spatial hierarchy
  */
@@ -510,12 +663,13 @@ const generateLayerAssignment = (entities, layerName, shapeRepIds) => {
  * Main export function - generates complete IFC file
  * @param {Object} existingModel - The "existing" model data from store
  * @param {Object} proposedModel - The "proposed" model data from store
- * @param {Object} options - Export options (e.g., lotSpacing)
+ * @param {Object} options - Export options (lotSpacing, siteLocation)
  * @returns {string} - Complete IFC-SPF file content
  */
 export const generateIFC = (existingModel, proposedModel, options = {}) => {
     // Reset entity counter
     entityId = 0
+    productPlacements = {}
     const entities = []
 
     // Calculate model offsets to match scene positioning
@@ -532,14 +686,14 @@ export const generateIFC = (existingModel, proposedModel, options = {}) => {
     const proposedOffsetY = proposedModel.lotDepth / 2
 
     // 1. Generate shared context
-    const contextIds = generateContext(entities)
+    const contextIds = generateContext(entities, options.siteLocation?.trueNorth)
 
     // 2. Generate project
     const { projectId, ownerHistory } = generateProject(entities, contextIds)
 
     // 3. Generate sites (one for each model)
-    const existingSiteId = generateSite(entities, existingModel, contextIds, ownerHistory, 'Existing', existingOffsetX, existingOffsetY)
-    const proposedSiteId = generateSite(entities, proposedModel, contextIds, ownerHistory, 'Proposed', proposedOffsetX, proposedOffsetY)
+    const existingSiteId = generateSite(entities, existingModel, contextIds, ownerHistory, 'Existing', existingOffsetX, existingOffsetY, options.siteLocation)
+    const proposedSiteId = generateSite(entities, proposedModel, contextIds, ownerHistory, 'Proposed', proposedOffsetX, proposedOffsetY, options.siteLocation)
 
     // 4. Aggregate sites to project
     generateAggregation(entities, ownerHistory, projectId, [existingSiteId, proposedSiteId])
@@ -565,8 +719,8 @@ export const generateIFC = (existingModel, proposedModel, options = {}) => {
     const proposedLot = generateLotSurface(entities, proposedModel, contextIds, ownerHistory, proposedStoreyId, 'Proposed Lot', proposedOffsetX, proposedOffsetY)
 
     // 10. Generate setback lines
-    const existingSetback = generateSetbackLines(entities, existingModel, contextIds, ownerHistory, existingStoreyId, 'Existing Setbacks', existingOffsetX, existingOffsetY)
-    const proposedSetback = generateSetbackLines(entities, proposedModel, contextIds, ownerHistory, proposedStoreyId, 'Proposed Setbacks', proposedOffsetX, proposedOffsetY)
+    const existingSetback = generateSetbackLines(entities, getSetbackVertices(existingModel, existingOffsetX, existingOffsetY), contextIds, ownerHistory, existingStoreyId, 'Existing Setbacks')
+    const proposedSetback = generateSetbackLines(entities, getSetbackVertices(proposedModel, proposedOffsetX, proposedOffsetY), contextIds, ownerHistory, proposedStoreyId, 'Proposed Setbacks')
 
     // 11. Generate building masses
     const existingMass = generateBuildingMass(entities, existingModel, contextIds, ownerHistory, existingStoreyId, 'Existing Mass', existingOffsetX, existingOffsetY)
@@ -590,67 +744,194 @@ export const generateIFC = (existingModel, proposedModel, options = {}) => {
 }
 
 /**
- * Compute total building height from story-based parameters
- * @param {Object} building - Building sub-object with firstFloorHeight, upperFloorHeight, stories
- * @returns {number} - Total building height
+ * Floor elevation and floor-to-floor height of each story of a building
+ * @param {Object} building - Entity building with stories, firstFloorHeight, upperFloorHeight
+ * @returns {Array<{ elevation: number, height: number }>}
  */
-const computeBuildingHeight = (building) => {
-    const stories = building.stories || 1
-    const firstFloor = building.firstFloorHeight || 12
-    const upperFloor = building.upperFloorHeight || 10
-    if (stories <= 1) return firstFloor
-    return firstFloor + (stories - 1) * upperFloor
+const getStoryLevels = (building) => {
+    const firstFloor = building.firstFloorHeight ?? 12
+    const upperFloor = building.upperFloorHeight ?? 10
+    const stories = Math.max(1, Math.round(building.stories ?? 1))
+    return Array.from({ length: stories }, (_, i) => ({
+        elevation: i === 0 ? 0 : firstFloor + (i - 1) * upperFloor,
+        height: i === 0 ? firstFloor : upperFloor,
+    }))
 }
 
 /**
- * Create a temporary model object compatible with existing helper functions
- * from an entity lot's building sub-object (principal or accessory)
- * @param {Object} building - buildings.principal or buildings.accessory from entity lot
- * @returns {Object} - Model with buildingWidth, buildingDepth, buildingHeight, buildingX, buildingY
+ * Generate IfcFacetedBrep from planar faces (3D point loops, counterclockwise seen from outside)
  */
-const buildingToModel = (building) => ({
-    buildingWidth: building.width,
-    buildingDepth: building.depth,
-    buildingHeight: computeBuildingHeight(building),
-    buildingX: building.x || 0,
-    buildingY: building.y || 0,
-})
+const generateBrepFromFaces = (entities, faces) => {
+    const faceIds = faces.map(face => {
+        const pointIds = face.map(p => {
+            const id = nextId()
+            entities.push(`#${id}=IFCCARTESIANPOINT((${fmt(p.x)},${fmt(p.y)},${fmt(p.z)}));`)
+            return id
+        })
+        const loopId = nextId()
+        entities.push(`#${loopId}=IFCPOLYLOOP((${pointIds.map(id => `#${id}`).join(',')}));`)
+        const boundId = nextId()
+        entities.push(`#${boundId}=IFCFACEOUTERBOUND(#${loopId},.T.);`)
+        const faceId = nextId()
+        entities.push(`#${faceId}=IFCFACE((#${boundId}));`)
+        return faceId
+    })
+
+    const shellId = nextId()
+    entities.push(`#${shellId}=IFCCLOSEDSHELL((${faceIds.map(id => `#${id}`).join(',')}));`)
+    const brepId = nextId()
+    entities.push(`#${brepId}=IFCFACETEDBREP(#${shellId});`)
+    return brepId
+}
+
+const ROOF_PREDEFINED_TYPES = { gabled: '.GABLE_ROOF.', hipped: '.HIP_ROOF.', shed: '.SHED_ROOF.' }
 
 /**
- * Create a temporary model object compatible with getLotVertices and setback helpers
- * from an entity lot object
- * @param {Object} lot - Entity lot object
- * @param {string} buildingType - 'principal' or 'accessory'
- * @returns {Object} - Model with lotWidth, lotDepth, setbackFront, etc., and lotGeometry
+ * Generate IfcRoof with the roof body as its IfcSlab (.ROOF.) part. The body is the
+ * roofGeometry surface closed by the eave plane, mapped to world coordinates.
+ * @param {Object} roof - building.roof
+ * @param {Array<{x: number, y: number}>} footprint - Lot-local building footprint
+ * @param {Function} toWorld - Lot-local point to world point
+ * @param {number} baseZ - Eave height (wall top)
+ * @param {number} ridgeZ - Ridge height
+ * @param {number} floorZ - Elevation of the storey holding the roof
  */
-const lotToModel = (lot, buildingType = 'principal') => {
-    const setbacks = lot.setbacks?.[buildingType] || lot.setbacks?.principal || {}
-    return {
-        lotWidth: lot.lotWidth,
-        lotDepth: lot.lotDepth,
-        setbackFront: setbacks.front || 0,
-        setbackRear: setbacks.rear || 0,
-        setbackSideLeft: setbacks.sideInterior || 0,
-        setbackSideRight: setbacks.sideStreet || setbacks.sideInterior || 0,
-        lotGeometry: lot.lotGeometry,
+const generateRoof = (entities, roof, footprint, toWorld, baseZ, ridgeZ, floorZ, contextIds, ownerHistory, storeyId, name) => {
+    const geometry = generateRoofGeometry(footprint, roof.type, baseZ, ridgeZ, {
+        ridgeDirection: roof.ridgeDirection,
+        shedDirection: roof.shedDirection,
+    })
+    const position = geometry?.getAttribute('position')
+    const index = geometry?.getIndex()
+    if (!position || !index) {
+        geometry?.dispose()
+        return null
     }
+    const point = (i) => ({ ...toWorld({ x: position.getX(i), y: position.getY(i) }), z: position.getZ(i) - floorZ })
+    const faces = []
+    for (let i = 0; i + 2 < index.count; i += 3) {
+        faces.push([point(index.getX(i)), point(index.getX(i + 1)), point(index.getX(i + 2))])
+    }
+    geometry.dispose()
+
+    // Eave plane closes the shell, facing down
+    const eave = footprint.map(p => ({ ...toWorld(p), z: baseZ - floorZ }))
+    faces.push(signedArea(footprint) > 0 ? [...eave].reverse() : eave)
+
+    const roofPlacementId = generatePlacement(entities, contextIds, storeyId)
+    const roofId = nextId()
+    entities.push(`#${roofId}=IFCROOF('${generateGUID()}',#${ownerHistory},'${name}',$,$,#${roofPlacementId},$,$,${ROOF_PREDEFINED_TYPES[roof.type] ?? '.NOTDEFINED.'});`)
+    productPlacements[roofId] = roofPlacementId
+
+    const brepId = generateBrepFromFaces(entities, faces)
+    const shapeRepId = nextId()
+    entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextBody},'Body','Brep',(#${brepId}));`)
+    const productShapeId = nextId()
+    entities.push(`#${productShapeId}=IFCPRODUCTDEFINITIONSHAPE($,$,(#${shapeRepId}));`)
+
+    const slabPlacementId = generatePlacement(entities, contextIds, roofId)
+    const slabId = nextId()
+    entities.push(`#${slabId}=IFCSLAB('${generateGUID()}',#${ownerHistory},'${name} Slab',$,$,#${slabPlacementId},#${productShapeId},$,.ROOF.);`)
+    generateAggregation(entities, ownerHistory, roofId, [slabId])
+
+    return { elementId: roofId, shapeRepId }
+}
+
+/**
+ * Generate IfcCivilElement for one road band (surface or cross-section zone) as a thin slab at grade
+ * @param {Array<{x: number, y: number}>} outline - Band outline in world coordinates
+ */
+const generateRoadZone = (entities, outline, contextIds, ownerHistory, siteId, name, objectType) => {
+    const placementId = generatePlacement(entities, contextIds, siteId)
+    const solidId = generateExtrudedSolidFromVertices(entities, outline, 0.1, contextIds, -0.1)
+
+    const shapeRepId = nextId()
+    entities.push(`#${shapeRepId}=IFCSHAPEREPRESENTATION(#${contextIds.contextBody},'Body','SweptSolid',(#${solidId}));`)
+    const productShapeId = nextId()
+    entities.push(`#${productShapeId}=IFCPRODUCTDEFINITIONSHAPE($,$,(#${shapeRepId}));`)
+
+    const elementId = nextId()
+    entities.push(`#${elementId}=IFCCIVILELEMENT('${generateGUID()}',#${ownerHistory},'${name}',$,'${objectType}',#${placementId},#${productShapeId},$);`)
+
+    return { elementId, shapeRepId }
+}
+
+/**
+ * Generate IfcPropertySet of single values attached to an object
+ * @param {Array<[string, string]>} properties - [name, typed IFC value such as IFCLENGTHMEASURE(20.)]
+ */
+const generatePropertySet = (entities, ownerHistory, objectId, name, properties) => {
+    if (properties.length === 0) return null
+    const propertyIds = properties.map(([propertyName, value]) => {
+        const id = nextId()
+        entities.push(`#${id}=IFCPROPERTYSINGLEVALUE('${propertyName}',$,${value},$);`)
+        return id
+    })
+
+    const psetId = nextId()
+    entities.push(`#${psetId}=IFCPROPERTYSET('${generateGUID()}',#${ownerHistory},'${name}',$,(${propertyIds.map(id => `#${id}`).join(',')}));`)
+    const relId = nextId()
+    entities.push(`#${relId}=IFCRELDEFINESBYPROPERTIES('${generateGUID()}',#${ownerHistory},$,$,(#${objectId}),#${psetId});`)
+
+    return psetId
+}
+
+/**
+ * Zoning values of a lot for its 'ZoningParameters' property set: the lot's own
+ * dimensions, min/max setbacks and height limits, plus the district's coverage
+ * and FAR limits. Unset values are left out.
+ * @param {Object} lot - Entity lot
+ * @param {Object} [districtParameters]
+ * @returns {Array<[string, string]>}
+ */
+const getZoningProperties = (lot, districtParameters) => {
+    const principal = lot.setbacks?.principal ?? {}
+    const length = (v) => `IFCLENGTHMEASURE(${fmt(v)})`
+    const values = [
+        ['LotWidth', lot.lotWidth, length],
+        ['LotDepth', lot.lotDepth, length],
+        ['LotArea', Math.abs(signedArea(getLotPolygon(lot))), (v) => `IFCAREAMEASURE(${fmt(v)})`],
+        ['BlockFace', lot.blockFace ?? 'front', (v) => `IFCLABEL('${v}')`],
+        ['SetbackFront', principal.front, length],
+        ['MaxSetbackFront', principal.maxFront, length],
+        ['BuildToZoneFront', principal.btzFront, length],
+        ['SetbackRear', principal.rear, length],
+        ['SetbackSideInterior', principal.sideInterior, length],
+        ['SetbackSideStreet', principal.minSideStreet, length],
+        ['MaxSetbackSideStreet', principal.maxSideStreet, length],
+        ['MaxHeightPrincipal', lot.buildings?.principal?.maxHeight, length],
+        ['MaxHeightAccessory', lot.buildings?.accessory?.maxHeight, length],
+        ['MaxLotCoverage', districtParameters?.lotCoverage?.max, (v) => `IFCREAL(${fmt(v)})`],
+        ['MaxFAR', districtParameters?.far?.max, (v) => `IFCREAL(${fmt(v)})`],
+    ]
+    return values
+        .filter(([, value]) => value != null && value !== '')
+        .map(([name, value, type]) => [name, type(value)])
 }
 
 /**
  * Generate IFC for the district module (multiple lots)
  * @param {Object} lotsMap - The entities.lots object from store
  * @param {string[]} entityOrder - Array of lot IDs in display order
- * @param {Object} options - { filename, lotSpacing }
+ * @param {Object} options - { filename, districtParameters, roadModules, streetTypeLibrary, siteLocation, importedModelMetrics }
+ *   Lots are placed as the scene places them (computeBlockLayout). districtParameters
+ *   adds the zoning envelope solids, the build-to zone (up to the envelope's first
+ *   height transition, as the scene draws it) and default ridge heights; roadModules
+ *   add the 'Streets' site; siteLocation sets IfcSite RefLatitude/RefLongitude and the
+ *   context TrueNorth. Imported IFC models are written as proxy masses (gross
+ *   footprint extruded to the model height) from importedModelMetrics; models not
+ *   yet measured in the scene are left out, and their original geometry is never copied.
  * @returns {string} - Complete IFC-SPF file content
  */
 export const generateDistrictIFC = (lotsMap, entityOrder, options = {}) => {
     // Reset entity counter
     entityId = 0
+    productPlacements = {}
     const entities = []
-    const lotSpacing = options.lotSpacing || 10
+    const { districtParameters } = options
 
     // 1. Generate shared context
-    const contextIds = generateContext(entities)
+    const contextIds = generateContext(entities, options.siteLocation?.trueNorth)
 
     // 2. Generate project
     const { projectId, ownerHistory } = generateProject(entities, contextIds)
@@ -661,88 +942,144 @@ export const generateDistrictIFC = (lotsMap, entityOrder, options = {}) => {
     const setbackShapeRepIds = []    // For 'Setback Lines' layer
     const buildingShapeRepIds = []   // For 'Buildings' layer
     const accessoryShapeRepIds = []  // For 'Accessory Buildings' layer
-
-    // Calculate X offsets: Lot 1 extends in positive X from origin,
-    // Lots 2+ extend in negative X from origin
-    let negOffset = 0
-
-    entityOrder.forEach((lotId, index) => {
-        const lot = lotsMap[lotId]
-        if (!lot) return
-
-        let lotCenterX
-        if (index === 0) {
-            // Lot 1: front-left at origin, extends positive X
-            lotCenterX = lot.lotWidth / 2
-        } else {
-            // Lots 2+: extend in negative X
-            negOffset -= lot.lotWidth
-            lotCenterX = negOffset + lot.lotWidth / 2
-        }
-        const lotCenterY = lot.lotDepth / 2
+    const roofShapeRepIds = []       // For 'Roofs' layer
+    const envelopeShapeRepIds = []   // For 'Zoning Envelope' layer
+    const roadShapeRepIds = []       // For 'Road Modules' layer
+    const btzShapeRepIds = []        // For 'Build-To Zone' layer
+    const importedShapeRepIds = []   // For 'Imported Models' layer
+
+    const envelopeHeight = districtParameters?.structures?.principal?.height?.max ?? 0
+    const { placements, block } = computeBlockLayout(lotsMap, entityOrder, options.roadModules)
+
+    for (const { lot, index, x, y, rotation, streetSides } of placements) {
+        if (!lot) continue
+        const toWorld = (p) => lotToWorld(p, { x, y, rotation })
         const lotLabel = `Lot ${index + 1}`
 
-        // Create a model-compatible object for lot helpers
-        const lotModel = lotToModel(lot, 'principal')
-
-        // Generate site for this lot
-        const siteId = generateSite(entities, lotModel, contextIds, ownerHistory, lotLabel, lotCenterX, lotCenterY)
+        // Site footprint and lot surface from the placed outline (rectangle or polygon)
+        const lotModel = { lotGeometry: { mode: 'polygon', vertices: getLotPolygon(lot).map(toWorld) } }
+        const siteId = generateSite(entities, lotModel, contextIds, ownerHistory, lotLabel, 0, 0, options.siteLocation)
         siteIds.push(siteId)
+        generatePropertySet(entities, ownerHistory, siteId, 'ZoningParameters', getZoningProperties(lot, districtParameters))
 
-        // Generate building container
-        const buildingId = generateBuilding(entities, contextIds, ownerHistory, siteId, `${lotLabel} Building`)
-        generateAggregation(entities, ownerHistory, siteId, [buildingId])
-
-        // Generate storey
-        const storeyId = generateStorey(entities, contextIds, ownerHistory, buildingId)
-        generateAggregation(entities, ownerHistory, buildingId, [storeyId])
-
-        // Generate lot surface
-        const lotSurface = generateLotSurface(entities, lotModel, contextIds, ownerHistory, storeyId, `${lotLabel} Surface`, lotCenterX, lotCenterY)
+        // Lot surface, setback lines and envelope sit on the site itself
+        const lotSurface = generateLotSurface(entities, lotModel, contextIds, ownerHistory, siteId, `${lotLabel} Surface`, 0, 0)
         lotShapeRepIds.push(lotSurface.shapeRepId)
+        const siteElements = [lotSurface.elementId]
 
-        // Generate setback lines
-        const setbackLines = generateSetbackLines(entities, lotModel, contextIds, ownerHistory, storeyId, `${lotLabel} Setbacks`, lotCenterX, lotCenterY)
-        setbackShapeRepIds.push(setbackLines.shapeRepId)
-
-        // Collect all elements for containment
-        const containedElements = [lotSurface.elementId, setbackLines.elementId]
+        const setbackPolygon = getSetbackPolygon(lot, lot.setbacks?.principal ?? {}, streetSides)
+        if (setbackPolygon) {
+            const setbackLines = generateSetbackLines(entities, setbackPolygon.map(toWorld), contextIds, ownerHistory, siteId, `${lotLabel} Setbacks`)
+            setbackShapeRepIds.push(setbackLines.shapeRepId)
+            siteElements.push(setbackLines.elementId)
+        }
 
-        // Generate principal building mass
-        const principal = lot.buildings?.principal
-        if (principal && principal.width > 0 && principal.depth > 0) {
-            const principalModel = buildingToModel(principal)
-            const principalMass = generateBuildingMass(entities, principalModel, contextIds, ownerHistory, storeyId, `${lotLabel} Principal`, lotCenterX, lotCenterY)
-            buildingShapeRepIds.push(principalMass.shapeRepId)
-            containedElements.push(principalMass.elementId)
+        // Zoning envelope (min setbacks up to principal max height, less daylight planes/stepbacks)
+        if (envelopeHeight > 0) {
+            const levels = computeEnvelopeLevels(lot, lot.setbacks?.principal, streetSides, districtParameters, envelopeHeight)
+            if (levels.length >= 2) {
+                const worldLevels = levels.map(({ z, polygon }) => ({ z, polygon: polygon.map(toWorld) }))
+                const envelope = generateEnvelopeMass(entities, worldLevels, contextIds, ownerHistory, siteId, `${lotLabel} Zoning Envelope`, 0, 0)
+                envelopeShapeRepIds.push(envelope.shapeRepId)
+                siteElements.push(envelope.elementId)
+
+                const frontZone = getFrontZonePolygon(lot, lot.setbacks?.principal, streetSides)
+                if (frontZone) {
+                    const btz = generateFootprintMass(entities, frontZone.map(toWorld), levels[1].z, contextIds, ownerHistory, siteId, `${lotLabel} Build-To Zone`)
+                    btzShapeRepIds.push(btz.shapeRepId)
+                    siteElements.push(btz.elementId)
+                }
+            }
         }
 
-        // Generate accessory building mass
-        const accessory = lot.buildings?.accessory
-        if (accessory && accessory.width > 0 && accessory.depth > 0) {
-            const accessoryModel = buildingToModel(accessory)
-            const accessoryMass = generateBuildingMass(entities, accessoryModel, contextIds, ownerHistory, storeyId, `${lotLabel} Accessory`, lotCenterX, lotCenterY)
-            accessoryShapeRepIds.push(accessoryMass.shapeRepId)
-            containedElements.push(accessoryMass.elementId)
+        // Imported models as proxy masses (measured hull and height, at the model's placement)
+        for (const modelId of lot.importedModelOrder ?? []) {
+            const model = lot.importedModels?.[modelId]
+            const metrics = options.importedModelMetrics?.[modelId]
+            if (!model || !metrics?.footprint?.length || !(metrics.height > 0)) continue
+            const footprint = getImportedModelFootprint(model, metrics).map(toWorld)
+            const mass = generateFootprintMass(entities, footprint, metrics.height * (model.scale ?? 1), contextIds, ownerHistory, siteId, `${lotLabel} ${stepString(model.name ?? 'Imported Model')} (Imported)`)
+            importedShapeRepIds.push(mass.shapeRepId)
+            siteElements.push(mass.elementId)
         }
 
-        // Contain all elements in storey
-        generateContainment(entities, ownerHistory, storeyId, containedElements)
+        generateContainment(entities, ownerHistory, siteId, siteElements)
+
+        // One IfcBuilding per building, one storey per story
+        const buildingIds = []
+        for (const building of getLotBuildings(lot).filter(buildingExists)) {
+            const buildingName = `${lotLabel} ${getBuildingLabel(lot, building.id)}`
+            const footprint = getBuildingFootprint(building)
+            const worldFootprint = footprint.map(toWorld)
+            const buildingId = generateBuilding(entities, contextIds, ownerHistory, siteId, `${buildingName} Building`)
+            buildingIds.push(buildingId)
+
+            const levels = getStoryLevels(building)
+            const storeyIds = levels.map(({ elevation, height }, i) => {
+                const storeyId = generateStorey(entities, contextIds, ownerHistory, buildingId, elevation, `Level ${i + 1}`)
+                const mass = generateFootprintMass(entities, worldFootprint, height, contextIds, ownerHistory, storeyId, `${buildingName} Level ${i + 1}`)
+                if (building.type === 'accessory') accessoryShapeRepIds.push(mass.shapeRepId)
+                else buildingShapeRepIds.push(mass.shapeRepId)
+                const storeyElements = [mass.elementId]
+
+                // Pitched roof on the top story, at the ridge height the scene draws
+                const roof = building.roof
+                if (i === levels.length - 1 && roof && roof.type !== 'flat') {
+                    const wallTop = elevation + height
+                    const ridgeZ = roof.overrideHeight && roof.ridgeHeight != null
+                        ? roof.ridgeHeight
+                        : districtParameters?.structures?.[building.type]?.height?.max ?? 0
+                    if (ridgeZ > wallTop) {
+                        const roofElement = generateRoof(entities, roof, footprint, toWorld, wallTop, ridgeZ, elevation, contextIds, ownerHistory, storeyId, `${buildingName} Roof`)
+                        if (roofElement) {
+                            roofShapeRepIds.push(roofElement.shapeRepId)
+                            storeyElements.push(roofElement.elementId)
+                        }
+                    }
+                }
+
+                generateContainment(entities, ownerHistory, storeyId, storeyElements)
+                return storeyId
+            })
+            generateAggregation(entities, ownerHistory, buildingId, storeyIds)
+        }
+        if (buildingIds.length > 0) generateAggregation(entities, ownerHistory, siteId, buildingIds)
+    }
 
-        // Advance spacing for lots 2+ (negative direction)
-        if (index > 0) negOffset -= lotSpacing
-    })
+    // 4. Road modules: one civil element per road surface / cross-section zone
+    const roads = getRoadPlanGeometry(options.roadModules, block, options.streetTypeLibrary)
+    if (roads.length > 0) {
+        const streetsSiteId = generateSite(entities, null, contextIds, ownerHistory, 'Streets', 0, 0, options.siteLocation)
+        siteIds.push(streetsSiteId)
+        const roadElements = []
+        for (const { road, bands } of roads) {
+            const direction = road.direction || 'front'
+            const roadName = `${road.type ?? 'S1'} ${direction.charAt(0).toUpperCase()}${direction.slice(1)} Road`
+            for (const { zone, side, outline } of bands) {
+                const zoneLabel = zone ? `${ROAD_ZONE_TYPES[zone.type]?.label ?? zone.type} (${side})` : 'Road Surface'
+                const element = generateRoadZone(entities, outline, contextIds, ownerHistory, streetsSiteId, `${roadName} - ${zoneLabel}`, zone?.type ?? 'roadSurface')
+                roadShapeRepIds.push(element.shapeRepId)
+                roadElements.push(element.elementId)
+            }
+        }
+        generateContainment(entities, ownerHistory, streetsSiteId, roadElements)
+    }
 
-    // 4. Aggregate all sites to project
+    // 5. Aggregate all sites to project
     if (siteIds.length > 0) {
         generateAggregation(entities, ownerHistory, projectId, siteIds)
     }
 
-    // 5. Create layer assignments
+    // 6. Create layer assignments
     generateLayerAssignment(entities, 'Lot Lines', lotShapeRepIds)
     generateLayerAssignment(entities, 'Setback Lines', setbackShapeRepIds)
     generateLayerAssignment(entities, 'Buildings', buildingShapeRepIds)
     generateLayerAssignment(entities, 'Accessory Buildings', accessoryShapeRepIds)
+    generateLayerAssignment(entities, 'Roofs', roofShapeRepIds)
+    generateLayerAssignment(entities, 'Zoning Envelope', envelopeShapeRepIds)
+    generateLayerAssignment(entities, 'Road Modules', roadShapeRepIds)
+    generateLayerAssignment(entities, 'Build-To Zone', btzShapeRepIds)
+    generateLayerAssignment(entities, 'Imported Models', importedShapeRepIds)
 
     // Assemble file
     const header = generateHeader(options.filename || 'zoning-district.ifc')
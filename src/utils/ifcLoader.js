@@ -15,6 +15,54 @@ export async function initIFC() {
   return initPromise
 }
 
+// SI prefixes IFC allows on the metre
+const SI_PREFIXES = { KILO: 1e3, HECTO: 1e2, DECA: 1e1, DECI: 1e-1, CENTI: 1e-2, MILLI: 1e-3, MICRO: 1e-6 }
+
+// Metres per unit of an IfcSIUnit / IfcConversionBasedUnit (1 when unreadable)
+function getUnitScale(api, modelID, unit) {
+  if (!unit) return 1
+  if (unit.type === WebIFC.IFCSIUNIT) return SI_PREFIXES[unit.Prefix?.value] ?? 1
+  if (unit.type === WebIFC.IFCCONVERSIONBASEDUNIT && unit.ConversionFactor) {
+    const factor = api.GetLine(modelID, unit.ConversionFactor.value)
+    const value = factor?.ValueComponent?.value
+    if (typeof value !== 'number') return 1
+    return value * getUnitScale(api, modelID, factor.UnitComponent && api.GetLine(modelID, factor.UnitComponent.value))
+  }
+  return 1
+}
+
+// Metres per project length unit, from the first IfcUnitAssignment
+function getLengthUnitScale(api, modelID) {
+  const assignments = api.GetLineIDsWithType(modelID, WebIFC.IFCUNITASSIGNMENT)
+  if (assignments.size() === 0) return 1
+  const assignment = api.GetLine(modelID, assignments.get(0))
+  for (const ref of assignment.Units ?? []) {
+    const unit = api.GetLine(modelID, ref.value)
+    if (unit?.UnitType?.value === 'LENGTHUNIT') return getUnitScale(api, modelID, unit)
+  }
+  return 1
+}
+
+/**
+ * Building storeys of an open model, lowest first.
+ * Elevations are converted from the file's length unit to meters to match the meshes.
+ * @returns {Array<{ name: string, elevation: number|null }>}
+ */
+export function readIFCStoreys(api, modelID) {
+  const unitScale = getLengthUnitScale(api, modelID)
+  const ids = api.GetLineIDsWithType(modelID, WebIFC.IFCBUILDINGSTOREY)
+  const storeys = []
+  for (let i = 0; i < ids.size(); i++) {
+    const line = api.GetLine(modelID, ids.get(i))
+    const elevation = line.Elevation?.value
+    storeys.push({
+      name: line.Name?.value ?? line.LongName?.value ?? `Storey ${i + 1}`,
+      elevation: typeof elevation === 'number' ? elevation * unitScale : null,
+    })
+  }
+  return storeys.sort((a, b) => (a.elevation ?? 0) - (b.elevation ?? 0))
+}
+
 export async function loadIFCMeshes(url) {
   const api = await initIFC()
   console.log('[IFC] Fetching:', url)
@@ -88,6 +136,10 @@ export async function loadIFCMeshes(url) {
   })
 
   console.log('[IFC] StreamAllMeshes done — callbacks:', meshCallbackCount, 'meshes:', meshes.length)
+
+  // Storeys are read before CloseModel, like the transforms above
+  const storeys = readIFCStoreys(api, modelID)
+
   api.CloseModel(modelID)
-  return { meshes, detectedUnits }
+  return { meshes, detectedUnits, storeys }
 }
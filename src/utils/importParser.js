@@ -5,6 +5,9 @@
  * No external dependencies required.
  */
 
+import { ROAD_ZONE_TYPES, validateRoadCrossSection } from './roadZones'
+import { normalizeStreetType } from './streetTypes'
+
 /**
  * Available app fields for mapping CSV columns to lot parameters.
  * Each field has a key (matching the store's lot data structure),
@@ -53,6 +56,12 @@ export const DISTRICT_FIELDS = [
   { key: 'widthToDepthRatio.max', label: 'Max W:D Ratio', group: 'Lot Dimensions' },
   { key: 'maxImperviousSurface.min', label: 'Min Impervious Surface', group: 'Lot Dimensions' },
   { key: 'maxImperviousSurface.max', label: 'Max Impervious Surface', group: 'Lot Dimensions' },
+  { key: 'far.min', label: 'Min FAR', group: 'Lot Dimensions' },
+  { key: 'far.max', label: 'Max FAR', group: 'Lot Dimensions' },
+  { key: 'density.min', label: 'Min Density (du/ac)', group: 'Lot Dimensions' },
+  { key: 'density.max', label: 'Max Density (du/ac)', group: 'Lot Dimensions' },
+  { key: 'lotAreaPerUnit.min', label: 'Min Lot Area per Unit', group: 'Lot Dimensions' },
+  { key: 'lotAreaPerUnit.max', label: 'Max Lot Area per Unit', group: 'Lot Dimensions' },
 
   // Setbacks - Principal
   { key: 'setbacksPrincipal.front.min', label: 'Min Front Setback', group: 'Setbacks Principal' },
@@ -129,6 +138,21 @@ export const DISTRICT_FIELDS = [
   { key: 'parkingLocations.rear.permitted', label: 'Rear Parking Permitted', group: 'Parking' },
   { key: 'parkingLocations.rear.min', label: 'Min Rear Parking', group: 'Parking' },
   { key: 'parkingLocations.rear.max', label: 'Max Rear Parking', group: 'Parking' },
+
+  // Parking Ratios
+  { key: 'parkingRatios.perUnit.min', label: 'Min Stalls per Unit', group: 'Parking' },
+  { key: 'parkingRatios.perUnit.max', label: 'Max Stalls per Unit', group: 'Parking' },
+  { key: 'parkingRatios.per1000Gfa.min', label: 'Min Stalls per 1000 SF', group: 'Parking' },
+  { key: 'parkingRatios.per1000Gfa.max', label: 'Max Stalls per 1000 SF', group: 'Parking' },
+
+  // Sight Triangles (leg lengths)
+  { key: 'sightTriangles.intersection', label: 'Sight Triangle - Intersection (ft)', group: 'Sight Triangles' },
+  { key: 'sightTriangles.driveway', label: 'Sight Triangle - Driveway (ft)', group: 'Sight Triangles' },
+
+  // Driveways
+  { key: 'drivewayWidth.min', label: 'Min Driveway Width', group: 'Driveways' },
+  { key: 'drivewayWidth.max', label: 'Max Driveway Width', group: 'Driveways' },
+  { key: 'drivewayCornerSpacing.min', label: 'Min Driveway Corner Spacing', group: 'Driveways' },
 ]
 
 /**
@@ -610,6 +634,9 @@ export const TRANSPOSED_ROW_MAP = {
     'Lot Depth': 'lotDepth',
     'Width to Depth Ratio (%)': 'widthToDepthRatio',
     'Max. Impervious Surface (%)': 'maxImperviousSurface',
+    'Floor Area Ratio (FAR)': 'far',
+    'Density (du/acre)': 'density',
+    'Lot Area per Unit': 'lotAreaPerUnit',
   },
   'SETBACKS — PRINCIPAL STRUCTURE': {
     'Front': 'setbacksPrincipal.front',
@@ -659,6 +686,18 @@ export const TRANSPOSED_ROW_MAP = {
     'Side Street': { path: 'parkingLocations.sideStreet.min', type: 'single' },
     'Rear': { path: 'parkingLocations.rear.min', type: 'single' },
   },
+  'PARKING RATIOS': {
+    'Stalls per Dwelling Unit': 'parkingRatios.perUnit',
+    'Stalls per 1000 SF GFA': 'parkingRatios.per1000Gfa',
+  },
+  'SIGHT TRIANGLES': {
+    'Intersection Leg (ft)': { path: 'sightTriangles.intersection', type: 'single' },
+    'Driveway Leg (ft)': { path: 'sightTriangles.driveway', type: 'single' },
+  },
+  'DRIVEWAYS': {
+    'Driveway Width (ft)': 'drivewayWidth',
+    'Spacing from Corner (ft)': 'drivewayCornerSpacing',
+  },
 }
 
 /**
@@ -920,3 +959,133 @@ export function parseTransposedCSV(headers, rows) {
   }
   return filtered
 }
+
+// ============================================
+// Street Type Import
+// ============================================
+
+/**
+ * Header aliases for street type spreadsheets (normalized, punctuation stripped).
+ */
+const STREET_TYPE_COLUMNS = {
+  code: ['code', 'streettype', 'type', 'id', 'classificationcode'],
+  name: ['name', 'streetname', 'classification', 'description'],
+  rightOfWay: ['rightofway', 'row', 'rowft', 'rightofwayft', 'rowwidth'],
+  roadWidth: ['roadwidth', 'roadwidthft', 'pavementwidth', 'pavement', 'travelway', 'curbtocurb'],
+  leftZones: ['leftzones', 'leftside', 'left', 'farside'],
+  rightZones: ['rightzones', 'rightside', 'right', 'lotside'],
+  alley: ['alley', 'isalley'],
+  noFillet: ['nofillet', 'nofillets', 'nocurbreturn', 'nocurbreturns', 'squarecorners'],
+  roadFill: ['roadfill', 'roadcolor', 'pavementcolor', 'fillcolor'],
+}
+
+/**
+ * Zone names accepted in zone cells, in addition to each type's key and label.
+ */
+const ZONE_NAME_ALIASES = {
+  lane: 'travelLane', travel: 'travelLane',
+  bus: 'transitLane', buslane: 'transitLane', transit: 'transitLane',
+  bike: 'bikeLane', cycletrack: 'bikeLane',
+  parkinglane: 'parking',
+  planting: 'verge', plantingstrip: 'verge', tree: 'treeWell', treewells: 'treeWell',
+  walk: 'sidewalk',
+  transition: 'transitionZone', frontage: 'transitionZone',
+}
+
+const headerKey = (str) => normalize(str).replace(/[^a-z0-9]/g, '')
+
+function resolveZoneType(name) {
+  const key = headerKey(name)
+  for (const [type, def] of Object.entries(ROAD_ZONE_TYPES)) {
+    if (key === headerKey(type) || key === headerKey(def.label)) return type
+  }
+  return ZONE_NAME_ALIASES[key] ?? null
+}
+
+/**
+ * Parse a zone cell like "Verge 7; Sidewalk 6" (also "verge:7, sidewalk:6" or
+ * "7' verge | 6' sidewalk"), listed from the road edge outward.
+ *
+ * @param {string} cell
+ * @returns {{ zones: Array<{ type: string, width: number }>, unknown: string[] }}
+ */
+export function parseZoneList(cell) {
+  const zones = []
+  const unknown = []
+  for (const token of String(cell ?? '').split(/[;,|\n]/)) {
+    const text = token.trim()
+    if (!text) continue
+    const match = text.match(/^(.*?)[\s:=]*([\d.]+)\s*'?\s*(?:ft)?$/i) || text.match(/^([\d.]+)\s*'?\s*(?:ft)?[\s:=]*(.+)$/i)
+    const [name, width] = match
+      ? (/^[\d.]+$/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]])
+      : [text, null]
+    const type = resolveZoneType(name)
+    if (!type) {
+      unknown.push(text)
+      continue
+    }
+    zones.push({ type, width: width != null ? parseFloat(width) : ROAD_ZONE_TYPES[type].width })
+  }
+  return { zones, unknown }
+}
+
+const isTruthyCell = (value) => /^(y|yes|true|1|x)$/i.test(String(value ?? '').trim())
+
+/**
+ * Parse a street type spreadsheet (one street type per row) into normalized
+ * street types. Columns are matched by header name; only Code is required.
+ *
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @returns {{ streetTypes: Object[], warnings: string[] }}
+ */
+export function parseStreetTypeRows(headers, rows) {
+  const columns = {}
+  headers.forEach((header, index) => {
+    const key = headerKey(header)
+    for (const [field, aliases] of Object.entries(STREET_TYPE_COLUMNS)) {
+      if (columns[field] === undefined && aliases.includes(key)) {
+        columns[field] = index
+        break
+      }
+    }
+  })
+
+  const warnings = []
+  if (columns.code === undefined) {
+    return { streetTypes: [], warnings: ['No "Code" column found'] }
+  }
+
+  const streetTypes = []
+  rows.forEach((row, i) => {
+    const cell = (field) => (columns[field] !== undefined ? row[columns[field]] ?? '' : '')
+    const rowLabel = `Row ${i + 2}`
+    const code = String(cell('code')).trim()
+    if (!code) return
+
+    const left = parseZoneList(cell('leftZones'))
+    const right = parseZoneList(cell('rightZones'))
+    for (const text of [...left.unknown, ...right.unknown]) {
+      warnings.push(`${rowLabel} (${code}): unknown zone "${text}" skipped`)
+    }
+
+    const roadFill = String(cell('roadFill')).trim()
+    const streetType = normalizeStreetType({
+      code,
+      name: cell('name'),
+      rightOfWay: parseFloat(cell('rightOfWay')),
+      roadWidth: parseFloat(cell('roadWidth')),
+      leftZones: left.zones,
+      rightZones: right.zones,
+      alley: isTruthyCell(cell('alley')),
+      noFillet: isTruthyCell(cell('noFillet')),
+      styles: /^#[0-9a-f]{6}$/i.test(roadFill) ? { roadWidth: { fillColor: roadFill } } : null,
+    })
+    if (!validateRoadCrossSection(streetType).valid) {
+      warnings.push(`${rowLabel} (${code}): cross-section does not fit the right-of-way`)
+    }
+    streetTypes.push(streetType)
+  })
+
+  return { streetTypes, warnings }
+}
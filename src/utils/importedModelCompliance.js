@@ -0,0 +1,134 @@
+import {
+    getLotPolygon,
+    getLotFrontEdge,
+    measureSetbacks,
+    resolveSideSetbacks,
+    convexHull,
+    signedArea,
+} from './lotGeometry'
+import { checkRange } from './zoningCompliance'
+
+/**
+ * Imported Model Compliance
+ *
+ * Reviews an IFC building placed on a lot (lot.importedModels) against that
+ * lot's principal setback lines and max height, the way evaluateLotCompliance
+ * reviews generated buildings against the district.
+ *
+ * ImportedModelMesh measures each model once its meshes are built and keeps
+ * the result in the store's transient importedModelMetrics, keyed by modelId:
+ *
+ *   { footprint, height, storeys: [{ name, elevation }] }
+ *
+ * all in feet in the model's own frame as rendered: centered on its plan
+ * bounds, floor at z = 0, before the model's x / y / rotation / scale. The
+ * footprint is the convex hull of every vertex in plan (the gross footprint),
+ * height runs from the lowest to the highest vertex, and storey elevations
+ * come from the IfcBuildingStorey entities.
+ *
+ * Rules use the evaluateLotCompliance shape (buildingId is always null);
+ * stories and footprint area are reported with no limit ('na').
+ */
+
+/**
+ * Measure a loaded model.
+ * @param {Array<ArrayLike<number>>} positionArrays - Vertex positions (x, y, z triples) in feet, Z-up
+ * @param {Object} frame
+ * @param {number[]} frame.center - Plan center the mesh is shifted by
+ * @param {number} frame.zMin - Floor level the mesh is lowered by
+ * @param {number} frame.zMax
+ * @param {Array<{ name: string, elevation: number|null }>} [frame.storeys] - readIFCStoreys result
+ * @param {number} [frame.lengthScale] - Feet per storey elevation unit, matching the meshes
+ * @returns {{ footprint: Array<{x: number, y: number}>, height: number, storeys: Array<{ name: string, elevation: number|null }> }}
+ */
+export const measureImportedModel = (positionArrays, { center, zMin, zMax, storeys = [], lengthScale = 1 }) => {
+    // Round to 0.01 ft so coincident vertices of adjoining meshes collapse before the hull
+    const seen = new Set()
+    const points = []
+    for (const positions of positionArrays) {
+        for (let i = 0; i < positions.length; i += 3) {
+            const x = Math.round((positions[i] - center[0]) * 100) / 100
+            const y = Math.round((positions[i + 1] - center[1]) * 100) / 100
+            const key = `${x},${y}`
+            if (seen.has(key)) continue
+            seen.add(key)
+            points.push({ x, y })
+        }
+    }
+    return {
+        footprint: convexHull(points),
+        height: Math.max(0, zMax - zMin),
+        storeys: storeys.map(s => ({
+            name: s.name,
+            elevation: s.elevation == null ? null : s.elevation * lengthScale - zMin,
+        })),
+    }
+}
+
+/**
+ * The model footprint in lot-local coordinates.
+ * @param {Object} model - lot.importedModels entry
+ * @param {Object} metrics - measureImportedModel result
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const getImportedModelFootprint = (model, metrics) => {
+    const footprint = metrics?.footprint ?? []
+    const scale = model.scale ?? 1
+    const cos = Math.cos(model.rotation ?? 0)
+    const sin = Math.sin(model.rotation ?? 0)
+    return footprint.map(p => ({
+        x: (model.x ?? 0) + (p.x * cos - p.y * sin) * scale,
+        y: (model.y ?? 0) + (p.x * sin + p.y * cos) * scale,
+    }))
+}
+
+const SIDE_LABELS = { front: 'Front', rear: 'Rear', left: 'Left', right: 'Right' }
+
+const makeRule = ({ key, label, category, side = null, unit = 'ft', value, min = null, max = null }) => ({
+    key, path: key, label, category, buildingType: 'principal', buildingId: null, side, unit,
+    value: value ?? null, min, max, status: checkRange(value, min, max),
+})
+
+/**
+ * Evaluate an imported model against its lot's principal setbacks and max height.
+ * @param {object} lot - Lot entity data
+ * @param {object} model - lot.importedModels entry
+ * @param {object} metrics - measureImportedModel result
+ * @param {{ left: boolean, right: boolean }} [streetSides] - Street-facing sides for this lot
+ * @returns {{ status: 'pass'|'fail'|'na', failCount: number, passCount: number, rules: object[] }|null}
+ *   null until the model has been measured
+ */
+export const evaluateImportedModelCompliance = (lot, model, metrics, streetSides = {}) => {
+    if (!lot || !model || !metrics?.footprint?.length) return null
+    const { height, storeys = [] } = metrics
+    const scale = model.scale ?? 1
+    const footprint = getImportedModelFootprint(model, metrics)
+    const rules = []
+
+    // Setbacks — footprint to each lot line, against the lot's principal setback lines
+    const measured = measureSetbacks(footprint, getLotPolygon(lot), getLotFrontEdge(lot))
+    const required = resolveSideSetbacks(lot.setbacks?.principal, streetSides)
+    for (const side of ['front', 'rear', 'left', 'right']) {
+        const sideLabel = side === 'left' || side === 'right'
+            ? `${streetSides[side] ? 'Side Street' : 'Side Interior'} (${side === 'left' ? 'L' : 'R'})`
+            : SIDE_LABELS[side]
+        rules.push(makeRule({
+            key: `setbacks.${side}`, label: `${sideLabel} Setback`, category: 'setbacks', side,
+            value: measured[side], min: required[side],
+        }))
+    }
+
+    // Height and storeys
+    rules.push(makeRule({
+        key: 'height', label: 'Height', category: 'structures',
+        value: height * scale, max: lot.buildings?.principal?.maxHeight ?? null,
+    }))
+    const levels = new Set(storeys.map(s => (s.elevation == null ? s.name : Math.round(s.elevation * scale * 10))))
+    rules.push(makeRule({ key: 'stories', label: 'Stories', category: 'structures', unit: '', value: levels.size || null }))
+    rules.push(makeRule({ key: 'footprintArea', label: 'Gross Footprint', category: 'structures', unit: 'sf', value: Math.abs(signedArea(footprint)) }))
+
+    const failCount = rules.filter(r => r.status === 'fail').length
+    const passCount = rules.filter(r => r.status === 'pass').length
+    const status = failCount > 0 ? 'fail' : passCount > 0 ? 'pass' : 'na'
+    return { status, failCount, passCount, rules }
+}
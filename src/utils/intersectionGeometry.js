@@ -1,10 +1,11 @@
 import * as THREE from 'three'
+import { getRoadZones, getRoadZoneStyle } from './roadZones'
 
 /**
  * Road Intersection Fillet Geometry
  *
  * Computes curved fillet arcs that fill the corner where two perpendicular
- * roads meet. Each zone layer (parking, verge, sidewalk, transition) gets
+ * roads meet. Each cross-section zone (sidewalk, verge, bike lane, ...) gets
  * an annular arc sector that smoothly connects the two roads' zone edges.
  *
  * Coordinate system (canonical front orientation):
@@ -35,8 +36,13 @@ import * as THREE from 'three'
  *   front-right: 3π/2  to 2π     (-Y to +X quadrant, between front & right roads)
  *   rear-left:   π/2   to π      (+Y to -X quadrant, between rear & left roads)
  *   rear-right:  0     to π/2    (+X to +Y quadrant, between rear & right roads)
+ *
+ * Corners between non-perpendicular roads are given directly as
+ * { startAngle, endAngle } and returned as-is.
  */
 export function getCornerAngles(corner) {
+    // Aligned road junctions pass their own angle range (see utils/roadAlignment.js)
+    if (typeof corner === 'object' && corner !== null) return corner
     switch (corner) {
         case 'front-left':
             return { startAngle: Math.PI, endAngle: Math.PI * 1.5 }
@@ -131,33 +137,57 @@ export function computeZoneArc(innerRadius, outerRadius, startAngle, endAngle, s
  *
  * @param {object} road - Road module data
  * @param {'left' | 'right'} side - Which side of the road
- * @returns {Array<{ zoneType: string, styleKey: string, depth: number }>}
+ * @returns {Array<{ zoneType: string, zone: object, side: string, depth: number }>}
  */
 function computeZoneStack(road, side) {
-    const zones = []
+    return getRoadZones(road, side)
+        .filter(zone => zone.width > 0)
+        .map(zone => ({ zoneType: zone.type, zone, side, depth: zone.width }))
+}
 
-    const zoneKeys = side === 'left'
-        ? [
-            { param: 'leftParking', styleKey: 'leftParking', zoneType: 'leftParking' },
-            { param: 'leftVerge', styleKey: 'leftVerge', zoneType: 'leftVerge' },
-            { param: 'leftSidewalk', styleKey: 'leftSidewalk', zoneType: 'leftSidewalk' },
-            { param: 'leftTransitionZone', styleKey: 'leftTransitionZone', zoneType: 'leftTransitionZone' },
-        ]
-        : [
-            { param: 'rightParking', styleKey: 'rightParking', zoneType: 'rightParking' },
-            { param: 'rightVerge', styleKey: 'rightVerge', zoneType: 'rightVerge' },
-            { param: 'rightSidewalk', styleKey: 'rightSidewalk', zoneType: 'rightSidewalk' },
-            { param: 'rightTransitionZone', styleKey: 'rightTransitionZone', zoneType: 'rightTransitionZone' },
-        ]
+/**
+ * Toward-lot zones of both roads at a corner, falling back to the opposite
+ * side of a road when the requested side has no zones.
+ */
+function getCornerSideZones(road, side) {
+    const zones = computeZoneStack(road, side)
+    return zones.length > 0 ? zones : computeZoneStack(road, side === 'right' ? 'left' : 'right')
+}
 
-    for (const { param, styleKey, zoneType } of zoneKeys) {
-        const depth = road[param]
-        if (depth != null && depth > 0) {
-            zones.push({ zoneType, styleKey, depth })
+/**
+ * Merges the two roads' zone stacks into one fillet stack ordered from the
+ * lot corner toward the road surface. Zones match by type and
+ * occurrence (the second travel lane of A pairs with the second of B) and
+ * average their depths; zones only one road has keep their relative place.
+ *
+ * @returns {Array<{ zoneType: string, zone: object, side: string, depth: number }>}
+ */
+function mergeCornerZones(zonesA, zonesB) {
+    const keyed = (zones) => {
+        const seen = {}
+        return [...zones].reverse().map((z) => {
+            seen[z.zoneType] = (seen[z.zoneType] ?? 0) + 1
+            return { ...z, key: `${z.zoneType}#${seen[z.zoneType]}` }
+        })
+    }
+    const a = keyed(zonesA)
+    const b = keyed(zonesB)
+
+    const merged = a.map((zA) => {
+        const zB = b.find(z => z.key === zA.key)
+        return zB ? { ...zA, depth: (zA.depth + zB.depth) / 2 } : zA
+    })
+    let insertAt = 0
+    for (const zB of b) {
+        const index = merged.findIndex(z => z.key === zB.key)
+        if (index >= 0) {
+            insertAt = index + 1
+            continue
         }
+        merged.splice(insertAt, 0, zB)
+        insertAt++
     }
-
-    return zones
+    return merged.filter(z => z.depth > 0)
 }
 
 /**
@@ -168,12 +198,12 @@ function computeZoneStack(road, side) {
  * Returns an array of zone objects ready for rendering.
  *
  * @param {object} roadA - First road module data (e.g., front road)
- *   Shape: { rightOfWay, roadWidth, leftParking, rightParking, leftVerge, rightVerge,
- *            leftSidewalk, rightSidewalk, leftTransitionZone, rightTransitionZone }
+ *   Shape: { rightOfWay, roadWidth, leftZones, rightZones } (see utils/roadZones.js)
  * @param {object} roadB - Second road module data (e.g., left road)
- * @param {string} corner - 'front-left' | 'front-right' | 'rear-left' | 'rear-right'
+ * @param {string|{ startAngle: number, endAngle: number }} corner - 'front-left' | 'front-right' |
+ *   'rear-left' | 'rear-right', or an explicit angle range for angled junctions
  * @param {object} styles - roadModuleStyles object with zone fill/stroke colors
- *   Shape: { leftParking: { fillColor, fillOpacity, lineColor, lineWidth, lineDashed, lineOpacity }, ... }
+ *   (resolved per zone through getRoadZoneStyle)
  * @param {'left' | 'right'} sideA - Which side of roadA to use ('right' = toward lot, 'left' = away from lot)
  * @param {'left' | 'right'} sideB - Which side of roadB to use
  * @returns {Array<{
@@ -189,62 +219,23 @@ function computeZoneStack(road, side) {
 export function computeCornerZoneStack(roadA, roadB, corner, styles, sideA = 'right', sideB = 'right') {
     const { startAngle, endAngle } = getCornerAngles(corner)
 
-    // Use the specified side for each road. Fall back to the opposite side
-    // if the requested side has no zones configured.
-    let innerZonesA = computeZoneStack(roadA, sideA)
-    if (innerZonesA.length === 0) innerZonesA = computeZoneStack(roadA, sideA === 'right' ? 'left' : 'right')
-
-    let innerZonesB = computeZoneStack(roadB, sideB)
-    if (innerZonesB.length === 0) innerZonesB = computeZoneStack(roadB, sideB === 'right' ? 'left' : 'right')
+    const merged = mergeCornerZones(getCornerSideZones(roadA, sideA), getCornerSideZones(roadB, sideB))
 
     const segments = 24
     const baseZOffset = 0.05
     const result = []
 
-    // Zone type definitions for merging — ordered from lot corner outward
-    // (transition closest to lot, parking closest to road surface)
-    const allZoneTypes = [
-        { type: 'TransitionZone', leftKey: 'leftTransitionZone', rightKey: 'rightTransitionZone' },
-        { type: 'Sidewalk', leftKey: 'leftSidewalk', rightKey: 'rightSidewalk' },
-        { type: 'Verge', leftKey: 'leftVerge', rightKey: 'rightVerge' },
-        { type: 'Parking', leftKey: 'leftParking', rightKey: 'rightParking' },
-    ]
-
-    // Merge toward-lot zones from both roads, averaging depths when both have the same zone
-    const merged = []
-    for (const { type, leftKey, rightKey } of allZoneTypes) {
-        const zA = innerZonesA.find(z => z.zoneType === leftKey || z.zoneType === rightKey)
-        const zB = innerZonesB.find(z => z.zoneType === leftKey || z.zoneType === rightKey)
-        if (!zA && !zB) continue
-        let depth, styleKey
-        if (zA && zB) {
-            depth = (zA.depth + zB.depth) / 2
-            styleKey = zA.styleKey
-        } else if (zA) {
-            depth = zA.depth
-            styleKey = zA.styleKey
-        } else {
-            depth = zB.depth
-            styleKey = zB.styleKey
-        }
-        if (depth <= 0) continue
-        merged.push({ type, depth, styleKey })
-    }
-
     // Stack toward-lot zones from radius 0 outward, from lot corner toward
-    // road surface (transition → sidewalk → verge → parking).
+    // road surface (e.g. transition → sidewalk → verge → parking).
     let currentRadius = 0
     for (const zone of merged) {
         const innerRadius = currentRadius
         const outerRadius = currentRadius + zone.depth
         const shape = computeZoneArc(innerRadius, outerRadius, startAngle, endAngle, segments)
-        const zoneStyle = styles[zone.styleKey] || {
-            lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1,
-            fillColor: '#888888', fillOpacity: 0.6,
-        }
+        const zoneStyle = getRoadZoneStyle(styles, zone.zone, zone.side)
         const zOffset = baseZOffset + result.length * 0.001
         result.push({
-            zoneType: zone.type,
+            zoneType: zone.zoneType,
             shape,
             fill: { color: zoneStyle.fillColor, opacity: zoneStyle.fillOpacity },
             stroke: {
@@ -268,9 +259,8 @@ export function computeCornerZoneStack(roadA, roadB, corner, styles, sideA = 'ri
 /**
  * Computes the total fillet outer radius for one sub-corner of an intersection.
  *
- * Uses the same zone-merging logic as computeCornerZoneStack: gathers
- * toward-lot zones from both roads, merges matching zone types by averaging
- * depths, then sums all merged zone depths to get the total radius.
+ * Uses the same zone merge as computeCornerZoneStack and sums the merged
+ * zone depths to get the total radius.
  *
  * @param {object} roadA - First road module data
  * @param {object} roadB - Second road module data
@@ -279,36 +269,8 @@ export function computeCornerZoneStack(roadA, roadB, corner, styles, sideA = 'ri
  * @returns {number} Total fillet outer radius (sum of all zone depths)
  */
 export function computeFilletOuterRadius(roadA, roadB, sideA = 'right', sideB = 'right') {
-    let innerZonesA = computeZoneStack(roadA, sideA)
-    if (innerZonesA.length === 0) innerZonesA = computeZoneStack(roadA, sideA === 'right' ? 'left' : 'right')
-
-    let innerZonesB = computeZoneStack(roadB, sideB)
-    if (innerZonesB.length === 0) innerZonesB = computeZoneStack(roadB, sideB === 'right' ? 'left' : 'right')
-
-    const allZoneTypes = [
-        { type: 'TransitionZone', leftKey: 'leftTransitionZone', rightKey: 'rightTransitionZone' },
-        { type: 'Sidewalk', leftKey: 'leftSidewalk', rightKey: 'rightSidewalk' },
-        { type: 'Verge', leftKey: 'leftVerge', rightKey: 'rightVerge' },
-        { type: 'Parking', leftKey: 'leftParking', rightKey: 'rightParking' },
-    ]
-
-    let totalRadius = 0
-    for (const { type, leftKey, rightKey } of allZoneTypes) {
-        const zA = innerZonesA.find(z => z.zoneType === leftKey || z.zoneType === rightKey)
-        const zB = innerZonesB.find(z => z.zoneType === leftKey || z.zoneType === rightKey)
-        if (!zA && !zB) continue
-        let depth
-        if (zA && zB) {
-            depth = (zA.depth + zB.depth) / 2
-        } else if (zA) {
-            depth = zA.depth
-        } else {
-            depth = zB.depth
-        }
-        if (depth > 0) totalRadius += depth
-    }
-
-    return totalRadius
+    const merged = mergeCornerZones(getCornerSideZones(roadA, sideA), getCornerSideZones(roadB, sideB))
+    return merged.reduce((sum, z) => sum + z.depth, 0)
 }
 
 /**
@@ -0,0 +1,150 @@
+import { getLotPolygon, getLotFrontEdge, classifyLotEdges, signedArea } from './lotGeometry'
+
+/**
+ * Lot Access Points
+ *
+ * Where each enabled lot access (the LotAccessArrow symbols) meets its lot
+ * line, in lot-local coordinates. Arrow positions are draggable and stored in
+ * annotationPositions under `lot-${lotId}-access-*`; unset or stale positions
+ * fall back to the defaults LotEntity draws the arrows at.
+ *
+ * Each access point is snapped to the nearest lot line on its side and
+ * carries that line's unit direction (`along`) and inward normal, so callers
+ * can build geometry (sight triangles, driveways) off the lot line.
+ */
+
+// Stored positions further than this outside the lot are left over from old dimensions
+const STALE_MARGIN = 20
+
+/**
+ * Which lot lines face a street.
+ * @param {{ left: boolean, right: boolean }} streetSides
+ * @param {{ front: boolean, rear: boolean }} roadDirs - getActiveRoadDirections result
+ * @returns {{ front: boolean, rear: boolean, left: boolean, right: boolean }}
+ */
+export const getStreetLotLines = (streetSides = {}, roadDirs = {}) => ({
+    front: !!roadDirs.front,
+    rear: !!roadDirs.rear,
+    left: !!streetSides.left,
+    right: !!streetSides.right,
+})
+
+/**
+ * Stored arrow position, or the fallback when unset / outside the lot bounds.
+ * @param {number[]|null} stored - [x, y, z] from annotationPositions
+ * @param {number} lotWidth
+ * @param {number} lotDepth
+ * @param {number[]} fallback
+ * @returns {number[]}
+ */
+export const resolveAccessPosition = (stored, lotWidth, lotDepth, fallback) => {
+    if (!stored) return fallback
+    if (Math.abs(stored[0]) > lotWidth / 2 + STALE_MARGIN || Math.abs(stored[1]) > lotDepth / 2 + STALE_MARGIN) return fallback
+    return stored
+}
+
+/**
+ * Nearest point on the lot lines of one side, with the line's direction and
+ * inward normal. Null when the lot has no edge on that side.
+ * `edge.index` is the line's position in classifyLotEdges order.
+ */
+const snapToLotLine = (polygon, frontEdge, side, x, y) => {
+    const ccw = signedArea(polygon) > 0
+    let best = null
+    let bestDist = Infinity
+    for (const [index, { side: edgeSide, a, b }] of classifyLotEdges(polygon, frontEdge).entries()) {
+        if (edgeSide !== side) continue
+        const dx = b.x - a.x, dy = b.y - a.y
+        const len = Math.hypot(dx, dy)
+        const t = Math.min(Math.max(((x - a.x) * dx + (y - a.y) * dy) / (len * len), 0), 1)
+        const point = { x: a.x + dx * t, y: a.y + dy * t }
+        const dist = Math.hypot(point.x - x, point.y - y)
+        if (dist >= bestDist) continue
+        const along = { x: dx / len, y: dy / len }
+        // Inward normal: left-hand normal for CCW winding, right-hand for CW
+        const inward = ccw ? { x: -along.y, y: along.x } : { x: along.y, y: -along.x }
+        best = { point, along, inward, edge: { a, b, index } }
+        bestDist = dist
+    }
+    return best
+}
+
+/**
+ * Every enabled lot access on a lot.
+ * `side` is the lot line the access crosses; shared drives also report the
+ * interior side they run along (`sharedSide`).
+ * @param {object} lot
+ * @param {string} lotId
+ * @param {object} [annotationPositions]
+ * @param {{ left: boolean, right: boolean }} [streetSides]
+ * @returns {Array<{ key: string, side: string, sharedSide: string|null, position: number[],
+ *   point: {x: number, y: number}, along: {x: number, y: number}, inward: {x: number, y: number},
+ *   edge: { a: object, b: object, index: number } }>}
+ */
+export const getLotAccessPoints = (lot, lotId, annotationPositions = {}, streetSides = {}) => {
+    const access = lot?.lotAccess
+    if (!access) return []
+    const lotWidth = lot.lotWidth ?? 50
+    const lotDepth = lot.lotDepth ?? 100
+    const position = (suffix, fallback) =>
+        resolveAccessPosition(annotationPositions?.[`lot-${lotId}-access-${suffix}`], lotWidth, lotDepth, fallback)
+
+    const entries = []
+    if (access.front) entries.push({ key: 'front', side: 'front', position: position('front', [0, -lotDepth / 2 + 5, 0]) })
+    if (access.rear) entries.push({ key: 'rear', side: 'rear', position: position('rear', [0, lotDepth / 2 - 5, 0]) })
+    if (access.sideStreet && (streetSides.left || streetSides.right)) {
+        entries.push({
+            key: 'sideStreet',
+            side: streetSides.left ? 'left' : 'right',
+            position: position('sidestreet', [streetSides.left ? -lotWidth / 2 + 5 : lotWidth / 2 - 5, 0, 0]),
+        })
+    }
+    if (access.sideInterior) {
+        // Shared drive runs along the interior side (away from the side street)
+        const location = access.sharedDriveLocation ?? 'front'
+        const sharedSide = streetSides.right ? 'left' : 'right'
+        const x = streetSides.right ? -lotWidth / 2 : lotWidth / 2
+        if (location === 'front' || location === 'both') {
+            entries.push({ key: 'sharedDrive', side: 'front', sharedSide, position: position('shareddrive', [x, -lotDepth / 2, 0]) })
+        }
+        if (location === 'rear' || location === 'both') {
+            entries.push({ key: 'sharedDriveRear', side: 'rear', sharedSide, position: position('shareddrive-rear', [x, lotDepth / 2, 0]) })
+        }
+    }
+
+    const polygon = getLotPolygon(lot)
+    const frontEdge = getLotFrontEdge(lot)
+    return entries
+        .map(entry => {
+            const snapped = snapToLotLine(polygon, frontEdge, entry.side, entry.position[0], entry.position[1])
+            return snapped ? { sharedSide: null, ...entry, ...snapped } : null
+        })
+        .filter(Boolean)
+}
+
+/**
+ * Direction along the lot line (+1 / -1 times `along`) from a shared drive's
+ * interior lot line into this lot. The drive is centered on the shared lot
+ * line, so each lot holds the half on its side.
+ * @param {object} access - getLotAccessPoints entry with a sharedSide
+ * @returns {1|-1}
+ */
+export const getSharedDriveDirection = (access) => {
+    const { point, along, edge: { a, b } } = access
+    const nearA = Math.hypot(point.x - a.x, point.y - a.y) <= Math.hypot(point.x - b.x, point.y - b.y)
+    const [shared, far] = nearA ? [a, b] : [b, a]
+    return (far.x - shared.x) * along.x + (far.y - shared.y) * along.y >= 0 ? 1 : -1
+}
+
+/**
+ * Extent of a drive of the given width along its lot line, as offsets from
+ * the access point in `along` units. Shared drives only cover this lot's half.
+ * @param {object} access - getLotAccessPoints entry
+ * @param {number} width - Drive width (ft)
+ * @returns {[number, number]} [lo, hi]
+ */
+export const getAccessSpan = (access, width) => {
+    const half = Math.max(width, 0) / 2
+    if (!access.sharedSide) return [-half, half]
+    return getSharedDriveDirection(access) > 0 ? [0, half] : [-half, 0]
+}
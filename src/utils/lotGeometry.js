@@ -0,0 +1,558 @@
+import { pointInPolygon } from './drawingGeometry'
+import { pointToSegmentDistSq } from './drawingHitTest'
+
+/**
+ * Lot & Building Footprint Geometry
+ *
+ * Shared 2D helpers for reasoning about lots and buildings in the district
+ * module. All coordinates are lot-local, matching LotEntity's group frame:
+ * - Lot is centered at (0, 0)
+ * - Front lot line at y = -lotDepth / 2, rear at y = +lotDepth / 2
+ * - Left side at x = -lotWidth / 2, right side at x = +lotWidth / 2
+ * - Building x/y (and polygon vertices) are relative to the lot center
+ */
+
+/**
+ * Signed area of a polygon (positive = counter-clockwise).
+ */
+export const signedArea = (points) => {
+    let area = 0
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i]
+        const b = points[(i + 1) % points.length]
+        area += a.x * b.y - b.x * a.y
+    }
+    return area / 2
+}
+
+/**
+ * Convex hull of a point set (Andrew's monotone chain), counter-clockwise.
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const convexHull = (points) => {
+    const pts = [...points].sort((a, b) => a.x - b.x || a.y - b.y)
+    if (pts.length < 3) return pts
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x)
+    const lower = []
+    for (const p of pts) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop()
+        lower.push(p)
+    }
+    const upper = []
+    for (let i = pts.length - 1; i >= 0; i--) {
+        const p = pts[i]
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop()
+        upper.push(p)
+    }
+    return [...lower.slice(0, -1), ...upper.slice(0, -1)]
+}
+
+/**
+ * Returns the set of road directions that currently have an enabled road module.
+ * @param {object} roadModules - entities.roadModules
+ * @returns {{ front: boolean, left: boolean, right: boolean, rear: boolean }}
+ */
+export const getActiveRoadDirections = (roadModules) => {
+    const dirs = { front: false, left: false, right: false, rear: false }
+    for (const road of Object.values(roadModules ?? {})) {
+        if (road.enabled) dirs[road.direction] = true
+    }
+    return dirs
+}
+
+/**
+ * Returns the lot outline as an array of {x, y} points (polygon or rectangle).
+ * @param {object} lot
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const getLotPolygon = (lot) => {
+    if (!lot) return []
+    const geom = lot.lotGeometry
+    if (geom?.mode === 'polygon' && geom.vertices?.length >= 3) {
+        return geom.vertices.map(v => ({ x: v.x, y: v.y }))
+    }
+    const w2 = (lot.lotWidth ?? 50) / 2
+    const d2 = (lot.lotDepth ?? 100) / 2
+    return [
+        { x: -w2, y: -d2 },
+        { x: w2, y: -d2 },
+        { x: w2, y: d2 },
+        { x: -w2, y: d2 },
+    ]
+}
+
+/**
+ * Lot area in square feet (polygon-aware).
+ * @param {object} lot
+ * @returns {number}
+ */
+export const getLotArea = (lot) => {
+    if (!lot) return 0
+    const geom = lot.lotGeometry
+    if (geom?.mode === 'polygon' && geom.vertices?.length >= 3) {
+        return Math.abs(signedArea(geom.vertices))
+    }
+    return (lot.lotWidth ?? 50) * (lot.lotDepth ?? 100)
+}
+
+/**
+ * True when a building record represents a real (non-deleted, non-empty) structure.
+ * @param {object} building
+ * @returns {boolean}
+ */
+export const buildingExists = (building) =>
+    !!building && (building.width ?? 0) > 0 && (building.depth ?? 0) > 0 && (building.stories ?? 0) > 0
+
+const BUILDING_TYPE_LABELS = { principal: 'Principal', accessory: 'Accessory' }
+
+/**
+ * Buildings on a lot in display order, each tagged with its id and type.
+ * Lots saved before buildingOrder / type existed fall back to the building keys.
+ * @param {object} lot
+ * @returns {Array<object>} Building records with `id` and `type` set
+ */
+export const getLotBuildings = (lot) => {
+    const buildings = lot?.buildings ?? {}
+    const order = lot?.buildingOrder ?? Object.keys(buildings)
+    return order
+        .filter(id => buildings[id])
+        .map(id => ({ ...buildings[id], id, type: buildings[id].type ?? id }))
+}
+
+/**
+ * Display label for a building: 'Principal', 'Accessory', or numbered
+ * ('Principal 2') when the lot has more than one building of that type.
+ * @param {object} lot
+ * @param {string} buildingId
+ * @returns {string}
+ */
+export const getBuildingLabel = (lot, buildingId) => {
+    const all = getLotBuildings(lot)
+    const building = all.find(b => b.id === buildingId)
+    if (!building) return ''
+    const sameType = all.filter(b => b.type === building.type)
+    const base = BUILDING_TYPE_LABELS[building.type] ?? building.type
+    return sameType.length > 1 ? `${base} ${sameType.indexOf(building) + 1}` : base
+}
+
+/**
+ * Returns a building footprint as an array of {x, y} points in lot-local coordinates.
+ * @param {object} building
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const getBuildingFootprint = (building) => {
+    if (!building) return []
+    const geom = building.geometry
+    if (geom?.mode === 'polygon' && geom.vertices?.length >= 3) {
+        return geom.vertices.map(v => ({ x: v.x, y: v.y }))
+    }
+    const bx = building.x ?? 0
+    const by = building.y ?? 0
+    const w2 = (building.width ?? 0) / 2
+    const d2 = (building.depth ?? 0) / 2
+    return [
+        { x: bx - w2, y: by - d2 },
+        { x: bx + w2, y: by - d2 },
+        { x: bx + w2, y: by + d2 },
+        { x: bx - w2, y: by + d2 },
+    ]
+}
+
+/**
+ * Floor plate of every story, bottom to top, in lot-local coordinates.
+ * A storyFootprints entry applies from its fromStory upward until the next
+ * entry: its vertices when given, else a width x depth rectangle centered on
+ * the ground footprint's bounds.
+ * @param {object} building
+ * @returns {Array<Array<{x: number, y: number}>>} One footprint per story
+ */
+export const getStoryFootprints = (building) => {
+    const base = getBuildingFootprint(building)
+    const stories = building?.stories ?? 1
+    if (base.length === 0 || stories <= 0) return []
+    const xs = base.map(p => p.x)
+    const ys = base.map(p => p.y)
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2
+    const cy = (Math.min(...ys) + Math.max(...ys)) / 2
+    const plates = (building.storyFootprints ?? [])
+        .filter(e => e && e.fromStory > 1)
+        .sort((a, b) => a.fromStory - b.fromStory)
+        .map(e => {
+            if (e.vertices?.length >= 3) return { fromStory: e.fromStory, footprint: e.vertices.map(v => ({ x: v.x, y: v.y })) }
+            const w2 = (e.width ?? 0) / 2
+            const d2 = (e.depth ?? 0) / 2
+            return {
+                fromStory: e.fromStory,
+                footprint: [
+                    { x: cx - w2, y: cy - d2 },
+                    { x: cx + w2, y: cy - d2 },
+                    { x: cx + w2, y: cy + d2 },
+                    { x: cx - w2, y: cy + d2 },
+                ],
+            }
+        })
+    const result = []
+    for (let story = 1; story <= stories; story++) {
+        let footprint = base
+        for (const plate of plates) {
+            if (plate.fromStory <= story) footprint = plate.footprint
+        }
+        result.push(footprint)
+    }
+    return result
+}
+
+/**
+ * Index of the polygon edge (vertex i to i + 1) a polygon lot fronts onto,
+ * set when the lot faces an angled street. Null means the front is whichever
+ * side faces -Y, as for rectangular lots.
+ * @param {object} lot
+ * @returns {number|null}
+ */
+export const getLotFrontEdge = (lot) => {
+    const geom = lot?.lotGeometry
+    const index = geom?.frontEdge
+    if (geom?.mode !== 'polygon' || !Number.isInteger(index)) return null
+    return index >= 0 && index < (geom.vertices?.length ?? 0) ? index : null
+}
+
+/**
+ * Splits a lot outline into edges tagged with the lot side they belong to,
+ * classified by the dominant direction of each edge's outward normal.
+ * With a front edge, normals are measured relative to that edge's outward
+ * normal instead of -Y, so a lot fronting an angled street keeps its
+ * front/side/rear lot lines.
+ * @param {Array<{x: number, y: number}>} polygon
+ * @param {number|null} [frontEdge] - Result of getLotFrontEdge
+ * @returns {Array<{ side: 'front'|'rear'|'left'|'right', a: object, b: object }>}
+ */
+export const classifyLotEdges = (polygon, frontEdge = null) => {
+    if (!polygon || polygon.length < 3) return []
+    const ccw = signedArea(polygon) > 0
+    // Rotation that turns the front edge's outward normal to -Y
+    let cos = 1, sin = 0
+    if (frontEdge != null && polygon[frontEdge]) {
+        const a = polygon[frontEdge]
+        const b = polygon[(frontEdge + 1) % polygon.length]
+        const fx = ccw ? b.y - a.y : a.y - b.y
+        const fy = ccw ? a.x - b.x : b.x - a.x
+        if (fx !== 0 || fy !== 0) {
+            const angle = -Math.PI / 2 - Math.atan2(fy, fx)
+            cos = Math.cos(angle)
+            sin = Math.sin(angle)
+        }
+    }
+    const edges = []
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i]
+        const b = polygon[(i + 1) % polygon.length]
+        const dx = b.x - a.x, dy = b.y - a.y
+        if (dx === 0 && dy === 0) continue
+        // Outward normal: right-hand normal for CCW winding, left-hand for CW
+        const ox = ccw ? dy : -dy
+        const oy = ccw ? -dx : dx
+        const nx = ox * cos - oy * sin
+        const ny = ox * sin + oy * cos
+        let side
+        if (Math.abs(ny) >= Math.abs(nx)) side = ny < 0 ? 'front' : 'rear'
+        else side = nx < 0 ? 'left' : 'right'
+        edges.push({ side, a, b })
+    }
+    return edges
+}
+
+/**
+ * Point-in-polygon for {x, y} point lists.
+ */
+export const isPointInPolygon = (point, polygon) =>
+    pointInPolygon(point.x, point.y, polygon.map(p => [p.x, p.y]))
+
+/**
+ * Distance from a footprint to each side of the lot. Values are negative when
+ * the footprint crosses that side of the lot line. Sides with no edges are null.
+ * @param {Array<{x: number, y: number}>} footprint
+ * @param {Array<{x: number, y: number}>} lotPolygon
+ * @param {number|null} [frontEdge] - Result of getLotFrontEdge
+ * @returns {{ front: number|null, rear: number|null, left: number|null, right: number|null }}
+ */
+export const measureSetbacks = (footprint, lotPolygon, frontEdge = null) => {
+    const result = { front: null, rear: null, left: null, right: null }
+    if (!footprint?.length || !lotPolygon?.length) return result
+    const edges = classifyLotEdges(lotPolygon, frontEdge)
+    const outside = footprint.map(p => !isPointInPolygon(p, lotPolygon))
+    for (const { side, a, b } of edges) {
+        let best = Infinity
+        footprint.forEach((p, i) => {
+            const d = Math.sqrt(pointToSegmentDistSq(p.x, p.y, a.x, a.y, b.x, b.y))
+            const signed = outside[i] ? -d : d
+            if (signed < best) best = signed
+        })
+        // Lot vertices can sit closer to a footprint edge than any footprint vertex does
+        for (const q of [a, b]) {
+            for (let i = 0; i < footprint.length; i++) {
+                const p1 = footprint[i]
+                const p2 = footprint[(i + 1) % footprint.length]
+                const d = Math.sqrt(pointToSegmentDistSq(q.x, q.y, p1.x, p1.y, p2.x, p2.y))
+                if (d < best) best = d
+            }
+        }
+        if (result[side] == null || best < result[side]) result[side] = best
+    }
+    return result
+}
+
+// Whether segments p1-p2 and q1-q2 cross at a point interior to both
+const segmentsCross = (p1, p2, q1, q2) => {
+    const side = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)
+    return side(p1, p2, q1) * side(p1, p2, q2) < 0 && side(q1, q2, p1) * side(q1, q2, p2) < 0
+}
+
+const edgesCross = (a, b) => a.some((p1, i) => {
+    const p2 = a[(i + 1) % a.length]
+    return b.some((q1, j) => segmentsCross(p1, p2, q1, b[(j + 1) % b.length]))
+})
+
+/**
+ * Minimum clear distance between two footprints (0 when they touch or overlap).
+ * Footprints can overlap with no vertex inside the other (e.g. a plus shape),
+ * so crossing edges count as overlap too.
+ * @param {Array<{x: number, y: number}>} a
+ * @param {Array<{x: number, y: number}>} b
+ * @returns {number|null} null when either footprint is empty
+ */
+export const footprintDistance = (a, b) => {
+    if (!a?.length || !b?.length) return null
+    if (a.some(p => isPointInPolygon(p, b)) || b.some(p => isPointInPolygon(p, a))) return 0
+    if (edgesCross(a, b)) return 0
+    let best = Infinity
+    const scan = (points, poly) => {
+        for (const p of points) {
+            for (let i = 0; i < poly.length; i++) {
+                const q1 = poly[i]
+                const q2 = poly[(i + 1) % poly.length]
+                const d = pointToSegmentDistSq(p.x, p.y, q1.x, q1.y, q2.x, q2.y)
+                if (d < best) best = d
+            }
+        }
+    }
+    scan(a, b)
+    scan(b, a)
+    return Math.sqrt(best)
+}
+
+/**
+ * Width of a lot polygon measured along a horizontal line at the given y.
+ * Sums the interior spans where the line crosses the outline.
+ * @param {Array<{x: number, y: number}>} polygon
+ * @param {number} y
+ * @returns {number}
+ */
+export const polygonWidthAtY = (polygon, y) => {
+    const xs = []
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i]
+        const b = polygon[(i + 1) % polygon.length]
+        if ((a.y > y) !== (b.y > y)) {
+            xs.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y))
+        }
+    }
+    xs.sort((m, n) => m - n)
+    let width = 0
+    for (let i = 0; i + 1 < xs.length; i += 2) width += xs[i + 1] - xs[i]
+    return width
+}
+
+/**
+ * Resolves the min setback distance for each lot side. Street-facing sides use
+ * minSideStreet; interior sides use the per-side override, then sideInterior.
+ * @param {object} setbacks - lot.setbacks.principal (or accessory)
+ * @param {{ left: boolean, right: boolean }} streetSides
+ * @returns {{ front: number, rear: number, left: number, right: number }}
+ */
+export const resolveSideSetbacks = (setbacks, streetSides = {}) => {
+    const sb = setbacks ?? {}
+    const street = sb.minSideStreet ?? sb.sideStreet
+    const positive = (v) => (v != null && v > 0 ? v : 0)
+    return {
+        front: positive(sb.front),
+        rear: positive(sb.rear),
+        left: positive(streetSides.left ? street : (sb.sideInteriorLeft ?? sb.sideInterior)),
+        right: positive(streetSides.right ? street : (sb.sideInteriorRight ?? sb.sideInterior)),
+    }
+}
+
+const lineIntersection = (p1, d1, p2, d2) => {
+    const cross = d1.x * d2.y - d1.y * d2.x
+    if (Math.abs(cross) < 1e-9) return null
+    const t = ((p2.x - p1.x) * d2.y - (p2.y - p1.y) * d2.x) / cross
+    return { x: p1.x + d1.x * t, y: p1.y + d1.y * t }
+}
+
+/**
+ * Offsets every edge of a polygon inward by its own distance and rebuilds the
+ * outline from the intersections of adjacent offset edges.
+ * @param {Array<{x: number, y: number}>} polygon
+ * @param {(edge: { side: string, a: object, b: object }) => number} distanceForEdge
+ * @param {number|null} [frontEdge] - Result of getLotFrontEdge
+ * @returns {Array<{x: number, y: number}>|null} Inset outline, or null when the setbacks consume the lot
+ */
+export const insetPolygon = (polygon, distanceForEdge, frontEdge = null) => {
+    const edges = classifyLotEdges(polygon, frontEdge)
+    if (edges.length < 3) return null
+    const ccw = signedArea(polygon) > 0
+    const offset = edges.map((edge) => {
+        const dx = edge.b.x - edge.a.x, dy = edge.b.y - edge.a.y
+        const len = Math.hypot(dx, dy)
+        // Inward normal: left-hand normal for CCW winding, right-hand for CW
+        const nx = (ccw ? -dy : dy) / len
+        const ny = (ccw ? dx : -dx) / len
+        const d = distanceForEdge(edge) ?? 0
+        return { p: { x: edge.a.x + nx * d, y: edge.a.y + ny * d }, dir: { x: dx, y: dy } }
+    })
+    const result = offset.map((cur, i) => {
+        const prev = offset[(i - 1 + offset.length) % offset.length]
+        return lineIntersection(prev.p, prev.dir, cur.p, cur.dir) ?? cur.p
+    })
+    // An edge that flips direction means the inset collapsed past it
+    for (let i = 0; i < result.length; i++) {
+        const a = result[i]
+        const b = result[(i + 1) % result.length]
+        const { dir } = offset[i]
+        if ((b.x - a.x) * dir.x + (b.y - a.y) * dir.y < -1e-6) return null
+    }
+    const area = signedArea(result)
+    if (Math.abs(area) < 1e-6 || (area > 0) !== ccw) return null
+    return result
+}
+
+/**
+ * Buildable area inside the min setback lines (polygon-aware).
+ * @param {object} lot
+ * @param {object} setbacks - lot.setbacks.principal (or accessory)
+ * @param {{ left: boolean, right: boolean }} streetSides
+ * @returns {Array<{x: number, y: number}>|null}
+ */
+export const getSetbackPolygon = (lot, setbacks, streetSides = {}) => {
+    const distances = resolveSideSetbacks(setbacks, streetSides)
+    return insetPolygon(getLotPolygon(lot), (edge) => distances[edge.side], getLotFrontEdge(lot))
+}
+
+/**
+ * Sutherland–Hodgman clip of a polygon against the half-plane
+ * (p - origin) · normal <= limit.
+ */
+export const clipPolygonToHalfPlane = (polygon, origin, normal, limit) => {
+    const value = (p) => (p.x - origin.x) * normal.x + (p.y - origin.y) * normal.y - limit
+    const out = []
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i]
+        const b = polygon[(i + 1) % polygon.length]
+        const va = value(a), vb = value(b)
+        if (va <= 0) out.push(a)
+        if ((va <= 0) !== (vb <= 0)) {
+            const t = va / (va - vb)
+            out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t })
+        }
+    }
+    return out.length >= 3 ? out : null
+}
+
+/**
+ * Build-to zone: the part of the setback polygon between the min and max front
+ * setbacks, measured from the longest front lot line. Null when the district
+ * sets no max front setback deeper than the min.
+ * @param {object} lot
+ * @param {object} setbacks - lot.setbacks.principal
+ * @param {{ left: boolean, right: boolean }} streetSides
+ * @returns {Array<{x: number, y: number}>|null}
+ */
+export const getFrontZonePolygon = (lot, setbacks, streetSides = {}) => {
+    const maxFront = setbacks?.maxFront
+    if (maxFront == null || maxFront <= (setbacks.front ?? 0)) return null
+    const envelope = getSetbackPolygon(lot, setbacks, streetSides)
+    if (!envelope) return null
+    const polygon = getLotPolygon(lot)
+    const fronts = classifyLotEdges(polygon, getLotFrontEdge(lot)).filter(e => e.side === 'front')
+    if (fronts.length === 0) return null
+    const longest = fronts.reduce((best, e) =>
+        Math.hypot(e.b.x - e.a.x, e.b.y - e.a.y) > Math.hypot(best.b.x - best.a.x, best.b.y - best.a.y) ? e : best)
+    const dx = longest.b.x - longest.a.x, dy = longest.b.y - longest.a.y
+    const len = Math.hypot(dx, dy)
+    const ccw = signedArea(polygon) > 0
+    const normal = { x: (ccw ? -dy : dy) / len, y: (ccw ? dx : -dx) / len }
+    return clipPolygonToHalfPlane(envelope, longest.a, normal, maxFront)
+}
+
+/**
+ * Part of a polygon inside an axis-aligned box. Omitted bounds are open.
+ * @param {Array<{x: number, y: number}>|null} polygon
+ * @param {{ x0?: number, x1?: number, y0?: number, y1?: number }} bounds
+ * @returns {Array<{x: number, y: number}>|null}
+ */
+export const clipPolygonToRect = (polygon, { x0, x1, y0, y1 }) => {
+    const planes = [
+        [x0, { x: x0, y: 0 }, { x: -1, y: 0 }],
+        [x1, { x: x1, y: 0 }, { x: 1, y: 0 }],
+        [y0, { x: 0, y: y0 }, { x: 0, y: -1 }],
+        [y1, { x: 0, y: y1 }, { x: 0, y: 1 }],
+    ]
+    let clipped = polygon
+    for (const [bound, origin, normal] of planes) {
+        if (!clipped) return null
+        if (bound == null) continue
+        clipped = clipPolygonToHalfPlane(clipped, origin, normal, 0)
+    }
+    return clipped
+}
+
+// Outermost crossings of the polygon at height y
+const spanAtY = (polygon, y) => {
+    let min = Infinity, max = -Infinity
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i]
+        const b = polygon[(i + 1) % polygon.length]
+        if ((a.y > y) !== (b.y > y)) {
+            const x = a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)
+            min = Math.min(min, x)
+            max = Math.max(max, x)
+        }
+    }
+    return min < max ? [min, max] : null
+}
+
+const RECTANGLE_SAMPLES = 24
+const RECTANGLE_EPSILON = 1e-6
+
+/**
+ * Largest axis-aligned rectangle inside a polygon, found on a grid of sample
+ * heights. Ties go to the rectangle nearest the front (smallest y).
+ * @param {Array<{x: number, y: number}>|null} polygon
+ * @returns {{ x0: number, x1: number, y0: number, y1: number }|null}
+ */
+export const largestRectangle = (polygon) => {
+    if (!polygon || polygon.length < 3) return null
+    const ys = polygon.map(p => p.y)
+    const minY = Math.min(...ys) + RECTANGLE_EPSILON
+    const maxY = Math.max(...ys) - RECTANGLE_EPSILON
+    if (maxY <= minY) return null
+    const levels = Array.from({ length: RECTANGLE_SAMPLES + 1 }, (_, i) => minY + (maxY - minY) * i / RECTANGLE_SAMPLES)
+    const spans = levels.map(y => spanAtY(polygon, y))
+
+    let best = null, bestArea = 0
+    for (let i = 0; i < levels.length; i++) {
+        let x0 = -Infinity, x1 = Infinity
+        for (let j = i; j < levels.length; j++) {
+            if (!spans[j]) break
+            x0 = Math.max(x0, spans[j][0])
+            x1 = Math.min(x1, spans[j][1])
+            if (x1 <= x0) break
+            const area = (x1 - x0) * (levels[j] - levels[i])
+            if (area > bestArea + RECTANGLE_EPSILON) {
+                bestArea = area
+                best = { x0, x1, y0: levels[i], y1: levels[j] }
+            }
+        }
+    }
+    return best
+}
@@ -0,0 +1,281 @@
+import { getLotPolygon, signedArea, clipPolygonToHalfPlane } from './lotGeometry'
+import { computeBlockLayout, worldToLot } from './blockLayout'
+
+/**
+ * Lot Subdivision & Consolidation
+ *
+ * Splits a parent lot into side-by-side parcels with cut lines perpendicular to
+ * the street (constant x in lot-local coordinates), matching the way the
+ * district module lays lots out in a row.
+ *
+ * Modes:
+ * - 'count':    N parcels of equal frontage
+ * - 'frontage': parcels of a fixed frontage width, cut from the left side
+ * - 'area':     parcels of a target area, cut from the left side
+ *
+ * Whatever does not make a full parcel is the remainder; it can optionally be
+ * absorbed into the last parcel. Parcels below the district's minimum lot
+ * width, depth or area are never created — their area is reported with the
+ * remainder instead.
+ *
+ * Consolidation is the inverse: adjacent lots on one block face are unioned
+ * along their shared side lines into a single polygon lot.
+ */
+
+export const SUBDIVISION_MODES = ['count', 'frontage', 'area']
+
+// Guard against runaway cuts from tiny frontage / area targets
+const MAX_PARCELS = 50
+const EPSILON = 1e-6
+// Shared side lines are matched within the 0.01 ft vertex rounding
+const LINE_TOLERANCE = 0.01
+
+const round = (v) => Math.round(v * 100) / 100
+
+const polygonArea = (polygon) => (polygon ? Math.abs(signedArea(polygon)) : 0)
+
+const getBounds = (polygon) => {
+    const xs = polygon.map(p => p.x)
+    const ys = polygon.map(p => p.y)
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) }
+}
+
+// Part of the polygon between two vertical cut lines
+const stripBetween = (polygon, x0, x1) => {
+    const right = clipPolygonToHalfPlane(polygon, { x: x0, y: 0 }, { x: -1, y: 0 }, 0)
+    return right ? clipPolygonToHalfPlane(right, { x: x1, y: 0 }, { x: 1, y: 0 }, 0) : null
+}
+
+// Cut position whose strip from x0 has the target area (area grows monotonically with x)
+const findAreaCut = (polygon, x0, maxX, target) => {
+    let lo = x0, hi = maxX
+    for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2
+        if (polygonArea(stripBetween(polygon, x0, mid)) < target) lo = mid
+        else hi = mid
+    }
+    return hi
+}
+
+// Cut positions (left to right, including both ends) plus whether the last strip is leftover
+const computeCuts = (polygon, { minX, maxX }, { mode, count, frontage, area }) => {
+    if (mode === 'count') {
+        const n = Math.max(1, Math.min(MAX_PARCELS, Math.floor(count) || 1))
+        const step = (maxX - minX) / n
+        return { cuts: Array.from({ length: n + 1 }, (_, i) => (i === n ? maxX : minX + step * i)), hasLeftover: false }
+    }
+
+    const cuts = [minX]
+    if (mode === 'frontage') {
+        if (!(frontage > 0)) return { cuts: [minX, maxX], hasLeftover: true }
+        while (cuts.length <= MAX_PARCELS && cuts[cuts.length - 1] + frontage <= maxX + EPSILON) {
+            cuts.push(Math.min(maxX, cuts[cuts.length - 1] + frontage))
+        }
+    } else {
+        if (!(area > 0)) return { cuts: [minX, maxX], hasLeftover: true }
+        while (cuts.length <= MAX_PARCELS) {
+            const x0 = cuts[cuts.length - 1]
+            if (polygonArea(stripBetween(polygon, x0, maxX)) < area - EPSILON) break
+            cuts.push(findAreaCut(polygon, x0, maxX, area))
+        }
+    }
+    const hasLeftover = maxX - cuts[cuts.length - 1] > EPSILON
+    if (hasLeftover) cuts.push(maxX)
+    return { cuts, hasLeftover }
+}
+
+// Which district minimums a parcel misses
+const checkMinimums = (parcel, dp) => {
+    const failures = []
+    if (dp?.lotWidth?.min != null && parcel.width < dp.lotWidth.min - EPSILON) failures.push('width')
+    if (dp?.lotDepth?.min != null && parcel.depth < dp.lotDepth.min - EPSILON) failures.push('depth')
+    if (dp?.lotArea?.min != null && parcel.area < dp.lotArea.min - EPSILON) failures.push('area')
+    return failures
+}
+
+/**
+ * Plans a subdivision of a lot (rectangle or polygon).
+ * @param {object} lot - Parent lot entity
+ * @param {object} options
+ * @param {'count'|'frontage'|'area'} options.mode
+ * @param {number} [options.count] - Number of parcels ('count')
+ * @param {number} [options.frontage] - Parcel frontage in ft ('frontage')
+ * @param {number} [options.area] - Parcel area in sf ('area')
+ * @param {boolean} [options.absorbRemainder] - Add the leftover strip to the last parcel
+ * @param {object} districtParameters - Source of the min lot width / depth / area
+ * @returns {{ parcels: object[], leftover: object[]|null, remainder: { polygons: object[], area: number }, parentArea: number, validCount: number }}
+ *   Parcels run left to right: { polygon, width, depth, area, failures, valid }.
+ *   leftover is the strip past the last full parcel; remainder adds the invalid parcels to it.
+ */
+export const planSubdivision = (lot, options, districtParameters) => {
+    const polygon = getLotPolygon(lot)
+    const parentArea = polygonArea(polygon)
+    const empty = { parcels: [], leftover: null, remainder: { polygons: [], area: parentArea }, parentArea, validCount: 0 }
+    if (polygon.length < 3) return empty
+
+    const bounds = getBounds(polygon)
+    const { cuts, hasLeftover } = computeCuts(polygon, bounds, options ?? {})
+    let strips = []
+    for (let i = 0; i + 1 < cuts.length; i++) {
+        strips.push({ polygon: stripBetween(polygon, cuts[i], cuts[i + 1]), from: cuts[i], to: cuts[i + 1] })
+    }
+    strips = strips.filter(s => s.polygon)
+
+    let leftover = hasLeftover ? strips.pop() : null
+    if (leftover && options?.absorbRemainder && strips.length > 0) {
+        const last = strips.pop()
+        strips.push({ polygon: stripBetween(polygon, last.from, leftover.to), from: last.from, to: leftover.to })
+        leftover = null
+    }
+
+    const parcels = strips.map(({ polygon: p }) => {
+        const b = getBounds(p)
+        const parcel = { polygon: p, width: b.maxX - b.minX, depth: b.maxY - b.minY, area: polygonArea(p) }
+        parcel.failures = checkMinimums(parcel, districtParameters)
+        parcel.valid = parcel.failures.length === 0
+        return parcel
+    })
+
+    const remainderPolygons = [...parcels.filter(p => !p.valid).map(p => p.polygon), ...(leftover ? [leftover.polygon] : [])]
+    return {
+        parcels,
+        leftover: leftover ? leftover.polygon : null,
+        remainder: { polygons: remainderPolygons, area: remainderPolygons.reduce((sum, p) => sum + polygonArea(p), 0) },
+        parentArea,
+        validCount: parcels.filter(p => p.valid).length,
+    }
+}
+
+// Polygon re-centered on its bounding box and rounded to 0.01 ft; the lot
+// size is measured after rounding so it matches the vertices exactly
+const toLotOutline = (polygon) => {
+    const b = getBounds(polygon)
+    const cx = (b.minX + b.maxX) / 2
+    const cy = (b.minY + b.maxY) / 2
+    const vertices = polygon.map(p => ({ x: round(p.x - cx), y: round(p.y - cy) }))
+    const rb = getBounds(vertices)
+    return { lotWidth: round(rb.maxX - rb.minX), lotDepth: round(rb.maxY - rb.minY), vertices, center: { x: cx, y: cy } }
+}
+
+/**
+ * Lot data for the compliant parcels of a plan, ready for addLot. Each parcel
+ * is re-centered on its own bounding box (front at -lotDepth/2) and the list
+ * runs right to left, the direction entityOrder fills the district row.
+ * @param {object} plan - planSubdivision result
+ * @returns {Array<{ lotWidth: number, lotDepth: number, vertices: Array<{x: number, y: number}>, center: {x: number, y: number} }>}
+ */
+export const getSubdivisionLots = (plan) =>
+    plan.parcels
+        .filter(p => p.valid)
+        .reverse()
+        .map(({ polygon }) => toLotOutline(polygon))
+
+// Contiguous run of vertices on the vertical line x = c, as [startIndex, endIndex] in traversal order
+const findLineRun = (polygon, c) => {
+    const n = polygon.length
+    const on = polygon.map(p => Math.abs(p.x - c) < LINE_TOLERANCE)
+    const starts = []
+    for (let i = 0; i < n; i++) {
+        if (on[i] && !on[(i - 1 + n) % n]) starts.push(i)
+    }
+    if (starts.length !== 1) return null
+    let end = starts[0]
+    while (on[(end + 1) % n]) end = (end + 1) % n
+    return end === starts[0] ? null : [starts[0], end]
+}
+
+// Vertices from index a to index b walking forward (inclusive, wrapping)
+const walk = (polygon, a, b) => {
+    const out = [polygon[a]]
+    for (let i = a; i !== b; ) {
+        i = (i + 1) % polygon.length
+        out.push(polygon[i])
+    }
+    return out
+}
+
+// Drop repeated and collinear vertices
+const simplify = (polygon) => {
+    const pts = polygon.filter((p, i) => {
+        const q = polygon[(i + 1) % polygon.length]
+        return Math.abs(p.x - q.x) > EPSILON || Math.abs(p.y - q.y) > EPSILON
+    })
+    return pts.filter((p, i) => {
+        const a = pts[(i - 1 + pts.length) % pts.length]
+        const b = pts[(i + 1) % pts.length]
+        return Math.abs((p.x - a.x) * (b.y - a.y) - (p.y - a.y) * (b.x - a.x)) > EPSILON
+    })
+}
+
+/**
+ * Union of two counter-clockwise polygons that meet along the vertical line
+ * x = c, `left` entirely on its left and `right` entirely on its right. Each
+ * must touch the line along a single edge and the two edges must overlap.
+ * @returns {Array<{x: number, y: number}>|null} Merged outline, or null if they only touch at a point or not at all
+ */
+const unionAlongLine = (left, right, c) => {
+    const runA = findLineRun(left, c)
+    const runB = findLineRun(right, c)
+    if (!runA || !runB) return null
+    // Counter-clockwise: the left polygon climbs the line, the right one descends it
+    const [a0, a1] = runA
+    const [b1, b0] = runB
+    const overlap = Math.min(left[a1].y, right[b1].y) - Math.max(left[a0].y, right[b0].y)
+    if (left[a1].y <= left[a0].y || right[b1].y <= right[b0].y || overlap <= EPSILON) return null
+    return simplify([...walk(left, a1, a0), ...walk(right, b0, b1)])
+}
+
+/**
+ * The block layout placements of the lots to merge, in entityOrder, and why
+ * they cannot be merged if so: every lot must sit on the same block face
+ * ('face') and next to the others along it ('adjacent').
+ * @param {object} lots - entities.lots
+ * @param {string[]} entityOrder
+ * @param {object} roadModules - entities.roadModules
+ * @param {string[]} lotIds - Lots to merge
+ * @returns {{ placements: object[], error: 'face'|'adjacent'|null }}
+ */
+export const getMergePlacements = (lots, entityOrder, roadModules, lotIds) => {
+    const all = computeBlockLayout(lots, entityOrder, roadModules).placements
+    const placements = all.filter(p => lotIds.includes(p.lotId))
+    if (placements.length < 2) return { placements, error: null }
+    const face = placements[0].face
+    if (placements.some(p => p.face !== face)) return { placements, error: 'face' }
+    const faceIds = all.filter(p => p.face === face).map(p => p.lotId)
+    const first = faceIds.indexOf(placements[0].lotId)
+    const last = faceIds.indexOf(placements[placements.length - 1].lotId)
+    return { placements, error: last - first === placements.length - 1 ? null : 'adjacent' }
+}
+
+/**
+ * Merges lots that sit next to each other on one block face into one outline.
+ * Each lot is placed where computeBlockLayout puts it, in the face's own axes
+ * (the lots' shared local frame, fronts aligned), and the lots are unioned
+ * along their shared side lines from right to left.
+ * @param {object[]} placements - getMergePlacements result (same face, adjacent)
+ * @returns {{ lotWidth: number, lotDepth: number, vertices: Array<{x: number, y: number}>, offsets: Array<{dx: number, dy: number}> }|null}
+ *   offsets[i] moves lot i's local coordinates into the merged lot's; null if the outlines do not share an edge.
+ */
+export const mergeLotPolygons = (placements) => {
+    if (!placements?.length) return null
+    const rotation = placements[0].rotation
+    const parts = placements.map(p => {
+        const center = worldToLot(p.x, p.y, 0, 0, rotation)
+        const width = p.lot?.lotWidth ?? 50
+        let polygon = getLotPolygon(p.lot).map(q => ({ x: q.x + center.x, y: q.y + center.y }))
+        if (signedArea(polygon) < 0) polygon = polygon.reverse()
+        return { center, polygon, left: center.x - width / 2, right: center.x + width / 2 }
+    })
+
+    const ordered = [...parts].sort((a, b) => b.center.x - a.center.x)
+    let merged = ordered[0].polygon
+    for (let i = 1; i < ordered.length; i++) {
+        const line = ordered[i - 1].left
+        if (Math.abs(ordered[i].right - line) > LINE_TOLERANCE) return null
+        merged = unionAlongLine(ordered[i].polygon, merged, line)
+        if (!merged) return null
+    }
+
+    const { center, ...outline } = toLotOutline(merged)
+    return { ...outline, offsets: parts.map(p => ({ dx: p.center.x - center.x, dy: p.center.y - center.y })) }
+}
@@ -0,0 +1,380 @@
+import {
+    getLotArea,
+    getLotPolygon,
+    getLotBuildings,
+    buildingExists,
+    getSetbackPolygon,
+    clipPolygonToRect,
+    largestRectangle,
+} from './lotGeometry'
+import { computeBlockLayout } from './blockLayout'
+import { hasHeightTransitions } from './zoningEnvelope'
+import { evaluateLotCompliance } from './zoningCompliance'
+import { computeLotAnalytics, getFootprintArea, getBuildingGFA } from './siteAnalytics'
+import { generateParkingLayout, getRequiredStalls, PARKING_LAYOUT_DEFAULTS } from './parkingLayout'
+
+/**
+ * Maximum Build-Out
+ *
+ * Sizes the principal building on a lot to the largest compliant envelope:
+ *
+ * 1. Footprint — the largest axis-aligned rectangle inside the principal
+ *    setback polygon (the stricter of the lot's setbacks and the district
+ *    minimums), pushed to the front setback line.
+ * 2. Coverage — the footprint's depth is trimmed to the district max coverage.
+ * 3. Floors — floor heights are clamped to structures.principal and as many
+ *    stories as the height / story limits allow are stacked.
+ * 4. FAR — stories and then depth are trimmed to the district max FAR.
+ * 5. Daylight planes / stepbacks — stories are dropped until the compliance
+ *    engine reports no height-transition failures.
+ *
+ * Optionally a conforming accessory building is placed against the rear
+ * accessory setback, and a surface parking bay is reserved behind the
+ * principal building. The bay uses the lot's parking layout stall depth and
+ * aisle width and grows a stall row at a time until generateParkingLayout
+ * fits the stalls the district parking ratios require for the build-out.
+ * No bay is reserved when no stalls are required, and the principal building
+ * comes first: rows stop being added (or the bay is left out, with a note)
+ * once the principal would be shallower than MIN_PRINCIPAL_DEPTH.
+ * Other buildings already on the lot are kept and count against the coverage
+ * and FAR budgets.
+ */
+
+// Deepest parking bay tried, in stall rows
+const MAX_BAY_ROWS = 6
+// Shallowest principal footprint a parking bay may leave
+const MIN_PRINCIPAL_DEPTH = 20
+// Largest accessory footprint placed by the generator (ADU / two-car garage)
+const ACCESSORY_MAX_SIZE = 24
+// Separation used when the district sets no distance between buildings
+const DEFAULT_BUILDING_GAP = 10
+// Shrink each side so rounded dimensions never cross a setback line
+const MARGIN = 0.01
+const EPSILON = 1e-6
+
+const floor2 = (v) => Math.floor(v * 100) / 100
+const round2 = (v) => Math.round(v * 100) / 100
+
+// Largest non-null value, or null when every value is null
+const strictest = (...values) => {
+    const set = values.filter(v => v != null)
+    return set.length > 0 ? Math.max(...set) : null
+}
+
+const clamp = (value, min, max) => Math.min(max ?? Infinity, Math.max(min ?? -Infinity, value))
+
+// Rectangle bounds → building center / size, pulled in by MARGIN on every side
+const toPlacement = ({ x0, x1, y0, y1 }) => {
+    const width = floor2(x1 - x0 - 2 * MARGIN)
+    const depth = floor2(y1 - y0 - 2 * MARGIN)
+    return { x: round2((x0 + x1) / 2), y: round2(y0 + MARGIN + depth / 2), width, depth }
+}
+
+// Effective principal setbacks: the lot's own values or the district minimums, whichever is larger
+const principalSetbacks = (lot, dp) => {
+    const sb = lot.setbacks?.principal ?? {}
+    const d = dp.setbacksPrincipal ?? {}
+    return {
+        front: strictest(sb.front, d.front?.min),
+        rear: strictest(sb.rear, d.rear?.min),
+        sideInterior: strictest(sb.sideInterior, d.sideInterior?.min),
+        sideInteriorLeft: sb.sideInteriorLeft != null ? strictest(sb.sideInteriorLeft, d.sideInterior?.min) : null,
+        sideInteriorRight: sb.sideInteriorRight != null ? strictest(sb.sideInteriorRight, d.sideInterior?.min) : null,
+        minSideStreet: strictest(sb.minSideStreet, d.sideStreet?.min),
+    }
+}
+
+// Accessory setbacks fall back to the principal ones where neither the lot nor the district sets them
+const accessorySetbacks = (lot, dp, principal) => {
+    const sb = lot.setbacks?.accessory ?? {}
+    const d = dp.setbacksAccessory ?? {}
+    const pick = (lotValue, district, fallback) => strictest(lotValue, district?.min) ?? fallback
+    return {
+        front: pick(sb.front, d.front, principal.front),
+        rear: pick(sb.rear, d.rear, principal.rear),
+        sideInterior: pick(sb.sideInterior, d.sideInterior, principal.sideInterior),
+        sideInteriorLeft: sb.sideInteriorLeft ?? null,
+        sideInteriorRight: sb.sideInteriorRight ?? null,
+        minSideStreet: pick(sb.sideStreet, d.sideStreet, principal.minSideStreet),
+    }
+}
+
+/**
+ * Floor heights and story count within a structures.<type> block.
+ * @returns {{ stories: number, firstFloorHeight: number, upperFloorHeight: number }}
+ */
+const sizeFloors = (building, struct, heightMax, storiesDefault) => {
+    let first = clamp(building?.firstFloorHeight ?? 12, struct?.firstStoryHeight?.min, struct?.firstStoryHeight?.max)
+    const upper = clamp(building?.upperFloorHeight ?? 10, struct?.upperStoryHeight?.min, struct?.upperStoryHeight?.max)
+    let stories
+    if (heightMax == null) {
+        stories = storiesDefault
+    } else if (heightMax < first) {
+        first = Math.max(struct?.firstStoryHeight?.min ?? 0, heightMax)
+        stories = 1
+    } else {
+        stories = Math.floor((heightMax - first) / upper + EPSILON) + 1
+    }
+    stories = Math.max(1, Math.min(stories, struct?.stories?.max ?? Infinity))
+    return { stories, firstFloorHeight: first, upperFloorHeight: upper }
+}
+
+// Lot with the generated buildings / parking written in (used for analytics and compliance checks)
+const withBuildout = (lot, { principal, accessory, parking }) => {
+    const buildings = { ...lot.buildings }
+    const place = (id, values) => {
+        buildings[id] = {
+            ...buildings[id],
+            ...values,
+            geometry: { mode: 'rectangle', vertices: null },
+            storyFootprints: [],
+        }
+    }
+    if (principal) place('principal', principal)
+    if (accessory) place('accessory', accessory)
+    if (!parking) return { ...lot, buildings }
+    return {
+        ...lot,
+        buildings,
+        parking: { ...lot.parking, rear: true },
+        parkingLayout: { ...lot.parkingLayout, enabled: true },
+    }
+}
+
+// Depth of a bay of stall rows packed the way generateParkingLayout fills a zone:
+// double-loaded aisles, with a single-loaded one for an odd last row
+const getBayDepth = (rows, cfg) => rows * cfg.stallDepth + Math.ceil(rows / 2) * cfg.aisleWidth
+
+const hasTransitionFailure = (result) =>
+    result.rules.some(r => r.buildingId === 'principal' && r.status === 'fail' &&
+        (r.path.startsWith('daylightPlanes.') || r.path.startsWith('stepbacks.')))
+
+/**
+ * Computes the maximum compliant build-out for one lot.
+ * @param {object} lot - Lot entity
+ * @param {object} districtParameters
+ * @param {{ left: boolean, right: boolean }} [streetSides]
+ * @param {{ includeAccessory?: boolean, includeParking?: boolean }} [options]
+ * @returns {{
+ *   principal: object|null, accessory: object|null, parking: object|null,
+ *   gfa: number, far: number, coverage: number, limits: string[], notes: string[], compliance: object|null
+ * }} Building values are { x, y, width, depth, stories, firstFloorHeight, upperFloorHeight } in lot-local feet;
+ *   parking is the bay { x, y, width, depth, rows } plus the generated layout's paved area, stall count and required
+ *   stalls, or null when no stalls are required or no bay fits. limits lists the constraints that bound the result.
+ */
+export const computeMaxBuildout = (lot, districtParameters, streetSides = {}, options = {}) => {
+    const dp = districtParameters ?? {}
+    const { includeAccessory = false, includeParking = false } = options
+    const empty = { principal: null, accessory: null, parking: null, gfa: 0, far: 0, coverage: 0, limits: [], notes: [], compliance: null }
+    if (!lot) return empty
+
+    const lotArea = getLotArea(lot)
+    const limits = new Set(['setbacks'])
+    const notes = []
+    const pSetbacks = principalSetbacks(lot, dp)
+    const buildable = getSetbackPolygon(lot, pSetbacks, streetSides)
+    if (!buildable) return { ...empty, notes: ['Setbacks leave no buildable area.'] }
+
+    // Buildings the generator does not place stay and use up part of the budgets
+    const others = getLotBuildings(lot).filter(b =>
+        b.id !== 'principal' && !(includeAccessory && b.id === 'accessory') && buildingExists(b))
+    const otherFootprint = others.reduce((sum, b) => sum + getFootprintArea(b), 0)
+    const otherGFA = others.reduce((sum, b) => sum + getBuildingGFA(b), 0)
+
+    const lotPolygon = getLotPolygon(lot)
+    const lotRearY = Math.max(...lotPolygon.map(p => p.y))
+    const cfg = { ...PARKING_LAYOUT_DEFAULTS, ...lot.parkingLayout }
+    let principalRearY = Math.max(...buildable.map(p => p.y))
+
+    // --- Accessory building against the rear accessory setback ---
+    let accessory = null
+    if (includeAccessory) {
+        const aSetbacks = accessorySetbacks(lot, dp, pSetbacks)
+        const aBuildable = getSetbackPolygon(lot, aSetbacks, streetSides)
+        const aRearY = aBuildable ? Math.max(...aBuildable.map(p => p.y)) : null
+        const rect = aBuildable && largestRectangle(clipPolygonToRect(aBuildable, { y0: aRearY - ACCESSORY_MAX_SIZE, y1: aRearY }))
+        if (rect) {
+            const cx = (rect.x0 + rect.x1) / 2
+            const half = Math.min(rect.x1 - rect.x0, ACCESSORY_MAX_SIZE) / 2
+            const current = lot.buildings?.accessory
+            const heightMax = dp.structures?.accessory?.height?.max ?? current?.maxHeight ?? null
+            accessory = {
+                ...toPlacement({ ...rect, x0: cx - half, x1: cx + half }),
+                ...sizeFloors(current, dp.structures?.accessory, heightMax, 1),
+            }
+            // Accessory buildings stay single-story unless the district allows more
+            if (dp.structures?.accessory?.stories?.max == null) accessory.stories = 1
+            const gap = strictest(
+                dp.setbacksPrincipal?.distanceBetweenBuildings?.min,
+                dp.setbacksAccessory?.distanceBetweenBuildings?.min,
+            ) ?? DEFAULT_BUILDING_GAP
+            principalRearY = Math.min(principalRearY, accessory.y - accessory.depth / 2 - gap)
+        } else {
+            notes.push('No room for an accessory building.')
+        }
+    }
+
+    // Principal building in front of rearY, with the parking bay (if any) behind it
+    const sizePrincipal = (rearY, bay) => {
+        const notesOut = [...notes]
+        const limitsOut = new Set(limits)
+
+        // --- Principal footprint ---
+        const frontY = Math.min(...buildable.map(p => p.y))
+        const rect = largestRectangle(clipPolygonToRect(buildable, { y0: frontY, y1: rearY }))
+        if (!rect) {
+            return { ...empty, accessory, parking: bay, notes: [...notesOut, 'No room for a principal building.'] }
+        }
+        // Leave the layout's drive aisle to the bay along the wider side yard
+        if (bay) {
+            const lotX0 = Math.min(...lotPolygon.map(p => p.x))
+            const lotX1 = Math.max(...lotPolygon.map(p => p.x))
+            const left = rect.x0 - lotX0
+            const right = lotX1 - rect.x1
+            if (Math.max(left, right) < cfg.driveWidth) {
+                if (left >= right) rect.x0 = lotX0 + cfg.driveWidth
+                else rect.x1 = lotX1 - cfg.driveWidth
+            }
+            if (rect.x1 - rect.x0 <= 2 * MARGIN) {
+                return { ...empty, accessory, parking: bay, notes: [...notesOut, 'No room for a principal building beside the drive aisle.'] }
+            }
+        }
+        let placement = toPlacement(rect)
+
+        // Coverage: trim depth from the rear
+        const coverageMax = dp.lotCoverage?.max
+        if (coverageMax != null && lotArea > 0) {
+            const budget = coverageMax / 100 * lotArea - otherFootprint - (accessory ? accessory.width * accessory.depth : 0)
+            if (placement.width * placement.depth > budget) {
+                const depth = floor2(Math.max(0, budget) / placement.width)
+                placement = { ...placement, y: round2(placement.y - placement.depth / 2 + depth / 2), depth }
+                limitsOut.add('coverage')
+            }
+            if (placement.depth <= 0) {
+                return { ...empty, accessory, parking: bay, notes: [...notesOut, 'Lot coverage is used up by other buildings.'] }
+            }
+        }
+
+        // Floors within the structure limits
+        const current = lot.buildings?.principal
+        const struct = dp.structures?.principal
+        const heightMax = struct?.height?.max ?? current?.maxHeight ?? null
+        let floors = sizeFloors(current, struct, heightMax, current?.stories ?? 1)
+        if (struct?.stories?.max != null && floors.stories === struct.stories.max) limitsOut.add('stories')
+        else if (heightMax != null) limitsOut.add('height')
+
+        // FAR: fewer stories first, then a shallower footprint to land on the cap
+        const farMax = dp.far?.max
+        if (farMax != null && lotArea > 0) {
+            const accessoryGFA = accessory ? accessory.width * accessory.depth * accessory.stories : 0
+            const budget = Math.max(0, farMax * lotArea - otherGFA - accessoryGFA)
+            const footprint = placement.width * placement.depth
+            if (footprint * floors.stories > budget + EPSILON) {
+                const stories = Math.max(1, Math.ceil(budget / Math.max(footprint, EPSILON) - EPSILON))
+                const depth = floor2(Math.min(placement.depth, budget / stories / placement.width))
+                placement = { ...placement, y: round2(placement.y - placement.depth / 2 + depth / 2), depth }
+                floors = { ...floors, stories }
+                limitsOut.add('far')
+            }
+        }
+
+        // Daylight planes / stepbacks: drop stories until the principal building clears them
+        let principal = { ...placement, ...floors }
+        let compliance = evaluateLotCompliance(withBuildout(lot, { principal, accessory, parking: bay }), dp, streetSides)
+        if (hasHeightTransitions(dp)) {
+            while (principal.stories > 1 && hasTransitionFailure(compliance)) {
+                principal = { ...principal, stories: principal.stories - 1 }
+                compliance = evaluateLotCompliance(withBuildout(lot, { principal, accessory, parking: bay }), dp, streetSides)
+                limitsOut.add('heightTransitions')
+            }
+            if (hasTransitionFailure(compliance)) notesOut.push('Daylight planes / stepbacks still cut into the top story.')
+        }
+        if (struct?.stories?.min != null && principal.stories < struct.stories.min) {
+            notesOut.push(`Only ${principal.stories} of the required ${struct.stories.min} stories fit.`)
+        }
+
+        const built = withBuildout(lot, { principal, accessory, parking: bay })
+        const analytics = computeLotAnalytics(built, streetSides)
+        let parking = null
+        if (bay) {
+            const layout = generateParkingLayout(built, streetSides)
+            const required = getRequiredStalls(analytics, dp).min
+            parking = { ...bay, area: layout.pavedArea, stalls: layout.stallCount, required }
+            notesOut.push(...layout.notes.map(n => `${n}.`))
+            if (required != null && layout.stallCount < required) {
+                notesOut.push(`Parking holds ${layout.stallCount} of the ${required} required stalls.`)
+            }
+        }
+        return {
+            principal,
+            accessory,
+            parking,
+            gfa: analytics.gfa,
+            far: analytics.far,
+            coverage: analytics.coverage,
+            limits: [...limitsOut],
+            notes: notesOut,
+            compliance,
+        }
+    }
+
+    const full = sizePrincipal(principalRearY, null)
+    if (!includeParking || !full.principal) return full
+
+    // --- Surface parking bay behind the principal building ---
+    // Only when the full build-out needs stalls
+    const required = getRequiredStalls(computeLotAnalytics(withBuildout(lot, full), streetSides), dp).min
+    if (!(required > 0)) {
+        return { ...full, notes: [...full.notes, 'No parking stalls are required, so no parking bay is reserved.'] }
+    }
+    const locations = Object.values(dp.parkingLocations ?? {})
+    if (locations.some(l => l?.permitted) && !dp.parkingLocations.rear?.permitted) {
+        notes.push('District does not permit rear parking.')
+    }
+
+    // Sized from the lot's parking layout settings: one stall row at a time
+    // until the generated layout holds the required stalls, while the
+    // principal building keeps at least MIN_PRINCIPAL_DEPTH
+    const ps = lot.parkingSetbacks ?? {}
+    const parkingArea = getSetbackPolygon(lot, ps, streetSides)
+    const bayRearY = accessory ? accessory.y - accessory.depth / 2 : lotRearY - (ps.rear ?? 0)
+    const frontY = Math.min(...buildable.map(p => p.y))
+    let result = null
+    for (let rows = 1; rows <= MAX_BAY_ROWS; rows++) {
+        const bayDepth = getBayDepth(rows, cfg)
+        const rect = parkingArea && largestRectangle(clipPolygonToRect(parkingArea, { y0: bayRearY - bayDepth, y1: bayRearY }))
+        if (!rect || rect.y1 - rect.y0 < bayDepth - 0.1 || rect.y0 < frontY) {
+            if (!result) notes.push(`No room for a ${bayDepth} ft parking bay.`)
+            break
+        }
+        const rearY = Math.min(principalRearY, rect.y0)
+        if (rearY - frontY < MIN_PRINCIPAL_DEPTH) {
+            if (!result) notes.push(`Parking bay left out: a ${bayDepth} ft bay would leave the principal building under ${MIN_PRINCIPAL_DEPTH} ft deep.`)
+            break
+        }
+        const sized = sizePrincipal(rearY, { ...toPlacement(rect), rows })
+        if (!sized.principal) {
+            if (!result) notes.push('Parking bay left out: it leaves no room for the principal building.')
+            break
+        }
+        result = sized
+        if (sized.parking.stalls >= sized.parking.required) break
+    }
+    return result ?? sizePrincipal(principalRearY, null)
+}
+
+/**
+ * Max build-out for every lot in entityOrder, with street sides derived the
+ * same way as the compliance engine.
+ * @param {object} state - Object with entities, entityOrder, districtParameters
+ * @param {object} [options] - See computeMaxBuildout
+ * @returns {Object<string, object>} computeMaxBuildout result keyed by lotId
+ */
+export const computeDistrictBuildout = ({ entities, entityOrder, districtParameters }, options) => {
+    const lots = entities?.lots ?? {}
+    const results = {}
+    computeBlockLayout(lots, entityOrder, entities?.roadModules).placements.forEach(({ lotId, streetSides }) => {
+        results[lotId] = computeMaxBuildout(lots[lotId], districtParameters, streetSides, options)
+    })
+    return results
+}
@@ -0,0 +1,225 @@
+import {
+    getLotPolygon,
+    getLotBuildings,
+    buildingExists,
+    getBuildingFootprint,
+    getSetbackPolygon,
+    clipPolygonToRect,
+    largestRectangle,
+} from './lotGeometry'
+
+/**
+ * Parking Demand & Surface Layout
+ *
+ * Demand: district parkingRatios give stalls per dwelling unit and per
+ * 1,000 sf of GFA; the two are summed and fractions round up.
+ *
+ * Layout: surface stalls are packed into each permitted parking location
+ * (lot.parking) inside the parking setback polygon. Zones are measured from the
+ * principal building's bounding box:
+ *
+ *   front — between the front parking setback and the building front
+ *   rear  — behind the building
+ *   side  — beside the building (sideStreet on a street side, else sideInterior)
+ *
+ * Each zone is filled with 90° stall rows served by aisles (double-loaded
+ * where it fits). Rear and side parking is reached by a drive aisle from the
+ * front lot line along the wider side yard; side stalls on that side back
+ * onto the drive itself. Stalls overlapping a building are dropped.
+ *
+ * All rectangles are { x0, x1, y0, y1 } in lot-local coordinates (front at -y).
+ */
+
+const EPSILON = 1e-6
+
+export const PARKING_LAYOUT_DEFAULTS = { stallWidth: 9, stallDepth: 18, aisleWidth: 24, driveWidth: 12 }
+
+const rectArea = (r) => Math.max(0, r.x1 - r.x0) * Math.max(0, r.y1 - r.y0)
+
+const overlapArea = (a, b) =>
+    rectArea({ x0: Math.max(a.x0, b.x0), x1: Math.min(a.x1, b.x1), y0: Math.max(a.y0, b.y0), y1: Math.min(a.y1, b.y1) })
+
+const overlaps = (a, b) => overlapArea(a, b) > EPSILON
+
+const getBounds = (polygon) => {
+    const xs = polygon.map(p => p.x)
+    const ys = polygon.map(p => p.y)
+    return { x0: Math.min(...xs), x1: Math.max(...xs), y0: Math.min(...ys), y1: Math.max(...ys) }
+}
+
+/**
+ * Stall rows and aisles packed into a zone rectangle. Rows run along `along`
+ * ('x' = parallel to the street) and stack away from the zone's low edge,
+ * aisle first when only a single-loaded bay fits.
+ */
+const fillZone = (zone, cfg, along) => {
+    const [u0, u1, v0, v1] = along === 'x' ? [zone.x0, zone.x1, zone.y0, zone.y1] : [zone.y0, zone.y1, zone.x0, zone.x1]
+    const toRect = (a0, a1, b0, b1) => (along === 'x' ? { x0: a0, x1: a1, y0: b0, y1: b1 } : { x0: b0, x1: b1, y0: a0, y1: a1 })
+    const { stallWidth: sw, stallDepth: sd, aisleWidth: aw } = cfg
+    const stalls = []
+    const aisles = []
+    const perRow = Math.floor((u1 - u0) / sw + EPSILON)
+    if (perRow < 1) return { stalls, aisles }
+
+    const start = u0 + ((u1 - u0) - perRow * sw) / 2
+    const addRow = (b0) => {
+        for (let i = 0; i < perRow; i++) stalls.push(toRect(start + i * sw, start + (i + 1) * sw, b0, b0 + sd))
+    }
+    let v = v0
+    while (v1 - v >= sd + aw - EPSILON) {
+        if (v1 - v >= 2 * sd + aw - EPSILON) {
+            addRow(v)
+            aisles.push(toRect(u0, u1, v + sd, v + sd + aw))
+            addRow(v + sd + aw)
+            v += 2 * sd + aw
+        } else {
+            aisles.push(toRect(u0, u1, v, v + aw))
+            addRow(v + aw)
+            v += aw + sd
+        }
+    }
+    return { stalls, aisles }
+}
+
+// Better of the two row orientations for a zone
+const fillZoneBest = (zone, cfg) => {
+    const alongX = fillZone(zone, cfg, 'x')
+    const alongY = fillZone(zone, cfg, 'y')
+    return alongY.stalls.length > alongX.stalls.length ? alongY : alongX
+}
+
+// A single row of stalls along y, `x0` to `x0 + depth`, backing onto a drive aisle
+const stallColumn = (zone, x0, cfg) => {
+    const stalls = []
+    const count = Math.floor((zone.y1 - zone.y0) / cfg.stallWidth + EPSILON)
+    const start = zone.y0 + ((zone.y1 - zone.y0) - count * cfg.stallWidth) / 2
+    for (let i = 0; i < count; i++) {
+        stalls.push({ x0, x1: x0 + cfg.stallDepth, y0: start + i * cfg.stallWidth, y1: start + (i + 1) * cfg.stallWidth })
+    }
+    return stalls
+}
+
+/**
+ * Generates the surface parking layout for a lot.
+ * @param {object} lot - Lot entity (parking, parkingSetbacks, parkingLayout, buildings)
+ * @param {{ left: boolean, right: boolean }} [streetSides] - Which sides face a street
+ * @returns {{ stalls: object[], aisles: object[], drive: object|null, stallCount: number, pavedArea: number, notes: string[] }}
+ *   Stalls carry the parking location they were placed in.
+ */
+export const generateParkingLayout = (lot, streetSides = {}) => {
+    const cfg = { ...PARKING_LAYOUT_DEFAULTS, ...lot?.parkingLayout }
+    const result = { stalls: [], aisles: [], drive: null, stallCount: 0, pavedArea: 0, notes: [] }
+    if (!lot) return result
+
+    const sideKey = (side) => (streetSides[side] ? 'sideStreet' : 'sideInterior')
+    const permitted = lot.parking ?? {}
+    if (!['front', 'rear', 'sideInterior', 'sideStreet'].some(k => permitted[k])) {
+        result.notes.push('No parking location is enabled for this lot')
+        return result
+    }
+
+    const area = getSetbackPolygon(lot, lot.parkingSetbacks, streetSides)
+    if (!area) {
+        result.notes.push('Parking setbacks leave no room for stalls')
+        return result
+    }
+
+    const lotBounds = getBounds(getLotPolygon(lot))
+    const buildings = getLotBuildings(lot).filter(buildingExists)
+    const obstacles = buildings.map(b => getBounds(getBuildingFootprint(b)))
+    const principal = buildings.find(b => b.type === 'principal')
+    const pb = principal ? getBounds(getBuildingFootprint(principal)) : null
+
+    // Drive aisle along the wider side yard, needed to reach parking beside or behind the building
+    let driveSide = null
+    const needsDrive = pb && (permitted.rear || permitted[sideKey('left')] || permitted[sideKey('right')])
+    if (needsDrive) {
+        const gaps = { left: pb.x0 - lotBounds.x0, right: lotBounds.x1 - pb.x1 }
+        const side = gaps.left >= gaps.right ? 'left' : 'right'
+        if (gaps[side] >= cfg.driveWidth - EPSILON) driveSide = side
+        else result.notes.push(`No room for a ${cfg.driveWidth} ft drive aisle beside the principal building`)
+    }
+    const driveX = driveSide === 'left'
+        ? { x0: pb.x0 - cfg.driveWidth, x1: pb.x0 }
+        : driveSide === 'right' ? { x0: pb.x1, x1: pb.x1 + cfg.driveWidth } : null
+
+    const zoneRect = (bounds) => largestRectangle(clipPolygonToRect(area, bounds))
+    const place = (location, { stalls, aisles }) => {
+        result.stalls.push(...stalls.map(s => ({ ...s, location })))
+        result.aisles.push(...aisles)
+    }
+
+    let driveEnd = null
+    if (!pb) {
+        // No principal building: one lot that is all parking, entered from the street
+        const zone = zoneRect({})
+        const location = ['rear', 'front', 'sideInterior', 'sideStreet'].find(k => permitted[k])
+        if (zone) place(location, fillZoneBest(zone, cfg))
+    } else {
+        if (permitted.front) {
+            const zone = zoneRect({ y1: pb.y0 })
+            if (zone) place('front', fillZoneBest(zone, cfg))
+        }
+        if (permitted.rear) {
+            const zone = zoneRect({ y0: pb.y1 })
+            if (zone) {
+                // Aisles parallel to the street so the drive meets the first one
+                const fill = driveX ? fillZone(zone, cfg, 'x') : fillZoneBest(zone, cfg)
+                place('rear', fill)
+                if (driveX && fill.aisles.length > 0) driveEnd = Math.min(...fill.aisles.map(a => a.y1))
+            }
+        }
+        for (const side of ['left', 'right']) {
+            const location = sideKey(side)
+            if (!permitted[location]) continue
+            const alongDrive = side === driveSide
+            const bounds = side === 'left'
+                ? { x1: alongDrive ? driveX.x0 : pb.x0, y0: pb.y0, y1: pb.y1 }
+                : { x0: alongDrive ? driveX.x1 : pb.x1, y0: pb.y0, y1: pb.y1 }
+            const zone = zoneRect(bounds)
+            if (!zone) continue
+            if (!alongDrive) {
+                place(location, fillZoneBest(zone, cfg))
+            } else if (zone.x1 - zone.x0 >= cfg.stallDepth - EPSILON) {
+                const x0 = side === 'left' ? zone.x1 - cfg.stallDepth : zone.x0
+                place(location, { stalls: stallColumn(zone, x0, cfg), aisles: [] })
+            }
+        }
+    }
+
+    if (driveX) {
+        const served = result.stalls.some(s => s.location === 'rear' || s.location === sideKey(driveSide))
+        if (served) result.drive = { ...driveX, y0: lotBounds.y0, y1: driveEnd ?? pb.y1 }
+    }
+
+    const blocked = result.drive ? [...obstacles, result.drive] : obstacles
+    result.stalls = result.stalls.filter(s => !blocked.some(o => overlaps(s, o)))
+    result.aisles = result.aisles.filter(a => !obstacles.some(o => overlaps(a, o)))
+    result.stallCount = result.stalls.length
+
+    const aisleArea = result.aisles.reduce((sum, a) => sum + rectArea(a), 0)
+    const stallArea = result.stalls.reduce((sum, s) => sum + rectArea(s), 0)
+    const driveArea = result.drive
+        ? rectArea(result.drive) - result.aisles.reduce((sum, a) => sum + overlapArea(a, result.drive), 0)
+        : 0
+    result.pavedArea = stallArea + aisleArea + driveArea
+    if (result.stallCount === 0) result.notes.push('No stalls fit in the permitted parking locations')
+    return result
+}
+
+/**
+ * Stalls required by the district parking ratios.
+ * @param {{ gfa?: number, units?: number }} demand - Lot GFA (sf) and dwelling units
+ * @param {object} districtParameters
+ * @returns {{ min: number|null, max: number|null }} null where the district sets no ratio
+ */
+export const getRequiredStalls = ({ gfa = 0, units = 0 }, districtParameters) => {
+    const ratios = districtParameters?.parkingRatios
+    const bound = (key) => {
+        const perUnit = ratios?.perUnit?.[key]
+        const perGfa = ratios?.per1000Gfa?.[key]
+        if (perUnit == null && perGfa == null) return null
+        return Math.ceil((perUnit ?? 0) * units + (perGfa ?? 0) * gfa / 1000 - EPSILON)
+    }
+    return { min: bound('min'), max: bound('max') }
+}
@@ -0,0 +1,575 @@
+import * as THREE from 'three'
+import { getRoadZoneLayout } from './roadZones'
+import { hasCurbReturns } from './streetTypes'
+import { computeFilletOuterRadius } from './intersectionGeometry'
+import { computeBlockLayout } from './blockLayout'
+
+/**
+ * Road Alignments
+ *
+ * A district road normally runs along one edge of the lot block and is placed
+ * by its `direction`. Setting `road.alignment` frees it to follow a centerline
+ * in district world coordinates instead:
+ *   { type: 'polyline', points: [{ x, y }, ...] }
+ *   { type: 'arc', center: { x, y }, radius, startAngle, endAngle }  (degrees, CCW from +X)
+ * The cross-section is swept along the centerline. Walking the centerline in
+ * point order, the right-side zones (lot-facing) lie on the left-hand normal,
+ * so a straight alignment running +X reproduces the canonical front road.
+ *
+ * `direction` still records which side of the block the road serves, so lot
+ * street sides and setbacks are unchanged by an alignment.
+ *
+ * Where two aligned roads cross, each of the four corners gets a curb-return
+ * fillet sized to the angle between the roads, the roads' bands are cut back
+ * to the corners and the crossing is covered by an intersection fill.
+ */
+
+export const ALIGNMENT_TYPES = ['polyline', 'arc']
+
+const EPSILON = 1e-9
+const MAX_MITER = 4
+const ARC_STEP_DEGREES = 5
+
+const toRad = (deg) => (deg * Math.PI) / 180
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y })
+const dot = (a, b) => a.x * b.x + a.y * b.y
+const cross = (a, b) => a.x * b.y - a.y * b.x
+const leftNormal = (t) => ({ x: -t.y, y: t.x })
+const unit = (v) => {
+    const len = Math.hypot(v.x, v.y)
+    return len > EPSILON ? { x: v.x / len, y: v.y / len } : { x: 0, y: 0 }
+}
+
+const lineIntersection = (p1, d1, p2, d2) => {
+    const c = cross(d1, d2)
+    if (Math.abs(c) < EPSILON) return null
+    const t = cross(sub(p2, p1), d2) / c
+    return { x: p1.x + d1.x * t, y: p1.y + d1.y * t }
+}
+
+/**
+ * True when the road follows its own centerline instead of a block edge.
+ * @param {object} road
+ */
+export const hasAlignment = (road) => {
+    const a = road?.alignment
+    if (a?.type === 'polyline') return Array.isArray(a.points) && a.points.length >= 2
+    if (a?.type === 'arc') return a.radius > 0 && a.startAngle !== a.endAngle
+    return false
+}
+
+/**
+ * Sampled centerline of an alignment, in traversal order.
+ * @param {object} alignment
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const getAlignmentCenterline = (alignment) => {
+    if (!alignment) return []
+    if (alignment.type === 'arc') {
+        const { center, radius, startAngle, endAngle } = alignment
+        const segments = Math.max(8, Math.ceil(Math.abs(endAngle - startAngle) / ARC_STEP_DEGREES))
+        const points = []
+        for (let i = 0; i <= segments; i++) {
+            const angle = toRad(startAngle + ((endAngle - startAngle) * i) / segments)
+            points.push({ x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius })
+        }
+        return points
+    }
+    // Drop repeated points so every segment has a direction
+    return (alignment.points ?? []).filter((p, i, pts) =>
+        i === 0 || Math.hypot(p.x - pts[i - 1].x, p.y - pts[i - 1].y) > EPSILON)
+}
+
+/**
+ * Cumulative arc length at each point of a polyline.
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number[]}
+ */
+export const getPolylineStations = (points) => {
+    const stations = [0]
+    for (let i = 1; i < points.length; i++) {
+        stations.push(stations[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y))
+    }
+    return stations
+}
+
+/**
+ * Offsets a polyline sideways by `offset` along its left-hand normal (negative
+ * = right-hand side). Interior vertices are mitered; very sharp bends are
+ * clamped so the offset line does not spike.
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} offset
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const offsetPolyline = (points, offset) => {
+    if (points.length < 2 || offset === 0) return points.map(p => ({ ...p }))
+    const normals = []
+    for (let i = 0; i < points.length - 1; i++) {
+        normals.push(leftNormal(unit(sub(points[i + 1], points[i]))))
+    }
+    return points.map((p, i) => {
+        if (i === 0) return { x: p.x + normals[0].x * offset, y: p.y + normals[0].y * offset }
+        if (i === points.length - 1) {
+            const n = normals[normals.length - 1]
+            return { x: p.x + n.x * offset, y: p.y + n.y * offset }
+        }
+        const n1 = normals[i - 1]
+        const m = unit({ x: n1.x + normals[i].x, y: n1.y + normals[i].y })
+        const cos = dot(m, n1)
+        const scale = cos > 1 / MAX_MITER ? 1 / cos : MAX_MITER
+        return { x: p.x + m.x * offset * scale, y: p.y + m.y * offset * scale }
+    })
+}
+
+/**
+ * Part of a polyline between two stations (arc lengths from its start).
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} s0
+ * @param {number} s1
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const slicePolyline = (points, s0, s1) => {
+    const stations = getPolylineStations(points)
+    const at = (s) => {
+        for (let i = 1; i < points.length; i++) {
+            if (s <= stations[i] || i === points.length - 1) {
+                const len = stations[i] - stations[i - 1]
+                const t = len > EPSILON ? Math.min(Math.max((s - stations[i - 1]) / len, 0), 1) : 0
+                return { x: points[i - 1].x + (points[i].x - points[i - 1].x) * t, y: points[i - 1].y + (points[i].y - points[i - 1].y) * t }
+            }
+        }
+        return { ...points[0] }
+    }
+    const result = [at(s0)]
+    for (let i = 0; i < points.length; i++) {
+        if (stations[i] > s0 + EPSILON && stations[i] < s1 - EPSILON) result.push({ ...points[i] })
+    }
+    result.push(at(s1))
+    return result
+}
+
+/**
+ * Station ranges of [0, length] left after removing the given intervals.
+ * @param {number} length
+ * @param {Array<[number, number]>} removed
+ * @returns {Array<[number, number]>}
+ */
+const keptRanges = (length, removed) => {
+    const sorted = removed
+        .map(([a, b]) => [Math.max(0, Math.min(a, b)), Math.min(length, Math.max(a, b))])
+        .filter(([a, b]) => b > a)
+        .sort((p, q) => p[0] - q[0])
+    const kept = []
+    let cursor = 0
+    for (const [a, b] of sorted) {
+        if (a > cursor + EPSILON) kept.push([cursor, a])
+        cursor = Math.max(cursor, b)
+    }
+    if (length > cursor + EPSILON) kept.push([cursor, length])
+    return kept
+}
+
+/**
+ * Straight centerline equivalent to a block-edge road, walked so that its
+ * lot-facing side is the left-hand normal. Used to seed a new alignment.
+ * @param {'front'|'rear'|'left'|'right'} direction
+ * @param {number} rightOfWay
+ * @param {{ left: number, right: number, depth: number }} extents - Lot block bounds (front lot line at y = 0)
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const getDirectionCenterline = (direction, rightOfWay, { left, right, depth }) => {
+    const half = rightOfWay / 2
+    switch (direction) {
+        case 'rear':
+            return [{ x: right, y: depth + half }, { x: left, y: depth + half }]
+        case 'left':
+            return [{ x: left - half, y: depth }, { x: left - half, y: 0 }]
+        case 'right':
+            return [{ x: right + half, y: 0 }, { x: right + half, y: depth }]
+        default:
+            return [{ x: left, y: -half }, { x: right, y: -half }]
+    }
+}
+
+/**
+ * Bounds of the district block as the scene lays it out (see blockLayout.js):
+ * the front street runs along y = 0 from x = left to right, the rear street
+ * along y = depth.
+ * @param {object} lots - entities.lots
+ * @param {string[]} entityOrder
+ * @returns {{ left: number, right: number, depth: number }}
+ */
+export const getDistrictBlockExtents = (lots, entityOrder) => {
+    if (!entityOrder?.length) return { left: -100, right: 0, depth: 100 }
+    const { left, right, depth } = computeBlockLayout(lots, entityOrder).block
+    return { left, right, depth }
+}
+
+/**
+ * Arc alignment through both ends of a chord, bulging away from the lot-facing
+ * side. The radius defaults to the chord length (a 60° sweep).
+ * @param {{x: number, y: number}} a - Start of the chord
+ * @param {{x: number, y: number}} b - End of the chord
+ * @param {number} [radius]
+ * @returns {object} Arc alignment
+ */
+export const createArcAlignment = (a, b, radius) => {
+    const chord = sub(b, a)
+    const length = Math.hypot(chord.x, chord.y)
+    const r = Math.max(radius ?? length, length / 2)
+    const n = leftNormal(unit(chord))
+    const rise = Math.sqrt(Math.max(r * r - (length / 2) ** 2, 0))
+    const center = { x: (a.x + b.x) / 2 + n.x * rise, y: (a.y + b.y) / 2 + n.y * rise }
+    const startAngle = (Math.atan2(a.y - center.y, a.x - center.x) * 180) / Math.PI
+    let endAngle = (Math.atan2(b.y - center.y, b.x - center.x) * 180) / Math.PI
+    // Center on the left means the walk turns counter-clockwise
+    while (endAngle < startAngle) endAngle += 360
+    while (endAngle >= startAngle + 360) endAngle -= 360
+    const round = (v) => Math.round(v * 100) / 100
+    return {
+        type: 'arc',
+        center: { x: round(center.x), y: round(center.y) },
+        radius: round(r),
+        startAngle: round(startAngle),
+        endAngle: round(endAngle),
+    }
+}
+
+/**
+ * First crossing of two centerlines, with the station and unit tangent on each.
+ */
+const findCenterlineCrossing = (a, b) => {
+    const stationsA = getPolylineStations(a)
+    const stationsB = getPolylineStations(b)
+    for (let i = 0; i < a.length - 1; i++) {
+        const dA = sub(a[i + 1], a[i])
+        for (let j = 0; j < b.length - 1; j++) {
+            const dB = sub(b[j + 1], b[j])
+            const c = cross(dA, dB)
+            if (Math.abs(c) < EPSILON) continue
+            const w = sub(b[j], a[i])
+            const t = cross(w, dB) / c
+            const u = cross(w, dA) / c
+            if (t < -EPSILON || t > 1 + EPSILON || u < -EPSILON || u > 1 + EPSILON) continue
+            return {
+                point: { x: a[i].x + dA.x * t, y: a[i].y + dA.y * t },
+                stationA: stationsA[i] + Math.hypot(dA.x, dA.y) * t,
+                stationB: stationsB[j] + Math.hypot(dB.x, dB.y) * u,
+                tangentA: unit(dA),
+                tangentB: unit(dB),
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * Angle range of a corner fillet: from the direction toward road B's
+ * centerline to the direction toward road A's, the short way round.
+ */
+const getFilletAngles = (towardA, towardB) => {
+    const a1 = Math.atan2(towardB.y, towardB.x)
+    const a2 = Math.atan2(towardA.y, towardA.x)
+    let delta = a2 - a1
+    while (delta <= -Math.PI) delta += Math.PI * 2
+    while (delta > Math.PI) delta -= Math.PI * 2
+    return delta >= 0
+        ? { startAngle: a1, endAngle: a1 + delta }
+        : { startAngle: a2, endAngle: a2 - delta }
+}
+
+/**
+ * Corners, cut-backs and intersection fill for two crossing aligned roads.
+ * Corners are where the facing right-of-way edges meet; each road's side
+ * bands are cut back to the corners on that side and its surface to the
+ * nearer corner, so the fill overlaps the surface rather than leaving a gap.
+ * @returns {object|null}
+ */
+const computeJunction = (idA, roadA, lineA, idB, roadB, lineB, library) => {
+    const crossing = findCenterlineCrossing(lineA, lineB)
+    if (!crossing) return null
+    const { point: P, tangentA: tA, tangentB: tB } = crossing
+    const halfA = (roadA.rightOfWay ?? 50) / 2
+    const halfB = (roadB.rightOfWay ?? 50) / 2
+    const nA = leftNormal(tA)
+    const nB = leftNormal(tB)
+    const filleted = hasCurbReturns(roadA, library) && hasCurbReturns(roadB, library)
+
+    const corners = []
+    for (const sa of [1, -1]) {
+        for (const sb of [1, -1]) {
+            const dirA = { x: tA.x * sa, y: tA.y * sa }
+            const dirB = { x: tB.x * sb, y: tB.y * sb }
+            // Sign of each road's normal that faces this quadrant
+            const fA = dot(nA, dirB) >= 0 ? 1 : -1
+            const fB = dot(nB, dirA) >= 0 ? 1 : -1
+            const edgeA = { x: P.x + nA.x * halfA * fA, y: P.y + nA.y * halfA * fA }
+            const edgeB = { x: P.x + nB.x * halfB * fB, y: P.y + nB.y * halfB * fB }
+            const position = lineIntersection(edgeA, tA, edgeB, tB)
+            if (!position) return null
+            const sideA = fA > 0 ? 'right' : 'left'
+            const sideB = fB > 0 ? 'right' : 'left'
+            corners.push({
+                sa, sb, sideA, sideB, position,
+                angles: getFilletAngles({ x: -nA.x * fA, y: -nA.y * fA }, { x: -nB.x * fB, y: -nB.y * fB }),
+                radius: filleted ? computeFilletOuterRadius(roadA, roadB, sideA, sideB) : 0,
+                projA: dot(sub(position, P), tA),
+                projB: dot(sub(position, P), tB),
+            })
+        }
+    }
+
+    const cutBack = (station, proj, sign, sideKey) => {
+        const cuts = { left: null, right: null, surface: null }
+        for (const side of ['left', 'right']) {
+            const ps = corners.filter(c => c[sideKey] === side).map(proj)
+            cuts[side] = [station + Math.min(...ps), station + Math.max(...ps)]
+        }
+        const ahead = corners.filter(c => c[sign] > 0).map(proj)
+        const behind = corners.filter(c => c[sign] < 0).map(proj)
+        cuts.surface = [station + Math.max(...behind), station + Math.min(...ahead)]
+        return cuts
+    }
+
+    // Fill outline: corners in angular order around the crossing, rounded by their fillets
+    const fillPoints = []
+    const ordered = [...corners].sort((p, q) =>
+        Math.atan2(p.position.y - P.y, p.position.x - P.x) - Math.atan2(q.position.y - P.y, q.position.x - P.x))
+    for (const c of ordered) {
+        if (!(c.radius > 0)) {
+            fillPoints.push(c.position)
+            continue
+        }
+        const segments = 16
+        const arc = []
+        for (let i = 0; i <= segments; i++) {
+            const angle = c.angles.startAngle + ((c.angles.endAngle - c.angles.startAngle) * i) / segments
+            arc.push({ x: c.position.x + Math.cos(angle) * c.radius, y: c.position.y + Math.sin(angle) * c.radius })
+        }
+        // Walk each arc counter-clockwise around the crossing point
+        if (cross(sub(arc[0], P), sub(arc[arc.length - 1], P)) < 0) arc.reverse()
+        fillPoints.push(...arc)
+    }
+
+    return {
+        key: `junction-${idA}-${idB}`,
+        roadIdA: idA,
+        roadIdB: idB,
+        point: P,
+        corners,
+        fillPoints,
+        cuts: {
+            [idA]: cutBack(crossing.stationA, c => c.projA, 'sa', 'sideA'),
+            [idB]: cutBack(crossing.stationB, c => c.projB, 'sb', 'sideB'),
+        },
+    }
+}
+
+/**
+ * Swept bands of one aligned road, cut back at its junctions.
+ * Offsets are measured from the centerline, positive toward the lot side.
+ * @param {object} road
+ * @param {Array<{x: number, y: number}>} centerline
+ * @param {Array<{ left: [number, number], right: [number, number], surface: [number, number] }>} cuts
+ * @returns {{
+ *   bands: Array<{ key: string, zone: object|null, side: 'left'|'right'|null, inner: number, outer: number,
+ *     pieces: Array<{ inner: Array<{x: number, y: number}>, outer: Array<{x: number, y: number}>,
+ *       startCap: boolean, endCap: boolean }> }>,
+ *   rowLines: Array<{ side: 'left'|'right', points: Array<{x: number, y: number}> }>,
+ *   ranges: { left: Array<[number, number]>, right: Array<[number, number]>, surface: Array<[number, number]> },
+ * }}
+ */
+const computeRoadSweep = (road, centerline, cuts) => {
+    const length = getPolylineStations(centerline).at(-1)
+    const layout = getRoadZoneLayout(road)
+    const ranges = {
+        left: keptRanges(length, cuts.map(c => c.left)),
+        right: keptRanges(length, cuts.map(c => c.right)),
+        surface: keptRanges(length, cuts.map(c => c.surface)),
+    }
+    // Caps close a band only where the road itself ends, not at a junction cut
+    const sweep = (rangeKey, inner, outer) => ranges[rangeKey].map(([s0, s1]) => {
+        const piece = slicePolyline(centerline, s0, s1)
+        return {
+            inner: offsetPolyline(piece, inner),
+            outer: offsetPolyline(piece, outer),
+            startCap: s0 < EPSILON,
+            endCap: s1 > length - EPSILON,
+        }
+    })
+
+    const bands = []
+    if ((road.roadWidth ?? 24) > 0) {
+        bands.push({
+            key: 'surface', zone: null, side: null,
+            inner: layout.roadBottomY - layout.centerlineY, outer: layout.roadTopY - layout.centerlineY,
+            pieces: sweep('surface', layout.roadBottomY - layout.centerlineY, layout.roadTopY - layout.centerlineY),
+        })
+    }
+    for (const side of ['left', 'right']) {
+        layout[side].forEach(({ zone, topY, bottomY }, index) => {
+            const inner = bottomY - layout.centerlineY
+            const outer = topY - layout.centerlineY
+            bands.push({ key: `${side}-${zone.id}-${index}`, zone, side, inner, outer, pieces: sweep(side, inner, outer) })
+        })
+    }
+
+    const half = (road.rightOfWay ?? 50) / 2
+    const rowLines = [
+        ...ranges.right.map(([s0, s1]) => ({ side: 'right', points: offsetPolyline(slicePolyline(centerline, s0, s1), half) })),
+        ...ranges.left.map(([s0, s1]) => ({ side: 'left', points: offsetPolyline(slicePolyline(centerline, s0, s1), -half) })),
+    ]
+    return { bands, rowLines, ranges }
+}
+
+/**
+ * Sweeps every enabled aligned road and resolves the junctions between them.
+ * @param {object} roadModules - entities.roadModules
+ * @param {object} [library] - streetTypeLibrary (curb-return behavior)
+ * @returns {{
+ *   sweeps: { [roadId: string]: ReturnType<typeof computeRoadSweep> & { centerline: Array<{x: number, y: number}> } },
+ *   junctions: Array<object>,
+ * }}
+ */
+export const computeAlignedRoadNetwork = (roadModules, library = null) => {
+    const aligned = Object.entries(roadModules ?? {})
+        .filter(([, road]) => road.enabled && hasAlignment(road))
+        .map(([id, road]) => ({ id, road, centerline: getAlignmentCenterline(road.alignment) }))
+        .filter(({ centerline }) => centerline.length >= 2)
+
+    const junctions = []
+    for (let i = 0; i < aligned.length; i++) {
+        for (let j = i + 1; j < aligned.length; j++) {
+            const a = aligned[i], b = aligned[j]
+            const junction = computeJunction(a.id, a.road, a.centerline, b.id, b.road, b.centerline, library)
+            if (junction) junctions.push(junction)
+        }
+    }
+
+    const sweeps = {}
+    for (const { id, road, centerline } of aligned) {
+        const cuts = junctions.filter(j => j.cuts[id]).map(j => j.cuts[id])
+        sweeps[id] = { centerline, ...computeRoadSweep(road, centerline, cuts) }
+    }
+    return { sweeps, junctions }
+}
+
+/**
+ * Triangle strip between two offset polylines of equal length, in the XY plane.
+ * @param {Array<{x: number, y: number}>} inner
+ * @param {Array<{x: number, y: number}>} outer
+ * @returns {THREE.BufferGeometry}
+ */
+export const createRibbonGeometry = (inner, outer) => {
+    const positions = []
+    for (let i = 0; i < inner.length; i++) {
+        positions.push(inner[i].x, inner[i].y, 0, outer[i].x, outer[i].y, 0)
+    }
+    const indices = []
+    for (let i = 0; i < inner.length - 1; i++) {
+        const a = i * 2, b = a + 1, c = a + 2, d = a + 3
+        indices.push(a, c, b, b, c, d)
+    }
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.setIndex(indices)
+    geometry.computeVertexNormals()
+    return geometry
+}
+
+/**
+ * Canonical annotation frame for an aligned road: origin on the lot-facing
+ * right-of-way line, half the centerline length before its midpoint, with +X
+ * along the centerline there. RoadAnnotations laid out in this frame center
+ * their labels on the middle of the road.
+ * @param {Array<{x: number, y: number}>} centerline
+ * @param {number} rightOfWay
+ * @returns {{ position: [number, number, number], rotation: [number, number, number], spanWidth: number }|null}
+ */
+export const getAlignmentLabelFrame = (centerline, rightOfWay) => {
+    if (centerline.length < 2) return null
+    const stations = getPolylineStations(centerline)
+    const length = stations.at(-1)
+    const mid = length / 2
+    let i = 1
+    while (i < centerline.length - 1 && stations[i] < mid) i++
+    const t = unit(sub(centerline[i], centerline[i - 1]))
+    const [point] = slicePolyline(centerline, mid, length)
+    const n = leftNormal(t)
+    return {
+        position: [point.x + n.x * rightOfWay / 2 - t.x * mid, point.y + n.y * rightOfWay / 2 - t.y * mid, 0],
+        rotation: [0, 0, Math.atan2(t.y, t.x)],
+        spanWidth: length,
+    }
+}
+
+/**
+ * Plan outlines of every enabled road for 2D exports: one closed outline per
+ * cross-section band (road surface and each zone), the two right-of-way lines
+ * and the canonical annotation frame (see getAlignmentLabelFrame). Roads
+ * without an alignment run along their block edge; side streets run on past
+ * the front street alongside any lots across it.
+ * @param {object} roadModules - entities.roadModules
+ * @param {{ left: number, right: number, depth: number, acrossDepth?: number, frontROW?: number }} block - computeBlockLayout block
+ * @param {object} [library] - streetTypeLibrary
+ * @returns {Array<{ roadId: string, road: object,
+ *   bands: Array<{ zone: object|null, side: 'left'|'right'|null, outline: Array<{x: number, y: number}> }>,
+ *   rowLines: Array<Array<{x: number, y: number}>>,
+ *   labelFrame: { x: number, y: number, rotation: number, spanWidth: number }|null }>}
+ */
+export const getRoadPlanGeometry = (roadModules, block, library = null) => {
+    const network = computeAlignedRoadNetwork(roadModules, library)
+    const outline = (inner, outer) => [...inner, ...[...outer].reverse()]
+    const roads = []
+
+    for (const [roadId, road] of Object.entries(roadModules ?? {})) {
+        if (!road.enabled) continue
+        const rightOfWay = road.rightOfWay ?? 50
+
+        if (hasAlignment(road)) {
+            const sweep = network.sweeps[roadId]
+            if (!sweep) continue
+            const frame = getAlignmentLabelFrame(sweep.centerline, rightOfWay)
+            roads.push({
+                roadId,
+                road,
+                bands: sweep.bands.flatMap(({ zone, side, pieces }) =>
+                    pieces.map(piece => ({ zone, side, outline: outline(piece.inner, piece.outer) }))),
+                rowLines: sweep.rowLines.map(({ points }) => points),
+                labelFrame: frame && { x: frame.position[0], y: frame.position[1], rotation: frame.rotation[2], spanWidth: frame.spanWidth },
+            })
+            continue
+        }
+
+        const direction = road.direction || 'front'
+        const centerline = getDirectionCenterline(direction, rightOfWay, block)
+        const [p0, p1] = centerline
+        const length = getPolylineStations(centerline).at(-1)
+        const t = unit(sub(p1, p0))
+        const n = leftNormal(t)
+
+        const swept = centerline.map(p => ({ ...p }))
+        if (block.acrossDepth > 0 && (direction === 'left' || direction === 'right')) {
+            swept[direction === 'left' ? 1 : 0].y = -(block.frontROW ?? 0) - block.acrossDepth
+        }
+        const layout = getRoadZoneLayout(road)
+        const band = (zone, side, bottomY, topY) => ({
+            zone,
+            side,
+            outline: outline(offsetPolyline(swept, bottomY - layout.centerlineY), offsetPolyline(swept, topY - layout.centerlineY)),
+        })
+        const bands = []
+        if (layout.roadTopY > layout.roadBottomY) bands.push(band(null, null, layout.roadBottomY, layout.roadTopY))
+        for (const side of ['left', 'right']) {
+            for (const { zone, topY, bottomY } of layout[side]) bands.push(band(zone, side, bottomY, topY))
+        }
+        roads.push({
+            roadId,
+            road,
+            bands,
+            rowLines: [offsetPolyline(swept, rightOfWay / 2), offsetPolyline(swept, -rightOfWay / 2)],
+            labelFrame: { x: p0.x + n.x * rightOfWay / 2, y: p0.y + n.y * rightOfWay / 2, rotation: Math.atan2(t.y, t.x), spanWidth: length },
+        })
+    }
+    return roads
+}
@@ -0,0 +1,185 @@
+/**
+ * Road Cross-Section Zones
+ *
+ * A road module is a centered road surface (`roadWidth`) plus an ordered list
+ * of typed zones on each side, listed from the road edge outward:
+ *   { leftZones: [{ id, type, width, style }], rightZones: [...] }
+ * The right side faces the lot (stacks toward Y=0 in canonical front
+ * orientation), the left side faces away (toward Y=-rightOfWay).
+ *
+ * `style` is an optional partial override ({ fillColor, lineColor, ... })
+ * layered over the shared roadModuleStyles entry for the zone type.
+ *
+ * Roads saved before zones existed carry fixed fields (leftParking,
+ * rightVerge, ...). getRoadZones reads those as zones, so older project files
+ * and scenarios render unchanged until they are edited.
+ */
+
+export const ROAD_ZONE_TYPES = {
+    travelLane: { label: 'Travel Lane', width: 11, fillColor: '#666666' },
+    transitLane: { label: 'Transit Lane', width: 11, fillColor: '#B5483B' },
+    bikeLane: { label: 'Bike Lane', width: 5, fillColor: '#5DAA68' },
+    parking: { label: 'Parking', width: 8, fillColor: '#888888' },
+    median: { label: 'Median', width: 6, fillColor: '#A8C686' },
+    verge: { label: 'Verge', width: 6, fillColor: '#c4a77d' },
+    treeWell: { label: 'Tree Well', width: 5, fillColor: '#7A9A5C' },
+    sidewalk: { label: 'Sidewalk', width: 5, fillColor: '#90EE90' },
+    transitionZone: { label: 'Transition', width: 4, fillColor: '#98D8AA' },
+}
+
+// Types styled by one shared roadModuleStyles key instead of left/right keys
+export const ROAD_ZONE_SHARED_STYLE_TYPES = ['travelLane', 'transitLane', 'bikeLane', 'median', 'treeWell']
+
+// Fixed fields of pre-zone roads, in their original stacking order
+const LEGACY_ZONE_TYPES = ['parking', 'verge', 'sidewalk', 'transitionZone']
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1)
+
+let zoneIdCounter = 0
+
+/**
+ * Creates a zone of the given type at its default width.
+ * @param {string} type - Key of ROAD_ZONE_TYPES
+ * @param {number} [width]
+ */
+export const createRoadZone = (type, width) => ({
+    id: `zone-${Date.now()}-${zoneIdCounter++}`,
+    type,
+    width: width ?? ROAD_ZONE_TYPES[type]?.width ?? 5,
+    style: null,
+})
+
+/**
+ * Ordered zones for one side of a road, from the road edge outward.
+ * Legacy zones keep the ids their annotation labels used (parking, verge,
+ * sidewalk, transition) so dragged label positions still match.
+ * @param {object} road - Road module data
+ * @param {'left' | 'right'} side
+ * @returns {Array<{ id: string, type: string, width: number, style: object|null }>}
+ */
+export const getRoadZones = (road, side) => {
+    if (!road) return []
+    const zones = road[`${side}Zones`]
+    if (Array.isArray(zones)) return zones
+    return LEGACY_ZONE_TYPES
+        .filter(type => road[`${side}${capitalize(type)}`] > 0)
+        .map(type => ({ id: type === 'transitionZone' ? 'transition' : type, type, width: road[`${side}${capitalize(type)}`], style: null }))
+}
+
+/**
+ * Converts a pre-zone road to zone lists and drops the fixed fields.
+ * Roads that already have zone lists are returned unchanged.
+ */
+export const migrateRoadModule = (road) => {
+    if (!road || (Array.isArray(road.leftZones) && Array.isArray(road.rightZones))) return road
+    const migrated = { ...road, leftZones: getRoadZones(road, 'left'), rightZones: getRoadZones(road, 'right') }
+    for (const side of ['left', 'right']) {
+        for (const type of LEGACY_ZONE_TYPES) delete migrated[`${side}${capitalize(type)}`]
+    }
+    return migrated
+}
+
+/**
+ * Resolved fill/line style for a zone. Lookup order: per-zone override, then
+ * the side-specific style key (e.g. rightSidewalk), then the shared type key
+ * (e.g. bikeLane), then the type's built-in fill. Alleys (S3) merge the
+ * alley-specific key (e.g. alleySidewalk) when it is set.
+ * @param {object} styles - roadModuleStyles
+ * @param {object} zone
+ * @param {'left' | 'right'} side
+ * @param {boolean} [isAlley]
+ */
+export const getRoadZoneStyle = (styles, zone, side, isAlley = false) => {
+    const typeKey = capitalize(zone.type)
+    const base = styles?.[`${side}${typeKey}`] ?? styles?.[zone.type] ?? {
+        lineColor: '#000000', lineWidth: 1, lineDashed: false, lineOpacity: 1,
+        fillColor: ROAD_ZONE_TYPES[zone.type]?.fillColor ?? '#888888', fillOpacity: 1.0,
+    }
+    const alley = isAlley ? styles?.[`alley${typeKey}`] : null
+    return { ...base, ...(alley ?? {}), ...(zone.style ?? {}) }
+}
+
+/**
+ * Canonical (front orientation) Y extents of the road surface and every zone.
+ * @param {object} road
+ * @returns {{
+ *   centerlineY: number, roadTopY: number, roadBottomY: number,
+ *   left: Array<{ zone: object, topY: number, bottomY: number }>,
+ *   right: Array<{ zone: object, topY: number, bottomY: number }>,
+ * }}
+ */
+export const getRoadZoneLayout = (road) => {
+    const rightOfWay = road?.rightOfWay ?? 50
+    const roadWidth = road?.roadWidth ?? 24
+    const centerlineY = -rightOfWay / 2
+    const roadTopY = centerlineY + roadWidth / 2
+    const roadBottomY = centerlineY - roadWidth / 2
+
+    const left = []
+    let cursor = roadBottomY
+    for (const zone of getRoadZones(road, 'left')) {
+        if (!(zone.width > 0)) continue
+        left.push({ zone, topY: cursor, bottomY: cursor - zone.width })
+        cursor -= zone.width
+    }
+
+    const right = []
+    cursor = roadTopY
+    for (const zone of getRoadZones(road, 'right')) {
+        if (!(zone.width > 0)) continue
+        right.push({ zone, bottomY: cursor, topY: cursor + zone.width })
+        cursor += zone.width
+    }
+
+    return { centerlineY, roadTopY, roadBottomY, left, right }
+}
+
+// In-street zones: the curb is the outer edge of the run of these next to the road surface
+const CURBSIDE_ZONE_TYPES = ['travelLane', 'transitLane', 'bikeLane', 'parking']
+
+/**
+ * Distance from the centerline to the curb on one side: the road surface
+ * plus any travel/transit/bike lanes and parking stacked directly against it.
+ * @param {object} road
+ * @param {'left' | 'right'} side
+ * @returns {number}
+ */
+export const getCurbOffset = (road, side) => {
+    const layout = getRoadZoneLayout(road)
+    let curb = (layout.roadTopY - layout.roadBottomY) / 2
+    for (const { zone, topY, bottomY } of layout[side]) {
+        if (!CURBSIDE_ZONE_TYPES.includes(zone.type)) break
+        curb = Math.abs((side === 'right' ? topY : bottomY) - layout.centerlineY)
+    }
+    return curb
+}
+
+/**
+ * Checks the cross-section against the right-of-way. The road surface is
+ * centered, so each side has (rightOfWay - roadWidth) / 2 available.
+ * @param {object} road
+ * @returns {{ rightOfWay: number, roadWidth: number, total: number, remaining: number,
+ *   left: { used: number, remaining: number }, right: { used: number, remaining: number },
+ *   valid: boolean }}
+ */
+export const validateRoadCrossSection = (road) => {
+    const rightOfWay = road?.rightOfWay ?? 50
+    const roadWidth = road?.roadWidth ?? 24
+    const available = (rightOfWay - roadWidth) / 2
+    const sideUsage = (side) => {
+        const used = getRoadZones(road, side).reduce((sum, z) => sum + (z.width > 0 ? z.width : 0), 0)
+        return { used, remaining: available - used }
+    }
+    const left = sideUsage('left')
+    const right = sideUsage('right')
+    const total = roadWidth + left.used + right.used
+    return {
+        rightOfWay,
+        roadWidth,
+        total,
+        remaining: rightOfWay - total,
+        left,
+        right,
+        valid: roadWidth <= rightOfWay && left.remaining >= 0 && right.remaining >= 0,
+    }
+}
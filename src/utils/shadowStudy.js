@@ -0,0 +1,334 @@
+import {
+    getLotPolygon,
+    getLotBuildings,
+    buildingExists,
+    getBuildingFootprint,
+    convexHull,
+} from './lotGeometry'
+import { getDistrictLotOrigins, lotToWorld } from './blockLayout'
+import { generateRoofGeometry } from './roofGeometry'
+import { getSiteSunPosition } from './siteLocation'
+
+/**
+ * Shadow Study
+ *
+ * Casts the shadow of every building in the district onto the ground plane for
+ * a series of sun positions (a date range x a time step) and accumulates them
+ * on a grid:
+ *
+ * - Each building is a prism (footprint x wall height) plus its roof points.
+ *   Its shadow is the footprint, the wall parallelograms swept by each edge and
+ *   the cast roof (convex hull of the cast wall top and roof points).
+ * - Sun positions come from the project site location (getSiteSunPosition):
+ *   hours are the site's local standard time and shadows turn with true north.
+ * - Samples are weighted with the trapezoid rule, so a 9:00–15:00 study at any
+ *   step adds up to six hours a day; skipped days (dayStep) scale the weight.
+ *   Samples with the sun below the horizon are dropped.
+ * - Per lot, shade is only counted when it is cast by buildings on other lots —
+ *   the impact a project has on its neighbors.
+ * - Polygons are scanline-filled onto the grid, and runShadowStudy yields to
+ *   the UI thread between chunks of samples so long studies stay cancellable.
+ *
+ * World coordinates follow the district scene: each lot is placed on its block
+ * face by computeBlockLayout (getDistrictLotOrigins) and its lot-local
+ * footprints, roofs and polygon are moved into place with lotToWorld.
+ */
+
+// Long ranges sample fewer days so a study stays under this many sun positions
+const MAX_SAMPLES = 500
+// Heat map resolution is coarsened until the grid fits this many cells
+const MAX_CELLS = 200000
+// Sun lower than this (radians) casts shadows too long to be meaningful
+const MIN_ALTITUDE = 0.02
+// Farthest the heat map extends past the lots (ft)
+const MAX_REACH = 400
+const DAY_MS = 24 * 3600000
+
+const toDateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+const parseDate = (dateStr) => {
+    const [year, month, day] = (dateStr ?? '').split('-').map(Number)
+    return new Date(year, (month || 1) - 1, day || 1)
+}
+
+/**
+ * Sun positions for every time step of every day in the range.
+ * @param {object} options
+ * @param {object} options.site - Site location { latitude, longitude, utcOffset, trueNorth }
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} [options.endDate] - YYYY-MM-DD (defaults to startDate)
+ * @param {number} options.startHour - Local standard time hour, decimals allowed
+ * @param {number} options.endHour
+ * @param {number} options.stepMinutes
+ * @param {number} [options.dayStep] - Sample every n-th day of the range (raised to stay under MAX_SAMPLES)
+ * @returns {{ samples: Array<{ date: string, hour: number, azimuth: number, altitude: number, direction: object, weight: number }>, days: number, dayStep: number }}
+ *   direction points toward the sun in project space; weight is the hours of the
+ *   range the sample stands for; days counts sampled days.
+ */
+export const getSunSamples = ({ site, startDate, endDate, startHour, endHour, stepMinutes, dayStep = 1 }) => {
+    const step = Math.max(1, stepMinutes || 60) / 60
+    const slots = Math.max(0, Math.round((endHour - startHour) / step))
+    const first = parseDate(startDate)
+    const last = parseDate(endDate || startDate).getTime()
+    const rangeDays = Math.max(1, Math.round((last - first.getTime()) / DAY_MS) + 1)
+    const everyDays = Math.max(Math.floor(dayStep) || 1, Math.ceil((rangeDays * (slots + 1)) / MAX_SAMPLES))
+    const samples = []
+    let days = 0
+    for (const day = first; day.getTime() <= last; day.setDate(day.getDate() + everyDays)) {
+        days++
+        for (let i = 0; i <= slots; i++) {
+            const hour = Math.min(endHour, startHour + i * step)
+            const { azimuth, altitude, direction } = getSiteSunPosition(site, toDateKey(day), hour)
+            const span = slots === 0 ? 0 : (i === 0 || i === slots ? step / 2 : step)
+            samples.push({ date: toDateKey(day), hour, azimuth, altitude, direction, weight: span * everyDays })
+        }
+    }
+    return { samples, days, dayStep: everyDays }
+}
+
+// Ground offset per foot of height, away from the sun
+const shadowVector = ({ direction }) => ({ x: -direction.x / direction.z, y: -direction.y / direction.z })
+
+const wallHeight = (building) => {
+    const stories = building.stories ?? 1
+    if (stories <= 0) return 0
+    return (building.firstFloorHeight ?? 12) + Math.max(0, stories - 1) * (building.upperFloorHeight ?? 10)
+}
+
+// Roof surface points (lot-local 3D) at the ridge height the scene draws
+const getRoofPoints = (building, footprint, height, districtParameters) => {
+    const roof = building.roof
+    if (!roof || roof.type === 'flat') return []
+    const ridgeZ = roof.overrideHeight && roof.ridgeHeight != null
+        ? roof.ridgeHeight
+        : districtParameters?.structures?.[building.type]?.height?.max ?? 0
+    if (!(ridgeZ > height)) return []
+    const geometry = generateRoofGeometry(footprint, roof.type, height, ridgeZ, {
+        ridgeDirection: roof.ridgeDirection,
+        shedDirection: roof.shedDirection,
+    })
+    const pos = geometry?.getAttribute('position')
+    const points = []
+    if (pos) {
+        for (let i = 0; i < pos.count; i++) points.push({ x: pos.getX(i), y: pos.getY(i), z: pos.getZ(i) })
+    }
+    geometry?.dispose()
+    return points
+}
+
+/**
+ * Every building in the district as a shadow-casting solid in world coordinates.
+ * @param {object} state - Object with entities, entityOrder, districtParameters
+ * @returns {Array<{ lotId: string, lotIndex: number, footprint: object[], height: number, roof: object[] }>}
+ */
+export const getDistrictSolids = ({ entities, entityOrder, districtParameters }) => {
+    const solids = []
+    getDistrictLotOrigins(entities?.lots, entityOrder, entities?.roadModules).forEach((origin, lotIndex) => {
+        for (const building of getLotBuildings(origin.lot).filter(buildingExists)) {
+            const local = getBuildingFootprint(building)
+            const height = wallHeight(building)
+            solids.push({
+                lotId: origin.lotId,
+                lotIndex,
+                footprint: local.map(p => lotToWorld(p, origin)),
+                height,
+                roof: getRoofPoints(building, local, height, districtParameters).map(p => ({ ...lotToWorld(p, origin), z: p.z })),
+            })
+        }
+    })
+    return solids
+}
+
+/**
+ * Ground shadow of one solid for one sun position, as a set of overlapping
+ * polygons whose union is the shadow.
+ * @param {object} solid - getDistrictSolids entry
+ * @param {{ direction: { x: number, y: number, z: number } }} sun - Sample with the project-space sun direction
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export const getShadowPolygons = (solid, sun) => {
+    const v = shadowVector(sun)
+    const cast = (p, z) => ({ x: p.x + v.x * z, y: p.y + v.y * z })
+    const { footprint, height, roof } = solid
+    const top = footprint.map(p => cast(p, height))
+    const polygons = [footprint]
+    footprint.forEach((a, i) => {
+        const j = (i + 1) % footprint.length
+        polygons.push([a, footprint[j], top[j], top[i]])
+    })
+    polygons.push(roof.length > 0 ? convexHull([...top, ...roof.map(p => cast(p, p.z))]) : top)
+    return polygons
+}
+
+// Grid over the lots, grown by the longest shadow (capped) on every side
+const buildGrid = (lotPolygons, solids, samples, cellSize) => {
+    const xs = lotPolygons.flat().map(p => p.x)
+    const ys = lotPolygons.flat().map(p => p.y)
+    const tallest = Math.max(0, ...solids.map(s => Math.max(s.height, ...s.roof.map(p => p.z))))
+    const lowest = Math.min(Math.PI / 2, ...samples.map(s => s.altitude))
+    const reach = Math.min(MAX_REACH, tallest / Math.tan(lowest))
+    const minX = Math.min(...xs) - reach
+    const minY = Math.min(...ys) - reach
+    const width = Math.max(...xs) + reach - minX
+    const depth = Math.max(...ys) + reach - minY
+
+    let size = Math.max(0.5, cellSize || 2)
+    while (Math.ceil(width / size) * Math.ceil(depth / size) > MAX_CELLS) size *= 1.25
+    return { minX, minY, cellSize: size, cols: Math.ceil(width / size), rows: Math.ceil(depth / size) }
+}
+
+// Calls fn(cellIndex) for every cell whose center lies inside the polygon
+// (even-odd rule, as isPointInPolygon). Scanline fill: each row center crosses
+// the precomputed edges and the cells between pairs of crossings are filled.
+const forEachCellIn = (grid, polygon, fn) => {
+    if (!polygon || polygon.length < 3) return
+    const { minX, minY, cellSize, cols, rows } = grid
+    const n = polygon.length
+    const ax = new Float64Array(n)
+    const ay = new Float64Array(n)
+    const bx = new Float64Array(n)
+    const by = new Float64Array(n)
+    let top = Infinity
+    let bottom = -Infinity
+    for (let i = 0; i < n; i++) {
+        const a = polygon[i]
+        const b = polygon[(i + 1) % n]
+        ax[i] = a.x; ay[i] = a.y; bx[i] = b.x; by[i] = b.y
+        if (a.y < top) top = a.y
+        if (a.y > bottom) bottom = a.y
+    }
+    const r0 = Math.max(0, Math.ceil((top - minY) / cellSize - 0.5))
+    const r1 = Math.min(rows - 1, Math.floor((bottom - minY) / cellSize - 0.5))
+    const crossings = []
+    for (let r = r0; r <= r1; r++) {
+        const y = minY + (r + 0.5) * cellSize
+        crossings.length = 0
+        for (let i = 0; i < n; i++) {
+            if ((ay[i] > y) !== (by[i] > y)) crossings.push(ax[i] + (y - ay[i]) * (bx[i] - ax[i]) / (by[i] - ay[i]))
+        }
+        crossings.sort((a, b) => a - b)
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const c0 = Math.max(0, Math.ceil((crossings[k] - minX) / cellSize - 0.5))
+            const c1 = Math.min(cols - 1, Math.ceil((crossings[k + 1] - minX) / cellSize - 0.5) - 1)
+            for (let c = c0; c <= c1; c++) fn(r * cols + c)
+        }
+    }
+}
+
+// Study time spent between yields to the UI thread (ms)
+const CHUNK_MS = 30
+
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0))
+
+/**
+ * Runs a shadow study over the district. Samples are processed in chunks of
+ * about CHUNK_MS, yielding to the UI thread between them so the page stays
+ * responsive; onProgress reports the fraction done after each chunk.
+ * @param {object} state - Object with entities, entityOrder, districtParameters, siteLocation
+ * @param {object} options - getSunSamples options plus cellSize (ft); site defaults to state.siteLocation
+ * @param {object} [control]
+ * @param {(fraction: number) => void} [control.onProgress]
+ * @param {AbortSignal} [control.signal] - Aborting stops the study at the next yield
+ * @returns {Promise<{ grid: object, hours: Float32Array, maxHours: number, samples: object[], solids: object[], lots: object[], days: number, dayStep: number, sunHours: number }|null>}
+ *   null when aborted. hours holds the shaded hours of each cell (row-major from
+ *   minX / minY); lots reports, per lot, the shade cast by other lots' buildings:
+ *   { lotId, shadedPct, maxShadedPct, shadeHours }.
+ */
+export const runShadowStudy = async (state, options, { onProgress, signal } = {}) => {
+    const { samples: all, days, dayStep } = getSunSamples({ site: state.siteLocation, ...options })
+    const samples = all.filter(s => s.altitude > MIN_ALTITUDE)
+    const solids = getDistrictSolids(state)
+    const origins = getDistrictLotOrigins(state.entities?.lots, state.entityOrder, state.entities?.roadModules)
+    const lotPolygons = origins.map(origin => getLotPolygon(origin.lot).map(p => lotToWorld(p, origin)))
+    const grid = buildGrid(lotPolygons.length > 0 ? lotPolygons : [[{ x: 0, y: 0 }]], solids, samples, options.cellSize)
+    const cellCount = grid.cols * grid.rows
+
+    const cellLot = new Int16Array(cellCount).fill(-1)
+    const lotCells = origins.map(() => 0)
+    lotPolygons.forEach((polygon, index) => forEachCellIn(grid, polygon, (i) => {
+        if (cellLot[i] === -1) {
+            cellLot[i] = index
+            lotCells[index]++
+        }
+    }))
+
+    const hours = new Float32Array(cellCount)
+    const source = new Int16Array(cellCount)   // lot of the first building shading the cell
+    const mixed = new Uint8Array(cellCount)    // shaded by buildings on more than one lot
+    const stats = origins.map(() => ({ shadeHours: 0, maxShadedPct: 0 }))
+    let sunHours = 0
+
+    let chunkStart = Date.now()
+    for (const [sampleIndex, sample] of samples.entries()) {
+        if (Date.now() - chunkStart > CHUNK_MS) {
+            onProgress?.(sampleIndex / samples.length)
+            await yieldToUI()
+            if (signal?.aborted) return null
+            chunkStart = Date.now()
+        }
+        source.fill(-1)
+        mixed.fill(0)
+        for (const solid of solids) {
+            for (const polygon of getShadowPolygons(solid, sample)) {
+                forEachCellIn(grid, polygon, (i) => {
+                    if (source[i] === -1) source[i] = solid.lotIndex
+                    else if (source[i] !== solid.lotIndex) mixed[i] = 1
+                })
+            }
+        }
+
+        const shadedByOthers = origins.map(() => 0)
+        for (let i = 0; i < cellCount; i++) {
+            if (source[i] === -1) continue
+            hours[i] += sample.weight
+            const lot = cellLot[i]
+            if (lot >= 0 && (source[i] !== lot || mixed[i])) shadedByOthers[lot]++
+        }
+        shadedByOthers.forEach((count, index) => {
+            const fraction = lotCells[index] > 0 ? count / lotCells[index] : 0
+            stats[index].shadeHours += fraction * sample.weight
+            stats[index].maxShadedPct = Math.max(stats[index].maxShadedPct, fraction * 100)
+        })
+        sunHours += sample.weight
+    }
+
+    onProgress?.(1)
+
+    let maxHours = 0
+    for (let i = 0; i < cellCount; i++) maxHours = Math.max(maxHours, hours[i])
+
+    return {
+        grid,
+        hours,
+        maxHours,
+        samples,
+        solids,
+        days,
+        dayStep,
+        sunHours,
+        lots: origins.map(({ lotId }, index) => ({
+            lotId,
+            shadeHours: stats[index].shadeHours,
+            shadedPct: sunHours > 0 ? (stats[index].shadeHours / sunHours) * 100 : 0,
+            maxShadedPct: stats[index].maxShadedPct,
+        })),
+    }
+}
+
+/**
+ * Shadow mask of a single study sample on the study grid (1 = shaded).
+ * @param {object} result - runShadowStudy result
+ * @param {number} sampleIndex - Index into result.samples
+ * @returns {Uint8Array}
+ */
+export const getShadowMask = (result, sampleIndex) => {
+    const { grid, solids, samples } = result
+    const mask = new Uint8Array(grid.cols * grid.rows)
+    const sample = samples[sampleIndex]
+    if (!sample) return mask
+    for (const solid of solids) {
+        for (const polygon of getShadowPolygons(solid, sample)) forEachCellIn(grid, polygon, (i) => { mask[i] = 1 })
+    }
+    return mask
+}
@@ -0,0 +1,162 @@
+import { getLotPolygon, getLotFrontEdge, classifyLotEdges, clipPolygonToHalfPlane, signedArea } from './lotGeometry'
+import { getLotAccessPoints, getStreetLotLines, getAccessSpan, getSharedDriveDirection } from './lotAccess'
+
+/**
+ * Sight Triangles (clear-vision zones)
+ *
+ * Triangles inside a lot that must stay clear of buildings so drivers can see
+ * along the street. Leg lengths come from districtParameters.sightTriangles:
+ *   { intersection: ft, driveway: ft }   (null = not required)
+ *
+ * - Intersection: at each lot corner where two street lot lines meet, legs run
+ *   `intersection` ft along both lot lines from the corner.
+ * - Driveway: at each enabled lot access on a street lot line, one triangle on
+ *   each side of the drive with legs `driveway` ft along the lot line and into
+ *   the lot along the drive edge (the access centerline until driveways are
+ *   generated, see driveways.js). Shared drives sit on the interior lot line,
+ *   so only the triangle on this lot's side is drawn.
+ *
+ * All coordinates are lot-local (see lotGeometry.js).
+ */
+
+// Below this much overlap (sf) a building only touches the triangle
+const INTRUSION_TOLERANCE = 0.01
+
+const along = (from, to, length) => {
+    const dx = to.x - from.x, dy = to.y - from.y
+    const len = Math.hypot(dx, dy)
+    const t = len > 0 ? Math.min(length, len) / len : 0
+    return { x: from.x + dx * t, y: from.y + dy * t }
+}
+
+/**
+ * Corner triangles where a front/rear street lot line meets a side street lot line.
+ * Legs are clamped to the length of the lot lines they run along.
+ */
+const getIntersectionTriangles = (lot, leg, streets) => {
+    const edges = classifyLotEdges(getLotPolygon(lot), getLotFrontEdge(lot))
+    const triangles = []
+    edges.forEach((edge, i) => {
+        const next = edges[(i + 1) % edges.length]
+        const pair = [edge.side, next.side]
+        const isCorner = pair.some(s => s === 'front' || s === 'rear') && pair.some(s => s === 'left' || s === 'right')
+        if (!isCorner || !streets[edge.side] || !streets[next.side]) return
+        const corner = edge.b
+        triangles.push({
+            key: `intersection-${edge.side}-${next.side}-${i}`,
+            kind: 'intersection',
+            points: [corner, along(corner, next.b, leg), along(corner, edge.a, leg)],
+        })
+    })
+    return triangles
+}
+
+/**
+ * Triangles beside each lot access on a street lot line, with their apex at
+ * the drive edges (`width` 0 puts both on the access centerline).
+ */
+const getDrivewayTriangles = (accessPoints, leg, streets, width = 0) => {
+    const triangles = []
+    for (const access of accessPoints) {
+        if (!streets[access.side]) continue
+        const { point, along: dir, inward } = access
+        const [lo, hi] = getAccessSpan(access, width)
+        // Shared drives: only the side pointing away from the interior lot line
+        const ends = access.sharedSide
+            ? [getSharedDriveDirection(access) > 0 ? [hi, 1] : [lo, -1]]
+            : [[hi, 1], [lo, -1]]
+        for (const [offset, sign] of ends) {
+            const apex = { x: point.x + dir.x * offset, y: point.y + dir.y * offset }
+            triangles.push({
+                key: `driveway-${access.key}-${sign > 0 ? 'a' : 'b'}`,
+                kind: 'driveway',
+                access: access.key,
+                points: [
+                    apex,
+                    { x: apex.x + dir.x * leg * sign, y: apex.y + dir.y * leg * sign },
+                    { x: apex.x + inward.x * leg, y: apex.y + inward.y * leg },
+                ],
+            })
+        }
+    }
+    return triangles
+}
+
+/**
+ * Every required sight triangle on a lot.
+ * @param {object} lot
+ * @param {string} lotId
+ * @param {object} options
+ * @param {object} options.districtParameters
+ * @param {{ left: boolean, right: boolean }} options.streetSides
+ * @param {object} options.roadDirs - getActiveRoadDirections result
+ * @param {object} [options.annotationPositions] - Lot access arrow positions
+ * @returns {Array<{ key: string, kind: 'intersection'|'driveway', points: Array<{x: number, y: number}> }>}
+ */
+export const getLotSightTriangles = (lot, lotId, { districtParameters, streetSides = {}, roadDirs = {}, annotationPositions = {} } = {}) => {
+    if (!lot) return []
+    const legs = districtParameters?.sightTriangles ?? {}
+    const streets = getStreetLotLines(streetSides, roadDirs)
+    const triangles = []
+    if (legs.intersection > 0) triangles.push(...getIntersectionTriangles(lot, legs.intersection, streets))
+    if (legs.driveway > 0) {
+        const accessPoints = getLotAccessPoints(lot, lotId, annotationPositions, streetSides)
+        // Generated driveways move the triangles out to the drive edges
+        const width = lot.driveways?.enabled ? lot.driveways.width ?? 0 : 0
+        triangles.push(...getDrivewayTriangles(accessPoints, legs.driveway, streets, width))
+    }
+    return triangles
+}
+
+/**
+ * Area (sf) of a footprint inside a sight triangle.
+ * @param {Array<{x: number, y: number}>} footprint
+ * @param {Array<{x: number, y: number}>} triangle
+ * @returns {number}
+ */
+export const getSightTriangleIntrusion = (footprint, triangle) => {
+    if (!footprint?.length || triangle.length < 3) return 0
+    const ccw = signedArea(triangle) > 0
+    let clipped = footprint
+    for (let i = 0; i < 3 && clipped; i++) {
+        const a = triangle[i]
+        const b = triangle[(i + 1) % 3]
+        // Outward normal of the triangle edge
+        const normal = ccw ? { x: b.y - a.y, y: a.x - b.x } : { x: a.y - b.y, y: b.x - a.x }
+        clipped = clipPolygonToHalfPlane(clipped, a, normal, 0)
+    }
+    if (!clipped) return 0
+    const area = Math.abs(signedArea(clipped))
+    return area > INTRUSION_TOLERANCE ? area : 0
+}
+
+/**
+ * Parallel hatch lines clipped to a convex polygon.
+ * @param {Array<{x: number, y: number}>} polygon
+ * @param {number} spacing - Distance between lines (ft)
+ * @param {number} [angle] - Line direction in radians (default 45°)
+ * @returns {Array<[{x: number, y: number}, {x: number, y: number}]>}
+ */
+export const getHatchSegments = (polygon, spacing, angle = Math.PI / 4) => {
+    if (!polygon?.length || !(spacing > 0)) return []
+    const dir = { x: Math.cos(angle), y: Math.sin(angle) }
+    const normal = { x: -dir.y, y: dir.x }
+    const offsets = polygon.map(p => p.x * normal.x + p.y * normal.y)
+    const lo = Math.min(...offsets), hi = Math.max(...offsets)
+    const segments = []
+    for (let c = Math.ceil(lo / spacing) * spacing; c <= hi; c += spacing) {
+        const hits = []
+        polygon.forEach((a, i) => {
+            const b = polygon[(i + 1) % polygon.length]
+            const oa = offsets[i] - c
+            const ob = offsets[(i + 1) % polygon.length] - c
+            if ((oa < 0) === (ob < 0) || oa === ob) return
+            const t = oa / (oa - ob)
+            hits.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t })
+        })
+        if (hits.length < 2) continue
+        hits.sort((p, q) => (p.x * dir.x + p.y * dir.y) - (q.x * dir.x + q.y * dir.y))
+        segments.push([hits[0], hits[hits.length - 1]])
+    }
+    return segments
+}
@@ -0,0 +1,232 @@
+import { getLotArea, buildingExists, getLotBuildings, signedArea } from './lotGeometry'
+import { computeBlockLayout } from './blockLayout'
+import { generateParkingLayout } from './parkingLayout'
+import { getLotDriveways, getDrivewayArea } from './driveways'
+
+/**
+ * Site Analytics
+ *
+ * Shared area accounting for the district module (AnalyticsSection, compliance)
+ * and the comparison module (ParameterPanel coverage / GFA / FAR rows).
+ *
+ * - Footprint: polygon area when the building is in polygon mode, else width x depth
+ * - GFA: sum of per-story floor plates. A building may carry storyFootprints,
+ *   e.g. [{ fromStory: 3, width: 40, depth: 60 }], to model a podium + tower;
+ *   each entry applies from that story upward until the next entry.
+ * - Coverage uses the ground-floor footprint
+ * - Dwelling units come from each building's dwellingUnits model (units per
+ *   floor, or GFA / average unit size); density is units per acre
+ * - Impervious surface = building footprints + drive + parking areas; a lot with
+ *   a generated parking layout uses its stall / aisle area instead of the
+ *   entered parking area, and generated driveways replace the entered drive area
+ */
+
+/**
+ * Ground footprint area of an entity building (polygon-aware).
+ * @param {object} building - Any lot.buildings entry
+ * @returns {number} Square feet
+ */
+export const getFootprintArea = (building) => {
+    if (!building) return 0
+    const geom = building.geometry
+    if (geom?.mode === 'polygon' && geom.vertices?.length >= 3) {
+        return Math.abs(signedArea(geom.vertices))
+    }
+    return (building.width ?? 0) * (building.depth ?? 0)
+}
+
+const storyFootprintArea = (entry) => {
+    if (entry.vertices?.length >= 3) return Math.abs(signedArea(entry.vertices))
+    return (entry.width ?? 0) * (entry.depth ?? 0)
+}
+
+/**
+ * Floor plate area of every story, bottom to top.
+ * @param {object} building
+ * @returns {number[]} One area per story (empty when the building does not exist)
+ */
+export const getStoryAreas = (building) => {
+    if (!buildingExists(building)) return []
+    const base = getFootprintArea(building)
+    const overrides = (building.storyFootprints ?? [])
+        .filter(e => e && e.fromStory > 1)
+        .sort((a, b) => a.fromStory - b.fromStory)
+    const areas = []
+    for (let story = 1; story <= building.stories; story++) {
+        let area = base
+        for (const entry of overrides) {
+            if (entry.fromStory <= story) area = storyFootprintArea(entry)
+        }
+        areas.push(area)
+    }
+    return areas
+}
+
+/**
+ * Gross floor area of a building (sum of its story floor plates).
+ * @param {object} building
+ * @returns {number}
+ */
+export const getBuildingGFA = (building) => getStoryAreas(building).reduce((sum, a) => sum + a, 0)
+
+const SQ_FT_PER_ACRE = 43560
+
+/**
+ * Dwelling units in a building.
+ * @param {object} building
+ * @returns {number} Whole units (a partial unit from the average size does not count)
+ */
+export const getBuildingUnits = (building) => {
+    if (!buildingExists(building)) return 0
+    const du = building.dwellingUnits
+    if (du?.mode === 'unitSize') {
+        return du.unitSize > 0 ? Math.floor(getBuildingGFA(building) / du.unitSize) : 0
+    }
+    return Math.max(0, Math.round((du?.perFloor ?? 0) * building.stories))
+}
+
+// Units per acre and lot area per unit (the latter null on a lot without units)
+const densityMetrics = (lotArea, units) => ({
+    density: lotArea > 0 ? units / (lotArea / SQ_FT_PER_ACRE) : 0,
+    lotAreaPerUnit: units > 0 ? lotArea / units : null,
+})
+
+/**
+ * Paved (non-building) impervious area on a lot: drives + parking. With the
+ * parking layout enabled, parking is the generated stall / aisle / drive area;
+ * with driveways enabled, drives is the on-lot area of the generated driveways.
+ * @param {object} lot
+ * @param {{ left: boolean, right: boolean }} [streetSides] - Needed for the layout's side setbacks
+ * @param {Array<object>|null} [driveways] - getLotDriveways result; generated at the
+ *   default lot access positions when omitted
+ * @returns {{ drives: number, parking: number, stalls: number|null }} stalls is null without a layout
+ */
+export const getPavedAreas = (lot, streetSides = {}, driveways = null) => {
+    const drives = lot?.driveways?.enabled
+        ? getDrivewayArea(driveways ?? getLotDriveways(lot, null, { streetSides }))
+        : lot?.pavedAreas?.drives ?? 0
+    if (lot?.parkingLayout?.enabled) {
+        const layout = generateParkingLayout(lot, streetSides)
+        return { drives, parking: layout.pavedArea, stalls: layout.stallCount }
+    }
+    return {
+        drives,
+        parking: lot?.pavedAreas?.parking ?? 0,
+        stalls: null,
+    }
+}
+
+/**
+ * Area metrics for one entity lot.
+ * @param {object} lot
+ * @param {{ left: boolean, right: boolean }} [streetSides]
+ * @param {Array<object>|null} [driveways] - getLotDriveways result (see getPavedAreas)
+ * @returns {{ lotArea: number, footprint: number, gfa: number, units: number, density: number, lotAreaPerUnit: number|null, coverage: number, far: number, wdRatio: number|null, imperviousArea: number, impervious: number, stalls: number|null }}
+ */
+export const computeLotAnalytics = (lot, streetSides = {}, driveways = null) => {
+    if (!lot) return { lotArea: 0, footprint: 0, gfa: 0, units: 0, density: 0, lotAreaPerUnit: null, coverage: 0, far: 0, wdRatio: null, imperviousArea: 0, impervious: 0, stalls: null }
+    const lotArea = getLotArea(lot)
+
+    let footprint = 0
+    let gfa = 0
+    let units = 0
+    for (const b of getLotBuildings(lot)) {
+        if (!buildingExists(b)) continue
+        footprint += getFootprintArea(b)
+        gfa += getBuildingGFA(b)
+        units += getBuildingUnits(b)
+    }
+
+    const paved = getPavedAreas(lot, streetSides, driveways)
+    const imperviousArea = footprint + paved.drives + paved.parking
+
+    return {
+        lotArea,
+        footprint,
+        gfa,
+        units,
+        ...densityMetrics(lotArea, units),
+        coverage: lotArea > 0 ? (footprint / lotArea) * 100 : 0,
+        far: lotArea > 0 ? gfa / lotArea : 0,
+        wdRatio: (lot.lotDepth ?? 0) > 0 ? ((lot.lotWidth ?? 0) / lot.lotDepth) * 100 : null,
+        imperviousArea,
+        impervious: lotArea > 0 ? (imperviousArea / lotArea) * 100 : 0,
+        stalls: paved.stalls,
+    }
+}
+
+/**
+ * Per-lot metrics plus district totals (area-weighted ratios).
+ * @param {object} lots - entities.lots
+ * @param {string[]} lotIds - entityOrder
+ * @param {object} [roadModules] - Street sides for each lot's parking layout
+ * @param {object} [annotationPositions] - Lot access arrow positions for generated driveways
+ * @returns {{ perLot: object[], district: object }}
+ */
+export const computeDistrictAnalytics = (lots, lotIds, roadModules, annotationPositions) => {
+    const perLot = computeBlockLayout(lots, lotIds, roadModules).placements.map(({ lotId, streetSides, streetRoads }) => {
+        const driveways = getLotDriveways(lots?.[lotId], lotId, { streetSides, roadModules, streetRoads, annotationPositions })
+        return computeLotAnalytics(lots?.[lotId], streetSides, driveways)
+    })
+    const sum = (key) => perLot.reduce((total, m) => total + (m[key] ?? 0), 0)
+    const lotArea = sum('lotArea')
+    const footprint = sum('footprint')
+    const gfa = sum('gfa')
+    const imperviousArea = sum('imperviousArea')
+    return {
+        perLot,
+        district: {
+            lotArea,
+            footprint,
+            gfa,
+            units: sum('units'),
+            ...densityMetrics(lotArea, sum('units')),
+            coverage: lotArea > 0 ? (footprint / lotArea) * 100 : 0,
+            far: lotArea > 0 ? gfa / lotArea : 0,
+            imperviousArea,
+            impervious: lotArea > 0 ? (imperviousArea / lotArea) * 100 : 0,
+            stalls: perLot.some(m => m.stalls != null) ? sum('stalls') : null,
+        },
+    }
+}
+
+/**
+ * Area metrics for a comparison-module model (existing / proposed), which keeps
+ * its principal and accessory buildings as flat fields.
+ * @param {object} model - state.existing or state.proposed
+ * @returns {{ lotArea: number, footprint: number, gfa: number, coverage: number, far: number }}
+ */
+export const computeModelAnalytics = (model) => {
+    if (!model) return { lotArea: 0, footprint: 0, gfa: 0, coverage: 0, far: 0 }
+    const lotArea = getLotArea(model)
+
+    const principal = {
+        width: model.buildingWidth,
+        depth: model.buildingDepth,
+        stories: model.buildingStories || 1,
+        geometry: model.buildingGeometry,
+        storyFootprints: model.storyFootprints,
+    }
+    const accessory = {
+        width: model.accessoryWidth,
+        depth: model.accessoryDepth,
+        stories: model.accessoryStories,
+        geometry: model.accessoryBuildingGeometry,
+    }
+
+    let footprint = 0
+    let gfa = 0
+    for (const b of [principal, accessory]) {
+        if (!buildingExists(b)) continue
+        footprint += getFootprintArea(b)
+        gfa += getBuildingGFA(b)
+    }
+
+    return {
+        lotArea,
+        footprint,
+        gfa,
+        coverage: lotArea > 0 ? (footprint / lotArea) * 100 : 0,
+        far: lotArea > 0 ? gfa / lotArea : 0,
+    }
+}
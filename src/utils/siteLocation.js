@@ -0,0 +1,110 @@
+import SunCalc from 'suncalc'
+
+/**
+ * Site Location & True North
+ *
+ * The project has one geographic site: latitude / longitude in decimal degrees,
+ * a fixed UTC offset in hours (standard time; daylight saving is not applied)
+ * and a true-north rotation. trueNorth is the clockwise angle in degrees from
+ * project +Y to true north, so 0 means +Y is north and 90 means +X is north.
+ *
+ * Directions are returned in project coordinates (X / Y in plan, Z up) so the
+ * sun light, shadow projection and north arrow all turn with the site.
+ */
+
+export const DEFAULT_SITE_LOCATION = { latitude: 40.7128, longitude: -74.006, utcOffset: -5, trueNorth: 0 }
+
+const DEG = Math.PI / 180
+const HOUR_MS = 3600000
+
+/**
+ * Instant for a local date and clock hour at the site.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} hour - Local standard time, decimals allowed
+ * @param {number} utcOffset - Site UTC offset in hours
+ * @returns {Date}
+ */
+export const getSiteDate = (dateStr, hour, utcOffset = 0) => {
+    const [year, month, day] = (dateStr ?? '').split('-').map(Number)
+    return new Date(Date.UTC(year, (month || 1) - 1, day || 1) + (hour - utcOffset) * HOUR_MS)
+}
+
+/**
+ * Project-space unit vector for a compass bearing at the site.
+ * @param {number} bearing - Degrees clockwise from true north
+ * @param {number} [trueNorth] - Site true-north rotation (degrees)
+ * @returns {{ x: number, y: number }}
+ */
+export const bearingToProject = (bearing, trueNorth = 0) => {
+    const angle = (bearing + trueNorth) * DEG
+    return { x: Math.sin(angle), y: Math.cos(angle) }
+}
+
+/**
+ * Unit vector toward the sun in project coordinates.
+ * @param {number} azimuth - SunCalc azimuth (radians, 0 = south, positive toward west)
+ * @param {number} altitude - SunCalc altitude (radians)
+ * @param {number} [trueNorth] - Site true-north rotation (degrees)
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export const sunToProject = (azimuth, altitude, trueNorth = 0) => {
+    const plan = bearingToProject(azimuth / DEG + 180, trueNorth)
+    const horizontal = Math.cos(altitude)
+    return { x: plan.x * horizontal, y: plan.y * horizontal, z: Math.sin(altitude) }
+}
+
+/**
+ * Sun position at the site for a local date and hour.
+ * @param {object} site - { latitude, longitude, utcOffset, trueNorth }
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} hour - Local standard time
+ * @returns {{ azimuth: number, altitude: number, direction: { x: number, y: number, z: number }, date: Date }}
+ *   azimuth / altitude are SunCalc radians; direction points toward the sun in project space.
+ */
+export const getSiteSunPosition = (site, dateStr, hour) => {
+    const { latitude, longitude, utcOffset, trueNorth } = { ...DEFAULT_SITE_LOCATION, ...site }
+    const date = getSiteDate(dateStr, hour, utcOffset)
+    const { azimuth, altitude } = SunCalc.getPosition(date, latitude, longitude)
+    return { azimuth, altitude, direction: sunToProject(azimuth, altitude, trueNorth), date }
+}
+
+// Mean earth radius (m) for the local tangent plane at the site
+const EARTH_RADIUS = 6371008.8
+const FEET_TO_METERS = 0.3048
+
+/**
+ * Longitude / latitude of a project point. The project origin sits at the
+ * site latitude / longitude; offsets are turned to east / north by trueNorth
+ * and mapped on a local tangent plane, which is accurate to well under a
+ * foot across a few blocks.
+ * @param {{ x: number, y: number }} point - Project coordinates (ft)
+ * @param {object} site - { latitude, longitude, trueNorth }
+ * @returns {[number, number]} [longitude, latitude] in decimal degrees
+ */
+export const projectToLonLat = ({ x, y }, site) => {
+    const { latitude, longitude, trueNorth } = { ...DEFAULT_SITE_LOCATION, ...site }
+    const angle = trueNorth * DEG
+    const east = (x * Math.cos(angle) - y * Math.sin(angle)) * FEET_TO_METERS
+    const north = (x * Math.sin(angle) + y * Math.cos(angle)) * FEET_TO_METERS
+    return [
+        longitude + east / (EARTH_RADIUS * Math.cos(latitude * DEG)) / DEG,
+        latitude + north / EARTH_RADIUS / DEG,
+    ]
+}
+
+/**
+ * Inverse of projectToLonLat.
+ * @param {[number, number]} lonLat - [longitude, latitude] in decimal degrees
+ * @param {object} site - { latitude, longitude, trueNorth }
+ * @returns {{ x: number, y: number }} Project coordinates (ft)
+ */
+export const lonLatToProject = ([lon, lat], site) => {
+    const { latitude, longitude, trueNorth } = { ...DEFAULT_SITE_LOCATION, ...site }
+    const angle = trueNorth * DEG
+    const east = (lon - longitude) * DEG * EARTH_RADIUS * Math.cos(latitude * DEG) / FEET_TO_METERS
+    const north = (lat - latitude) * DEG * EARTH_RADIUS / FEET_TO_METERS
+    return {
+        x: east * Math.cos(angle) + north * Math.sin(angle),
+        y: -east * Math.sin(angle) + north * Math.cos(angle),
+    }
+}
@@ -0,0 +1,148 @@
+import { getRoadZoneLayout, getCurbOffset } from './roadZones'
+import { getPolylineStations } from './roadAlignment'
+
+/**
+ * Street Furniture
+ *
+ * Street trees, light poles and benches placed at a regular spacing along a
+ * road's verge / tree well / sidewalk zones. Settings live on the road module:
+ *   road.streetscape = {
+ *     trees:   { enabled, spacing, setback, size },
+ *     lights:  { enabled, spacing, setback },
+ *     benches: { enabled, spacing, setback },
+ *   }
+ * `setback` is measured from the curb outward; null centers the item in the
+ * first zone of a type that can host it. The curb is the outer edge of the
+ * in-street zones (travel/transit/bike lanes, parking) next to the road surface.
+ *
+ * A side of the road only gets an item if it has one of that item's host zones.
+ */
+
+export const STREET_FURNITURE_KINDS = {
+    trees: { label: 'Street Trees', hostZones: ['treeWell', 'verge'], spacing: 30, phase: 0.5 },
+    lights: { label: 'Light Poles', hostZones: ['verge', 'treeWell', 'sidewalk'], spacing: 80, phase: 0.25 },
+    benches: { label: 'Benches', hostZones: ['sidewalk', 'verge'], spacing: 120, phase: 0.75 },
+}
+
+// Mature height and canopy diameter (ft) per species size
+export const TREE_SIZES = {
+    small: { label: 'Small', height: 15, canopy: 12 },
+    medium: { label: 'Medium', height: 25, canopy: 20 },
+    large: { label: 'Large', height: 40, canopy: 32 },
+}
+
+// Items closer than this to a road end or junction cut are dropped
+const END_CLEARANCE = 2
+// Spacings below this (e.g. mid-edit) are treated as this, to bound the instance count
+const MIN_SPACING = 5
+
+export const createDefaultStreetscape = () => ({
+    trees: { enabled: false, spacing: STREET_FURNITURE_KINDS.trees.spacing, setback: null, size: 'medium' },
+    lights: { enabled: false, spacing: STREET_FURNITURE_KINDS.lights.spacing, setback: null },
+    benches: { enabled: false, spacing: STREET_FURNITURE_KINDS.benches.spacing, setback: null },
+})
+
+/**
+ * Road streetscape settings with defaults filled in (roads saved before
+ * streetscapes existed have none).
+ * @param {object} road
+ */
+export const getStreetscape = (road) => {
+    const defaults = createDefaultStreetscape()
+    const saved = road?.streetscape ?? {}
+    return Object.fromEntries(Object.keys(defaults).map(kind => [kind, { ...defaults[kind], ...(saved[kind] ?? {}) }]))
+}
+
+/**
+ * Distance from the centerline to the curb and to each zone, for one side.
+ * @param {object} road
+ * @param {'left' | 'right'} side
+ * @returns {{ curb: number, zones: Array<{ type: string, inner: number, outer: number }>, edge: number }}
+ */
+const getSideProfile = (road, side) => {
+    const layout = getRoadZoneLayout(road)
+    const zones = layout[side].map(({ zone, topY, bottomY }) => ({
+        type: zone.type,
+        inner: Math.abs((side === 'right' ? bottomY : topY) - layout.centerlineY),
+        outer: Math.abs((side === 'right' ? topY : bottomY) - layout.centerlineY),
+    }))
+    return { curb: getCurbOffset(road, side), zones, edge: (road?.rightOfWay ?? 50) / 2 }
+}
+
+/**
+ * Distance from the centerline to one kind of item on one side, or null when
+ * the side has no zone that can host it.
+ */
+const getLateralOffset = (profile, kind, setback) => {
+    const { hostZones } = STREET_FURNITURE_KINDS[kind]
+    const hosts = profile.zones.filter(z => hostZones.includes(z.type))
+    if (hosts.length === 0) return null
+    if (setback == null) {
+        const host = hostZones.map(type => hosts.find(z => z.type === type)).find(Boolean)
+        return (host.inner + host.outer) / 2
+    }
+    return Math.min(profile.curb + Math.max(setback, 0), profile.edge)
+}
+
+// Point and unit tangent at a station along a polyline
+const pointAtStation = (points, stations, s) => {
+    for (let i = 1; i < points.length; i++) {
+        if (s <= stations[i] || i === points.length - 1) {
+            const len = stations[i] - stations[i - 1]
+            const t = len > 0 ? Math.min(Math.max((s - stations[i - 1]) / len, 0), 1) : 0
+            const dx = points[i].x - points[i - 1].x
+            const dy = points[i].y - points[i - 1].y
+            return {
+                x: points[i - 1].x + dx * t,
+                y: points[i - 1].y + dy * t,
+                tangent: len > 0 ? { x: dx / len, y: dy / len } : { x: 1, y: 0 },
+            }
+        }
+    }
+    return { ...points[0], tangent: { x: 1, y: 0 } }
+}
+
+/**
+ * Positions of every enabled street furniture item along a road.
+ * Walking the centerline in point order, right-side (lot-facing) zones are on
+ * the left-hand normal — the same convention as road alignments, so a
+ * centerline along +X at the canonical centerlineY works for block-edge roads.
+ * `rotation` turns an item's local -Y axis toward the road.
+ *
+ * @param {object} road - Road module data
+ * @param {Array<{x: number, y: number}>} centerline
+ * @param {{ left: Array<[number, number]>, right: Array<[number, number]> }} [ranges] - Station ranges kept per side (default: whole length)
+ * @returns {{ trees: Array<{x: number, y: number, rotation: number}>, lights: Array, benches: Array }}
+ */
+export const getStreetFurniturePlacements = (road, centerline, ranges = null) => {
+    const placements = { trees: [], lights: [], benches: [] }
+    if (!road || !centerline || centerline.length < 2) return placements
+    const stations = getPolylineStations(centerline)
+    const length = stations.at(-1)
+    const streetscape = getStreetscape(road)
+
+    for (const side of ['left', 'right']) {
+        const profile = getSideProfile(road, side)
+        const sign = side === 'right' ? 1 : -1
+        for (const kind of Object.keys(placements)) {
+            const settings = streetscape[kind]
+            if (!settings.enabled || !(settings.spacing > 0)) continue
+            const spacing = Math.max(settings.spacing, MIN_SPACING)
+            const lateral = getLateralOffset(profile, kind, settings.setback)
+            if (lateral == null) continue
+            const { phase } = STREET_FURNITURE_KINDS[kind]
+            for (const [s0, s1] of ranges?.[side] ?? [[0, length]]) {
+                for (let s = s0 + spacing * phase; s <= s1 - END_CLEARANCE; s += spacing) {
+                    if (s < s0 + END_CLEARANCE) continue
+                    const { x, y, tangent } = pointAtStation(centerline, stations, s)
+                    placements[kind].push({
+                        x: x - tangent.y * lateral * sign,
+                        y: y + tangent.x * lateral * sign,
+                        rotation: Math.atan2(tangent.y, tangent.x) + (side === 'left' ? Math.PI : 0),
+                    })
+                }
+            }
+        }
+    }
+    return placements
+}
@@ -0,0 +1,141 @@
+/**
+ * Street Type Library
+ *
+ * A street type is a named road template: right-of-way, road surface width,
+ * cross-section zones per side (same zone objects as road modules, see
+ * roadZones.js), optional style overrides and two behavior flags:
+ *   alley    — meets cross streets with no intersection fill or curb returns;
+ *              perpendicular non-alley roads run their zone bands through it,
+ *              and the alley* roadModuleStyles keys apply
+ *   noFillet — corners meet square (no curb-return arcs) but keep the
+ *              intersection fill
+ *
+ * Roads reference a type by `code` (road.type). S1/S2/S3 are built in; the
+ * user library (state.streetTypeLibrary, keyed by code) adds types or replaces
+ * a built-in. Unknown codes fall back to S1.
+ */
+
+import { createRoadZone, ROAD_ZONE_TYPES } from './roadZones'
+
+const builtInZones = (pairs) => pairs.map(([type, width]) => ({ id: type, type, width, style: null }))
+
+export const BUILT_IN_STREET_TYPES = {
+    S1: {
+        code: 'S1', name: 'Primary Street', rightOfWay: 50, roadWidth: 24,
+        leftZones: [], rightZones: builtInZones([['verge', 7], ['sidewalk', 6]]),
+        alley: false, noFillet: false, styles: null,
+    },
+    S2: {
+        code: 'S2', name: 'Secondary Street', rightOfWay: 40, roadWidth: 24,
+        leftZones: [], rightZones: builtInZones([['verge', 5], ['sidewalk', 5]]),
+        alley: false, noFillet: false, styles: null,
+    },
+    S3: {
+        code: 'S3', name: 'Alley', rightOfWay: 20, roadWidth: 16,
+        leftZones: [], rightZones: [],
+        alley: true, noFillet: true, styles: null,
+    },
+}
+
+/**
+ * New street type with every field present.
+ * @param {object} [overrides]
+ */
+export const createStreetType = (overrides = {}) => ({
+    code: '',
+    name: '',
+    rightOfWay: 50,
+    roadWidth: 24,
+    leftZones: [],
+    rightZones: [],
+    alley: false,
+    noFillet: false,
+    styles: null,
+    ...overrides,
+})
+
+/**
+ * Street type from untrusted input (server file, spreadsheet row): keeps only
+ * known fields, coerces numbers and drops zones of unknown type.
+ * @param {object} raw
+ * @returns {object|null} null when the code is missing
+ */
+export const normalizeStreetType = (raw) => {
+    const code = String(raw?.code ?? '').trim()
+    if (!code) return null
+    const toZones = (zones) => (Array.isArray(zones) ? zones : [])
+        .filter(z => ROAD_ZONE_TYPES[z?.type] && Number(z.width) > 0)
+        .map(z => ({ ...createRoadZone(z.type, Number(z.width)), style: z.style ?? null }))
+    const num = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value != null ? Number(value) : fallback)
+    return createStreetType({
+        code,
+        name: String(raw.name ?? '').trim() || code,
+        rightOfWay: num(raw.rightOfWay, 50),
+        roadWidth: num(raw.roadWidth, 24),
+        leftZones: toZones(raw.leftZones),
+        rightZones: toZones(raw.rightZones),
+        alley: !!raw.alley,
+        noFillet: !!raw.noFillet,
+        styles: raw.styles && typeof raw.styles === 'object' ? raw.styles : null,
+    })
+}
+
+/**
+ * Resolves a street type code against the user library, then the built-ins.
+ * @param {string} code
+ * @param {object} [library] - state.streetTypeLibrary
+ */
+export const getStreetType = (code, library) =>
+    library?.[code] ?? BUILT_IN_STREET_TYPES[code] ?? BUILT_IN_STREET_TYPES.S1
+
+/**
+ * All selectable street types — built-ins first (unless replaced), then
+ * library types sorted by code.
+ * @param {object} [library]
+ * @returns {Array<{ code: string, name: string, rightOfWay: number, builtIn: boolean }>}
+ */
+export const getStreetTypeOptions = (library) => {
+    const custom = Object.values(library ?? {}).sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }))
+    const builtIns = Object.values(BUILT_IN_STREET_TYPES).filter(t => !library?.[t.code])
+    return [
+        ...builtIns.map(t => ({ code: t.code, name: t.name, rightOfWay: t.rightOfWay, builtIn: true })),
+        ...custom.map(t => ({ code: t.code, name: t.name, rightOfWay: t.rightOfWay, builtIn: false })),
+    ]
+}
+
+/** Whether the road's street type behaves as an alley. */
+export const isAlleyRoad = (road, library) => !!getStreetType(road?.type || 'S1', library).alley
+
+/** Whether corners with this road get curb-return fillets. */
+export const hasCurbReturns = (road, library) => {
+    const streetType = getStreetType(road?.type || 'S1', library)
+    return !streetType.alley && !streetType.noFillet
+}
+
+/**
+ * Road module fields for a street type. Zones get fresh ids so roads created
+ * from the same template can be edited independently.
+ * @param {object} streetType
+ */
+export const getStreetTypeRoadFields = (streetType) => ({
+    rightOfWay: streetType.rightOfWay,
+    roadWidth: streetType.roadWidth,
+    leftZones: (streetType.leftZones ?? []).map(z => ({ ...createRoadZone(z.type, z.width), style: z.style ?? null })),
+    rightZones: (streetType.rightZones ?? []).map(z => ({ ...createRoadZone(z.type, z.width), style: z.style ?? null })),
+})
+
+/**
+ * roadModuleStyles with the street type's overrides merged per key
+ * (e.g. { roadWidth: { fillColor: '#444444' } }). Returns `styles` unchanged
+ * when the type has none.
+ * @param {object} styles - roadModuleStyles
+ * @param {object} streetType
+ */
+export const applyStreetTypeStyles = (styles, streetType) => {
+    if (!styles || !streetType?.styles) return styles
+    const merged = { ...styles }
+    for (const [key, override] of Object.entries(streetType.styles)) {
+        merged[key] = { ...(styles[key] ?? {}), ...override }
+    }
+    return merged
+}
@@ -0,0 +1,333 @@
+import {
+    getLotPolygon,
+    getLotFrontEdge,
+    getLotArea,
+    getBuildingFootprint,
+    getStoryFootprints,
+    buildingExists,
+    getLotBuildings,
+    getBuildingLabel,
+    measureSetbacks,
+    footprintDistance,
+    polygonWidthAtY,
+} from './lotGeometry'
+import { computeBlockLayout } from './blockLayout'
+import { getHeightLimitsAtPoint, hasHeightTransitions } from './zoningEnvelope'
+import { generateRoofGeometry } from './roofGeometry'
+import { computeLotAnalytics } from './siteAnalytics'
+import { getRequiredStalls } from './parkingLayout'
+import { getLotSightTriangles, getSightTriangleIntrusion } from './sightTriangles'
+import { getLotDriveways } from './driveways'
+
+/**
+ * Zoning Compliance Engine
+ *
+ * Evaluates every lot in the district module against the min/max limits in
+ * districtParameters. Each rule yields one result:
+ *
+ *   { key, path, label, category, buildingType, buildingId, side, unit, value, min, max, status }
+ *
+ * status is 'pass' | 'fail' | 'na' ('na' when the district sets no limit or
+ * the measured element does not exist on the lot). `path` is the district
+ * parameter path the limits came from (e.g. 'setbacksPrincipal.front'). The
+ * front setback min and max are separate rules; the max rule's path is
+ * '<setbacks>.frontMax' so a max failure can be told apart from a min one.
+ * Building rules apply the limits for the building's type to every building
+ * on the lot; their keys are prefixed with the buildingId to stay unique.
+ *
+ * Daylight-plane and stepback rules carry a point-specific max (the allowed
+ * height at the worst sampled wall-top or roof point) instead of a district limit.
+ * The parking rule likewise compares the stalls in the generated layout against
+ * the count the district parking ratios require for the lot's GFA and units.
+ * Sight-triangle rules report the footprint area (sf) inside the lot's
+ * clear-vision triangles, which must be zero. Driveway rules check the
+ * generated driveways' width and their closest distance to a street corner.
+ */
+
+// Tolerance so values entered as whole feet don't fail on float noise
+const EPSILON = 1e-6
+
+const resolvePath = (obj, path) => {
+    let val = obj
+    for (const k of path.split('.')) val = val?.[k]
+    return val
+}
+
+/**
+ * Compare a measured value against a {min, max} pair.
+ * @returns {'pass'|'fail'|'na'}
+ */
+export const checkRange = (value, min, max) => {
+    if (min == null && max == null) return 'na'
+    if (value == null || isNaN(value)) return 'na'
+    if (min != null && value < min - EPSILON) return 'fail'
+    if (max != null && value > max + EPSILON) return 'fail'
+    return 'pass'
+}
+
+const makeRule = (dp, { key, path, label, category, buildingType = null, buildingId = null, side = null, unit = '', value, limits = resolvePath(dp, path) ?? {} }) => {
+    const min = limits.min ?? null
+    const max = limits.max ?? null
+    return {
+        key: buildingId ? `${buildingId}:${key ?? path}` : key ?? path,
+        path, label, category, buildingType, buildingId, side, unit,
+        value: value ?? null, min, max, status: checkRange(value, min, max),
+    }
+}
+
+const totalHeight = (building) => {
+    const stories = building.stories ?? 1
+    if (stories <= 0) return 0
+    const first = building.firstFloorHeight ?? 12
+    const upper = building.upperFloorHeight ?? 10
+    return first + Math.max(0, stories - 1) * upper
+}
+
+const SETBACK_PATHS = { principal: 'setbacksPrincipal', accessory: 'setbacksAccessory' }
+
+// Sample points along each story's wall top and over the roof surface, in lot-local 3D.
+// Each story uses its own floor plate, so a stepped-back tower is sampled where it stands.
+const getBuildingSamplePoints = (building, ridgeMax) => {
+    const plates = getStoryFootprints(building)
+    if (plates.length === 0) return []
+    const first = building.firstFloorHeight ?? 12
+    const upper = building.upperFloorHeight ?? 10
+    const points = []
+    plates.forEach((footprint, story) => {
+        const z = first + story * upper
+        footprint.forEach((p, i) => {
+            const q = footprint[(i + 1) % footprint.length]
+            for (let t = 0; t < 1; t += 0.25) {
+                points.push({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t, z })
+            }
+        })
+    })
+    const wallTop = totalHeight(building)
+    const roof = building.roof
+    if (roof && roof.type !== 'flat') {
+        const ridgeZ = roof.overrideHeight && roof.ridgeHeight != null ? roof.ridgeHeight : ridgeMax
+        if (ridgeZ > wallTop) {
+            const geometry = generateRoofGeometry(plates[plates.length - 1], roof.type, wallTop, ridgeZ, {
+                ridgeDirection: roof.ridgeDirection,
+                shedDirection: roof.shedDirection,
+            })
+            const pos = geometry?.getAttribute('position')
+            if (pos) {
+                for (let i = 0; i < pos.count; i++) points.push({ x: pos.getX(i), y: pos.getY(i), z: pos.getZ(i) })
+            }
+            geometry?.dispose()
+        }
+    }
+    return points
+}
+
+const TRANSITION_LABELS = { daylightPlane: 'Daylight Plane', stepback: 'Stepback' }
+const TRANSITION_PATHS = { daylightPlane: 'daylightPlanes', stepback: 'stepbacks' }
+const SIDE_LABELS = { front: 'Front', rear: 'Rear', left: 'Left', right: 'Right' }
+
+/**
+ * One rule per (kind, lot side) reporting the worst sampled point: value is the
+ * building height there and max is what the daylight plane / stepback allows.
+ */
+const evaluateHeightTransitions = (building, name, lot, dp, streetSides) => {
+    const { id, type } = building
+    const ridgeMax = dp.structures?.[type]?.height?.max ?? building.maxHeight ?? 0
+    const setbacks = lot.setbacks?.[type]
+    const worst = {}
+    for (const point of getBuildingSamplePoints(building, ridgeMax)) {
+        for (const { side, key, kind, limit } of getHeightLimitsAtPoint(point, lot, setbacks, streetSides, dp)) {
+            const id = `${kind}.${side}`
+            const excess = point.z - limit
+            if (!worst[id] || excess > worst[id].excess) worst[id] = { side, key, kind, limit, z: point.z, excess }
+        }
+    }
+    return Object.values(worst).map(({ side, key, kind, limit, z }) => ({
+        key: `${id}:${TRANSITION_PATHS[kind]}.${side}`,
+        path: `${TRANSITION_PATHS[kind]}.${key}`,
+        label: `${name} ${TRANSITION_LABELS[kind]} (${SIDE_LABELS[side]})`,
+        category: 'structures',
+        buildingType: type,
+        buildingId: id,
+        side,
+        unit: 'ft',
+        value: z,
+        min: null,
+        max: Math.max(0, limit),
+        status: checkRange(z, null, Math.max(0, limit)),
+    }))
+}
+
+/**
+ * Evaluate a single lot against the district parameters.
+ * @param {object} lot - Lot entity data
+ * @param {object} districtParameters
+ * @param {{ left: boolean, right: boolean }} streetSides - Street-facing sides for this lot
+ * @param {object} [generated]
+ * @param {Array<object>} [generated.sightTriangles] - getLotSightTriangles result
+ * @param {Array<object>|null} [generated.driveways] - getLotDriveways result
+ * @returns {{ status: 'pass'|'fail'|'na', failCount: number, passCount: number, rules: object[] }}
+ */
+export const evaluateLotCompliance = (lot, districtParameters, streetSides = {}, { sightTriangles = [], driveways = null } = {}) => {
+    const dp = districtParameters ?? {}
+    const rules = []
+    if (!lot) return { status: 'na', failCount: 0, passCount: 0, rules }
+
+    const lotPolygon = getLotPolygon(lot)
+    const lotArea = getLotArea(lot)
+    const lotWidth = lot.lotWidth ?? 0
+    const lotDepth = lot.lotDepth ?? 0
+
+    // --- Lot dimensions ---
+    rules.push(makeRule(dp, { path: 'lotArea', label: 'Lot Area', category: 'lot', unit: 'sf', value: lotArea }))
+    rules.push(makeRule(dp, { path: 'lotWidth', label: 'Lot Width', category: 'lot', unit: 'ft', value: lotWidth }))
+    rules.push(makeRule(dp, { path: 'lotDepth', label: 'Lot Depth', category: 'lot', unit: 'ft', value: lotDepth }))
+    rules.push(makeRule(dp, {
+        path: 'widthToDepthRatio', label: 'W:D Ratio', category: 'lot', unit: '%',
+        value: lotDepth > 0 ? (lotWidth / lotDepth) * 100 : null,
+    }))
+
+    // Lot width measured along the principal front setback line
+    const frontSetback = lot.setbacks?.principal?.front ?? 0
+    const minY = Math.min(...lotPolygon.map(p => p.y))
+    rules.push(makeRule(dp, {
+        path: 'lotWidthAtSetback', label: 'Lot Width at Setback', category: 'lot', unit: 'ft',
+        value: polygonWidthAtY(lotPolygon, minY + frontSetback),
+    }))
+
+    // --- Buildings ---
+    const buildings = getLotBuildings(lot).filter(buildingExists)
+    const footprints = {}
+    for (const b of buildings) footprints[b.id] = getBuildingFootprint(b)
+
+    // Area ratios (polygon footprints, per-story floor plates, paved areas)
+    const analytics = computeLotAnalytics(lot, streetSides, driveways)
+    const hasArea = lotArea > 0
+    rules.push(makeRule(dp, { path: 'lotCoverage', label: 'Lot Coverage', category: 'lot', unit: '%', value: hasArea ? analytics.coverage : null }))
+    rules.push(makeRule(dp, { path: 'far', label: 'FAR', category: 'lot', value: hasArea ? analytics.far : null }))
+    rules.push(makeRule(dp, { path: 'maxImperviousSurface', label: 'Impervious Surface', category: 'lot', unit: '%', value: hasArea ? analytics.impervious : null }))
+    rules.push(makeRule(dp, { path: 'density', label: 'Density', category: 'lot', unit: 'du/ac', value: hasArea && analytics.units > 0 ? analytics.density : null }))
+    rules.push(makeRule(dp, { path: 'lotAreaPerUnit', label: 'Lot Area per Unit', category: 'lot', unit: 'sf', value: analytics.lotAreaPerUnit }))
+
+    // Parking supply (only counted once a surface layout is generated)
+    const required = getRequiredStalls(analytics, dp)
+    rules.push({
+        key: 'parkingRatios', path: 'parkingRatios', label: 'Parking Stalls', category: 'lot',
+        buildingType: null, buildingId: null, side: null, unit: '',
+        value: analytics.stalls, min: required.min, max: required.max,
+        status: checkRange(analytics.stalls, required.min, required.max),
+    })
+
+    // Generated driveways
+    const drives = driveways ?? []
+    const cornerSpacings = drives.map(d => d.cornerSpacing).filter(v => v != null)
+    rules.push(makeRule(dp, { path: 'drivewayWidth', label: 'Driveway Width', category: 'lot', unit: 'ft', value: drives.length > 0 ? drives[0].width : null }))
+    rules.push(makeRule(dp, {
+        path: 'drivewayCornerSpacing', label: 'Driveway Corner Spacing', category: 'lot', unit: 'ft',
+        value: cornerSpacings.length > 0 ? Math.min(...cornerSpacings) : null,
+    }))
+
+    const hasTransitions = hasHeightTransitions(dp)
+    for (const b of buildings) {
+        const { id, type } = b
+        const fp = footprints[id]
+        const name = getBuildingLabel(lot, id)
+        const sbPath = SETBACK_PATHS[type]
+        const tag = { category: 'setbacks', buildingType: type, buildingId: id, unit: 'ft' }
+
+        // Setbacks — measured from the footprint to each side of the lot line
+        const measured = measureSetbacks(fp, lotPolygon, getLotFrontEdge(lot))
+        const front = resolvePath(dp, `${sbPath}.front`) ?? {}
+        rules.push(makeRule(dp, { ...tag, path: `${sbPath}.front`, label: `${name} Front Setback`, side: 'front', value: measured.front, limits: { min: front.min } }))
+        rules.push(makeRule(dp, { ...tag, path: `${sbPath}.frontMax`, label: `${name} Max. Front Setback`, side: 'front', value: measured.front, limits: { max: front.max } }))
+        rules.push(makeRule(dp, { ...tag, path: `${sbPath}.rear`, label: `${name} Rear Setback`, side: 'rear', value: measured.rear }))
+        for (const side of ['left', 'right']) {
+            const isStreet = !!streetSides[side]
+            const path = isStreet ? `${sbPath}.sideStreet` : `${sbPath}.sideInterior`
+            const sideLabel = isStreet ? 'Side Street' : `Side Interior (${side === 'left' ? 'L' : 'R'})`
+            rules.push(makeRule(dp, { ...tag, key: `${path}.${side}`, path, label: `${name} ${sideLabel} Setback`, side, value: measured[side] }))
+        }
+
+        // Structure limits
+        const structPath = `structures.${type}`
+        const structTag = { ...tag, category: 'structures' }
+        const stories = b.stories ?? 1
+        rules.push(makeRule(dp, { ...structTag, path: `${structPath}.height`, label: `${name} Height`, value: totalHeight(b) }))
+        rules.push(makeRule(dp, { ...structTag, path: `${structPath}.stories`, label: `${name} Stories`, unit: '', value: stories }))
+        rules.push(makeRule(dp, { ...structTag, path: `${structPath}.firstStoryHeight`, label: `${name} First Story Height`, value: b.firstFloorHeight }))
+        rules.push(makeRule(dp, {
+            ...structTag, path: `${structPath}.upperStoryHeight`, label: `${name} Upper Story Height`,
+            value: stories > 1 ? b.upperFloorHeight : null,
+        }))
+
+        // Daylight planes & stepbacks — wall tops and roof against the sloped/stepped envelope
+        if (hasTransitions) rules.push(...evaluateHeightTransitions(b, name, lot, dp, streetSides))
+
+        // Clear-vision zones — any footprint area inside a sight triangle fails
+        if (sightTriangles.length > 0) {
+            const intrusion = sightTriangles.reduce((sum, t) => sum + getSightTriangleIntrusion(fp, t.points), 0)
+            rules.push({
+                key: `${id}:sightTriangles`, path: 'sightTriangles', label: `${name} Sight Triangle`, category: 'setbacks',
+                buildingType: type, buildingId: id, side: null, unit: 'sf',
+                value: intrusion, min: null, max: 0, status: checkRange(intrusion, null, 0),
+            })
+        }
+
+        // Distance to the nearest other building, against this building type's minimum
+        const gaps = buildings
+            .filter(o => o.id !== id)
+            .map(o => footprintDistance(fp, footprints[o.id]))
+            .filter(d => d != null)
+        if (gaps.length > 0) {
+            const gap = Math.min(...gaps)
+            rules.push(makeRule(dp, { ...tag, path: `${sbPath}.distanceBetweenBuildings`, label: `${name} Distance Between Buildings`, value: gap }))
+        }
+    }
+
+    const failCount = rules.filter(r => r.status === 'fail').length
+    const passCount = rules.filter(r => r.status === 'pass').length
+    const status = failCount > 0 ? 'fail' : passCount > 0 ? 'pass' : 'na'
+    return { status, failCount, passCount, rules }
+}
+
+/**
+ * Evaluate every lot in entityOrder. Street sides come from the block layout
+ * the same way DistrictSceneContent places setback lines.
+ * @param {object} state - Object with entities, entityOrder, districtParameters
+ *   and annotationPositions (lot access arrows, for driveways and their sight triangles)
+ * @returns {Object<string, object>} Compliance result keyed by lotId
+ */
+export const evaluateDistrictCompliance = ({ entities, entityOrder, districtParameters, annotationPositions }) => {
+    const lots = entities?.lots ?? {}
+    const results = {}
+    computeBlockLayout(lots, entityOrder, entities?.roadModules).placements.forEach(({ lotId, streetSides, roadDirs, streetRoads }) => {
+        const sightTriangles = getLotSightTriangles(lots[lotId], lotId, { districtParameters, streetSides, roadDirs, annotationPositions })
+        const driveways = getLotDriveways(lots[lotId], lotId, { streetSides, roadModules: entities?.roadModules, streetRoads, annotationPositions })
+        results[lotId] = evaluateLotCompliance(lots[lotId], districtParameters, streetSides, { sightTriangles, driveways })
+    })
+    return results
+}
+
+/**
+ * Failing rules for one building (or lot-level rules when buildingId is null).
+ * @param {object} result - evaluateLotCompliance result
+ * @param {string|null} [buildingId] - lot.buildings key; omit for every failing rule
+ * @returns {object[]}
+ */
+export const getFailingRules = (result, buildingId) =>
+    (result?.rules ?? []).filter(r => r.status === 'fail' && (buildingId === undefined || r.buildingId === buildingId))
+
+/**
+ * Human-readable summary of a rule result, e.g. "18.0 ft (min 20)".
+ * @param {object} rule
+ * @returns {string}
+ */
+export const describeRule = (rule) => {
+    if (!rule) return ''
+    // Unitless ratios (FAR) read better with two decimals
+    const fmt = (n) => (Number.isInteger(Number(n)) ? Number(n) : Number(n).toFixed(rule.unit ? 1 : 2))
+    const value = rule.value == null ? '--' : `${fmt(rule.value)}${rule.unit ? ` ${rule.unit}` : ''}`
+    const limits = []
+    if (rule.min != null) limits.push(`min ${fmt(rule.min)}`)
+    if (rule.max != null) limits.push(`max ${fmt(rule.max)}`)
+    return limits.length > 0 ? `${value} (${limits.join(', ')})` : value
+}
@@ -0,0 +1,226 @@
+import * as THREE from 'three'
+import { getLotPolygon, getLotFrontEdge, classifyLotEdges, insetPolygon, resolveSideSetbacks } from './lotGeometry'
+import { pointToSegmentDistSq } from './drawingHitTest'
+
+// ============================================
+// Zoning Envelope (daylight planes + stepbacks)
+// ============================================
+//
+// District rules are keyed by the district side names used elsewhere in
+// districtParameters (front, rear, sideInterior, sideStreet):
+//
+//   daylightPlanes[side] = { startHeight, angle }
+//     Plane rises from the lot line at startHeight, sloping inward at
+//     `angle` degrees from horizontal (e.g. 45° from 10 ft).
+//   stepbacks[side] = { height, depth }
+//     Above `height`, walls must sit an extra `depth` behind the min setback.
+//
+// The envelope is represented as a stack of levels — the lot polygon inset by
+// the required distance from each side at a given z. Every level has the same
+// vertex count, so consecutive levels can be lofted into a closed solid.
+
+export const ENVELOPE_SIDES = ['front', 'rear', 'sideInterior', 'sideStreet']
+
+const EPSILON = 1e-6
+
+/**
+ * District side key for a lot edge side ('left'/'right' depend on street frontage).
+ */
+export const getDistrictSideKey = (side, streetSides = {}) => {
+    if (side === 'left' || side === 'right') return streetSides[side] ? 'sideStreet' : 'sideInterior'
+    return side
+}
+
+const getDaylightPlane = (dp, key) => {
+    const rule = dp?.daylightPlanes?.[key]
+    if (!rule || rule.startHeight == null || rule.angle == null) return null
+    if (rule.angle <= 0 || rule.angle >= 90) return null
+    return { startHeight: rule.startHeight, slope: Math.tan(rule.angle * Math.PI / 180) }
+}
+
+const getStepback = (dp, key) => {
+    const rule = dp?.stepbacks?.[key]
+    if (!rule || rule.height == null || rule.depth == null || rule.depth <= 0) return null
+    return { height: rule.height, depth: rule.depth }
+}
+
+/**
+ * True when the district defines any daylight plane or stepback.
+ * @param {object} districtParameters
+ * @returns {boolean}
+ */
+export const hasHeightTransitions = (districtParameters) =>
+    ENVELOPE_SIDES.some(key => getDaylightPlane(districtParameters, key) || getStepback(districtParameters, key))
+
+/**
+ * Horizontal distance a building must keep from one lot line at height z.
+ * `aboveStep` selects the upper side of a stepback discontinuity at exactly z.
+ */
+const requiredDistance = (base, daylight, stepback, z, aboveStep = false) => {
+    let d = base
+    if (daylight && z > daylight.startHeight) {
+        d = Math.max(d, (z - daylight.startHeight) / daylight.slope)
+    }
+    if (stepback && (z > stepback.height || (aboveStep && z >= stepback.height))) {
+        d = Math.max(d, base + stepback.depth)
+    }
+    return d
+}
+
+const buildSideRules = (setbacks, streetSides, districtParameters) => {
+    const base = resolveSideSetbacks(setbacks, streetSides)
+    const rules = {}
+    for (const side of ['front', 'rear', 'left', 'right']) {
+        const key = getDistrictSideKey(side, streetSides)
+        rules[side] = {
+            key,
+            base: base[side],
+            daylight: getDaylightPlane(districtParameters, key),
+            stepback: getStepback(districtParameters, key),
+        }
+    }
+    return rules
+}
+
+/**
+ * Builds the stacked levels of the zoning envelope for a lot.
+ * @param {object} lot
+ * @param {object} setbacks - lot.setbacks.principal
+ * @param {{ left: boolean, right: boolean }} streetSides
+ * @param {object} districtParameters
+ * @param {number} maxHeight - Envelope top (principal max height)
+ * @returns {Array<{ z: number, polygon: Array<{x: number, y: number}> }>} Bottom-to-top levels (empty when nothing is buildable)
+ */
+export const computeEnvelopeLevels = (lot, setbacks, streetSides, districtParameters, maxHeight) => {
+    if (!(maxHeight > 0)) return []
+    const lotPolygon = getLotPolygon(lot)
+    const sideRules = buildSideRules(setbacks, streetSides, districtParameters)
+
+    const levelAt = (z, aboveStep) => insetPolygon(lotPolygon, (edge) => {
+        const r = sideRules[edge.side]
+        return requiredDistance(r.base, r.daylight, r.stepback, z, aboveStep)
+    }, getLotFrontEdge(lot))
+
+    // Breakpoints where the required distances change slope or jump
+    const stops = [{ z: 0, aboveStep: false }, { z: maxHeight, aboveStep: false }]
+    for (const r of Object.values(sideRules)) {
+        if (r.daylight && r.daylight.startHeight > 0 && r.daylight.startHeight < maxHeight) {
+            stops.push({ z: r.daylight.startHeight, aboveStep: false })
+        }
+        // A daylight plane starting below the base setback only bites once it clears the setback line
+        if (r.daylight) {
+            const z = r.daylight.startHeight + r.base * r.daylight.slope
+            if (z > 0 && z < maxHeight) stops.push({ z, aboveStep: false })
+        }
+        if (r.stepback && r.stepback.height >= 0 && r.stepback.height < maxHeight) {
+            stops.push({ z: r.stepback.height, aboveStep: false }, { z: r.stepback.height, aboveStep: true })
+        }
+    }
+    stops.sort((a, b) => a.z - b.z || a.aboveStep - b.aboveStep)
+
+    const levels = []
+    let prev = null
+    for (const stop of stops) {
+        if (prev && Math.abs(stop.z - prev.z) < EPSILON && stop.aboveStep === prev.aboveStep) continue
+        const polygon = levelAt(stop.z, stop.aboveStep)
+        if (!polygon) {
+            // Envelope closes between the previous level and this one — find where
+            if (prev && stop.z - prev.z > EPSILON) {
+                let lo = prev.z, hi = stop.z, best = null
+                for (let i = 0; i < 20; i++) {
+                    const mid = (lo + hi) / 2
+                    const p = levelAt(mid, prev.aboveStep)
+                    if (p) { lo = mid; best = p } else { hi = mid }
+                }
+                if (best && lo - prev.z > EPSILON) levels.push({ z: lo, polygon: best })
+            }
+            break
+        }
+        levels.push({ z: stop.z, polygon })
+        prev = stop
+    }
+    return levels.length >= 2 ? levels : []
+}
+
+/**
+ * Lofts envelope levels into a closed BufferGeometry.
+ * @param {Array<{ z: number, polygon: object[] }>} levels
+ * @param {object} [options]
+ * @param {boolean} [options.transitionsOnly] - Only emit the sloped and stepped faces (no caps or plumb walls)
+ * @returns {THREE.BufferGeometry|null}
+ */
+export const generateEnvelopeGeometry = (levels, { transitionsOnly = false } = {}) => {
+    if (!levels || levels.length < 2) return null
+    const positions = []
+    const pushTri = (a, b, c) => positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z)
+
+    const cap = (level, flip) => {
+        const contour = level.polygon.map(p => new THREE.Vector2(p.x, p.y))
+        const tris = THREE.ShapeUtils.triangulateShape(contour, [])
+        const ccw = !THREE.ShapeUtils.isClockWise(contour)
+        for (const [i, j, k] of tris) {
+            const a = { ...level.polygon[i], z: level.z }
+            const b = { ...level.polygon[j], z: level.z }
+            const c = { ...level.polygon[k], z: level.z }
+            if (ccw !== flip) pushTri(a, b, c)
+            else pushTri(a, c, b)
+        }
+    }
+
+    if (!transitionsOnly) {
+        cap(levels[0], true)
+        cap(levels[levels.length - 1], false)
+    }
+
+    for (let l = 0; l + 1 < levels.length; l++) {
+        const lower = levels[l]
+        const upper = levels[l + 1]
+        const n = lower.polygon.length
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n
+            const a = { ...lower.polygon[i], z: lower.z }
+            const b = { ...lower.polygon[j], z: lower.z }
+            const c = { ...upper.polygon[j], z: upper.z }
+            const d = { ...upper.polygon[i], z: upper.z }
+            if (transitionsOnly) {
+                const shift = Math.hypot(d.x - a.x, d.y - a.y) + Math.hypot(c.x - b.x, c.y - b.y)
+                if (shift < 1e-3) continue
+            }
+            pushTri(a, b, c)
+            pushTri(a, c, d)
+        }
+    }
+
+    if (positions.length === 0) return null
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    geometry.computeVertexNormals()
+    return geometry
+}
+
+/**
+ * Height limits imposed on a point by each lot side's daylight plane and stepback.
+ * Lots without any transition rules return an empty list.
+ * @param {{x: number, y: number}} point - Lot-local point
+ * @param {object} lot
+ * @param {object} setbacks - lot.setbacks for the building's type (principal or accessory)
+ * @param {{ left: boolean, right: boolean }} streetSides
+ * @param {object} districtParameters
+ * @returns {Array<{ side: string, key: string, kind: 'daylightPlane'|'stepback', limit: number }>}
+ */
+export const getHeightLimitsAtPoint = (point, lot, setbacks, streetSides, districtParameters) => {
+    const sideRules = buildSideRules(setbacks, streetSides, districtParameters)
+    const limits = []
+    for (const { side, a, b } of classifyLotEdges(getLotPolygon(lot), getLotFrontEdge(lot))) {
+        const r = sideRules[side]
+        if (!r.daylight && !r.stepback) continue
+        const dist = Math.sqrt(pointToSegmentDistSq(point.x, point.y, a.x, a.y, b.x, b.y))
+        if (r.daylight) {
+            limits.push({ side, key: r.key, kind: 'daylightPlane', limit: r.daylight.startHeight + dist * r.daylight.slope })
+        }
+        if (r.stepback && dist < r.base + r.stepback.depth - EPSILON) {
+            limits.push({ side, key: r.key, kind: 'stepback', limit: r.stepback.height })
+        }
+    }
+    return limits
+}